@@ -2,24 +2,37 @@
 
 /**
  * Multi-Project E2E Testing Dashboard
- * Real-time monitoring of multiple concurrent E2E test executions
+ * Real-time monitoring of multiple concurrent E2E test executions, built from
+ * the lifecycle events each run writes to its log directory (lib/run-event-log.js)
+ *
+ * Usage:
+ *   node dashboard.js [--logs <dir>]                  Terminal dashboard
+ *   node dashboard.js --web [--port <n>] [--logs <dir>] Web dashboard + JSON/SSE API (lib/dashboard-server.js)
  */
 
 import fs from 'fs';
 import path from 'path';
-import { execSync } from 'child_process';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import RunEventLog, { applyRunEvent } from './lib/run-event-log.js';
+import DashboardServer from './lib/dashboard-server.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+const PHASE_LABELS = {
+  operator: 'operator-analysis',
+  claude: 'claude-processing'
+};
+
 export class MultiProjectDashboard {
-  constructor() {
+  constructor(options = {}) {
     this.projects = new Map();
     this.updateInterval = 1000;
     this.startTime = Date.now();
-    this.configDir = path.join(__dirname, 'config/project-configs');
+    this.configDir = options.configDir || path.join(__dirname, 'config/project-configs');
+    this.logsRoot = options.logsRoot || path.join(__dirname, 'logs');
+    this.eventOffsets = new Map(); // Event log path -> bytes already applied
   }
 
   loadProjects() {
@@ -35,75 +48,40 @@ export class MultiProjectDashboard {
     });
   }
 
-  addProject(name, config) {
-    this.projects.set(name, {
+  addProject(name, config = {}) {
+    if (this.projects.has(name)) {
+      return this.projects.get(name);
+    }
+    const project = {
       ...config,
       status: 'pending',
       currentIteration: 0,
+      maxIterations: config.maxIterations || 0,
       startTime: null,
       lastUpdate: null,
       errors: [],
-      phase: 'waiting'
-    });
+      alerts: [],
+      tasks: {},
+      phase: 'waiting',
+      phaseStatus: null
+    };
+    this.projects.set(name, project);
+    return project;
   }
 
-  updateProjectStatus(projectName) {
-    const project = this.projects.get(projectName);
-    if (!project) return;
-
-    try {
-      // Try to capture tmux pane content to determine status
-      const windowIndex = this.getWindowIndex(projectName);
-      if (windowIndex >= 0) {
-        const paneContent = execSync(
-          `tmux capture-pane -t e2e-orchestrator:${windowIndex} -p | tail -20`,
-          { encoding: 'utf8' }
-        );
-
-        // Update status based on content
-        if (paneContent.includes('OPERATOR SEND')) {
-          project.phase = 'operator-analysis';
-          project.status = 'active';
-        } else if (paneContent.includes('CLAUDE INPUT')) {
-          project.phase = 'claude-processing';
-          project.status = 'active';
-        } else if (paneContent.includes('Deploying to')) {
-          project.phase = 'deployment';
-          project.status = 'active';
-        } else if (paneContent.includes('TASK_FINISHED')) {
-          project.currentIteration++;
-          project.phase = 'iteration-complete';
-        } else if (paneContent.includes('All tasks resolved')) {
-          project.status = 'completed';
-          project.phase = 'success';
-        } else if (paneContent.includes('ERROR') || paneContent.includes('Failed')) {
-          project.status = 'error';
-          project.errors.push(paneContent.match(/ERROR.*$/m)?.[0] || 'Unknown error');
-        }
-
-        // Extract iteration info
-        const iterMatch = paneContent.match(/Iteration: (\d+)\/(\d+)/);
-        if (iterMatch) {
-          project.currentIteration = parseInt(iterMatch[1]);
-          project.maxIterations = parseInt(iterMatch[2]);
-        }
-      }
-    } catch (e) {
-      // Window might not exist yet
-    }
+  // Apply the events appended to each project's newest event log since the last refresh
+  async refreshFromEvents() {
+    const eventPaths = await RunEventLog.findLatest(this.logsRoot);
 
-    project.lastUpdate = Date.now();
-  }
+    for (const eventPath of eventPaths) {
+      const { events, offset } = await RunEventLog.readSince(eventPath, this.eventOffsets.get(eventPath) || 0);
+      this.eventOffsets.set(eventPath, offset);
 
-  getWindowIndex(projectName) {
-    const windowMap = {
-      'demo-app': 1,
-      'blog-platform': 2,
-      'ecommerce-app': 3,
-      'mobile-backend': 4,
-      'api-service': 5
-    };
-    return windowMap[projectName] || -1;
+      events.forEach(event => {
+        const project = this.addProject(event.project || path.basename(path.dirname(eventPath)));
+        applyRunEvent(project, event);
+      });
+    }
   }
 
   formatDuration(ms) {
@@ -144,9 +122,11 @@ export class MultiProjectDashboard {
       const progress = project.maxIterations ? (project.currentIteration / project.maxIterations) * 100 : 0;
       const progressBar = this.renderProgressBar(progress);
       const statusIcon = this.getStatusIcon(project.status);
-      const phaseStr = project.phase.padEnd(20);
+      const phaseStr = this.formatPhase(project).padEnd(20);
+      const taskStatuses = Object.values(project.tasks);
+      const tasksStr = `${taskStatuses.filter(status => status === 'pass').length}/${taskStatuses.length}`.padStart(5);
       
-      console.log(`│  ${statusIcon} ${name.padEnd(15)} ${progressBar} ${progress.toFixed(0).padStart(3)}% │ ${phaseStr} │`);
+      console.log(`│  ${statusIcon} ${name.padEnd(15)} ${progressBar} ${progress.toFixed(0).padStart(3)}% │ ${phaseStr} │ ${tasksStr} │`);
     });
     
     console.log('├─────────────────────────────────────────────────────────────────────┤');
@@ -163,6 +143,11 @@ export class MultiProjectDashboard {
     }
   }
 
+  formatPhase(project) {
+    const label = PHASE_LABELS[project.phase] || project.phase;
+    return project.phaseStatus === 'failed' ? `${label} (failed)` : label;
+  }
+
   renderProgressBar(percentage) {
     const filled = Math.floor(percentage / 10);
     const empty = 10 - filled;
@@ -180,17 +165,25 @@ export class MultiProjectDashboard {
     return icons[status] || '❓';
   }
 
-  start() {
+  async start() {
     this.loadProjects();
+    await this.refreshFromEvents();
     
     // Initial render
     this.renderDashboard();
     
-    // Update loop
-    setInterval(() => {
-      this.projects.forEach((project, name) => {
-        this.updateProjectStatus(name);
-      });
+    // Update loop (skips a tick while the previous refresh is still reading)
+    let refreshing = false;
+    setInterval(async () => {
+      if (refreshing) return;
+      refreshing = true;
+      try {
+        await this.refreshFromEvents();
+      } catch (error) {
+        // Event logs can be rotated or removed mid-read; the next tick retries
+      } finally {
+        refreshing = false;
+      }
       this.renderDashboard();
     }, this.updateInterval);
 
@@ -218,8 +211,31 @@ export class MultiProjectDashboard {
   }
 }
 
-// Start the dashboard
-const dashboard = new MultiProjectDashboard();
-dashboard.start();
+// Start the dashboard if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const argValue = (flag) => {
+    const index = process.argv.indexOf(flag);
+    return index !== -1 ? process.argv[index + 1] : undefined;
+  };
+  const logsRoot = argValue('--logs') && path.resolve(argValue('--logs'));
+
+  if (process.argv.includes('--web')) {
+    const server = new DashboardServer({
+      ...(logsRoot && { logsRoot }),
+      ...(argValue('--port') && { port: parseInt(argValue('--port'), 10) })
+    });
+    server.start().catch(error => {
+      console.error(`❌ Could not start web dashboard: ${error.message}`);
+      process.exit(1);
+    });
+    process.on('SIGINT', async () => {
+      await server.stop();
+      process.exit(0);
+    });
+  } else {
+    const dashboard = new MultiProjectDashboard({ ...(logsRoot && { logsRoot }) });
+    dashboard.start();
+  }
+}
 
 export default MultiProjectDashboard;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * Browser agent backend interface
+ *
+ * A browser agent is the web-based agent (Operator by default) that executes the
+ * QA steps against the live app and reports results. The executor only talks to
+ * it through these methods, so UI automation details stay inside each backend.
+ */
+class BrowserAgentBackend {
+    constructor(options = {}) {
+        this.name = options.name || 'abstract';
+        this.logger = options.logger || console.log;
+    }
+
+    /**
+     * Attach to the agent. Returns true when the backend is ready for newConversation()
+     *
+     * @param {Object} options
+     * @param {string|null} options.conversationUrl - Conversation to reattach to (later iterations)
+     * @returns {Promise<boolean>}
+     */
+    async connect(options = {}) {
+        throw new Error(`${this.name} backend does not implement connect()`);
+    }
+
+    /**
+     * Start a fresh conversation so the agent retests without earlier context
+     *
+     * @param {Object} options
+     * @param {boolean} options.reuseTab - Redirect the attached tab instead of requiring a fresh one
+     */
+    async newConversation(options = {}) {
+        throw new Error(`${this.name} backend does not implement newConversation()`);
+    }
+
+    /**
+     * Submit a message to the agent
+     *
+     * @param {string} message
+     * @returns {Promise<{success: boolean, method?: string, error?: string}>}
+     */
+    async send(message) {
+        throw new Error(`${this.name} backend does not implement send()`);
+    }
+
+    /**
+     * Wait for the agent's reply to the last send()
+     *
+     * @param {Object} options
+     * @param {number} options.timeoutMs - Maximum wait
+     * @returns {Promise<string|null>} Response text, or null on timeout
+     */
+    async waitForResponse(options = {}) {
+        throw new Error(`${this.name} backend does not implement waitForResponse()`);
+    }
+
+    /**
+     * URL of the current conversation, or null if the agent hasn't created one yet
+     *
+     * @returns {Promise<string|null>}
+     */
+    async getConversationUrl() {
+        throw new Error(`${this.name} backend does not implement getConversationUrl()`);
+    }
+
+    /**
+     * Identifier of the underlying browser target, used by session recovery
+     */
+    get targetId() {
+        return null;
+    }
+
+    async disconnect() {
+        // Nothing to release by default
+    }
+}
+
+export default BrowserAgentBackend;
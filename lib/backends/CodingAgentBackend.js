@@ -0,0 +1,61 @@
+/**
+ * Coding agent backend interface
+ *
+ * A coding agent (Claude Code by default) receives the browser agent's findings,
+ * fixes the code and signals completion. The executor drives it only through
+ * these methods, so a tmux window and a headless subprocess are interchangeable.
+ */
+class CodingAgentBackend {
+    constructor(options = {}) {
+        this.name = options.name || 'abstract';
+        this.logger = options.logger || console.log;
+        this.completionKeyword = options.completionKeyword || 'TASK_FINISHED';
+    }
+
+    /**
+     * Prepare the agent (open its window, check the CLI is installed, ...)
+     */
+    async start() {
+        throw new Error(`${this.name} backend does not implement start()`);
+    }
+
+    /**
+     * Hand a prompt to the agent
+     *
+     * @param {string} prompt
+     */
+    async submit(prompt) {
+        throw new Error(`${this.name} backend does not implement submit()`);
+    }
+
+    /**
+     * Clear stale output so the next completion signal comes from the latest prompt
+     */
+    async reset() {
+        throw new Error(`${this.name} backend does not implement reset()`);
+    }
+
+    /**
+     * Wait until the agent reports completion
+     *
+     * @param {Object} options
+     * @param {number} [options.timeoutMs] - Maximum wait
+     * @returns {Promise<{success: boolean, output?: string, detectionContext?: Object, error?: string}>}
+     */
+    async awaitCompletion(options = {}) {
+        throw new Error(`${this.name} backend does not implement awaitCompletion()`);
+    }
+
+    /**
+     * Where the agent runs (tmux target, process id, ...), for logs and checkpoints
+     */
+    get target() {
+        return null;
+    }
+
+    async stop() {
+        // Nothing to release by default
+    }
+}
+
+export default CodingAgentBackend;
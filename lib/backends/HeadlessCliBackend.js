@@ -0,0 +1,208 @@
+import { spawn, execFileSync } from 'child_process';
+import CodingAgentBackend from './CodingAgentBackend.js';
+
+/**
+ * CLI coding agent run as a headless subprocess - no tmux required
+ *
+ * Each submit() starts the agent with the prompt and collects its stdout.
+ * Output may be plain text or a JSON stream (one event per line, as printed by
+ * `claude -p --output-format stream-json`). The run completes when the process
+ * exits; it succeeds when the completion keyword was printed, or on a clean exit
+ * if requireKeyword is false.
+ */
+class HeadlessCliBackend extends CodingAgentBackend {
+    constructor(options = {}) {
+        super({ ...options, name: 'headless' });
+        this.command = options.command || 'claude';
+        this.args = options.args || ['-p', '--output-format', 'stream-json', '--verbose', '--dangerously-skip-permissions'];
+        this.promptVia = options.promptVia || 'arg'; // 'arg' appends the prompt, 'stdin' pipes it
+        this.continueArgs = options.continueArgs || ['--continue'];
+        this.continueConversation = options.continueConversation !== false;
+        this.requireKeyword = options.requireKeyword !== false;
+        this.cwd = options.cwd || process.cwd();
+        this.env = { ...process.env, ...(options.env || {}) };
+        this.defaultTimeoutMs = options.timeoutMs || 1200000; // 20 minutes
+
+        this.currentRun = null;
+        this.runCount = 0;
+        this.startFresh = true;
+    }
+
+    // Stable across runs: it names the send lock and the checkpointed agent target
+    get target() {
+        return `${this.command}@${this.cwd}`;
+    }
+
+    // Process of the current run, if one was started
+    get pid() {
+        return this.currentRun?.child.pid || null;
+    }
+
+    async start() {
+        try {
+            execFileSync('which', [this.command], { stdio: 'ignore' });
+            this.logger(`✅ Headless agent CLI found: ${this.command}`);
+        } catch (error) {
+            throw new Error(`Headless agent command not found in PATH: ${this.command}`);
+        }
+    }
+
+    async submit(prompt) {
+        if (this.currentRun && this.currentRun.exitCode === null) {
+            throw new Error(`Headless agent is still running (pid ${this.currentRun.child.pid})`);
+        }
+
+        const args = [...this.args];
+        if (this.continueConversation && !this.startFresh) {
+            args.push(...this.continueArgs);
+        }
+        if (this.promptVia === 'arg') {
+            args.push(prompt);
+        }
+
+        const child = spawn(this.command, args, {
+            cwd: this.cwd,
+            env: this.env,
+            stdio: ['pipe', 'pipe', 'pipe']
+        });
+
+        const run = {
+            child,
+            startTime: Date.now(),
+            textChunks: [],
+            events: [],
+            stderr: '',
+            exitCode: null,
+            resultError: false,
+            lineBuffer: ''
+        };
+
+        run.exited = new Promise((resolve) => {
+            child.on('error', (error) => {
+                run.spawnError = error;
+                run.exitCode = -1;
+                resolve();
+            });
+            child.on('close', (code) => {
+                this.consumeLine(run, run.lineBuffer);
+                run.exitCode = code === null ? -1 : code;
+                resolve();
+            });
+        });
+
+        child.stdout.on('data', (data) => {
+            run.lineBuffer += data.toString();
+            const lines = run.lineBuffer.split('\n');
+            run.lineBuffer = lines.pop();
+            lines.forEach(line => this.consumeLine(run, line));
+        });
+
+        child.stderr.on('data', (data) => {
+            run.stderr += data.toString();
+        });
+
+        if (this.promptVia === 'stdin') {
+            child.stdin.write(prompt);
+        }
+        child.stdin.end();
+
+        this.currentRun = run;
+        this.runCount++;
+        this.startFresh = false;
+        this.logger(`✅ Started headless agent run #${this.runCount} (pid ${child.pid})`);
+    }
+
+    /**
+     * Parse one stdout line as a stream-json event, falling back to plain text
+     */
+    consumeLine(run, line) {
+        if (!line || !line.trim()) return;
+
+        let event;
+        try {
+            event = JSON.parse(line);
+        } catch (error) {
+            run.textChunks.push(line);
+            return;
+        }
+
+        run.events.push(event);
+
+        if (event.type === 'assistant' && Array.isArray(event.message?.content)) {
+            event.message.content
+                .filter(part => part.type === 'text' && part.text)
+                .forEach(part => run.textChunks.push(part.text));
+        } else if (event.type === 'result') {
+            if (typeof event.result === 'string') run.textChunks.push(event.result);
+            run.resultError = event.is_error === true;
+        } else if (typeof event.text === 'string') {
+            run.textChunks.push(event.text);
+        }
+    }
+
+    /**
+     * Each run's output is collected separately, so there is no stale completion
+     * keyword to clear; the conversation itself is continued on the next submit()
+     */
+    async reset() {
+        // Nothing to clear
+    }
+
+    async awaitCompletion(options = {}) {
+        const run = this.currentRun;
+        if (!run) {
+            return { success: false, error: 'No headless agent run in progress' };
+        }
+
+        const timeoutMs = options.timeoutMs || this.defaultTimeoutMs;
+        let timer;
+        const timedOut = await Promise.race([
+            run.exited.then(() => false),
+            new Promise(resolve => { timer = setTimeout(() => resolve(true), timeoutMs); })
+        ]);
+        clearTimeout(timer);
+
+        if (timedOut) {
+            this.logger(`⚠️ Headless agent exceeded ${Math.round(timeoutMs / 1000)}s, stopping pid ${run.child.pid}`);
+            await this.stop();
+            return { success: false, error: 'Timeout waiting for Claude to finish processing' };
+        }
+
+        const output = run.textChunks.join('\n');
+        const detectionContext = {
+            monitorDuration: Date.now() - run.startTime,
+            pid: run.child.pid,
+            exitCode: run.exitCode,
+            events: run.events.length
+        };
+
+        if (run.spawnError) {
+            return { success: false, error: `Failed to start ${this.command}: ${run.spawnError.message}` };
+        }
+
+        const keywordSeen = output.includes(this.completionKeyword);
+        if (run.exitCode !== 0 || run.resultError) {
+            const stderrTail = run.stderr.trim().split('\n').slice(-3).join(' | ');
+            return { success: false, output, detectionContext, error: `Agent exited with code ${run.exitCode}${stderrTail ? `: ${stderrTail}` : ''}` };
+        }
+
+        if (this.requireKeyword && !keywordSeen) {
+            return { success: false, output, detectionContext, error: `Agent exited without printing ${this.completionKeyword}` };
+        }
+
+        return { success: true, output, detectionContext };
+    }
+
+    async stop() {
+        const run = this.currentRun;
+        if (run && run.exitCode === null) {
+            run.child.kill('SIGTERM');
+            await Promise.race([run.exited, new Promise(resolve => setTimeout(resolve, 5000))]);
+            if (run.exitCode === null) {
+                run.child.kill('SIGKILL');
+            }
+        }
+    }
+}
+
+export default HeadlessCliBackend;
@@ -0,0 +1,117 @@
+import fs from 'fs';
+import BrowserAgentBackend from './BrowserAgentBackend.js';
+
+/**
+ * Local stand-in for a browser agent - no Chrome required
+ *
+ * Replies come from a script, one entry per send(). An entry is either the
+ * response text or an object:
+ *   { response: '...', delayMs: 500 }   reply after a delay
+ *   { timeout: true }                   never reply (waitForResponse returns null)
+ *   { error: 'Target closed' }          send() fails with this error
+ * When the script runs out, defaultResponse is returned.
+ */
+let instanceCount = 0;
+
+class MockBrowserBackend extends BrowserAgentBackend {
+    constructor(options = {}) {
+        super({ ...options, name: 'mock' });
+        this.instanceId = ++instanceCount; // Each instance stands for its own browser tab
+        this.responses = options.responses || [];
+        if (options.responsesFile) {
+            this.responses = JSON.parse(fs.readFileSync(options.responsesFile, 'utf8'));
+        }
+        this.defaultResponse = options.defaultResponse || 'No issues found. ✅ Pass';
+        this.delayMs = options.delayMs || 0;
+        this.baseUrl = options.baseUrl || 'mock://browser-agent';
+
+        this.connected = false;
+        this.sentMessages = [];
+        this.conversationCount = 0;
+        this.conversationUrl = null;
+        this.pendingEntry = null;
+    }
+
+    get targetId() {
+        return this.connected ? `mock-target-${this.instanceId}` : null;
+    }
+
+    async connect(options = {}) {
+        this.connected = true;
+        this.conversationUrl = options.conversationUrl || null;
+        this.logger(`🧪 Mock browser agent connected${this.conversationUrl ? ` (${this.conversationUrl})` : ''}`);
+        return true;
+    }
+
+    async newConversation() {
+        this.requireConnection();
+        // Like Operator, the conversation URL only exists once a message is sent
+        this.conversationUrl = null;
+        this.pendingEntry = null;
+    }
+
+    async send(message) {
+        this.requireConnection();
+
+        const entry = this.normalizeEntry(this.responses[this.sentMessages.length]);
+        this.sentMessages.push({ message, timestamp: new Date().toISOString() });
+
+        if (entry.error) {
+            return { success: false, error: entry.error };
+        }
+
+        this.conversationCount++;
+        this.conversationUrl = `${this.baseUrl}/c/${this.conversationCount}`;
+        this.pendingEntry = entry;
+        return { success: true, method: 'mock' };
+    }
+
+    async waitForResponse(options = {}) {
+        const { timeoutMs = 600000 } = options;
+        const entry = this.pendingEntry;
+        this.pendingEntry = null;
+
+        if (!entry || entry.timeout) {
+            return null;
+        }
+
+        const delay = entry.delayMs !== undefined ? entry.delayMs : this.delayMs;
+        if (delay > timeoutMs) {
+            await this.sleep(timeoutMs);
+            return null;
+        }
+
+        await this.sleep(delay);
+        return entry.response;
+    }
+
+    async getConversationUrl() {
+        return this.conversationUrl;
+    }
+
+    async disconnect() {
+        this.connected = false;
+    }
+
+    normalizeEntry(entry) {
+        if (entry === undefined || entry === null) {
+            return { response: this.defaultResponse };
+        }
+        if (typeof entry === 'string') {
+            return { response: entry };
+        }
+        return entry;
+    }
+
+    requireConnection() {
+        if (!this.connected) {
+            throw new Error('Mock browser agent is not connected');
+        }
+    }
+
+    async sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+export default MockBrowserBackend;
@@ -0,0 +1,108 @@
+import CodingAgentBackend from './CodingAgentBackend.js';
+
+/**
+ * Local stand-in for a coding agent - no tmux or Claude CLI required
+ *
+ * Runs come from a script, one entry per submit(). An entry is either the
+ * agent's output text or an object:
+ *   { output: '...', delayMs: 500 }   finish after a delay
+ *   { timeout: true }                 never finish (awaitCompletion fails with a timeout)
+ *   { error: 'Claude crashed' }       awaitCompletion fails with this error
+ * When the script runs out, defaultOutput is returned. Pass nextRun() instead
+ * of runs to pick the entry from outside (e.g. by the executor's iteration).
+ */
+class MockCodingBackend extends CodingAgentBackend {
+    constructor(options = {}) {
+        super({ ...options, name: 'mock' });
+        this.runs = options.runs || [];
+        this.nextRun = options.nextRun || null;
+        this.defaultOutput = options.defaultOutput || `Fixed the reported issues.\n${this.completionKeyword}`;
+        this.delayMs = options.delayMs || 0;
+        this.sessionTarget = options.sessionTarget || 'mock-coding-agent';
+
+        this.started = false;
+        this.submittedPrompts = [];
+        this.pendingEntry = null;
+        this.resetCount = 0;
+    }
+
+    get target() {
+        return `mock:${this.sessionTarget}`;
+    }
+
+    async start() {
+        this.started = true;
+        this.logger(`🧪 Mock coding agent started (${this.target})`);
+    }
+
+    async submit(prompt) {
+        if (!this.started) {
+            throw new Error('Mock coding agent is not started');
+        }
+
+        const entry = this.nextRun
+            ? this.nextRun(this.submittedPrompts.length)
+            : this.runs[this.submittedPrompts.length];
+        this.submittedPrompts.push({ prompt, timestamp: new Date().toISOString() });
+        this.pendingEntry = this.normalizeEntry(entry);
+    }
+
+    async reset() {
+        this.resetCount++;
+    }
+
+    async awaitCompletion(options = {}) {
+        const { timeoutMs = 1200000 } = options;
+        const entry = this.pendingEntry;
+        this.pendingEntry = null;
+        const startTime = Date.now();
+
+        if (!entry) {
+            return { success: false, error: 'No mock coding agent run in progress' };
+        }
+
+        if (entry.timeout) {
+            return { success: false, error: 'Timeout waiting for Claude to finish processing' };
+        }
+
+        const delay = entry.delayMs !== undefined ? entry.delayMs : this.delayMs;
+        if (delay > timeoutMs) {
+            await this.sleep(timeoutMs);
+            return { success: false, error: 'Timeout waiting for Claude to finish processing' };
+        }
+        await this.sleep(delay);
+
+        if (entry.error) {
+            return { success: false, error: entry.error };
+        }
+
+        const output = entry.output;
+        const detectionContext = {
+            monitorDuration: Date.now() - startTime,
+            windowTarget: this.target,
+            simulated: true
+        };
+
+        if (!output.includes(this.completionKeyword)) {
+            return { success: false, output, detectionContext, error: `Agent finished without printing ${this.completionKeyword}` };
+        }
+
+        return { success: true, output, detectionContext };
+    }
+
+    normalizeEntry(entry) {
+        if (entry === undefined || entry === null) {
+            return { output: this.defaultOutput };
+        }
+        if (typeof entry === 'string') {
+            return { output: entry };
+        }
+        return { output: this.defaultOutput, ...entry };
+    }
+
+    async sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+export default MockCodingBackend;
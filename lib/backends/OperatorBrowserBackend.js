@@ -0,0 +1,276 @@
+import BrowserAgentBackend from './BrowserAgentBackend.js';
+import BrowserTarget from '../browser-target.js';
+import { OperatorMessageSenderWithResponse } from '../../../operator/send_and_wait_for_response.js';
+
+const isConversation = (url) => (url || '').includes('/c/');
+const withoutHash = (url) => (url || '').split('#')[0];
+
+// Paste the whole message into the visible textarea and fire the React input events
+const buildSetMessageScript = (message) => `
+(async () => {
+    const textarea = Array.from(document.querySelectorAll('textarea'))
+        .find(ta => ta.getBoundingClientRect().width > 0);
+    
+    if (!textarea) return { success: false, error: 'Textarea not found' };
+    
+    // Focus the textarea
+    textarea.focus();
+    textarea.click();
+    
+    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
+        window.HTMLTextAreaElement.prototype, "value"
+    ).set;
+    
+    // Clear existing content
+    nativeInputValueSetter.call(textarea, '');
+    textarea.dispatchEvent(new Event('input', { bubbles: true }));
+    
+    // Short delay
+    await new Promise(r => setTimeout(r, 100));
+    
+    const message = ${JSON.stringify(message)};
+    
+    // Set entire message at once (much faster)
+    nativeInputValueSetter.call(textarea, message);
+    
+    // Trigger React events
+    const inputEvt = new Event('input', { bubbles: true });
+    Object.defineProperty(inputEvt, 'target', { value: textarea });
+    textarea.dispatchEvent(inputEvt);
+    
+    // Change event
+    textarea.dispatchEvent(new Event('change', { bubbles: true }));
+    
+    // Focus/blur cycle to trigger validation
+    textarea.blur();
+    await new Promise(r => setTimeout(r, 50));
+    textarea.focus();
+    
+    return { success: true };
+})()
+`;
+
+// Click the send button (identified by its arrow icon path), falling back to Enter
+const SUBMIT_SCRIPT = `
+(() => {
+    let sendButton = null;
+    const allButtons = document.querySelectorAll('button:not([disabled])');
+    
+    sendButton = Array.from(allButtons).find(btn => {
+        const svg = btn.querySelector('svg');
+        if (svg) {
+            const path = svg.querySelector('path');
+            if (path) {
+                const d = path.getAttribute('d');
+                if (d && d.includes('M11.2929 5.29289')) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    });
+    
+    if (sendButton) {
+        sendButton.click();
+        return { success: true, method: 'button click' };
+    }
+    
+    // Fallback to Enter key
+    const textarea = document.querySelector('textarea');
+    if (textarea) {
+        textarea.focus();
+        const enterEvent = new KeyboardEvent('keydown', {
+            key: 'Enter',
+            code: 'Enter',
+            keyCode: 13,
+            bubbles: true
+        });
+        textarea.dispatchEvent(enterEvent);
+        return { success: true, method: 'enter key' };
+    }
+    
+    return { success: false, error: 'No send method worked' };
+})()
+`;
+
+/**
+ * OpenAI Operator driven over the Chrome DevTools protocol
+ */
+class OperatorBrowserBackend extends BrowserAgentBackend {
+    constructor(options = {}) {
+        super({ ...options, name: 'operator' });
+        this.chromePort = options.chromePort || 9222;
+        // Which tab is the browser agent's (project config: browserTarget)
+        this.browserTarget = options.browserTarget instanceof BrowserTarget
+            ? options.browserTarget
+            : new BrowserTarget(options.browserTarget);
+        this.homeUrl = this.browserTarget.homeUrl;
+        this.sender = null;
+        this.initialMessageCount = null;
+    }
+
+    get targetId() {
+        return this.sender?.targetId || null;
+    }
+
+    async connect(options = {}) {
+        const { conversationUrl = null } = options;
+
+        const connectionOptions = {
+            waitForResponse: true,
+            wait: 600, // 10 minutes timeout
+            chromePort: this.chromePort
+        };
+
+        const tab = conversationUrl
+            ? await this.findConversationTab(conversationUrl)
+            : await this.findOrOpenHomeTab();
+        if (!tab) return false;
+
+        // The sender attaches to the tab picked here, by its exact URL
+        connectionOptions.targetUrl = tab.url;
+        this.sender = new OperatorMessageSenderWithResponse(connectionOptions);
+        return await this.sender.connect();
+    }
+
+    async listTabs() {
+        const response = await fetch(`http://localhost:${this.chromePort}/json/list`);
+        return await response.json();
+    }
+
+    /**
+     * Subsequent iterations: the tab on the saved conversation, redirected in newConversation().
+     * Operator drops the ownership marker when it opens a conversation, so an unclaimed
+     * tab on that conversation counts too; tabs claimed by other projects never do.
+     */
+    async findConversationTab(conversationUrl) {
+        const onConversation = (await this.listTabs())
+            .filter(tab => withoutHash(tab.url) === withoutHash(conversationUrl));
+        const tab = this.browserTarget.findTab(onConversation) ||
+            onConversation.find(tab => (!tab.type || tab.type === 'page') && !BrowserTarget.ownerOf(tab));
+
+        if (tab) {
+            this.logger(`♻️  REUSING OPERATOR TAB: ${conversationUrl}`);
+        } else {
+            this.logger(`❌ No tab open on ${conversationUrl} (${this.browserTarget.describe()})`);
+        }
+        return tab;
+    }
+
+    /**
+     * First iteration: STRICT mode - a fresh home page tab matching the browser target,
+     * opened (and claimed with the ownership marker) when there is none
+     */
+    async findOrOpenHomeTab() {
+        const tab = this.browserTarget.findTab((await this.listTabs()).filter(tab => !isConversation(tab.url)));
+        if (tab) {
+            this.logger(`🆕 FIRST ITERATION: Using fresh Operator home page tab ${tab.url}`);
+            return tab;
+        }
+
+        const url = this.browserTarget.newTabUrl();
+        this.logger(`🆕 FIRST ITERATION: No fresh Operator tab (${this.browserTarget.describe()}), opening ${url}`);
+        // Encoded so the ownership marker (#e2e-owner=...) reaches Chrome as part of the URL
+        const response = await fetch(`http://localhost:${this.chromePort}/json/new?${encodeURIComponent(url)}`);
+        const newTab = await response.json();
+        await this.sleep(3000); // Wait for page to fully load
+        return { ...newTab, url: newTab.url || url };
+    }
+
+    async newConversation(options = {}) {
+        if (options.reuseTab) {
+            // Subsequent iterations: Redirect the reused tab to fresh home page, claiming it again
+            this.logger('🔄 Redirecting reused tab to fresh Operator home page for new conversation...');
+            await this.sender.client.Page.navigate({ url: this.browserTarget.newTabUrl() });
+            await this.sleep(3000); // Wait for page to fully load
+
+            const url = await this.getCurrentUrl();
+            if (!url || isConversation(url)) {
+                throw new Error(`Failed to redirect tab to fresh Operator home page (still on ${url || 'an unknown page'})`);
+            }
+
+            this.logger('✅ Tab redirected - ready for fresh conversation in same tab');
+            return;
+        }
+
+        const url = await this.getCurrentUrl();
+        this.logger(`📍 Current URL: ${url}`);
+
+        // First iteration: Verify we're on home page
+        if (isConversation(url)) {
+            throw new Error(`ERROR: Connected to existing conversation tab (${url}). Please open a fresh Operator home page tab.`);
+        }
+
+        // If not on home page, navigate there
+        if (withoutHash(url) !== this.homeUrl && !url.includes('?utm_source=chatgpt')) {
+            this.logger('🏠 Navigating to FRESH Operator home page...');
+            await this.sender.client.Page.navigate({ url: this.browserTarget.newTabUrl() });
+            await this.sleep(3000); // Wait for page to fully load
+        }
+
+        this.logger('✅ Confirmed on Operator home page - ready for fresh conversation');
+    }
+
+    /**
+     * Fast input method - sets the whole message at once instead of typing it
+     */
+    async send(message) {
+        // Record initial message count so waitForResponse() can spot the new reply
+        this.initialMessageCount = await this.sender.getMessageCount();
+        this.logger(`📊 Initial message count: ${this.initialMessageCount.assistant} assistant messages`);
+
+        const setResult = await this.sender.client.Runtime.evaluate({
+            expression: buildSetMessageScript(message),
+            awaitPromise: true,
+            returnByValue: true
+        });
+
+        if (!setResult.result.value.success) {
+            return { success: false, error: setResult.result.value.error || 'Failed to set message' };
+        }
+
+        this.logger('✅ Message set in textarea');
+
+        // Wait for UI to update
+        await this.sleep(1000);
+
+        const submitResult = await this.sender.client.Runtime.evaluate({
+            expression: SUBMIT_SCRIPT,
+            returnByValue: true
+        });
+
+        return submitResult.result.value;
+    }
+
+    async waitForResponse(options = {}) {
+        const { timeoutMs = 600000 } = options;
+        this.sender.waitTime = Math.round(timeoutMs / 1000);
+        return await this.sender.waitForResponse(this.initialMessageCount);
+    }
+
+    async getConversationUrl() {
+        const url = await this.getCurrentUrl();
+        return isConversation(url) ? url : null;
+    }
+
+    async getCurrentUrl() {
+        const currentUrl = await this.sender.client.Runtime.evaluate({
+            expression: 'window.location.href',
+            returnByValue: true
+        });
+        return currentUrl.result.value;
+    }
+
+    async disconnect() {
+        if (this.sender) {
+            await this.sender.disconnect();
+            this.sender = null;
+        }
+    }
+
+    async sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+export default OperatorBrowserBackend;
@@ -0,0 +1,269 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import CodingAgentBackend from './CodingAgentBackend.js';
+import WindowKeywordMonitor from '../monitors/WindowKeywordMonitor.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const execAsync = promisify(exec);
+
+/**
+ * Claude Code running interactively in a tmux window
+ *
+ * Prompts are typed with send-keys, completion is detected by watching the
+ * pane for TASK_FINISHED with WindowKeywordMonitor.
+ */
+class TmuxClaudeBackend extends CodingAgentBackend {
+    constructor(options = {}) {
+        super({ ...options, name: 'tmux-claude' });
+        this.sessionTarget = options.sessionTarget || 'feature-op-debug';
+        this.launchCommand = options.launchCommand || 'claude --dangerously-skip-permissions';
+        this.monitorConfigPath = options.monitorConfigPath || path.join(__dirname, '..', '..', 'config', 'task_finished_monitor.json');
+        this.windowTarget = options.windowTarget || null;
+        
+        // TASK_FINISHED detection cooldown - blocks stale detections still on screen
+        this.completionCooldown = options.completionCooldown !== undefined ? options.completionCooldown : 60000;
+        this.lastCompletionTime = Date.now();
+    }
+
+    get target() {
+        return this.windowTarget;
+    }
+
+    /**
+     * Reuse the tmux window if the agent is already running in it (resume after restart)
+     */
+    attach(windowTarget) {
+        this.windowTarget = windowTarget;
+        // /compact ran before the prompt was checkpointed, so any TASK_FINISHED now on screen is fresh
+        this.lastCompletionTime = 0;
+    }
+
+    /**
+     * Create or reuse the tmux window and start Claude Code in it
+     */
+    async start() {
+        this.logger(`📺 Using tmux window/session: ${this.sessionTarget}`);
+        
+        try {
+            // Check if we're in a tmux session
+            const { stdout: tmuxCheck } = await execAsync('echo $TMUX || echo "not_in_tmux"');
+            
+            if (tmuxCheck.trim() === 'not_in_tmux') {
+                throw new Error('Not currently in a tmux session. Please run this script from within tmux.');
+            }
+            
+            this.logger('✅ Detected running inside tmux session');
+            
+            // Parse session:window format if present
+            let targetSession = null;
+            let targetWindow = null;
+            let windowIndex = null;
+            
+            if (this.sessionTarget.includes(':')) {
+                // Format: session:window
+                [targetSession, targetWindow] = this.sessionTarget.split(':');
+                
+                // Check if the session exists
+                try {
+                    const { stdout: sessions } = await execAsync('tmux list-sessions -F "#{session_name}"');
+                    if (!sessions.split('\n').includes(targetSession)) {
+                        throw new Error(`Session '${targetSession}' not found`);
+                    }
+                    
+                    // Check if window exists in target session
+                    const { stdout: windows } = await execAsync(`tmux list-windows -t ${targetSession} -F "#{window_index}:#{window_name}"`);
+                    const windowMatch = windows.split('\n').find(line => {
+                        const [idx, name] = line.split(':');
+                        return name === targetWindow || idx === targetWindow;
+                    });
+                    
+                    if (windowMatch) {
+                        windowIndex = `${targetSession}:${windowMatch.split(':')[0]}`;
+                        this.logger(`♻️  Using existing window '${targetWindow}' in session '${targetSession}'`);
+                    } else {
+                        throw new Error(`Window '${targetWindow}' not found in session '${targetSession}'`);
+                    }
+                } catch (error) {
+                    console.error(`❌ Failed to target ${this.sessionTarget}: ${error.message}`);
+                    throw error;
+                }
+            } else {
+                // Simple window name in current session
+                const { stdout: existingWindows } = await execAsync('tmux list-windows -F "#{window_name}"');
+                const windowExists = existingWindows.split('\n').includes(this.sessionTarget);
+                
+                if (windowExists) {
+                    this.logger(`♻️  Tmux window '${this.sessionTarget}' already exists, reusing it`);
+                    // Kill any existing processes in the window
+                    await execAsync(`tmux send-keys -t ${this.sessionTarget} C-c C-c C-c C-c C-c`);
+                    await this.sleep(500);
+                    windowIndex = this.sessionTarget;
+                } else {
+                    // Create new window in current session
+                    this.logger(`📍 Creating new tmux window: ${this.sessionTarget}`);
+                    await execAsync(`tmux new-window -n ${this.sessionTarget}`);
+                    this.logger(`✅ Created tmux window: ${this.sessionTarget}`);
+                    
+                    // Get the window index for reliable targeting
+                    const { stdout: windowList } = await execAsync('tmux list-windows -F "#{window_index}:#{window_name}"');
+                    const windowMatch = windowList.split('\n').find(line => line.includes(this.sessionTarget));
+                    windowIndex = windowMatch ? windowMatch.split(':')[0] : this.sessionTarget;
+                }
+            }
+            
+            this.logger(`🎯 Using window target: ${windowIndex}`);
+            this.windowTarget = windowIndex;
+            
+            // Skip navigation - let the user control their window's directory
+            
+            // Check if Claude Code is available
+            try {
+                await execAsync('which claude');
+                this.logger('✅ Claude Code CLI found');
+            } catch (error) {
+                this.logger('⚠️ Claude Code CLI not found in PATH');
+                this.logger('💡 You may need to install it or add it to your PATH');
+                this.logger('📋 For now, using the window for manual Claude interaction');
+            }
+            
+            // Send Ctrl+C 5 times first to clear any existing process
+            this.logger('🔄 Clearing window with Ctrl+C...');
+            for (let i = 0; i < 5; i++) {
+                await execAsync(`tmux send-keys -t ${windowIndex} C-c`);
+                await this.sleep(100);
+            }
+            await this.sleep(500);
+            
+            // Start Claude Code with proper permissions
+            await execAsync(`tmux send-keys -t ${windowIndex} '${this.launchCommand}' Enter`);
+            this.logger(`📤 Sent Claude Code command to window: ${windowIndex}`);
+            
+            // Wait for Claude to initialize
+            this.logger('⏳ Waiting for Claude to initialize...');
+            await this.sleep(3000);
+            
+            // Check if Claude started successfully
+            const { stdout: windowContent } = await execAsync(`tmux capture-pane -t ${windowIndex} -p`);
+            
+            if (windowContent.includes('Welcome to Claude') || windowContent.includes('claude>') || windowContent.includes('│ >')) {
+                this.logger('✅ Claude Code appears to be running');
+            } else if (windowContent.includes('command not found') || windowContent.includes('no such file')) {
+                this.logger('❌ Claude Code failed to start - command not found');
+                this.logger('💡 Will proceed anyway for manual testing');
+            } else {
+                this.logger('⚠️ Claude Code status unclear, proceeding...');
+            }
+            
+        } catch (error) {
+            throw new Error(`Failed to create tmux window: ${error.message}`);
+        }
+    }
+
+    async submit(prompt) {
+        const escapedPrompt = prompt.replace(/'/g, "'\"'\"'");
+        await execAsync(`tmux send-keys -t ${this.windowTarget} '${escapedPrompt}'`);
+        // Send Enter to submit the message
+        await this.sleep(100);
+        await execAsync(`tmux send-keys -t ${this.windowTarget} Enter`);
+        // Wait and send Enter again to ensure execution
+        await this.sleep(2000);
+        await execAsync(`tmux send-keys -t ${this.windowTarget} Enter`);
+        this.logger('✅ Sent prompt to Claude Code with double Enter');
+    }
+
+    /**
+     * Run /compact to clear stale TASK_FINISHED messages while preserving context
+     */
+    async reset() {
+        this.logger('🧹 Running /compact to clear stale outputs while preserving context...');
+        await execAsync(`tmux send-keys -t ${this.windowTarget} '/compact' Enter`);
+        // Wait and send Enter again to ensure /compact executes
+        await this.sleep(2000);
+        await execAsync(`tmux send-keys -t ${this.windowTarget} Enter`);
+        await this.sleep(3000); // Wait for compact to complete
+        this.logger('✅ /compact completed with double Enter - ready for fresh TASK_FINISHED detection');
+    }
+
+    /**
+     * Watch the pane until TASK_FINISHED appears outside the cooldown window
+     */
+    async awaitCompletion(options = {}) {
+        const monitorConfig = JSON.parse(await fs.readFile(this.monitorConfigPath, 'utf8'));
+        monitorConfig.windowIndex = this.windowTarget;
+        if (options.timeoutMs) {
+            monitorConfig.options = { ...monitorConfig.options, timeout: Math.round(options.timeoutMs / 1000) };
+        }
+        
+        const monitor = new WindowKeywordMonitor(monitorConfig);
+        this.logger(`⏳ Starting WindowKeywordMonitor - Window: ${this.windowTarget}`);
+        
+        const detectionPromise = new Promise((resolve, reject) => {
+            const detectionStartTime = Date.now();
+            let hasDetected = false;
+            
+            monitor.on('keyword_detected', ({ keyword, output, chainIndex }) => {
+                if (hasDetected) return; // Prevent multiple detections
+                
+                const currentTime = Date.now();
+                const timeSinceLastDetection = currentTime - this.lastCompletionTime;
+                const elapsedTime = currentTime - detectionStartTime;
+                
+                // Check cooldown period
+                if (timeSinceLastDetection < this.completionCooldown) {
+                    this.logger(`⏸️  ${keyword} detected but in cooldown period`);
+                    this.logger(`   Time since last detection: ${Math.floor(timeSinceLastDetection/1000)}s`);
+                    this.logger(`   Cooldown remaining: ${Math.floor((this.completionCooldown - timeSinceLastDetection)/1000)}s`);
+                    this.logger(`   Ignoring stale detection, continuing to monitor...`);
+                    return; // Don't resolve, keep monitoring
+                }
+                
+                hasDetected = true;
+                this.lastCompletionTime = currentTime;
+                monitor.stop();
+                
+                resolve({
+                    success: true,
+                    output,
+                    detectionContext: {
+                        monitorDuration: elapsedTime,
+                        windowTarget: this.windowTarget,
+                        chainIndex,
+                        timeSinceLastDetection
+                    }
+                });
+            });
+            
+            monitor.on('timeout', () => {
+                this.logger(`⚠️ WindowKeywordMonitor timeout waiting for ${this.completionKeyword}`);
+                reject(new Error('Timeout waiting for Claude to finish processing'));
+            });
+            
+            monitor.on('error', ({ error, action }) => {
+                this.logger(`❌ WindowKeywordMonitor error during ${action}: ${error}`);
+                reject(new Error(`Monitor error: ${error}`));
+            });
+            
+            monitor.on('chain_complete', ({ totalStages, executionTime }) => {
+                // This shouldn't happen with single-chain TASK_FINISHED detection
+                this.logger(`Chain complete event (unexpected): ${totalStages} stages in ${executionTime}ms`);
+            });
+        });
+        
+        try {
+            await monitor.start();
+            return await detectionPromise;
+        } catch (error) {
+            monitor.stop();
+            return { success: false, error: error.message };
+        }
+    }
+
+    async sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
+
+export default TmuxClaudeBackend;
@@ -0,0 +1,31 @@
+/**
+ * Browser agent backends by config name. Loaded lazily so the mock backend
+ * works on machines without the Operator/CDP tooling installed.
+ */
+export const BROWSER_BACKENDS = {
+    operator: () => import('./OperatorBrowserBackend.js'),
+    mock: () => import('./MockBrowserBackend.js')
+};
+
+/**
+ * Create the browser agent backend named in the project config's browserAgent section
+ *
+ * @param {Object} [browserAgentConfig] - { backend: 'operator'|'mock', options: {...} }
+ * @param {Object} [runtimeOptions] - Executor-provided options (chromePort, browserTarget, logger)
+ */
+export async function createBrowserBackend(browserAgentConfig = {}, runtimeOptions = {}) {
+    const backendName = browserAgentConfig?.backend || 'operator';
+    const loadBackend = BROWSER_BACKENDS[backendName];
+
+    if (!loadBackend) {
+        throw new Error(`Unknown browser agent backend '${backendName}'. Available: ${Object.keys(BROWSER_BACKENDS).join(', ')}`);
+    }
+
+    const { default: Backend } = await loadBackend();
+    return new Backend({
+        ...(browserAgentConfig?.options || {}),
+        ...runtimeOptions
+    });
+}
+
+export default createBrowserBackend;
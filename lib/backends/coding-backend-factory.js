@@ -0,0 +1,31 @@
+/**
+ * Coding agent backends by config name, loaded lazily like the browser backends
+ */
+export const CODING_BACKENDS = {
+    'tmux-claude': () => import('./TmuxClaudeBackend.js'),
+    headless: () => import('./HeadlessCliBackend.js'),
+    mock: () => import('./MockCodingBackend.js')
+};
+
+/**
+ * Create the coding agent backend named in the project config's codingAgent section
+ *
+ * @param {Object} [codingAgentConfig] - { backend: 'tmux-claude'|'headless'|'mock', options: {...} }
+ * @param {Object} [runtimeOptions] - Executor-provided options (sessionTarget, cwd, logger)
+ */
+export async function createCodingBackend(codingAgentConfig = {}, runtimeOptions = {}) {
+    const backendName = codingAgentConfig?.backend || 'tmux-claude';
+    const loadBackend = CODING_BACKENDS[backendName];
+
+    if (!loadBackend) {
+        throw new Error(`Unknown coding agent backend '${backendName}'. Available: ${Object.keys(CODING_BACKENDS).join(', ')}`);
+    }
+
+    const { default: Backend } = await loadBackend();
+    return new Backend({
+        ...(codingAgentConfig?.options || {}),
+        ...runtimeOptions
+    });
+}
+
+export default createCodingBackend;
@@ -0,0 +1,79 @@
+/**
+ * Which Chrome tab is the browser agent's (project config: browserTarget)
+ *
+ * A tab matches when its URL contains one of urlPatterns or its title one of
+ * titlePatterns ('*' is a wildcard, matching is case-insensitive). Tabs can be
+ * claimed with an ownership marker, e2e-owner=<owner> in the URL or title: with
+ * ownershipMarker set only tabs carrying it match, and tabs carrying another
+ * project's marker never do, so projects sharing one Chrome keep to their own tabs.
+ */
+
+export const OWNER_MARKER_PREFIX = 'e2e-owner=';
+
+export const DEFAULT_BROWSER_TARGET = {
+    urlPatterns: ['operator.chatgpt.com'],
+    titlePatterns: [],
+    homeUrl: 'https://operator.chatgpt.com/',
+    ownershipMarker: null
+};
+
+const toRegExp = (pattern) => new RegExp(
+    String(pattern).split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*'),
+    'i'
+);
+
+class BrowserTarget {
+    /**
+     * @param {Object} [config] - { urlPatterns, titlePatterns, homeUrl, ownershipMarker }
+     */
+    constructor(config = {}) {
+        this.urlPatterns = config.urlPatterns || DEFAULT_BROWSER_TARGET.urlPatterns;
+        this.titlePatterns = config.titlePatterns || DEFAULT_BROWSER_TARGET.titlePatterns;
+        this.homeUrl = config.homeUrl || DEFAULT_BROWSER_TARGET.homeUrl;
+        this.ownershipMarker = config.ownershipMarker || null;
+        this.urlMatchers = this.urlPatterns.map(toRegExp);
+        this.titleMatchers = this.titlePatterns.map(toRegExp);
+    }
+
+    get ownerToken() {
+        return this.ownershipMarker ? `${OWNER_MARKER_PREFIX}${this.ownershipMarker}` : null;
+    }
+
+    // Owner named in the tab's URL or title, if any
+    static ownerOf(tab) {
+        const text = `${tab.url || ''} ${tab.title || ''}`;
+        const match = text.match(/e2e-owner=([A-Za-z0-9_.-]+)/);
+        return match ? match[1] : null;
+    }
+
+    matches(tab) {
+        if (!tab || (tab.type && tab.type !== 'page')) return false;
+
+        const owner = BrowserTarget.ownerOf(tab);
+        if (owner !== this.ownershipMarker) return false;
+
+        return this.urlMatchers.some(matcher => matcher.test(tab.url || '')) ||
+            this.titleMatchers.some(matcher => matcher.test(tab.title || ''));
+    }
+
+    /**
+     * @param {Array<Object>} targets - Chrome's /json/list
+     * @returns {Object|undefined} The first matching tab
+     */
+    findTab(targets) {
+        return targets.find(tab => this.matches(tab));
+    }
+
+    // URL to open a new agent tab at, claimed with the ownership marker
+    newTabUrl(url = this.homeUrl) {
+        if (!this.ownerToken) return url;
+        return `${url}${url.includes('#') ? '&' : '#'}${this.ownerToken}`;
+    }
+
+    describe() {
+        const patterns = [...this.urlPatterns, ...this.titlePatterns.map(pattern => `title "${pattern}"`)].join(', ');
+        return this.ownerToken ? `${patterns} with ${this.ownerToken}` : patterns;
+    }
+}
+
+export default BrowserTarget;
@@ -0,0 +1,114 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { stateManager } from './state-manager.js';
+
+/**
+ * Append-only checkpoint journal for resumable E2E runs
+ * One JSON line per phase boundary, stored next to the run's log file
+ */
+
+// Phase boundaries in the order they occur within an iteration
+export const CHECKPOINT_PHASES = [
+    'operator_send',
+    'operator_receive',
+    'claude_input',
+    'task_finished',
+    'iteration_complete'
+];
+
+class CheckpointJournal {
+    constructor(options = {}) {
+        this.runId = options.runId;
+        this.logDirectory = options.logDirectory || path.join(process.cwd(), 'logs');
+        this.logger = options.logger || console.log;
+        this.journalPath = CheckpointJournal.getJournalPath(this.logDirectory, this.runId);
+    }
+
+    static getJournalPath(logDirectory, runId) {
+        return path.join(logDirectory, `e2e_checkpoint_${runId}.jsonl`);
+    }
+
+    // Append a checkpoint for a phase boundary
+    async record(phase, iteration, state = {}) {
+        const entry = {
+            runId: this.runId,
+            phase,
+            iteration,
+            timestamp: new Date().toISOString(),
+            state,
+            stateManager: stateManager.getAllStates()
+        };
+
+        try {
+            await fs.mkdir(path.dirname(this.journalPath), { recursive: true });
+            await fs.appendFile(this.journalPath, `${JSON.stringify(entry)}\n`, 'utf8');
+            this.logger(`[CHECKPOINT] ${phase} (iteration ${iteration})`);
+        } catch (error) {
+            // A lost checkpoint must not break the run itself
+            this.logger(`[CHECKPOINT] Failed to write ${phase} checkpoint: ${error.message}`);
+        }
+
+        return entry;
+    }
+
+    // Read all checkpoints, skipping a torn trailing line from a crash mid-write
+    async readEntries() {
+        let content;
+        try {
+            content = await fs.readFile(this.journalPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                throw new Error(`No checkpoint journal found for run ${this.runId} at ${this.journalPath}`);
+            }
+            throw error;
+        }
+
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                this.logger(`[CHECKPOINT] Skipping unreadable journal line: ${line.substring(0, 80)}`);
+            }
+        }
+        return entries;
+    }
+
+    // Work out where a resumed run should pick up
+    async getResumePoint() {
+        const entries = await this.readEntries();
+        const last = entries[entries.length - 1];
+
+        if (!last) {
+            throw new Error(`Checkpoint journal for run ${this.runId} is empty`);
+        }
+
+        if (last.phase === 'run_complete') {
+            return { complete: true, checkpoint: last };
+        }
+
+        // Restore unified state so recovery metadata survives the restart
+        if (last.stateManager) {
+            stateManager.importState(JSON.stringify(last.stateManager));
+        }
+
+        if (last.phase === 'iteration_complete') {
+            return {
+                complete: false,
+                iteration: last.iteration + 1,
+                phase: null,
+                checkpoint: last
+            };
+        }
+
+        return {
+            complete: false,
+            iteration: last.iteration,
+            phase: last.phase,
+            checkpoint: last
+        };
+    }
+}
+
+export default CheckpointJournal;
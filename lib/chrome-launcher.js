@@ -0,0 +1,204 @@
+import { execFileSync, spawn } from 'child_process';
+import fs from 'fs';
+
+/**
+ * Per-project Chrome lifecycle: reuse the Chrome already listening on the project's
+ * debug port, or launch one with the project's own user-data-dir, wait for
+ * /json/version, restart it when it crashes, and stop it at the end of the run -
+ * only if this run started it.
+ */
+
+const CHROME_CANDIDATES = [
+    'google-chrome',
+    'google-chrome-stable',
+    'chromium',
+    'chromium-browser',
+    '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome'
+];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class ChromeLauncher {
+    /**
+     * @param {Object} options
+     * @param {number} options.chromePort - Project debug port
+     * @param {string[]} [options.args] - Chrome arguments (ProjectManager.generateChromeArgs)
+     * @param {string} [options.startUrl] - Page the first tab opens (the agent's home page)
+     * @param {string} [options.executable] - Chrome binary (default: CHROME_PATH or the first one found)
+     * @param {number} [options.startupTimeoutMs=30000] - How long to wait for /json/version
+     * @param {number} [options.maxRestarts=3] - Crash restarts per run
+     * @param {number} [options.restartDelayMs=1000]
+     * @param {Function} [options.logger]
+     */
+    constructor(options = {}) {
+        this.chromePort = options.chromePort || 9222;
+        this.args = options.args || [];
+        this.startUrl = options.startUrl || null;
+        this.executable = options.executable || process.env.CHROME_PATH || null;
+        this.startupTimeoutMs = options.startupTimeoutMs || 30000;
+        this.maxRestarts = options.maxRestarts ?? 3;
+        this.restartDelayMs = options.restartDelayMs ?? 1000;
+        this.logger = options.logger || console.log;
+
+        this.process = null;
+        this.startedByUs = false;
+        this.restarts = 0;
+        this.restarting = null;
+        // A launched Chrome must not outlive the run, even on process.exit()
+        this.exitHandler = () => this.process?.kill('SIGKILL');
+    }
+
+    static resolveExecutable() {
+        for (const candidate of CHROME_CANDIDATES) {
+            if (candidate.includes('/')) {
+                if (fs.existsSync(candidate)) return candidate;
+                continue;
+            }
+            try {
+                return execFileSync('which', [candidate], { stdio: ['ignore', 'pipe', 'ignore'] }).toString().trim();
+            } catch (error) {
+                // not installed under this name
+            }
+        }
+        return null;
+    }
+
+    // Chrome's /json/version, or null when nothing answers on the port
+    async getVersion() {
+        try {
+            const response = await fetch(`http://localhost:${this.chromePort}/json/version`, { signal: AbortSignal.timeout(2000) });
+            return response.ok ? await response.json() : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Make sure a Chrome answers on the project port, launching one if needed
+     *
+     * @returns {Promise<Object>} { started, pid, version }
+     */
+    async ensureRunning() {
+        const version = await this.getVersion();
+        if (version) {
+            if (!this.startedByUs) {
+                this.logger(`[CHROME] Using the Chrome already running on port ${this.chromePort} (${version.Browser || 'unknown version'})`);
+            }
+            return { started: false, pid: this.process?.pid || null, version };
+        }
+        return await this.launch();
+    }
+
+    async launch() {
+        const executable = this.executable || ChromeLauncher.resolveExecutable();
+        if (!executable) {
+            throw new Error('Chrome not found - install google-chrome or chromium, or set chrome.executable (or CHROME_PATH)');
+        }
+
+        // Chrome refuses to start as root without --no-sandbox (CI containers)
+        const args = [
+            ...this.args,
+            ...(process.getuid?.() === 0 && !this.args.includes('--no-sandbox') ? ['--no-sandbox'] : []),
+            ...(this.startUrl ? [this.startUrl] : [])
+        ];
+        this.logger(`[CHROME] Launching ${executable} on port ${this.chromePort}`);
+
+        const child = spawn(executable, args, { stdio: 'ignore' });
+        let failure = null;
+        child.once('error', (error) => { failure = error.message; });
+        child.once('exit', (code, signal) => { failure = failure || `exited (${signal || `code ${code}`})`; });
+
+        this.process = child;
+        this.startedByUs = true;
+        process.removeListener('exit', this.exitHandler);
+        process.on('exit', this.exitHandler);
+
+        const deadline = Date.now() + this.startupTimeoutMs;
+        while (Date.now() < deadline) {
+            if (failure) {
+                this.process = null;
+                throw new Error(`Chrome ${failure} before DevTools came up on port ${this.chromePort}`);
+            }
+            const version = await this.getVersion();
+            if (version) {
+                this.supervise(child);
+                this.logger(`[CHROME] ✅ Chrome ${version.Browser || ''} ready on port ${this.chromePort} (pid ${child.pid})`);
+                return { started: true, pid: child.pid, version };
+            }
+            await sleep(250);
+        }
+
+        this.process = null;
+        child.kill('SIGKILL');
+        throw new Error(`Chrome did not open DevTools on port ${this.chromePort} within ${this.startupTimeoutMs}ms`);
+    }
+
+    // Restart a launched Chrome that exits on its own, up to maxRestarts times
+    supervise(child) {
+        child.once('exit', (code, signal) => {
+            if (this.process !== child) return; // stopped or replaced on purpose
+            this.process = null;
+            this.logger(`[CHROME] ⚠️  Chrome (pid ${child.pid}) exited unexpectedly (${signal || `code ${code}`})`);
+
+            if (this.restarts >= this.maxRestarts) {
+                this.logger(`[CHROME] ❌ Not restarting - already restarted ${this.restarts} times this run`);
+                return;
+            }
+            this.restarts++;
+            this.restarting = sleep(this.restartDelayMs)
+                .then(() => this.launch())
+                .catch((error) => {
+                    this.logger(`[CHROME] ❌ Restart failed: ${error.message}`);
+                    return null;
+                })
+                .finally(() => {
+                    this.restarting = null;
+                });
+        });
+    }
+
+    /**
+     * Get a responsive Chrome back (session recovery): wait for a pending restart,
+     * replace a launched Chrome that stopped answering, or launch a new one
+     */
+    async restart() {
+        if (this.restarting) await this.restarting;
+        if (await this.getVersion()) return { started: false, pid: this.process?.pid || null };
+
+        if (this.process) {
+            const child = this.process;
+            this.process = null;
+            this.logger(`[CHROME] Chrome (pid ${child.pid}) stopped answering, killing it`);
+            await this.terminate(child, 'SIGKILL');
+        }
+        return await this.launch();
+    }
+
+    async terminate(child, signal = 'SIGTERM', timeoutMs = 5000) {
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill(signal);
+        const timer = setTimeout(() => child.kill('SIGKILL'), timeoutMs);
+        await exited;
+        clearTimeout(timer);
+    }
+
+    /**
+     * Stop Chrome if this run launched it
+     *
+     * @returns {Promise<boolean>} true when a Chrome was stopped
+     */
+    async stop() {
+        if (this.restarting) await this.restarting;
+        process.removeListener('exit', this.exitHandler);
+        if (!this.startedByUs || !this.process) return false;
+
+        const child = this.process;
+        this.process = null;
+        await this.terminate(child);
+        this.logger(`[CHROME] Stopped the Chrome this run launched (pid ${child.pid})`);
+        return true;
+    }
+}
+
+export default ChromeLauncher;
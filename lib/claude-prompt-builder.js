@@ -0,0 +1,216 @@
+/**
+ * Claude fix prompt templates
+ * Renders the prompt sent to the coding agent from a named template, filling
+ * in {{variables}} from the project config (production URL, deployment
+ * commands) and the current iteration (failed tasks, previous attempt)
+ */
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]*)\s*\}\}/g;
+
+// Variables every template can use; claudePrompt.variables can add more
+export const TEMPLATE_VARIABLES = [
+    'operatorResponse',
+    'failedTasks',
+    'iteration',
+    'maxIterations',
+    'previousAttempt',
+    'productionUrl',
+    'deploymentMethod',
+    'deploymentSteps',
+    'verifySteps',
+    'branchInstructions'
+];
+
+// Deploy command per deployment platform ('custom' needs deployment.customCommands.deploy)
+export const DEPLOY_COMMANDS = {
+    heroku: 'git push heroku main',
+    vercel: 'vercel --prod',
+    aws: 'use the project\'s AWS deployment commands or CI/CD pipeline'
+};
+
+const FIX_PRINCIPLES = `ANALYZE the broken parts deeply and once the problem has been discovered, FIX them using these principles:
+- ONLY execute the smallest possible change
+- ALWAYS use real data so we fail FAST
+- ALWAYS have comprehensive logging so we can determine Root Cause
+- Only use code that's already written so we always follow DRY Principles
+
+Focus on:
+1. Root cause analysis of each broken component
+2. Minimal code fixes that address the core issue
+3. Logging additions to prevent future failures
+4. Reusing existing patterns and utilities`;
+
+export const BUILT_IN_TEMPLATES = {
+    'fix-and-deploy': `Here's an analysis from an AI operator about some failed QA/UX tasks (iteration {{iteration}} of {{maxIterations}}):
+
+{{operatorResponse}}
+
+Failed tasks:
+{{failedTasks}}
+
+{{previousAttempt}}
+
+{{branchInstructions}}
+
+${FIX_PRINCIPLES}
+
+IMPORTANT: You MUST actually fix the code by:
+1. Reading the relevant files
+2. Making the necessary edits to fix the issues
+3. Committing and deploying the changes to the live environment
+4. Verifying your changes are live on {{productionUrl}}
+5. ONLY say "TASK_FINISHED" after you have completed ALL fixes AND deployment
+
+DEPLOYMENT STEPS (CRITICAL):
+After making code fixes, you MUST deploy to the live environment:
+1. Add and commit all changes: git add . && git commit -m "Fix: [describe the fixes]"
+2. Deploy: {{deploymentSteps}}
+3. Wait for deployment to complete
+4. {{verifySteps}}
+
+Do NOT say TASK_FINISHED until you have:
+- Made actual code changes to fix the issues
+- Committed the changes to git
+- Deployed to the live environment successfully
+- Confirmed the fixes are live on {{productionUrl}}
+
+The Operator will test {{productionUrl}} to verify your fixes worked.
+
+Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`,
+
+    'fix-only': `Here's an analysis from an AI operator about some failed QA/UX tasks (iteration {{iteration}} of {{maxIterations}}):
+
+{{operatorResponse}}
+
+Failed tasks:
+{{failedTasks}}
+
+{{previousAttempt}}
+
+{{branchInstructions}}
+
+${FIX_PRINCIPLES}
+
+IMPORTANT: You MUST actually fix the code by:
+1. Reading the relevant files
+2. Making the necessary edits to fix the issues
+3. Committing the changes: git add . && git commit -m "Fix: [describe the fixes]"
+
+Do NOT deploy - the fixes are picked up from the working tree.
+
+Say TASK_FINISHED only when ALL fixes are complete and committed.`
+};
+
+export const DEFAULT_TEMPLATE = 'fix-and-deploy';
+
+class ClaudePromptBuilder {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.claudePrompt] - Project config section { template, templates, variables }
+     * @param {Object} [options.deployment] - Project config deployment section
+     * @param {string} [options.deploymentMethod] - Project config deploymentMethod
+     * @param {string} [options.productionUrl] - Project config productionUrl
+     */
+    constructor(options = {}) {
+        const claudePrompt = options.claudePrompt || {};
+        this.templates = { ...BUILT_IN_TEMPLATES, ...(claudePrompt.templates || {}) };
+        this.templateName = claudePrompt.template || DEFAULT_TEMPLATE;
+        this.customVariables = claudePrompt.variables || {};
+        this.deployment = options.deployment || {};
+        this.deploymentMethod = this.deployment.platform || options.deploymentMethod || null;
+        this.productionUrl = options.productionUrl || null;
+
+        if (!this.templates[this.templateName]) {
+            throw new Error(`Unknown Claude prompt template: ${this.templateName}`);
+        }
+    }
+
+    // Return the variable names a template uses that are not defined
+    static findUnknownVariables(template, customVariableNames = []) {
+        const known = new Set([...TEMPLATE_VARIABLES, ...customVariableNames]);
+        const unknown = new Set();
+        for (const match of String(template).matchAll(VARIABLE_PATTERN)) {
+            if (!known.has(match[1])) unknown.add(match[1]);
+        }
+        return Array.from(unknown);
+    }
+
+    /**
+     * Render the selected template
+     *
+     * @param {Object} context
+     * @param {string} context.operatorResponse - Operator's analysis
+     * @param {Array<Object>} [context.failedTasks] - Tasks sent to Operator ({ taskId, description, ... })
+     * @param {number} [context.iteration]
+     * @param {number} [context.maxIterations]
+     * @param {Object} [context.previousAttempt] - { iteration, success, error, stillFailing, rollback }
+     * @param {string} [context.runBranch] - Branch the run's fixes go on (gitIsolation)
+     * @param {string} [context.delivery] - Delivery mode when the run pushes the branch itself
+     */
+    build(context = {}) {
+        const variables = {
+            ...this.customVariables,
+            operatorResponse: context.operatorResponse || '',
+            failedTasks: this.formatFailedTasks(context.failedTasks || []),
+            iteration: context.iteration ?? '?',
+            maxIterations: context.maxIterations ?? '?',
+            previousAttempt: this.formatPreviousAttempt(context.previousAttempt),
+            productionUrl: this.productionUrl || 'the production URL',
+            deploymentMethod: this.deploymentMethod || 'unknown',
+            deploymentSteps: this.getDeploymentSteps(),
+            verifySteps: this.getVerifySteps(),
+            branchInstructions: this.getBranchInstructions(context.runBranch, context.delivery)
+        };
+
+        return this.templates[this.templateName]
+            .replace(VARIABLE_PATTERN, (placeholder, name) => (name in variables ? String(variables[name]) : placeholder))
+            .replace(/\n{3,}/g, '\n\n');
+    }
+
+    getDeploymentSteps() {
+        const customDeploy = this.deployment.customCommands?.deploy;
+        if (customDeploy) return customDeploy;
+        if (DEPLOY_COMMANDS[this.deploymentMethod]) return DEPLOY_COMMANDS[this.deploymentMethod];
+        return 'follow the deployment process for your environment';
+    }
+
+    getVerifySteps() {
+        const customVerify = this.deployment.customCommands?.verify;
+        const target = this.productionUrl || 'the production URL';
+        return customVerify
+            ? `Verify fixes are live: ${customVerify} (then check ${target})`
+            : `Verify fixes are live on ${target}`;
+    }
+
+    getBranchInstructions(runBranch, delivery) {
+        if (!runBranch) return '';
+        if (delivery && delivery !== 'production') {
+            const target = delivery === 'pull-request' ? 'to its pull request' : 'to the preview environment';
+            return `GIT BRANCH: ${runBranch} is checked out for this run. Commit your fixes on it, do not switch branches and do not push or deploy - the run pushes the branch ${target} after you finish.`;
+        }
+        return `GIT BRANCH: ${runBranch} is checked out for this run. Commit your fixes on it and do not switch branches; when deploying, deploy this branch (HEAD), not main.`;
+    }
+
+    formatFailedTasks(failedTasks) {
+        if (failedTasks.length === 0) return '- (see analysis above)';
+        return failedTasks
+            .map(task => `- ${task.taskId}${task.description ? `: ${task.description}` : ''}`)
+            .join('\n');
+    }
+
+    formatPreviousAttempt(previousAttempt) {
+        if (!previousAttempt) return '';
+        const outcome = previousAttempt.success
+            ? 'you reported TASK_FINISHED'
+            : `you did not finish (${previousAttempt.error || 'no TASK_FINISHED'})`;
+        const stillFailing = previousAttempt.stillFailing?.length > 0
+            ? `these tasks were still failing afterwards: ${previousAttempt.stillFailing.join(', ')}`
+            : 'no tasks were reported as failing afterwards';
+        const rollback = previousAttempt.rollback
+            ? ` Because ${previousAttempt.rollback.regressed.join(', ')} stopped passing, the branch was reset to ${previousAttempt.rollback.to} and the changes after it were dropped - deploy the reset branch along with your new fixes.`
+            : '';
+        return `Previous attempt (iteration ${previousAttempt.iteration}): ${outcome}, and ${stillFailing}. Do not repeat a fix that did not work.${rollback}`;
+    }
+}
+
+export default ClaudePromptBuilder;
@@ -164,7 +164,7 @@ class CodeChangeVerifier {
     }
 
     // Monitor changes during a phase
-    async monitorPhase(phaseName) {
+    async monitorPhase(phaseName, expectedChanges = {}) {
         const startState = this.captureGitState();
         const phaseId = `${phaseName}_${Date.now()}`;
         
@@ -207,11 +207,30 @@ class CodeChangeVerifier {
 
         return {
             ...verification,
+            commits: this.listCommitsBetween(phaseData.startState?.lastCommit, endState?.lastCommit),
             phaseName: phaseData.phaseName,
             duration
         };
     }
 
+    // Commits made between two HEADs, oldest first
+    listCommitsBetween(fromCommit, toCommit) {
+        if (!fromCommit || !toCommit || fromCommit === toCommit) {
+            return [];
+        }
+
+        try {
+            const log = execSync(`git log --reverse --format=%H%x09%s ${fromCommit}..${toCommit}`, { cwd: this.gitRepo }).toString();
+            return log.split('\n').filter(line => line.trim()).map(line => {
+                const [sha, ...subject] = line.split('\t');
+                return { sha, subject: subject.join('\t') };
+            });
+        } catch (error) {
+            this.logger(`[VERIFIER] Error listing commits: ${error.message}`);
+            return [];
+        }
+    }
+
     // Check if deployment occurred
     async verifyDeployment(beforeCommit) {
         try {
@@ -0,0 +1,202 @@
+import http from 'http';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RunEventLog from './run-event-log.js';
+import RunHistory from './run-history.js';
+
+/**
+ * Local web dashboard (`npm run dashboard -- --web`)
+ * Serves run status and history from the per-project log directories as JSON,
+ * streams new run events over Server-Sent Events, and serves web/dashboard.html.
+ *
+ *   GET /api/projects
+ *   GET /api/projects/:project/runs
+ *   GET /api/projects/:project/runs/:runId
+ *   GET /api/projects/:project/runs/:runId/iterations
+ *   GET /api/projects/:project/runs/:runId/tasks
+ *   GET /api/projects/:project/runs/:runId/alerts
+ *   GET /api/events        (text/event-stream of run events, tagged with their project)
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DASHBOARD_PAGE = path.join(__dirname, '..', 'web', 'dashboard.html');
+
+const RUN_ROUTE = /^\/api\/projects\/([^/]+)\/runs\/([^/]+)(?:\/(iterations|tasks|alerts))?$/;
+const HEARTBEAT_TICKS = 15; // Poll ticks between SSE keep-alive comments
+
+class DashboardServer {
+    constructor(options = {}) {
+        this.logsRoot = options.logsRoot || path.join(__dirname, '..', 'logs');
+        this.port = options.port ?? 8080;
+        this.host = options.host || '127.0.0.1'; // Local only - run data includes Operator and Claude output
+        this.pollInterval = options.pollInterval || 1000;
+        this.logger = options.logger || console.log;
+        this.history = new RunHistory({ logsRoot: this.logsRoot });
+
+        this.server = null;
+        this.clients = new Set();
+        this.eventOffsets = new Map(); // Event log path -> bytes already streamed
+        this.pollTimer = null;
+        this.pollReady = null; // Resolves once offsets are primed, shared by clients connecting together
+        this.polling = false;
+        this.ticks = 0;
+        this.nextEventId = 1;
+    }
+
+    async start() {
+        this.server = http.createServer((req, res) => {
+            this.handleRequest(req, res).catch(error => this.sendError(res, error));
+        });
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+        this.port = this.server.address().port;
+        this.logger(`🌐 Dashboard running at ${this.url}`);
+        return this;
+    }
+
+    get url() {
+        return `http://${this.host}:${this.port}`;
+    }
+
+    async stop() {
+        this.stopPolling();
+        this.clients.forEach(res => res.end());
+        this.clients.clear();
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    async handleRequest(req, res) {
+        const { pathname } = new URL(req.url, this.url);
+
+        if (req.method !== 'GET') {
+            return this.sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+        }
+        if (pathname === '/' || pathname === '/index.html') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            return res.end(await fs.readFile(DASHBOARD_PAGE));
+        }
+        if (pathname === '/api/events') {
+            return this.openEventStream(req, res);
+        }
+        if (pathname === '/api/projects') {
+            return this.sendJson(res, 200, await this.history.listProjects());
+        }
+
+        const runsMatch = pathname.match(/^\/api\/projects\/([^/]+)\/runs$/);
+        if (runsMatch) {
+            return this.sendJson(res, 200, await this.history.listRuns(decodeURIComponent(runsMatch[1])));
+        }
+
+        const runMatch = pathname.match(RUN_ROUTE);
+        if (runMatch) {
+            const [, projectId, runId, section] = runMatch.map(part => part && decodeURIComponent(part));
+            const runIds = await this.history.listRunIds(projectId);
+            if (!runIds.includes(runId)) {
+                return this.sendJson(res, 404, { error: `No run ${runId} for project ${projectId}` });
+            }
+            const readers = {
+                iterations: () => this.history.getIterations(projectId, runId),
+                tasks: () => this.history.getTasks(projectId, runId),
+                alerts: () => this.history.getAlerts(projectId, runId)
+            };
+            return this.sendJson(res, 200, await (section ? readers[section]() : this.history.getRun(projectId, runId)));
+        }
+
+        return this.sendJson(res, 404, { error: `Not found: ${pathname}` });
+    }
+
+    sendJson(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+        res.end(JSON.stringify(body, null, 2));
+    }
+
+    sendError(res, error) {
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        if (error.code === 'INVALID_ID') {
+            return this.sendJson(res, 400, { error: error.message });
+        }
+        if (error.code === 'ENOENT' || error.code === 'ENOTDIR') {
+            return this.sendJson(res, 404, { error: 'Not found' });
+        }
+        this.logger(`❌ Dashboard request failed: ${error.message}`);
+        return this.sendJson(res, 500, { error: error.message });
+    }
+
+    /**
+     * Server-Sent Events: each new run event is sent as `event: run_event`
+     * with the project's log directory name added as `projectId`
+     */
+    async openEventStream(req, res) {
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-store',
+            Connection: 'keep-alive'
+        });
+
+        this.clients.add(res);
+        req.on('close', () => {
+            this.clients.delete(res);
+            if (this.clients.size === 0) this.stopPolling();
+        });
+
+        this.pollReady = this.pollReady || this.startPolling();
+        await this.pollReady;
+        // Sent once polling is primed, so anything appended after this reaches the client
+        res.write(`retry: ${this.pollInterval * 2}\n\n`);
+    }
+
+    // Stream only what's appended after the first client connects; history comes from the JSON API
+    async startPolling() {
+        this.eventOffsets.clear();
+        for (const eventPath of await RunEventLog.findLatest(this.logsRoot)) {
+            this.eventOffsets.set(eventPath, (await fs.stat(eventPath)).size);
+        }
+        this.pollTimer = setInterval(() => this.poll(), this.pollInterval);
+    }
+
+    stopPolling() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        this.pollReady = null;
+    }
+
+    async poll() {
+        if (this.polling) return;
+        this.polling = true;
+        try {
+            for (const eventPath of await RunEventLog.findLatest(this.logsRoot)) {
+                const { events, offset } = await RunEventLog.readSince(eventPath, this.eventOffsets.get(eventPath) || 0);
+                this.eventOffsets.set(eventPath, offset);
+                const projectId = path.basename(path.dirname(eventPath));
+                events.forEach(event => this.broadcast('run_event', { projectId, ...event }));
+            }
+
+            if (++this.ticks % HEARTBEAT_TICKS === 0) {
+                this.clients.forEach(res => res.write(': keep-alive\n\n'));
+            }
+        } catch (error) {
+            // Log files can be rotated or removed mid-read; the next tick retries
+            this.logger(`⚠️  Dashboard event poll failed: ${error.message}`);
+        } finally {
+            this.polling = false;
+        }
+    }
+
+    broadcast(eventName, data) {
+        const message = `id: ${this.nextEventId++}\nevent: ${eventName}\ndata: ${JSON.stringify(data)}\n\n`;
+        this.clients.forEach(res => res.write(message));
+    }
+}
+
+export default DashboardServer;
@@ -0,0 +1,141 @@
+import { execFileSync } from 'child_process';
+
+/**
+ * Delivery of each iteration's fixes when Claude must not deploy to production
+ *
+ *   production    Claude deploys itself (the fix-and-deploy prompt) - nothing to do here
+ *   preview       push the run branch to a preview remote (e.g. a staging Heroku app)
+ *   pull-request  push the run branch to the forge and open one pull request per run
+ *
+ * The preview URL (delivery.previewUrl, with {{branch}}, {{runId}} and {{prNumber}})
+ * replaces the production origins in the next Operator prompt.
+ */
+
+export const DELIVERY_MODES = ['production', 'preview', 'pull-request'];
+
+const PREVIEW_VARIABLE_PATTERN = /\{\{\s*(branch|runId|prNumber)\s*\}\}/g;
+
+class DeliveryManager {
+    /**
+     * @param {Object} options
+     * @param {string} options.mode - One of DELIVERY_MODES
+     * @param {string} [options.previewUrl] - URL template Operator retests
+     * @param {string} [options.remote] - Git remote of the preview environment (preview mode)
+     * @param {string} [options.targetBranch] - Remote branch to push to (preview) or merge into (pull-request)
+     * @param {ForgeAdapter} [options.forge] - Forge for pull-request mode
+     * @param {string} [options.gitRepo]
+     * @param {Function} [options.logger]
+     */
+    constructor(options = {}) {
+        this.mode = options.mode || 'production';
+        this.previewUrl = options.previewUrl || null;
+        this.remote = options.remote || null;
+        this.targetBranch = options.targetBranch || null;
+        this.forge = options.forge || null;
+        this.gitRepo = options.gitRepo || process.cwd();
+        this.logger = options.logger || console.log;
+
+        if (this.mode === 'preview' && !this.remote) {
+            throw new Error('preview delivery needs delivery.remote');
+        }
+        if (this.mode === 'pull-request' && !this.forge) {
+            throw new Error('pull-request delivery needs a forge adapter');
+        }
+    }
+
+    isEnabled() {
+        return this.mode !== 'production';
+    }
+
+    static renderPreviewUrl(template, variables = {}) {
+        if (!template) return null;
+        return template.replace(PREVIEW_VARIABLE_PATTERN, (placeholder, name) =>
+            variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder);
+    }
+
+    /**
+     * Push the run branch and open its pull request if it has none yet
+     *
+     * @param {Object} run
+     * @param {string} run.branch - Run branch (HEAD is delivered)
+     * @param {string} run.baseBranch - Branch the run started from (pull request base by default)
+     * @param {string} run.runId
+     * @param {number} run.iteration
+     * @param {string[]} [run.stillFailing] - For the pull request description
+     * @returns {Promise<Object>} { mode, iteration, commit, pullRequest, previewUrl, deliveredAt }
+     */
+    async deliver({ branch, baseBranch, runId, iteration, stillFailing = [] }) {
+        const commit = execFileSync('git', ['rev-parse', 'HEAD'], { cwd: this.gitRepo, stdio: ['ignore', 'pipe', 'pipe'] }).toString().trim();
+        let pullRequest = null;
+
+        if (this.mode === 'preview') {
+            const target = this.targetBranch || 'main';
+            execFileSync('git', ['push', '-q', '--force', this.remote, `HEAD:refs/heads/${target}`], { cwd: this.gitRepo, stdio: ['ignore', 'pipe', 'pipe'] });
+            this.logger(`[DELIVERY] Pushed ${branch} (${commit.slice(0, 7)}) to ${this.remote} ${target}`);
+        } else if (this.mode === 'pull-request') {
+            await this.forge.push(branch);
+            pullRequest = await this.forge.findPullRequest(branch);
+            if (!pullRequest) {
+                pullRequest = await this.forge.openPullRequest({
+                    branch,
+                    base: this.targetBranch || baseBranch,
+                    title: `E2E fixes from run ${runId}`,
+                    body: this.describePullRequest({ runId, iteration, stillFailing })
+                });
+            }
+            this.logger(`[DELIVERY] ${branch} (${commit.slice(0, 7)}) is on pull request ${pullRequest.url}`);
+        }
+
+        return {
+            mode: this.mode,
+            iteration,
+            commit,
+            pullRequest,
+            previewUrl: DeliveryManager.renderPreviewUrl(this.previewUrl, { branch, runId, prNumber: pullRequest?.number }),
+            deliveredAt: new Date().toISOString()
+        };
+    }
+
+    describePullRequest({ runId, iteration, stillFailing }) {
+        return [
+            `Fixes made by the coding agent during E2E run ${runId} (opened after iteration ${iteration}).`,
+            '',
+            stillFailing.length > 0
+                ? `Tasks still failing when the pull request was opened: ${stillFailing.join(', ')}`
+                : 'All selected QA tasks were passing when the pull request was opened.',
+            '',
+            'Each iteration is tagged on the branch; the run pushes again after every iteration.'
+        ].join('\n');
+    }
+
+    /**
+     * Point an Operator prompt at the preview deployment: production origins become the
+     * preview URL and a note says which deployment to test
+     *
+     * @param {string} prompt
+     * @param {string[]} productionUrls - Task production_url values, demo_app_url, productionUrl
+     * @param {Object} delivery - Result of deliver()
+     */
+    static retargetPrompt(prompt, productionUrls, delivery) {
+        if (!delivery?.previewUrl) return prompt;
+
+        const previewBase = delivery.previewUrl.replace(/\/+$/, '');
+        const origins = [...new Set(productionUrls
+            .map(url => {
+                try {
+                    return new URL(url).origin;
+                } catch (error) {
+                    return null;
+                }
+            })
+            .filter(origin => origin && origin !== new URL(delivery.previewUrl).origin))];
+
+        const retargeted = origins.reduce((text, origin) => text.split(origin).join(previewBase), prompt);
+        const source = delivery.pullRequest ? `pull request ${delivery.pullRequest.url}` : 'the preview deployment';
+        const note = `NOTE: Test the fixes from ${source} at ${previewBase}` +
+            (origins.length > 0 ? ` - it stands in for ${origins.join(', ')} in the URLs below.` : '.');
+        return `${note}\n\n${retargeted}`;
+    }
+}
+
+export default DeliveryManager;
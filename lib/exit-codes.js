@@ -0,0 +1,43 @@
+/**
+ * Process exit codes for operator.execute_e2e.js, so CI can tell why a run ended
+ * Errors carry their exit code in `error.exitCode`; untagged errors count as
+ * infrastructure failures.
+ */
+
+export const EXIT_CODES = {
+    PASSED: 0,           // Every selected task passed
+    TASKS_FAILING: 1,    // Tasks still failing when the run stopped
+    CONFIG_ERROR: 2,     // Bad arguments, project config, QA file or task selection
+    INFRASTRUCTURE: 3,   // Chrome, Operator, tmux or the coding agent failed
+    INTERRUPTED: 130     // SIGINT/SIGTERM (128 + SIGINT)
+};
+
+export function configError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.CONFIG_ERROR;
+    return error;
+}
+
+export function infrastructureError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.INFRASTRUCTURE;
+    return error;
+}
+
+export function interruptedError(message) {
+    const error = new Error(message);
+    error.exitCode = EXIT_CODES.INTERRUPTED;
+    return error;
+}
+
+export function exitCodeFor(error) {
+    return error?.exitCode ?? EXIT_CODES.INFRASTRUCTURE;
+}
+
+// 'TASKS_FAILING (exit code 1)', for end-of-run messages
+export function describeExitCode(code) {
+    const name = Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === code);
+    return name ? `${name} (exit code ${code})` : `exit code ${code}`;
+}
+
+export default EXIT_CODES;
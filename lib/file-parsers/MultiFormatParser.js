@@ -4,10 +4,57 @@
  * Multi-Format File Parser for QA/UX Test Data
  * Supports JSON, Markdown, and Text files
  * Converts any format to standardized QA/UX data structure
+ *
+ * Structured Markdown QA format (one ### section per task):
+ *
+ *   ---
+ *   title: Checkout QA
+ *   demo_app_url: https://shop.example.com
+ *   ---
+ *
+ *   ### Cart total updates after removing an item
+ *   - **ID**: cart-total-remove          (optional, keeps the task ID stable when the title changes)
+ *   - **URL**: https://shop.example.com/cart
+ *   - **Status**: fail                   (pass | fail, default fail)
+ *   - **Priority**: high
+ *   - **Steps**:
+ *     1. Add two items to the cart
+ *     2. Remove one item -> Total shows one item's price
+ *   - **Expected**: Total reflects the remaining items
+ *   - **Actual**: Total still includes the removed item
+ *
+ * Files without such sections fall back to heuristic task extraction.
  */
 
 import fs from 'fs/promises';
 import path from 'path';
+import yaml from 'js-yaml';
+import QaResultsWriter from './QaResultsWriter.js';
+
+// "- **Field**: value", "**Field:** value" or "Field: value"
+const FIELD_PATTERN = /^\s*(?:[-*+]\s+)?(?:\*\*|__)?([A-Za-z][A-Za-z ]*?)(?:(?:\*\*|__):|:(?:\*\*|__)?)\s*(.*)$/;
+const LIST_ITEM_PATTERN = /^\s*(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s*)?(.+)$/;
+const STEP_EXPECTATION_SEPARATOR = /\s+(?:->|→|=>)\s+/;
+
+// Structured task fields by (lower-case) label
+const TASK_FIELDS = {
+    id: 'id',
+    url: 'production_url',
+    'production url': 'production_url',
+    status: 'status',
+    priority: 'priority',
+    severity: 'severity',
+    category: 'category',
+    feature: 'feature_name',
+    steps: 'test_steps',
+    'test steps': 'test_steps',
+    expected: 'expected_behavior',
+    'expected behavior': 'expected_behavior',
+    'expected behaviour': 'expected_behavior',
+    actual: 'actual_behavior',
+    'actual behavior': 'actual_behavior',
+    'actual behaviour': 'actual_behavior'
+};
 
 class MultiFormatParser {
     constructor() {
@@ -128,6 +175,9 @@ class MultiFormatParser {
     parseMarkdownFile(content, filePath) {
         console.log(`📝 Parsing Markdown file: ${path.basename(filePath)}`);
         
+        // Ignore results written back by earlier runs
+        content = QaResultsWriter.stripResults(content);
+        
         const qaUxData = {
             metadata: {
                 demo_app_url: null,
@@ -157,8 +207,17 @@ class MultiFormatParser {
             }
         }
 
-        // Extract tasks from various markdown patterns
-        this.extractTasksFromMarkdown(content, qaUxData.tasks);
+        // Structured ### task sections when present, heuristics otherwise
+        const body = metadataMatch ? content.slice(metadataMatch[0].length) : content;
+        const bodyStartLine = metadataMatch ? metadataMatch[0].split('\n').length : 1;
+        const sections = this.parseStructuredSections(body, bodyStartLine);
+        if (sections.length > 0) {
+            // Task heading lines, so validation errors can point into the file
+            qaUxData._sourceLines = {};
+            this.extractStructuredTasks(sections, qaUxData.tasks, qaUxData._sourceLines);
+        } else {
+            this.extractTasksFromMarkdown(content, qaUxData.tasks);
+        }
 
         return qaUxData;
     }
@@ -169,6 +228,9 @@ class MultiFormatParser {
     parseTextFile(content, filePath) {
         console.log(`📄 Parsing text file: ${path.basename(filePath)}`);
         
+        // Ignore results written back by earlier runs
+        content = QaResultsWriter.stripResults(content);
+        
         const qaUxData = {
             metadata: {
                 demo_app_url: null,
@@ -180,7 +242,7 @@ class MultiFormatParser {
         };
 
         // Look for demo app URL
-        const urlMatch = content.match(/(?:demo[_\\s-]?app[_\\s-]?url|app[_\\s-]?url|url):\\s*([^\\s\\n]+)/i);
+        const urlMatch = content.match(/(?:demo[_\s-]?app[_\s-]?url|app[_\s-]?url|url):\s*([^\s\n]+)/i);
         if (urlMatch) {
             qaUxData.metadata.demo_app_url = urlMatch[1];
         }
@@ -222,7 +284,7 @@ class MultiFormatParser {
         let taskId = 1;
 
         // Pattern 1: Header-based tasks
-        const headerPattern = /^#+\\s*(.+)$/gm;
+        const headerPattern = /^#+\s*(.+)$/gm;
         let match;
         while ((match = headerPattern.exec(content)) !== null) {
             const title = match[1].trim();
@@ -242,7 +304,7 @@ class MultiFormatParser {
         }
 
         // Pattern 2: Checklist items
-        const checklistPattern = /^\\s*[-*+]\\s*\\[[ x]\\]\\s*(.+)$/gm;
+        const checklistPattern = /^\s*[-*+]\s*\[[ x]\]\s*(.+)$/gm;
         while ((match = checklistPattern.exec(content)) !== null) {
             const description = match[1].trim();
             const taskKey = this.generateTaskId(description, taskId++);
@@ -259,7 +321,7 @@ class MultiFormatParser {
         }
 
         // Pattern 3: Numbered lists
-        const numberedPattern = /^\\s*\\d+\\.\\s*(.+)$/gm;
+        const numberedPattern = /^\s*\d+\.\s*(.+)$/gm;
         while ((match = numberedPattern.exec(content)) !== null) {
             const description = match[1].trim();
             if (this.isLikelyTaskDescription(description)) {
@@ -342,7 +404,7 @@ class MultiFormatParser {
         let taskId = 1;
 
         // Split into lines and look for task-like patterns
-        const lines = content.split('\\n').map(line => line.trim()).filter(line => line.length > 0);
+        const lines = content.split('\n').map(line => line.trim()).filter(line => line.length > 0);
         
         for (const line of lines) {
             // Skip very short lines
@@ -381,24 +443,152 @@ class MultiFormatParser {
     }
 
     /**
-     * Parse YAML-like front matter
+     * Parse YAML front matter
+     * demo_app_url may also be given as url or production_url
      */
     parseFrontMatter(frontMatter) {
-        const result = {};
-        const lines = frontMatter.split('\n');
+        // CORE_SCHEMA keeps dates as strings
+        const result = yaml.load(frontMatter, { schema: yaml.CORE_SCHEMA });
+        if (result === undefined || result === null) {
+            return {};
+        }
+        if (typeof result !== 'object' || Array.isArray(result)) {
+            throw new Error('front matter must be a YAML mapping');
+        }
         
-        for (const line of lines) {
-            const match = line.match(/^\s*([^:]+):\s*(.+)$/);
-            if (match) {
-                const key = match[1].trim();
-                const value = match[2].trim();
-                result[key] = value;
-            }
+        if (!result.demo_app_url && (result.production_url || result.url)) {
+            result.demo_app_url = result.production_url || result.url;
         }
         
         return result;
     }
 
+    /**
+     * Split Markdown into ### sections that carry at least one known task field
+     * Returns [{ title, line, lines }] in document order (line is the heading's, 1-based)
+     */
+    parseStructuredSections(content, startLine = 1) {
+        const sections = [];
+        let current = null;
+        
+        for (const [index, line] of content.split('\n').entries()) {
+            const heading = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+            if (heading) {
+                current = heading[1].length === 3 ? { title: heading[2].trim(), line: startLine + index, lines: [] } : null;
+                if (current) sections.push(current);
+                continue;
+            }
+            if (current) current.lines.push(line);
+        }
+        
+        return sections.filter(section => section.lines.some(line => this.parseFieldLine(line)));
+    }
+
+    /**
+     * Match a "Field: value" line against the known task fields
+     */
+    parseFieldLine(line) {
+        const match = line.match(FIELD_PATTERN);
+        if (!match) return null;
+        const field = TASK_FIELDS[match[1].trim().toLowerCase()];
+        return field ? { field, value: match[2].trim() } : null;
+    }
+
+    /**
+     * Build tasks from structured ### sections
+     */
+    extractStructuredTasks(sections, tasks, sourceLines = {}) {
+        for (const section of sections) {
+            const fields = {};
+            const steps = [];
+            let currentField = null;
+            
+            for (const line of section.lines) {
+                if (!line.trim()) continue;
+                
+                const fieldLine = this.parseFieldLine(line);
+                if (fieldLine) {
+                    currentField = fieldLine.field;
+                    if (currentField === 'test_steps') {
+                        if (fieldLine.value) steps.push(this.parseStep(fieldLine.value, null, steps.length + 1));
+                    } else {
+                        fields[currentField] = fieldLine.value;
+                    }
+                    continue;
+                }
+                
+                // Continuation lines: step list items, or more text for the last field
+                const listItem = line.match(LIST_ITEM_PATTERN);
+                if (currentField === 'test_steps' && listItem) {
+                    steps.push(this.parseStep(listItem[2].trim(), listItem[1], steps.length + 1));
+                } else if (currentField && currentField !== 'test_steps') {
+                    fields[currentField] = `${fields[currentField]} ${line.trim()}`.trim();
+                }
+            }
+            
+            const taskId = this.generateStableTaskId(fields.id || section.title, tasks);
+            sourceLines[taskId] = section.line;
+            const severity = fields.severity || fields.priority || 'medium';
+            tasks[taskId] = {
+                description: section.title,
+                status: this.parseStatus(fields.status),
+                ...(fields.feature_name && { feature_name: fields.feature_name }),
+                ...(fields.priority && { priority: fields.priority.toLowerCase() }),
+                ...(fields.category && { category: fields.category }),
+                production_url: fields.production_url || null,
+                test_steps: steps,
+                ...(fields.expected_behavior && { expected_behavior: fields.expected_behavior }),
+                ...(fields.actual_behavior && { actual_behavior: fields.actual_behavior }),
+                qa_report: {
+                    issue: fields.actual_behavior || section.title,
+                    severity: severity.toLowerCase()
+                }
+            };
+        }
+    }
+
+    /**
+     * Parse a step item ("action -> expectation"); a ticked checklist box means pass
+     */
+    parseStep(text, checkbox, stepNumber) {
+        const [action, ...expectation] = text.split(STEP_EXPECTATION_SEPARATOR);
+        const step = { step: stepNumber, action: action.trim() };
+        if (expectation.length > 0) {
+            step.expectation = expectation.join(' -> ').trim();
+        }
+        if (checkbox) {
+            step.status = checkbox === ' ' ? 'fail' : 'pass';
+        }
+        return step;
+    }
+
+    /**
+     * Normalize a Status field value to pass/fail
+     */
+    parseStatus(value) {
+        if (!value) return 'fail';
+        return /^(?:✅|pass(?:ed|ing)?\b|ok\b|done\b|resolved\b)/i.test(value.trim()) ? 'pass' : 'fail';
+    }
+
+    /**
+     * Deterministic task ID from an explicit ID or the section title
+     * Independent of section order; repeated titles get a numeric suffix
+     */
+    generateStableTaskId(source, existingTasks) {
+        const slug = source
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '')
+            .substring(0, 60)
+            .replace(/_+$/, '') || 'task';
+        
+        let taskId = slug;
+        for (let suffix = 2; existingTasks[taskId]; suffix++) {
+            taskId = `${slug}_${suffix}`;
+        }
+        return taskId;
+    }
+
     /**
      * Check if a title looks like a task
      */
@@ -424,8 +614,8 @@ class MultiFormatParser {
         // Create a slug from the description
         const slug = description
             .toLowerCase()
-            .replace(/[^a-z0-9\\s-]/g, '')
-            .replace(/\\s+/g, '-')
+            .replace(/[^a-z0-9\s-]/g, '')
+            .replace(/\s+/g, '-')
             .substring(0, 30)
             .replace(/-+$/, '');
         
@@ -0,0 +1,211 @@
+/**
+ * Format-preserving write-back of task results to the QA source
+ * JSON sources are rewritten as JSON. Markdown and text sources keep their
+ * human-authored content: result annotations are added to the lines tasks were
+ * parsed from (checklist boxes are ticked in Markdown), and results that can't
+ * be placed on a line go into a delimited results block at the end.
+ * Read-only sources (GitHub URLs, unwritable files) get a sidecar results file.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Annotation appended to a source line, replaced on every save
+const ANNOTATION_PATTERN = /\s*\[e2e: (?:✅ pass|❌ fail)[^\]]*\]\s*$/;
+const CHECKBOX_PATTERN = /^(\s*[-*+]\s*)\[[ xX]\]/;
+const HEADER_PATTERN = /^\s*#+\s*/;
+const STATUS_FIELD_PATTERN = /^(\s*(?:[-*+]\s+)?(?:\*\*|__)?status(?:(?:\*\*|__):|:(?:\*\*|__)?)\s*)\S.*$/i;
+const STEP_EXPECTATION_SEPARATOR = /\s+(?:->|→|=>)\s+/;
+
+const RESULTS_BLOCK = {
+    markdown: { start: '<!-- e2e-results:start -->', end: '<!-- e2e-results:end -->', heading: '## E2E Results' },
+    text: { start: '=== E2E results ===', end: '=== end of E2E results ===', heading: null }
+};
+
+function stripResultsBlock(content, block) {
+    const start = content.indexOf(block.start);
+    const end = content.indexOf(block.end);
+    if (start === -1 || end === -1 || end < start) return content;
+    const before = content.slice(0, start).replace(/\s*$/, '\n');
+    return before + content.slice(end + block.end.length).replace(/^\s*\n/, '');
+}
+
+class QaResultsWriter {
+    constructor(options = {}) {
+        this.logger = options.logger || (() => {});
+        this.sidecarDirectory = options.sidecarDirectory || null;
+    }
+
+    /**
+     * Remove annotations and results blocks written by earlier saves, so a
+     * written-back source parses (and reads to Operator) like the original
+     */
+    static stripResults(content) {
+        let stripped = content;
+        for (const block of Object.values(RESULTS_BLOCK)) {
+            stripped = stripResultsBlock(stripped, block);
+        }
+        return stripped
+            .split('\n')
+            .map(line => line.replace(ANNOTATION_PATTERN, ''))
+            .join('\n');
+    }
+
+    isRemote(sourcePath) {
+        return /^https?:\/\//.test(sourcePath);
+    }
+
+    getFormat(sourcePath) {
+        const extension = path.extname(sourcePath).toLowerCase();
+        if (extension === '.md' || extension === '.markdown') return 'markdown';
+        if (extension === '.txt') return 'text';
+        return 'json';
+    }
+
+    /**
+     * Write task results back to the source
+     *
+     * @param {Object} qaUxData - Loaded QA data (with _rawContent for Markdown/text)
+     * @param {string} sourcePath - Path or URL the QA data was loaded from
+     * @returns {Promise<{mode: 'json'|'annotated'|'sidecar', path: string}>}
+     */
+    async write(qaUxData, sourcePath) {
+        if (this.isRemote(sourcePath)) {
+            return await this.writeSidecar(qaUxData, sourcePath);
+        }
+
+        const format = this.getFormat(sourcePath);
+        const content = format === 'json'
+            ? JSON.stringify(qaUxData, null, 2)
+            : this.annotate(qaUxData._rawContent || '', qaUxData.tasks || {}, format);
+
+        try {
+            await fs.writeFile(sourcePath, content, 'utf8');
+        } catch (error) {
+            if (error.code !== 'EACCES' && error.code !== 'EPERM' && error.code !== 'EROFS') {
+                throw error;
+            }
+            this.logger(`⚠️  ${sourcePath} is read-only (${error.code}), writing a sidecar results file`);
+            return await this.writeSidecar(qaUxData, sourcePath);
+        }
+
+        return { mode: format === 'json' ? 'json' : 'annotated', path: sourcePath };
+    }
+
+    /**
+     * Results-only JSON next to the run logs, for sources we can't write to
+     */
+    async writeSidecar(qaUxData, sourcePath) {
+        const baseName = path.basename(sourcePath.split('?')[0], path.extname(sourcePath.split('?')[0])) || 'qa';
+        const directory = this.sidecarDirectory || path.dirname(this.isRemote(sourcePath) ? '.' : sourcePath);
+        const sidecarPath = path.join(directory, `${baseName}.results.json`);
+
+        const results = {
+            source: sourcePath,
+            updatedAt: new Date().toISOString(),
+            tasks: Object.fromEntries(Object.entries(qaUxData.tasks || {}).map(([taskId, task]) => [taskId, {
+                description: task.description,
+                status: task.status,
+                lastAnalyzed: task.lastAnalyzed || null,
+                lastUpdated: task.lastUpdated || null,
+                steps: task.operatorAnalysis?.steps || []
+            }]))
+        };
+
+        await fs.mkdir(directory, { recursive: true });
+        await fs.writeFile(sidecarPath, JSON.stringify(results, null, 2), 'utf8');
+        return { mode: 'sidecar', path: sidecarPath };
+    }
+
+    /**
+     * Annotate Markdown/text content with task results
+     * Only tasks Operator has analyzed are annotated; annotations from earlier
+     * saves are replaced, so the source can be saved any number of times
+     */
+    annotate(content, tasks, format) {
+        const block = RESULTS_BLOCK[format];
+        const lines = QaResultsWriter.stripResults(content).split('\n');
+        const results = Object.entries(tasks)
+            .filter(([, task]) => task.lastAnalyzed || task.lastUpdated)
+            .map(([taskId, task]) => ({ taskId, task, placed: false }));
+
+        let sectionTask = null; // Task whose Markdown heading we're under, for its Status field
+        const annotated = lines.map(line => {
+            const text = this.lineText(line);
+            if (!text) return line;
+            if (HEADER_PATTERN.test(line)) sectionTask = null;
+
+            // Each task is annotated once, on the first line that names it (longest description wins)
+            const result = results
+                .filter(candidate => !candidate.placed && candidate.task.description && text.includes(candidate.task.description))
+                .sort((a, b) => b.task.description.length - a.task.description.length)[0];
+            if (result) {
+                result.placed = true;
+                if (HEADER_PATTERN.test(line)) sectionTask = result.task;
+                return this.markLine(line, result.task.status, this.formatAnnotation(result.task), format);
+            }
+
+            // Structured sections keep their "Status:" field in sync
+            const statusField = line.match(STATUS_FIELD_PATTERN);
+            if (statusField && sectionTask && format === 'markdown') {
+                return `${statusField[1]}${sectionTask.status}`;
+            }
+
+            // Checklist steps of an analyzed task get their own box ticked
+            const stepStatus = this.findStepStatus(text, results);
+            return stepStatus && format === 'markdown' ? this.setCheckbox(line, stepStatus) : line;
+        });
+
+        const unplaced = results.filter(result => !result.placed);
+        let output = annotated.join('\n');
+        if (unplaced.length > 0) {
+            const body = unplaced.map(({ taskId, task }) => `- ${taskId}: ${task.description} ${this.formatAnnotation(task)}`);
+            output = output.replace(/\s*$/, '\n\n') + [block.start, block.heading, ...body, block.end]
+                .filter(line => line !== null)
+                .join('\n') + '\n';
+        }
+        return output;
+    }
+
+    // Line text without Markdown list, checkbox and header markers
+    lineText(line) {
+        return line
+            .replace(HEADER_PATTERN, '')
+            .replace(/^\s*(?:[-*+]|\d+\.)\s*/, '')
+            .replace(/^\[[ xX]\]\s*/, '')
+            .trim();
+    }
+
+    markLine(line, status, annotation, format) {
+        const withBox = format === 'markdown' ? this.setCheckbox(line, status) : line;
+        return `${withBox} ${annotation}`;
+    }
+
+    setCheckbox(line, status) {
+        return line.replace(CHECKBOX_PATTERN, `$1[${status === 'pass' ? 'x' : ' '}]`);
+    }
+
+    formatAnnotation(task) {
+        const timestamp = (task.lastAnalyzed || task.lastUpdated || new Date().toISOString())
+            .replace('T', ' ')
+            .substring(0, 16);
+        return task.status === 'pass'
+            ? `[e2e: ✅ pass ${timestamp}]`
+            : `[e2e: ❌ fail ${timestamp}]`;
+    }
+
+    findStepStatus(text, results) {
+        for (const { task } of results) {
+            const action = text.split(STEP_EXPECTATION_SEPARATOR)[0];
+            const stepIndex = (task.test_steps || []).findIndex(step => (typeof step === 'string' ? step : step?.action) === action);
+            if (stepIndex === -1) continue;
+            const step = task.test_steps[stepIndex];
+            const verdict = (typeof step === 'object' && step.status)
+                || task.operatorAnalysis?.steps?.find(s => s.stepIndex === stepIndex)?.status;
+            if (verdict) return verdict;
+        }
+        return null;
+    }
+}
+
+export default QaResultsWriter;
@@ -0,0 +1,50 @@
+/**
+ * Forge adapter interface
+ *
+ * A forge hosts the repository the run's fixes are delivered to (GitHub by
+ * default). In pull-request delivery mode the executor pushes the run branch
+ * and opens one pull request per run through these methods only, so a local
+ * bare repository can stand in for the forge.
+ */
+class ForgeAdapter {
+    constructor(options = {}) {
+        this.name = options.name || 'abstract';
+        this.logger = options.logger || console.log;
+        this.gitRepo = options.gitRepo || process.cwd();
+    }
+
+    /**
+     * Push a local branch to the forge, replacing the remote branch (rollbacks rewrite it)
+     *
+     * @param {string} branch
+     */
+    async push(branch) {
+        throw new Error(`${this.name} forge does not implement push()`);
+    }
+
+    /**
+     * The open pull request for a branch, if any
+     *
+     * @param {string} branch
+     * @returns {Promise<{number: number, url: string}|null>}
+     */
+    async findPullRequest(branch) {
+        throw new Error(`${this.name} forge does not implement findPullRequest()`);
+    }
+
+    /**
+     * Open a pull request
+     *
+     * @param {Object} pullRequest
+     * @param {string} pullRequest.branch - Head branch
+     * @param {string} pullRequest.base - Branch to merge into
+     * @param {string} pullRequest.title
+     * @param {string} pullRequest.body
+     * @returns {Promise<{number: number, url: string}>}
+     */
+    async openPullRequest(pullRequest) {
+        throw new Error(`${this.name} forge does not implement openPullRequest()`);
+    }
+}
+
+export default ForgeAdapter;
@@ -0,0 +1,45 @@
+import { execFileSync } from 'child_process';
+import ForgeAdapter from './ForgeAdapter.js';
+
+/**
+ * GitHub through the git and gh CLIs (gh must be authenticated for the repository)
+ */
+class GitHubForge extends ForgeAdapter {
+    constructor(options = {}) {
+        super({ ...options, name: 'github' });
+        this.remote = options.remote || 'origin';
+        this.repo = options.repo || null; // owner/name, when the remote isn't the gh default
+    }
+
+    run(command, args, input) {
+        return execFileSync(command, args, {
+            cwd: this.gitRepo,
+            input,
+            stdio: ['pipe', 'pipe', 'pipe']
+        }).toString().trim();
+    }
+
+    repoArgs() {
+        return this.repo ? ['--repo', this.repo] : [];
+    }
+
+    async push(branch) {
+        this.run('git', ['push', '--force', this.remote, `${branch}:refs/heads/${branch}`]);
+        this.logger(`[FORGE] Pushed ${branch} to ${this.remote}`);
+    }
+
+    async findPullRequest(branch) {
+        const output = this.run('gh', ['pr', 'list', ...this.repoArgs(), '--head', branch, '--state', 'open', '--json', 'number,url', '--limit', '1']);
+        const [pullRequest] = JSON.parse(output || '[]');
+        return pullRequest ? { number: pullRequest.number, url: pullRequest.url } : null;
+    }
+
+    async openPullRequest({ branch, base, title, body }) {
+        const url = this.run('gh', ['pr', 'create', ...this.repoArgs(), '--head', branch, '--base', base, '--title', title, '--body-file', '-'], body);
+        const number = Number(url.match(/\/pull\/(\d+)/)?.[1]) || null;
+        this.logger(`[FORGE] Opened pull request ${url}`);
+        return { number, url };
+    }
+}
+
+export default GitHubForge;
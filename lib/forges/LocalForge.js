@@ -0,0 +1,74 @@
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import ForgeAdapter from './ForgeAdapter.js';
+
+/**
+ * Local stand-in for a forge - no network or gh CLI required
+ *
+ * Branches are pushed to a bare repository (created on first use) and pull
+ * requests are kept in pull-requests.json inside it.
+ */
+class LocalForge extends ForgeAdapter {
+    constructor(options = {}) {
+        super({ ...options, name: 'local' });
+        if (!options.path) {
+            throw new Error('local forge needs a bare repository path (delivery.forge.options.path)');
+        }
+        this.barePath = path.resolve(options.path);
+        this.pullRequestsPath = path.join(this.barePath, 'pull-requests.json');
+    }
+
+    git(args, cwd = this.gitRepo) {
+        return execFileSync('git', args, { cwd, stdio: ['ignore', 'pipe', 'pipe'] }).toString().trim();
+    }
+
+    async ensureBareRepo() {
+        try {
+            await fs.access(path.join(this.barePath, 'HEAD'));
+        } catch (error) {
+            await fs.mkdir(this.barePath, { recursive: true });
+            this.git(['init', '--bare', '-q'], this.barePath);
+        }
+    }
+
+    async readPullRequests() {
+        try {
+            return JSON.parse(await fs.readFile(this.pullRequestsPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    async push(branch) {
+        await this.ensureBareRepo();
+        this.git(['push', '-q', '--force', this.barePath, `${branch}:refs/heads/${branch}`]);
+        this.logger(`[FORGE] Pushed ${branch} to ${this.barePath}`);
+    }
+
+    async findPullRequest(branch) {
+        const pullRequest = (await this.readPullRequests()).find(entry => entry.branch === branch && entry.state === 'open');
+        return pullRequest ? { number: pullRequest.number, url: pullRequest.url } : null;
+    }
+
+    async openPullRequest({ branch, base, title, body }) {
+        const pullRequests = await this.readPullRequests();
+        const number = pullRequests.length + 1;
+        const pullRequest = {
+            number,
+            url: `file://${this.barePath}#pull/${number}`,
+            state: 'open',
+            branch,
+            base,
+            title,
+            body,
+            createdAt: new Date().toISOString()
+        };
+        await fs.writeFile(this.pullRequestsPath, JSON.stringify([...pullRequests, pullRequest], null, 2));
+        this.logger(`[FORGE] Opened pull request #${number} (${branch} -> ${base})`);
+        return { number, url: pullRequest.url };
+    }
+}
+
+export default LocalForge;
@@ -0,0 +1,30 @@
+/**
+ * Forge adapters by config name, loaded lazily like the agent backends
+ */
+export const FORGES = {
+    github: () => import('./GitHubForge.js'),
+    local: () => import('./LocalForge.js')
+};
+
+/**
+ * Create the forge adapter named in the project config's delivery.forge section
+ *
+ * @param {Object} [forgeConfig] - { adapter: 'github'|'local', options: {...} }
+ * @param {Object} [runtimeOptions] - Executor-provided options (gitRepo, logger)
+ */
+export async function createForge(forgeConfig = {}, runtimeOptions = {}) {
+    const adapterName = forgeConfig?.adapter || 'github';
+    const loadForge = FORGES[adapterName];
+
+    if (!loadForge) {
+        throw new Error(`Unknown forge adapter '${adapterName}'. Available: ${Object.keys(FORGES).join(', ')}`);
+    }
+
+    const { default: Forge } = await loadForge();
+    return new Forge({
+        ...(forgeConfig?.options || {}),
+        ...runtimeOptions
+    });
+}
+
+export default createForge;
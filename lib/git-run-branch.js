@@ -0,0 +1,151 @@
+import { execSync } from 'child_process';
+
+/**
+ * Branch-per-run isolation: Claude's fixes go onto a dedicated e2e/<runId> branch,
+ * each iteration's HEAD is tagged e2e/<runId>/iter-<n>, and a regression rolls
+ * the branch back to the last iteration whose code held up.
+ *
+ * Operator tests what the previous iteration deployed, so the verdicts of
+ * iteration n judge the code tagged at the end of iteration n-1 ("under test").
+ * No regressions in them makes that code the last good one; a regression resets
+ * the branch to the last good tag, dropping the bad iteration and everything after it.
+ * Uncommitted changes are stashed first, and the reset branch only reaches the
+ * tested deployment when it is delivered again (the executor allows rollback with
+ * preview or pull-request delivery only).
+ */
+class GitRunBranch {
+    constructor(options = {}) {
+        this.logger = options.logger || console.log;
+        this.gitRepo = options.gitRepo || process.cwd();
+        this.runId = options.runId;
+        this.branchName = `${options.branchPrefix || 'e2e'}/${this.runId}`;
+        this.baseTag = `${this.branchName}/base`;
+        this.baseBranch = null;
+        this.lastGood = null;    // { ref, iteration } - 0 is the commit the run started from
+        this.underTest = null;   // { ref, iteration } judged by the next Operator verdicts
+        this.iterations = [];    // { iteration, tag, fromCommit, commit, regressed, rolledBackTo }
+    }
+
+    git(command) {
+        return execSync(`git ${command}`, { cwd: this.gitRepo, stdio: ['ignore', 'pipe', 'pipe'] }).toString().trim();
+    }
+
+    tagName(iteration) {
+        return `${this.branchName}/iter-${iteration}`;
+    }
+
+    /**
+     * Create and check out the run branch (or check it out again when resuming)
+     */
+    start() {
+        try {
+            this.git('rev-parse --is-inside-work-tree');
+        } catch (error) {
+            throw new Error(`Git branch isolation needs a git repository: ${this.gitRepo}`);
+        }
+
+        this.baseBranch = this.baseBranch || this.git('rev-parse --abbrev-ref HEAD');
+        const exists = this.git(`branch --list ${this.branchName}`) !== '';
+        if (exists) {
+            this.git(`checkout -q ${this.branchName}`);
+            this.logger(`[GIT] Checked out existing run branch ${this.branchName}`);
+        } else {
+            this.git(`checkout -q -b ${this.branchName}`);
+            this.git(`tag -f ${this.baseTag}`);
+            this.logger(`[GIT] Created run branch ${this.branchName} from ${this.baseBranch} (${this.git('rev-parse --short HEAD')})`);
+        }
+
+        this.lastGood = this.lastGood || { ref: this.baseTag, iteration: 0 };
+        this.underTest = this.underTest || { ref: this.baseTag, iteration: 0 };
+        return this.branchName;
+    }
+
+    /**
+     * Tag the iteration's HEAD and roll back when its verdicts show regressions
+     *
+     * @param {number} iteration
+     * @param {Object} [verdicts]
+     * @param {boolean} [verdicts.judged=true] - false when the verdicts were not applied (Claude failed)
+     * @param {string[]} [verdicts.regressed] - Tasks that went from pass to fail
+     * @param {boolean} [verdicts.rollback=true] - Reset the branch on regressions
+     * @returns {Object} The iteration entry; rolledBackTo (and stash, for a dirty tree) is set when the branch was reset
+     */
+    completeIteration(iteration, { judged = true, regressed = [], rollback = true } = {}) {
+        const previous = this.iterations[this.iterations.length - 1];
+        const fromCommit = previous ? previous.headAfter : this.git(`rev-parse ${this.baseTag}`);
+        const commit = this.git('rev-parse HEAD');
+        const tag = this.tagName(iteration);
+        this.git(`tag -f ${tag} ${commit}`);
+
+        if (this.git('status --porcelain --untracked-files=no') !== '') {
+            this.logger(`[GIT] ⚠️  Uncommitted changes at the end of iteration ${iteration} are not part of ${tag}`);
+        }
+
+        const entry = { iteration, tag, fromCommit, commit, regressed, rolledBackTo: null, stash: null, headAfter: commit };
+        if (judged && regressed.length === 0) {
+            this.lastGood = this.underTest;
+        }
+
+        if (regressed.length > 0 && rollback) {
+            entry.stash = this.stashChanges(iteration);
+            this.git(`reset -q --hard ${this.lastGood.ref}`);
+            entry.rolledBackTo = this.lastGood.ref;
+            entry.headAfter = this.git('rev-parse HEAD');
+            this.underTest = this.lastGood;
+            this.logger(`[GIT] ↩️  ${regressed.join(', ')} regressed - reset ${this.branchName} to ${this.lastGood.ref}`);
+        } else {
+            this.underTest = { ref: tag, iteration };
+        }
+
+        this.iterations.push(entry);
+        return entry;
+    }
+
+    /**
+     * Stash uncommitted and untracked changes (Claude's or the user's) so a reset doesn't destroy them
+     * @returns {string|null} Commit of the stash entry, or null when the tree was clean
+     */
+    stashChanges(iteration) {
+        if (this.git('status --porcelain') === '') return null;
+
+        this.git(`stash push -q -u -m "${this.branchName} iteration ${iteration} before rollback"`);
+        const stash = this.git('rev-parse stash@{0}');
+        this.logger(`[GIT] Stashed uncommitted changes before the rollback as ${stash.substring(0, 7)} (git stash apply ${stash.substring(0, 7)})`);
+        return stash;
+    }
+
+    /**
+     * Per-iteration diffs (git diff --stat) between where Claude started and the iteration tag
+     */
+    getDiffSummary() {
+        return this.iterations.map(entry => {
+            let stat = '';
+            try {
+                stat = this.git(`diff --stat ${entry.fromCommit} ${entry.commit}`);
+            } catch (error) {
+                stat = `(diff unavailable: ${error.message})`;
+            }
+            return { ...entry, stat: stat ? stat.split('\n') : [] };
+        });
+    }
+
+    // State kept in the checkpoint journal so --resume continues the same branch
+    getState() {
+        return {
+            branchName: this.branchName,
+            baseBranch: this.baseBranch,
+            lastGood: this.lastGood,
+            underTest: this.underTest,
+            iterations: this.iterations
+        };
+    }
+
+    restore(state = {}) {
+        this.baseBranch = state.baseBranch || null;
+        this.lastGood = state.lastGood || null;
+        this.underTest = state.underTest || null;
+        this.iterations = state.iterations || [];
+    }
+}
+
+export default GitRunBranch;
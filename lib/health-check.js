@@ -1,4 +1,6 @@
 import { execSync } from 'child_process';
+import SystemResources from './system-resources.js';
+import BrowserTarget from './browser-target.js';
 
 class HealthCheckSystem {
     constructor(options = {}) {
@@ -7,15 +9,33 @@ class HealthCheckSystem {
         this.logger = options.logger || console.log;
         this.maxOperatorInactivity = options.maxOperatorInactivity || 300000; // 5 minutes
         this.lastOperatorActivity = Date.now();
+        this.recoveryDelayMs = options.recoveryDelayMs || 10000;
+        this.maxRecoveryAttempts = options.maxRecoveryAttempts || 3; // 1 = fail on the first unhealthy check
+        // Optional per-service overrides ({ chrome, operator, claude, system }), e.g. for --simulate
+        this.probes = options.probes || {};
+        // Which tab is the browser agent's (project config: browserTarget)
+        this.browserTarget = options.browserTarget instanceof BrowserTarget
+            ? options.browserTarget
+            : new BrowserTarget(options.browserTarget);
+        // Disk space is checked for the log directory; systemResources can point at other /proc and cgroup roots
+        this.systemResources = new SystemResources({ diskPath: options.logDirectory, ...options.systemResources });
+        this.systemThresholds = {
+            criticalMemoryMB: 100,
+            lowMemoryMB: 200,
+            maxLoadPerCore: 4,
+            minFreeDiskMB: 500,
+            maxChromeRenderers: 40, // warning only
+            ...options.systemThresholds
+        };
     }
 
     // Main health check orchestrator
     async performHealthCheck(iteration = 0) {
         const checks = {
-            chrome: await this.checkChromeHealth(),
-            operator: await this.checkOperatorHealth(),
-            claude: await this.checkClaudeHealth(),
-            system: await this.checkSystemHealth()
+            chrome: await this.runCheck('chrome', () => this.checkChromeHealth(), iteration),
+            operator: await this.runCheck('operator', () => this.checkOperatorHealth(), iteration),
+            claude: await this.runCheck('claude', () => this.checkClaudeHealth(), iteration),
+            system: await this.runCheck('system', () => this.checkSystemHealth(), iteration)
         };
 
         const healthy = Object.values(checks).every(check => check.healthy);
@@ -36,6 +56,12 @@ class HealthCheckSystem {
         };
     }
 
+    // Run a service check, preferring a configured probe
+    async runCheck(service, check, iteration) {
+        const probe = this.probes[service];
+        return probe ? await probe(iteration) : await check();
+    }
+
     // Chrome health check
     async checkChromeHealth() {
         try {
@@ -57,13 +83,13 @@ class HealthCheckSystem {
             
             // List available tabs
             const targets = await response.json();
-            const operatorTab = targets.find(t => t.url?.includes('operator.chatgpt.com'));
+            const operatorTab = this.browserTarget.findTab(targets);
 
             if (!operatorTab) {
                 return {
                     healthy: false,
-                    message: 'No Operator tab found',
-                    recovery: 'Open https://operator.chatgpt.com in Chrome'
+                    message: `No Operator tab found (${this.browserTarget.describe()})`,
+                    recovery: `Open ${this.browserTarget.newTabUrl()} in Chrome`
                 };
             }
 
@@ -104,9 +130,9 @@ class HealthCheckSystem {
             // Check if we can access the Operator tab
             const response = await fetch(`http://localhost:${this.chromePort}/json/list`);
             const targets = await response.json();
-            const operatorTab = targets.find(t => t.url?.includes('operator.chatgpt.com'));
+            const operatorTab = this.browserTarget.findTab(targets);
             
-            if (operatorTab && operatorTab.type === 'page') {
+            if (operatorTab) {
                 return {
                     healthy: true,
                     message: 'Operator session active',
@@ -304,48 +330,63 @@ class HealthCheckSystem {
         }
     }
 
-    // System resource health check
+    // System resource health check (memory and CPU within cgroup limits, log disk, Chrome renderers)
     async checkSystemHealth() {
         try {
-            // Check memory usage
-            const memInfo = execSync("vm_stat | grep 'Pages free' | awk '{print $3}' | sed 's/\\.//'").toString().trim();
-            const freePages = parseInt(memInfo);
-            const freeMB = Math.round(freePages * 4096 / 1024 / 1024);
-            
-            // Lower threshold for systems with less memory
-            // Warning at 200MB, critical at 100MB
-            if (freeMB < 100) {
+            const { memory, cpu, disk, chrome } = await this.systemResources.read();
+            const thresholds = this.systemThresholds;
+            const details = {
+                freeMB: memory.availableMB,
+                memoryLimitMB: memory.totalMB,
+                memorySource: memory.source,
+                loadAverage: cpu.loadAverage[0],
+                loadPerCore: cpu.loadPerCore,
+                cores: cpu.cores,
+                diskFreeMB: disk.freeMB,
+                diskPath: disk.path,
+                chromeRenderers: chrome.renderers
+            };
+
+            if (memory.availableMB < thresholds.criticalMemoryMB) {
                 return {
                     healthy: false,
                     message: 'Critically low system memory',
-                    details: { freeMB },
-                    recovery: 'Close unnecessary applications'
+                    details,
+                    recovery: memory.source === 'cgroup'
+                        ? 'Close Chrome tabs or raise the container memory limit'
+                        : 'Close unnecessary applications'
                 };
-            } else if (freeMB < 200) {
+            } else if (memory.availableMB < thresholds.lowMemoryMB) {
                 // Just a warning, don't fail health check
-                console.log(`⚠️  Low memory warning: ${freeMB}MB free`);
+                this.logger(`[HEALTH] ⚠️  Low memory warning: ${memory.availableMB}MB of ${memory.totalMB}MB free`);
             }
 
-            // Check CPU load
-            const loadAvg = execSync("uptime | awk -F'load averages:' '{print $2}'").toString().trim();
-            const loads = loadAvg.split(' ').map(l => parseFloat(l));
-            
-            if (loads[0] > 10) {
+            if (cpu.loadPerCore > thresholds.maxLoadPerCore) {
                 return {
                     healthy: false,
                     message: 'High CPU load',
-                    details: { loadAverage: loads[0] },
+                    details,
                     recovery: 'Wait for system load to decrease'
                 };
             }
 
+            if (disk.freeMB !== null && disk.freeMB < thresholds.minFreeDiskMB) {
+                return {
+                    healthy: false,
+                    message: `Low disk space in ${disk.path}`,
+                    details,
+                    recovery: 'Remove old run logs, screenshots and reports'
+                };
+            }
+
+            if (chrome.renderers !== null && chrome.renderers > thresholds.maxChromeRenderers) {
+                this.logger(`[HEALTH] ⚠️  ${chrome.renderers} Chrome renderer processes running`);
+            }
+
             return {
                 healthy: true,
                 message: 'System resources adequate',
-                details: {
-                    freeMB,
-                    loadAverage: loads[0]
-                }
+                details
             };
         } catch (error) {
             // Non-critical, just log
@@ -364,7 +405,7 @@ class HealthCheckSystem {
 
     // Pre-iteration health check with recovery attempts
     async ensureHealthyBeforeIteration(iteration) {
-        const maxRecoveryAttempts = 3;
+        const maxRecoveryAttempts = this.maxRecoveryAttempts;
         
         for (let attempt = 1; attempt <= maxRecoveryAttempts; attempt++) {
             const health = await this.performHealthCheck(iteration);
@@ -387,8 +428,8 @@ class HealthCheckSystem {
             }
 
             if (attempt < maxRecoveryAttempts) {
-                this.logger('[HEALTH] Waiting 10 seconds before retry...');
-                await new Promise(resolve => setTimeout(resolve, 10000));
+                this.logger(`[HEALTH] Waiting ${Math.round(this.recoveryDelayMs / 1000)} seconds before retry...`);
+                await new Promise(resolve => setTimeout(resolve, this.recoveryDelayMs));
             }
         }
 
@@ -99,7 +99,9 @@ class MonitoringAlertsSystem extends EventEmitter {
             verified: changeData.verified,
             filesChanged: changeData.filesChanged,
             linesChanged: changeData.linesChanged,
-            deploymentStatus: changeData.deploymentStatus
+            deploymentStatus: changeData.deploymentStatus,
+            reason: changeData.reason || null,
+            commits: changeData.commits || []
         };
         
         this.metrics.codeChanges.push(metric);
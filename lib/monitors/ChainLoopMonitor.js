@@ -241,8 +241,8 @@ class ChainLoopMonitor extends WindowKeywordMonitor {
      * Send Operator response to Claude
      */
     async sendOperatorResponseToClaude(parameters) {
-        // Acquire shared lock to prevent duplicate orchestration to Claude
-        if (!sharedLock.tryAcquireSendLock('chain-loop-monitor')) {
+        // Acquire shared lock on this window to prevent duplicate orchestration to Claude
+        if (!sharedLock.tryAcquireSendLock('chain-loop-monitor', this.windowIndex)) {
             console.log('⚠️ DUPLICATE BLOCKED: chain-loop-monitor - Another layer is already sending to Claude');
             this.emit('action_error', { 
                 action: 'sendOperatorResponseToClaude', 
@@ -280,7 +280,7 @@ class ChainLoopMonitor extends WindowKeywordMonitor {
             return false;
         } finally {
             // Always release the lock, even on error
-            sharedLock.releaseSendLock('chain-loop-monitor');
+            sharedLock.releaseSendLock('chain-loop-monitor', this.windowIndex);
             console.log('🔓 SEND LOCK RELEASED: chain-loop-monitor - orchestration complete');
         }
     }
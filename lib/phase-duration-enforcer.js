@@ -5,6 +5,7 @@ class PhaseDurationEnforcer {
         this.minClaudeDuration = options.minClaudeDuration || 120000; // 2 minutes
         this.maxPhaseDuration = options.maxPhaseDuration || 1200000; // 20 minutes
         this.phaseTimings = new Map();
+        this.completedPhases = []; // { phase, iteration, startTime, duration, qualityScore, forced }
     }
 
     // Start tracking a phase
@@ -97,6 +98,14 @@ class PhaseDurationEnforcer {
         
         // Clean up
         this.phaseTimings.delete(phaseKey);
+        this.completedPhases.push({
+            phase: phase.phaseName,
+            iteration: phase.iteration,
+            startTime: phase.startTime,
+            duration: elapsed,
+            qualityScore: finalQuality.score,
+            forced: Boolean(options.force)
+        });
 
         return {
             allowed: true,
@@ -251,6 +260,7 @@ class PhaseDurationEnforcer {
     getPhaseStats() {
         const stats = {
             active: [],
+            completed: [...this.completedPhases],
             averageDurations: {}
         };
 
@@ -263,6 +273,15 @@ class PhaseDurationEnforcer {
             });
         }
 
+        // Average duration per phase name, over completed phases
+        const durations = {};
+        this.completedPhases.forEach(({ phase, duration }) => {
+            (durations[phase] = durations[phase] || []).push(duration);
+        });
+        Object.entries(durations).forEach(([phase, values]) => {
+            stats.averageDurations[phase] = Math.round(values.reduce((sum, value) => sum + value, 0) / values.length);
+        });
+
         return stats;
     }
 
@@ -0,0 +1,30 @@
+/**
+ * Plain console output for --ci: strips emoji and ANSI colour codes so CI logs
+ * stay readable and grep-able
+ */
+
+const ANSI_ESCAPES = /\x1b\[[0-9;]*[A-Za-z]/g;
+// An emoji with its variation selector/joiners, plus the spacing that followed it
+const EMOJI = /(?:\p{Extended_Pictographic}[\uFE0F\u200D]*)+ */gu;
+
+export function stripDecorations(text) {
+    return String(text).replace(ANSI_ESCAPES, '').replace(EMOJI, '');
+}
+
+/**
+ * Route console.log/info/warn/error through stripDecorations; returns a function
+ * that restores the original methods
+ */
+export function installPlainConsole(target = console) {
+    const originals = {};
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        originals[method] = target[method];
+        target[method] = (...args) => originals[method].apply(target, args.map(arg =>
+            typeof arg === 'string' ? stripDecorations(arg) : arg
+        ));
+    }
+    process.env.NO_COLOR = '1';
+    return () => Object.assign(target, originals);
+}
+
+export default stripDecorations;
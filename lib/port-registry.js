@@ -0,0 +1,277 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Chrome debug port leases shared by every run on this machine
+ *
+ * ProjectManager derives a preferred port from the project hash, which two
+ * projects (or an unrelated process) can share. Before a run uses it, acquire()
+ * checks the registry file and probes the port, falling back to the next free
+ * one in the range, and records a lease: { port, projectHash, projectName, pid,
+ * acquiredAt }. Leases of processes that have exited are dropped on every access.
+ *
+ * Registry file: options.registryPath, else chrome-ports/registry.json under
+ * $E2E_LOCK_DIR or <tmpdir>/operator-e2e-locks. It sits in a subdirectory so
+ * SharedLock.listTargets() doesn't take its lock file for a tmux target.
+ * Updates hold <registry>.lock, created with O_EXCL; like SharedLock's send
+ * lock, a stale one is moved aside before it is removed and a holder only
+ * removes a lock file carrying its own token.
+ */
+
+const LOCK_STALE_MS = 10000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class PortRegistry {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.registryPath] - Shared state file
+     * @param {number} [options.basePort=9222] - First port of the range (ProjectManager.BASE_CHROME_PORT)
+     * @param {number} [options.portCount=100] - Size of the range (ProjectManager.MAX_CHROME_PORTS)
+     * @param {number} [options.lockTimeoutMs=5000] - How long to wait for another process's update
+     * @param {Function} [options.logger]
+     */
+    constructor(options = {}) {
+        const lockDir = process.env.E2E_LOCK_DIR || path.join(os.tmpdir(), 'operator-e2e-locks');
+        this.registryPath = options.registryPath || path.join(lockDir, 'chrome-ports', 'registry.json');
+        this.lockPath = `${this.registryPath}.lock`;
+        this.basePort = options.basePort || 9222;
+        this.portCount = options.portCount || 100;
+        this.lockTimeoutMs = options.lockTimeoutMs || 5000;
+        this.logger = options.logger || console.log;
+    }
+
+    static isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM'; // alive, owned by another user
+        }
+    }
+
+    // Resolves true when nothing listens on the port (we could bind it ourselves)
+    static isPortFree(port, host = '127.0.0.1') {
+        return new Promise((resolve) => {
+            const server = net.createServer();
+            server.once('error', () => resolve(false));
+            server.listen({ port, host, exclusive: true }, () => server.close(() => resolve(true)));
+        });
+    }
+
+    // Whether a Chrome DevTools endpoint answers on the port
+    static async isDevTools(port) {
+        try {
+            const response = await fetch(`http://localhost:${port}/json/version`, { signal: AbortSignal.timeout(2000) });
+            return response.ok && Boolean((await response.json()).Browser);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Lease a Chrome port for a project
+     *
+     * The preferred port is kept when it is free, leased to this project already,
+     * or runs a Chrome nobody holds a lease on (the project's own, started by hand);
+     * otherwise the next port in the range that is neither leased nor in use.
+     * A pinned port (--chrome-port, chromePort in an orchestrator config) is
+     * always used, with a warning when another project holds it.
+     *
+     * @param {Object} request
+     * @param {string} request.projectHash
+     * @param {string} [request.projectName]
+     * @param {number} request.preferredPort
+     * @param {boolean} [request.pinned=false]
+     * @returns {Promise<Object>} { port, preferredPort, reason: 'free'|'running'|'shared'|'pinned', lease }
+     * @throws {Error} If every port in the range is taken
+     */
+    async acquire({ projectHash, projectName = null, preferredPort, pinned = false }) {
+        return await this.withLock(async (leases) => {
+            const heldByOthers = (port) => leases.find(lease => lease.port === port && lease.projectHash !== projectHash);
+            const heldByProject = (port) => leases.some(lease => lease.port === port && lease.projectHash === projectHash);
+
+            let port = null;
+            let reason = null;
+            if (pinned) {
+                const holder = heldByOthers(preferredPort);
+                if (holder) {
+                    this.logger(`[PORTS] ⚠️  Chrome port ${preferredPort} is pinned but leased to ${holder.projectName || holder.projectHash.substring(0, 8)} (pid ${holder.pid})`);
+                }
+                port = preferredPort;
+                reason = 'pinned';
+            } else {
+                for (const candidate of this.candidates(preferredPort)) {
+                    if (heldByOthers(candidate)) continue;
+                    if (heldByProject(candidate)) {
+                        [port, reason] = [candidate, 'shared'];
+                    } else if (await PortRegistry.isPortFree(candidate)) {
+                        [port, reason] = [candidate, 'free'];
+                    } else if (candidate === preferredPort && await PortRegistry.isDevTools(candidate)) {
+                        [port, reason] = [candidate, 'running'];
+                    }
+                    if (port) break;
+                }
+            }
+
+            if (!port) {
+                throw new Error(`No free Chrome port in ${this.basePort}-${this.basePort + this.portCount - 1} (${leases.length} leased)`);
+            }
+
+            const lease = { port, projectHash, projectName, pid: process.pid, acquiredAt: new Date().toISOString() };
+            leases.push(lease);
+            return { port, preferredPort, reason, lease };
+        });
+    }
+
+    /**
+     * Drop this process's lease on a port
+     *
+     * @returns {Promise<boolean>} true when a lease was released
+     */
+    async release(port) {
+        return await this.withLock(async (leases) => {
+            const index = leases.findIndex(lease => lease.port === port && lease.pid === process.pid);
+            if (index === -1) return false;
+            leases.splice(index, 1);
+            return true;
+        });
+    }
+
+    // Current leases of live processes
+    async list() {
+        return await this.withLock(async (leases) => leases.map(lease => ({ ...lease })));
+    }
+
+    // Preferred port first, then the rest of the range in order, wrapping around
+    candidates(preferredPort) {
+        const inRange = preferredPort >= this.basePort && preferredPort < this.basePort + this.portCount;
+        const ports = [];
+        for (let i = 0; i < this.portCount; i++) {
+            ports.push(inRange
+                ? this.basePort + ((preferredPort - this.basePort + i) % this.portCount)
+                : preferredPort + i);
+        }
+        return ports;
+    }
+
+    /**
+     * Run fn(leases) while holding the registry lock; changes fn makes to the
+     * array are written back
+     */
+    async withLock(fn) {
+        const token = await this.lock();
+        try {
+            const leases = this.readLeases();
+            const live = leases.filter(lease => PortRegistry.isProcessAlive(lease.pid));
+            for (const lease of leases.filter(lease => !live.includes(lease))) {
+                this.logger(`[PORTS] Dropping the lease on port ${lease.port} of ${lease.projectName || lease.projectHash.substring(0, 8)} (pid ${lease.pid} has exited)`);
+            }
+
+            const before = JSON.stringify(leases);
+            const result = await fn(live);
+            if (JSON.stringify(live) !== before) {
+                this.writeLeases(live);
+            }
+            return result;
+        } finally {
+            this.removeLock(token);
+        }
+    }
+
+    /**
+     * Take the registry lock
+     *
+     * @returns {Promise<string>} Token identifying this holder, for removeLock()
+     */
+    async lock() {
+        fs.mkdirSync(path.dirname(this.registryPath), { recursive: true });
+        const deadline = Date.now() + this.lockTimeoutMs;
+
+        const token = crypto.randomUUID();
+
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockPath, JSON.stringify({ pid: process.pid, lockedAt: Date.now(), token }), { flag: 'wx' });
+                return token;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            // A holder that exited or hung mid-update doesn't block everyone else
+            let holder = null;
+            try {
+                holder = JSON.parse(fs.readFileSync(this.lockPath, 'utf8'));
+            } catch (error) {
+                // being written or just removed
+            }
+            if (holder && (!PortRegistry.isProcessAlive(holder.pid) || Date.now() - holder.lockedAt > LOCK_STALE_MS)) {
+                if (this.removeLock(holder.token)) {
+                    this.logger(`[PORTS] Removed the stale registry lock of pid ${holder.pid}`);
+                }
+                continue;
+            }
+
+            if (Date.now() > deadline) {
+                throw new Error(`Timed out waiting for the Chrome port registry lock (${this.lockPath})`);
+            }
+            await sleep(50);
+        }
+    }
+
+    /**
+     * Remove the lock file if it still carries the given token
+     *
+     * The file is moved aside first, so a lock another process took after the
+     * caller last looked is put back instead of deleted.
+     *
+     * @returns {boolean} true when the lock was removed
+     */
+    removeLock(token) {
+        const claimedPath = `${this.lockPath}.${process.pid}.${crypto.randomUUID()}`;
+        try {
+            fs.renameSync(this.lockPath, claimedPath);
+        } catch (error) {
+            return false; // already gone
+        }
+
+        let holder = null;
+        try {
+            holder = JSON.parse(fs.readFileSync(claimedPath, 'utf8'));
+        } catch (error) {
+            // still being written by a new holder
+        }
+        if (!holder || holder.token !== token) {
+            try {
+                fs.linkSync(claimedPath, this.lockPath);
+            } catch (error) {
+                // a newer lock exists; the claimed one is superseded
+            }
+            fs.rmSync(claimedPath, { force: true });
+            return false;
+        }
+        fs.rmSync(claimedPath, { force: true });
+        return true;
+    }
+
+    readLeases() {
+        try {
+            const data = JSON.parse(fs.readFileSync(this.registryPath, 'utf8'));
+            return Array.isArray(data.leases) ? data.leases.filter(lease => lease && Number.isInteger(lease.port) && lease.pid) : [];
+        } catch (error) {
+            return []; // missing or unreadable: start over
+        }
+    }
+
+    // Written to a temp file and renamed, so readers never see half a file
+    writeLeases(leases) {
+        const tempPath = `${this.registryPath}.${process.pid}.tmp`;
+        fs.writeFileSync(tempPath, JSON.stringify({ leases }, null, 2));
+        fs.renameSync(tempPath, this.registryPath);
+    }
+}
+
+export default PortRegistry;
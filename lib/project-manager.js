@@ -18,6 +18,10 @@ import path from 'path';
 import crypto from 'crypto';
 import fs from 'fs/promises';
 import { fileURLToPath } from 'url';
+import ClaudePromptBuilder, { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE, TEMPLATE_VARIABLES } from './claude-prompt-builder.js';
+import { DELIVERY_MODES } from './delivery-manager.js';
+import { FORGES } from './forges/forge-factory.js';
+import { DEFAULT_BROWSER_TARGET } from './browser-target.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -76,27 +80,32 @@ class ProjectManager {
     /**
      * Detect project context from current working directory
      * 
+     * @param {Object} [options] - Overrides for running on behalf of another project
+     * @param {string} [options.projectPath] - Project directory (default: current working directory)
+     * @param {string} [options.projectName] - Project name (default: directory name)
+     * @param {string} [options.configPath] - Project config file (default: config/project-configs/<name>.json)
+     * @param {string} [options.logDirectory] - Log directory (default: logs/<name>-<hash>)
      * @returns {ProjectContext} Complete project context
      * @throws {Error} If project detection fails
      */
-    detectProjectContext() {
+    detectProjectContext(options = {}) {
         try {
-            const cwd = process.cwd();
-            this._validateProjectPath(cwd);
+            const projectPath = options.projectPath ? path.resolve(options.projectPath) : process.cwd();
+            this._validateProjectPath(projectPath);
             
-            const projectName = this.extractProjectName(cwd);
-            const projectHash = this.generateProjectHash(cwd);
+            const projectName = this.extractProjectName(options.projectName || projectPath);
+            const projectHash = this.generateProjectHash(projectPath);
             const shortHash = projectHash.substring(0, 8);
             
             const context = {
                 projectName,
                 projectHash,
                 shortHash,
-                projectPath: cwd,
+                projectPath,
                 chromePort: this.generateChromePort(projectHash),
                 tmuxSessionName: this.getTmuxSessionName(projectName, shortHash),
-                logDirectory: this.getLogDirectory(projectName, shortHash),
-                configPath: this._getConfigPath(projectName),
+                logDirectory: options.logDirectory ? path.resolve(options.logDirectory) : this.getLogDirectory(projectName, shortHash),
+                configPath: options.configPath ? path.resolve(options.configPath) : this._getConfigPath(projectName),
                 timestamp: new Date().toISOString()
             };
 
@@ -315,7 +324,8 @@ class ProjectManager {
      * @returns {boolean} True if context appears unique
      */
     _validateUniqueness(context) {
-        // Basic validation - could be enhanced with actual conflict detection
+        // Basic validation - port conflicts across runs are resolved when the
+        // executor leases the port (lib/port-registry.js)
         try {
             return !!(context.projectName && 
                      context.chromePort && 
@@ -576,6 +586,73 @@ class ProjectManager {
             };
         }
 
+        // Validate browser agent backend selection
+        const validBrowserBackends = ['operator', 'mock'];
+        if (config.browserAgent && typeof config.browserAgent === 'object') {
+            if (config.browserAgent.backend !== undefined && !validBrowserBackends.includes(config.browserAgent.backend)) {
+                warnings.push(`Invalid browserAgent.backend: ${config.browserAgent.backend}, using default: 'operator'`);
+            }
+            sanitizedConfig.browserAgent = {
+                backend: validBrowserBackends.includes(config.browserAgent.backend) ? 
+                    config.browserAgent.backend : 'operator',
+                options: (config.browserAgent.options && typeof config.browserAgent.options === 'object') ? 
+                    config.browserAgent.options : {}
+            };
+        } else {
+            sanitizedConfig.browserAgent = {
+                backend: 'operator',
+                options: {}
+            };
+        }
+
+        // Validate coding agent backend selection
+        const validCodingBackends = ['tmux-claude', 'headless', 'mock'];
+        if (config.codingAgent && typeof config.codingAgent === 'object') {
+            if (config.codingAgent.backend !== undefined && !validCodingBackends.includes(config.codingAgent.backend)) {
+                warnings.push(`Invalid codingAgent.backend: ${config.codingAgent.backend}, using default: 'tmux-claude'`);
+            }
+            sanitizedConfig.codingAgent = {
+                backend: validCodingBackends.includes(config.codingAgent.backend) ? 
+                    config.codingAgent.backend : 'tmux-claude',
+                options: (config.codingAgent.options && typeof config.codingAgent.options === 'object') ? 
+                    config.codingAgent.options : {}
+            };
+        } else {
+            sanitizedConfig.codingAgent = {
+                backend: 'tmux-claude',
+                options: {}
+            };
+        }
+
+        // Validate project deployment target (used by the Claude prompt)
+        if (config.deploymentMethod !== undefined && !['heroku', 'vercel', 'aws', 'custom'].includes(config.deploymentMethod)) {
+            warnings.push(`Invalid deploymentMethod: ${config.deploymentMethod}, ignoring`);
+            delete sanitizedConfig.deploymentMethod;
+        }
+        if (config.productionUrl !== undefined &&
+            (typeof config.productionUrl !== 'string' || !/^https?:\/\//.test(config.productionUrl))) {
+            warnings.push(`Invalid productionUrl: ${config.productionUrl}, ignoring`);
+            delete sanitizedConfig.productionUrl;
+        }
+
+        // Validate Claude prompt template selection and overrides
+        sanitizedConfig.claudePrompt = this._validateClaudePromptConfig(config.claudePrompt, warnings);
+
+        // Validate Operator task batching (0 = no limit)
+        sanitizedConfig.operatorBatching = this._validateOperatorBatchingConfig(config.operatorBatching, warnings);
+
+        // Validate branch-per-run isolation (off unless enabled)
+        sanitizedConfig.gitIsolation = this._validateGitIsolationConfig(config.gitIsolation, warnings);
+
+        // Validate how fixes are delivered (production deploy by Claude unless configured)
+        sanitizedConfig.delivery = this._validateDeliveryConfig(config.delivery, warnings);
+
+        // Validate which Chrome tab is the browser agent's (Operator unless configured)
+        sanitizedConfig.browserTarget = this._validateBrowserTargetConfig(config.browserTarget, warnings);
+
+        // Validate Chrome launching and supervision on the project's debug port
+        sanitizedConfig.chrome = this._validateChromeConfig(config.chrome, warnings);
+
         // Log warnings if any
         if (warnings.length > 0) {
             console.warn(`Configuration validation warnings:`);
@@ -590,6 +667,304 @@ class ProjectManager {
         return sanitizedConfig;
     }
 
+    /**
+     * Validate the claudePrompt section: template overrides may only use known
+     * variables, and the selected template must exist
+     *
+     * @private
+     * @param {Object} claudePrompt - { template, templates, variables }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized claudePrompt section
+     */
+    _validateClaudePromptConfig(claudePrompt, warnings) {
+        const sanitized = { template: DEFAULT_TEMPLATE, templates: {}, variables: {} };
+        if (claudePrompt === undefined) {
+            return sanitized;
+        }
+        if (!claudePrompt || typeof claudePrompt !== 'object') {
+            warnings.push('Invalid claudePrompt section, using default template');
+            return sanitized;
+        }
+
+        if (claudePrompt.variables && typeof claudePrompt.variables === 'object') {
+            for (const [name, value] of Object.entries(claudePrompt.variables)) {
+                if (TEMPLATE_VARIABLES.includes(name)) {
+                    warnings.push(`claudePrompt.variables.${name} overrides a built-in variable, ignoring`);
+                } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+                    sanitized.variables[name] = value;
+                } else {
+                    warnings.push(`claudePrompt.variables.${name} must be a string, number or boolean, ignoring`);
+                }
+            }
+        }
+
+        if (claudePrompt.templates && typeof claudePrompt.templates === 'object') {
+            for (const [name, template] of Object.entries(claudePrompt.templates)) {
+                if (typeof template !== 'string' || !template.trim()) {
+                    warnings.push(`claudePrompt.templates.${name} must be a non-empty string, ignoring`);
+                    continue;
+                }
+                const unknown = ClaudePromptBuilder.findUnknownVariables(template, Object.keys(sanitized.variables));
+                if (unknown.length > 0) {
+                    warnings.push(`claudePrompt.templates.${name} uses unknown variables: ${unknown.join(', ')}, ignoring`);
+                    continue;
+                }
+                sanitized.templates[name] = template;
+            }
+        }
+
+        if (claudePrompt.template !== undefined) {
+            if (BUILT_IN_TEMPLATES[claudePrompt.template] || sanitized.templates[claudePrompt.template]) {
+                sanitized.template = claudePrompt.template;
+            } else {
+                warnings.push(`Unknown claudePrompt.template: ${claudePrompt.template}, using default: '${DEFAULT_TEMPLATE}'`);
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Validate the operatorBatching section: task and token caps per Operator
+     * conversation, and how many conversations run at once
+     *
+     * @private
+     * @param {Object} operatorBatching - { maxTasks, maxTokens, parallel }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized operatorBatching section
+     */
+    _validateOperatorBatchingConfig(operatorBatching, warnings) {
+        const sanitized = { maxTasks: 0, maxTokens: 0, parallel: 1 };
+        if (operatorBatching === undefined) {
+            return sanitized;
+        }
+        if (!operatorBatching || typeof operatorBatching !== 'object') {
+            warnings.push('Invalid operatorBatching section, sending all tasks in one Operator conversation');
+            return sanitized;
+        }
+
+        const limits = { maxTasks: [0, 100], maxTokens: [0, 200000], parallel: [1, 5] };
+        for (const [key, [min, max]] of Object.entries(limits)) {
+            const value = operatorBatching[key];
+            if (value === undefined) continue;
+            if (Number.isInteger(value) && value >= min && value <= max) {
+                sanitized[key] = value;
+            } else {
+                warnings.push(`Invalid operatorBatching.${key}: ${value}, using default: ${sanitized[key]}`);
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Validate the gitIsolation section: whether Claude's fixes go onto a
+     * <branchPrefix>/<runId> branch, and whether regressions roll it back
+     *
+     * @private
+     * @param {Object} gitIsolation - { enabled, branchPrefix, rollbackOnRegression }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized gitIsolation section
+     */
+    _validateGitIsolationConfig(gitIsolation, warnings) {
+        const sanitized = { enabled: false, branchPrefix: 'e2e', rollbackOnRegression: true };
+        if (gitIsolation === undefined) {
+            return sanitized;
+        }
+        if (!gitIsolation || typeof gitIsolation !== 'object') {
+            warnings.push('Invalid gitIsolation section, working on the checked out branch');
+            return sanitized;
+        }
+
+        for (const key of ['enabled', 'rollbackOnRegression']) {
+            if (gitIsolation[key] === undefined) continue;
+            if (typeof gitIsolation[key] === 'boolean') {
+                sanitized[key] = gitIsolation[key];
+            } else {
+                warnings.push(`Invalid gitIsolation.${key}: ${gitIsolation[key]}, using default: ${sanitized[key]}`);
+            }
+        }
+
+        if (gitIsolation.branchPrefix !== undefined) {
+            if (typeof gitIsolation.branchPrefix === 'string' && /^[A-Za-z0-9_-]+(\/[A-Za-z0-9_-]+)*$/.test(gitIsolation.branchPrefix)) {
+                sanitized.branchPrefix = gitIsolation.branchPrefix;
+            } else {
+                warnings.push(`Invalid gitIsolation.branchPrefix: ${gitIsolation.branchPrefix}, using default: ${sanitized.branchPrefix}`);
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Validate the delivery section: production deploys by Claude, a push to a
+     * preview remote, or a pull request through a forge adapter
+     *
+     * @private
+     * @param {Object} delivery - { mode, previewUrl, remote, targetBranch, forge: { adapter, options } }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized delivery section
+     */
+    _validateDeliveryConfig(delivery, warnings) {
+        const sanitized = { mode: 'production', previewUrl: null, remote: null, targetBranch: null, forge: { adapter: 'github', options: {} } };
+        if (delivery === undefined) {
+            return sanitized;
+        }
+        if (!delivery || typeof delivery !== 'object') {
+            warnings.push('Invalid delivery section, Claude deploys to production');
+            return sanitized;
+        }
+
+        if (delivery.mode !== undefined) {
+            if (DELIVERY_MODES.includes(delivery.mode)) {
+                sanitized.mode = delivery.mode;
+            } else {
+                warnings.push(`Invalid delivery.mode: ${delivery.mode}, using default: 'production'`);
+            }
+        }
+        if (delivery.previewUrl !== undefined) {
+            if (typeof delivery.previewUrl === 'string' && /^https?:\/\//.test(delivery.previewUrl)) {
+                sanitized.previewUrl = delivery.previewUrl;
+            } else {
+                warnings.push(`Invalid delivery.previewUrl: ${delivery.previewUrl}, ignoring`);
+            }
+        }
+        for (const key of ['remote', 'targetBranch']) {
+            if (delivery[key] === undefined) continue;
+            if (typeof delivery[key] === 'string' && delivery[key].trim()) {
+                sanitized[key] = delivery[key];
+            } else {
+                warnings.push(`Invalid delivery.${key}: ${delivery[key]}, ignoring`);
+            }
+        }
+        if (delivery.forge && typeof delivery.forge === 'object') {
+            if (delivery.forge.adapter !== undefined && !FORGES[delivery.forge.adapter]) {
+                warnings.push(`Invalid delivery.forge.adapter: ${delivery.forge.adapter}, using default: 'github'`);
+            }
+            sanitized.forge = {
+                adapter: FORGES[delivery.forge.adapter] ? delivery.forge.adapter : 'github',
+                options: (delivery.forge.options && typeof delivery.forge.options === 'object') ? delivery.forge.options : {}
+            };
+        }
+
+        if (sanitized.mode === 'preview' && !sanitized.remote) {
+            warnings.push('delivery.mode \'preview\' needs delivery.remote, using default: \'production\'');
+            sanitized.mode = 'production';
+        }
+        if (sanitized.mode !== 'production' && !sanitized.previewUrl) {
+            warnings.push(`delivery.mode '${sanitized.mode}' has no previewUrl - Operator keeps testing the production URLs`);
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Validate the browserTarget section: URL/title patterns that identify the
+     * agent tab, the page new tabs open at, and the project's ownership marker
+     *
+     * @private
+     * @param {Object} browserTarget - { urlPatterns, titlePatterns, homeUrl, ownershipMarker }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized browserTarget section
+     */
+    _validateBrowserTargetConfig(browserTarget, warnings) {
+        const sanitized = { ...DEFAULT_BROWSER_TARGET };
+        if (browserTarget === undefined) {
+            return sanitized;
+        }
+        if (!browserTarget || typeof browserTarget !== 'object') {
+            warnings.push('Invalid browserTarget section, matching Operator tabs');
+            return sanitized;
+        }
+
+        for (const key of ['urlPatterns', 'titlePatterns']) {
+            if (browserTarget[key] === undefined) continue;
+            const patterns = [].concat(browserTarget[key]);
+            if (patterns.every(pattern => typeof pattern === 'string' && pattern.trim())) {
+                sanitized[key] = patterns;
+            } else {
+                warnings.push(`Invalid browserTarget.${key}: ${JSON.stringify(browserTarget[key])}, using default: ${JSON.stringify(sanitized[key])}`);
+            }
+        }
+        if (sanitized.urlPatterns.length === 0 && sanitized.titlePatterns.length === 0) {
+            warnings.push(`browserTarget has no url or title patterns, using default: ${JSON.stringify(DEFAULT_BROWSER_TARGET.urlPatterns)}`);
+            sanitized.urlPatterns = DEFAULT_BROWSER_TARGET.urlPatterns;
+        }
+
+        if (browserTarget.homeUrl !== undefined) {
+            if (typeof browserTarget.homeUrl === 'string' && /^https?:\/\//.test(browserTarget.homeUrl)) {
+                sanitized.homeUrl = browserTarget.homeUrl;
+            } else {
+                warnings.push(`Invalid browserTarget.homeUrl: ${browserTarget.homeUrl}, using default: ${sanitized.homeUrl}`);
+            }
+        }
+
+        if (browserTarget.ownershipMarker !== undefined && browserTarget.ownershipMarker !== null) {
+            if (typeof browserTarget.ownershipMarker === 'string' && /^[A-Za-z0-9_.-]+$/.test(browserTarget.ownershipMarker)) {
+                sanitized.ownershipMarker = browserTarget.ownershipMarker;
+            } else {
+                warnings.push(`Invalid browserTarget.ownershipMarker: ${browserTarget.ownershipMarker}, ignoring`);
+            }
+        }
+
+        return sanitized;
+    }
+
+    /**
+     * Validate the chrome section: whether the run launches (and supervises) Chrome
+     * on the project's debug port when none is listening
+     *
+     * @private
+     * @param {Object} chrome - { autoLaunch, headless, executable, maxRestarts, startupTimeoutMs }
+     * @param {string[]} warnings - Validation warnings to append to
+     * @returns {Object} Sanitized chrome section
+     */
+    _validateChromeConfig(chrome, warnings) {
+        const sanitized = { autoLaunch: true, headless: false, executable: null, maxRestarts: 3, startupTimeoutMs: 30000 };
+        if (chrome === undefined) {
+            return sanitized;
+        }
+        if (!chrome || typeof chrome !== 'object') {
+            warnings.push('Invalid chrome section, using defaults');
+            return sanitized;
+        }
+
+        for (const key of ['autoLaunch', 'headless']) {
+            if (chrome[key] === undefined) continue;
+            if (typeof chrome[key] === 'boolean') {
+                sanitized[key] = chrome[key];
+            } else {
+                warnings.push(`Invalid chrome.${key}: ${chrome[key]}, using default: ${sanitized[key]}`);
+            }
+        }
+
+        if (chrome.executable !== undefined && chrome.executable !== null) {
+            if (typeof chrome.executable === 'string' && chrome.executable.trim()) {
+                sanitized.executable = chrome.executable;
+            } else {
+                warnings.push(`Invalid chrome.executable: ${chrome.executable}, ignoring`);
+            }
+        }
+
+        if (chrome.maxRestarts !== undefined) {
+            if (Number.isInteger(chrome.maxRestarts) && chrome.maxRestarts >= 0 && chrome.maxRestarts <= 10) {
+                sanitized.maxRestarts = chrome.maxRestarts;
+            } else {
+                warnings.push(`Invalid chrome.maxRestarts: ${chrome.maxRestarts}, using default: ${sanitized.maxRestarts}`);
+            }
+        }
+
+        if (chrome.startupTimeoutMs !== undefined) {
+            if (typeof chrome.startupTimeoutMs === 'number' && chrome.startupTimeoutMs >= 1000 && chrome.startupTimeoutMs <= 120000) {
+                sanitized.startupTimeoutMs = chrome.startupTimeoutMs;
+            } else {
+                warnings.push(`Invalid chrome.startupTimeoutMs: ${chrome.startupTimeoutMs}, using default: ${sanitized.startupTimeoutMs}`);
+            }
+        }
+
+        return sanitized;
+    }
+
     /**
      * Clear configuration cache (useful for testing or config updates)
      * 
@@ -638,6 +1013,21 @@ class ProjectManager {
                 deploymentTimeout: { type: 'number', min: 60000, max: 1800000, default: 300000 },
                 supportedPlatforms: { type: 'array', default: ['heroku', 'vercel', 'aws', 'custom'] },
                 customCommands: { type: 'object', default: {} }
+            },
+            browserAgent: {
+                backend: { type: 'string', enum: ['operator', 'mock'], default: 'operator' },
+                options: { type: 'object', default: {} }
+            },
+            codingAgent: {
+                backend: { type: 'string', enum: ['tmux-claude', 'headless', 'mock'], default: 'tmux-claude' },
+                options: { type: 'object', default: {} }
+            },
+            deploymentMethod: { type: 'string', enum: ['heroku', 'vercel', 'aws', 'custom'] },
+            productionUrl: { type: 'string', pattern: '^https?://' },
+            claudePrompt: {
+                template: { type: 'string', default: DEFAULT_TEMPLATE },
+                templates: { type: 'object', default: {} },
+                variables: { type: 'object', default: {} }
             }
         };
     }
@@ -645,11 +1035,12 @@ class ProjectManager {
     /**
      * Get complete project context with configuration
      * 
+     * @param {Object} [options] - Same overrides as detectProjectContext()
      * @returns {Promise<ProjectContext & {config: ProjectConfig, ready: boolean}>} Complete project context
      */
-    async getFullProjectContext() {
+    async getFullProjectContext(options = {}) {
         try {
-            const context = this.detectProjectContext();
+            const context = this.detectProjectContext(options);
             const config = await this.loadProjectConfig(context.configPath);
             
             // Ensure log directory exists
@@ -666,15 +1057,17 @@ class ProjectManager {
     }
 
     /**
-     * Generate Chrome launch command for project
+     * Generate Chrome launch arguments for project (isolated profile per debug port)
      * 
      * @param {number} chromePort - Chrome debug port
-     * @returns {string} Chrome launch command
+     * @param {Object} [options]
+     * @param {boolean} [options.headless] - Run without a window (CI)
+     * @param {string} [options.userDataDir] - Profile directory (default: /tmp/chrome-e2e-<port>)
+     * @returns {string[]} Chrome arguments
      */
-    generateChromeCommand(chromePort) {
-        const userDataDir = `/tmp/chrome-e2e-${chromePort}`;
+    generateChromeArgs(chromePort, options = {}) {
+        const userDataDir = options.userDataDir || `/tmp/chrome-e2e-${chromePort}`;
         return [
-            'google-chrome',
             `--remote-debugging-port=${chromePort}`,
             `--user-data-dir=${userDataDir}`,
             '--no-first-run',
@@ -689,8 +1082,20 @@ class ProjectManager {
             '--safebrowsing-disable-auto-update',
             '--enable-automation',
             '--password-store=basic',
-            '--use-mock-keychain'
-        ].join(' ');
+            '--use-mock-keychain',
+            ...(options.headless ? ['--headless=new', '--window-size=1440,900'] : [])
+        ];
+    }
+
+    /**
+     * Generate Chrome launch command for project
+     * 
+     * @param {number} chromePort - Chrome debug port
+     * @param {Object} [options] - See generateChromeArgs()
+     * @returns {string} Chrome launch command
+     */
+    generateChromeCommand(chromePort, options = {}) {
+        return ['google-chrome', ...this.generateChromeArgs(chromePort, options)].join(' ');
     }
 }
 
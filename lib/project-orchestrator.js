@@ -0,0 +1,249 @@
+import fs from 'fs/promises';
+import path from 'path';
+import ProjectManager from './project-manager.js';
+import SimulationScenario from './simulation-scenario.js';
+
+/**
+ * Multi-project orchestration
+ * Runs one OperatorE2EExecutor per project config, at most `concurrency` at a
+ * time, in this process. Each project keeps the tmux session and log directory
+ * ProjectManager derives for it and prefers its derived Chrome port, which the
+ * executor leases (lib/port-registry.js) and moves off when it is taken.
+ * Projects that would share a session, a log directory or a configured
+ * chromePort are rejected before anything starts, and a project that fails is
+ * recorded in the summary without stopping the others.
+ *
+ * Project config (config/project-configs/<name>.json):
+ *   {
+ *     "projectName": "demo-app",
+ *     "projectPath": "/path/to/demo-app",   // relative to the config file
+ *     "qaFile": "qa_ux.json",               // relative to projectPath, or a GitHub URL
+ *     "chromePort": 9234,                   // optional, default derived from projectPath
+ *     "maxIterations": 5,
+ *     "simulate": "scenario.json"           // optional, relative to the config file
+ *   }
+ */
+
+const DEFAULT_CONCURRENCY = 2;
+
+class ProjectOrchestrator {
+    constructor(options = {}) {
+        this.concurrency = Math.max(1, parseInt(options.concurrency, 10) || DEFAULT_CONCURRENCY);
+        this.projectManager = options.projectManager || new ProjectManager();
+        this.createExecutor = options.createExecutor || null; // (executorOptions) => executor, default OperatorE2EExecutor
+        this.simulationPath = options.simulationPath || null; // Scenario for projects without their own "simulate"
+        this.logDirectory = options.logDirectory || null;     // One subdirectory per project instead of logs/<project>-<hash>
+        this.logger = options.logger || console.log;
+    }
+
+    /**
+     * Run every project and return the combined summary
+     *
+     * @param {Array<string|Object>} projectConfigs - Config file paths or already-parsed configs
+     */
+    async run(projectConfigs) {
+        const startTime = Date.now();
+        const results = new Array(projectConfigs.length);
+        const queue = [];
+
+        for (const [index, entry] of projectConfigs.entries()) {
+            try {
+                queue.push({ index, project: await this.loadProject(entry) });
+            } catch (error) {
+                results[index] = this.errorResult(typeof entry === 'string' ? entry : entry?.projectName, error);
+            }
+        }
+
+        for (const { index, project, conflict } of this.checkIsolation(queue)) {
+            results[index] = this.errorResult(project.name, new Error(conflict));
+        }
+        const runnable = queue.filter(item => !results[item.index]);
+
+        this.logger(`🚀 Running ${runnable.length} project(s), ${Math.min(this.concurrency, runnable.length)} at a time`);
+        let next = 0;
+        const worker = async () => {
+            while (next < runnable.length) {
+                const { index, project } = runnable[next++];
+                results[index] = await this.runProject(project);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, runnable.length) }, worker));
+
+        return this.summarize(results, startTime);
+    }
+
+    /**
+     * Resolve a project config into what one executor needs
+     */
+    async loadProject(entry) {
+        let config = entry;
+        let configPath = null;
+        if (typeof entry === 'string') {
+            configPath = path.resolve(entry);
+            try {
+                config = JSON.parse(await fs.readFile(configPath, 'utf8'));
+            } catch (error) {
+                throw new Error(`Failed to read project config ${entry}: ${error.message}`);
+            }
+        }
+        if (!config || typeof config !== 'object' || Array.isArray(config)) {
+            throw new Error('Project config must be a JSON object');
+        }
+
+        const baseDir = configPath ? path.dirname(configPath) : process.cwd();
+        const name = config.projectName || (configPath && path.basename(configPath, '.json'));
+        if (!name) {
+            throw new Error('Project config needs a projectName');
+        }
+        if (!config.projectPath) {
+            throw new Error(`Project ${name} has no projectPath`);
+        }
+
+        const projectPath = path.resolve(baseDir, config.projectPath);
+        const simulate = config.simulate ? path.resolve(baseDir, config.simulate) : this.simulationPath;
+        if (!config.qaFile && !simulate) {
+            throw new Error(`Project ${name} has no qaFile`);
+        }
+        const qaFile = config.qaFile?.startsWith('https://github.com/')
+            ? config.qaFile
+            : config.qaFile && path.resolve(projectPath, config.qaFile);
+
+        const context = this.projectManager.detectProjectContext({
+            projectPath,
+            projectName: name,
+            configPath,
+            logDirectory: this.logDirectory && path.join(this.logDirectory, name)
+        });
+        return {
+            name: context.projectName,
+            configPath,
+            projectPath,
+            qaFile,
+            simulate,
+            maxIterations: config.maxIterations,
+            chromePort: config.chromePort || context.chromePort,
+            pinChromePort: Boolean(config.chromePort),
+            tmuxSessionName: context.tmuxSessionName,
+            logDirectory: context.logDirectory
+        };
+    }
+
+    /**
+     * Projects that would share a configured Chrome port, tmux session or log
+     * directory with an earlier project in the list (derived ports are leased
+     * at run time instead)
+     */
+    checkIsolation(queue) {
+        const claimed = new Map();
+        const conflicts = [];
+
+        for (const item of queue) {
+            const { project } = item;
+            const resources = [
+                ...(project.pinChromePort ? [['Chrome port', project.chromePort]] : []),
+                ['tmux session', project.tmuxSessionName],
+                ['log directory', project.logDirectory]
+            ];
+            const clash = resources.find(([kind, value]) => claimed.has(`${kind}:${value}`));
+            if (clash) {
+                const [kind, value] = clash;
+                conflicts.push({ ...item, conflict: `${kind} ${value} is already used by project ${claimed.get(`${kind}:${value}`)}` });
+                continue;
+            }
+            resources.forEach(([kind, value]) => claimed.set(`${kind}:${value}`, project.name));
+        }
+
+        return conflicts;
+    }
+
+    /**
+     * Run one project to completion; never throws
+     */
+    async runProject(project) {
+        const startTime = Date.now();
+        this.logger(`▶️  [${project.name}] starting (Chrome ${project.chromePort}, tmux ${project.tmuxSessionName})`);
+
+        let executor = null;
+        try {
+            const simulation = project.simulate ? await SimulationScenario.load(project.simulate) : null;
+            executor = await this.buildExecutor({
+                qaUxFilePath: project.qaFile || simulation?.qaFilePath,
+                projectPath: project.projectPath,
+                projectName: project.name,
+                projectConfigPath: project.configPath,
+                chromePort: project.chromePort,
+                pinChromePort: project.pinChromePort,
+                logDirectory: this.logDirectory ? project.logDirectory : null,
+                simulation,
+                maxIterations: project.maxIterations || simulation?.maxIterations
+            });
+            await executor.execute();
+
+            const tasks = Object.values(executor.qaUxData?.tasks || {});
+            const passedTasks = tasks.filter(task => task.status === 'pass').length;
+            const result = {
+                ...this.baseResult(project.name, executor, startTime),
+                status: tasks.length > 0 && passedTasks === tasks.length ? 'passed' : 'failed',
+                tasks: { total: tasks.length, passed: passedTasks, failed: tasks.length - passedTasks }
+            };
+            this.logger(`${result.status === 'passed' ? '✅' : '⚠️ '} [${project.name}] ${result.status}: ${passedTasks}/${tasks.length} tasks passing`);
+            return result;
+        } catch (error) {
+            this.logger(`❌ [${project.name}] error: ${error.message}`);
+            return { ...this.baseResult(project.name, executor, startTime), status: 'error', error: error.message };
+        }
+    }
+
+    async buildExecutor(executorOptions) {
+        if (this.createExecutor) {
+            return await this.createExecutor(executorOptions);
+        }
+        const { OperatorE2EExecutor } = await import('../operator.execute_e2e.js');
+        return new OperatorE2EExecutor(executorOptions);
+    }
+
+    baseResult(name, executor, startTime) {
+        return {
+            project: name,
+            runId: executor?.runId || null,
+            iterations: executor ? Math.min(executor.iteration, executor.maxIterations) : 0,
+            durationMs: Date.now() - startTime,
+            logFile: executor?.projectContext ? executor.logFilePath : null
+        };
+    }
+
+    errorResult(name, error) {
+        this.logger(`❌ [${name || 'unknown'}] not started: ${error.message}`);
+        return { project: name || null, status: 'error', error: error.message, iterations: 0, durationMs: 0, logFile: null };
+    }
+
+    summarize(results, startTime) {
+        const count = (status) => results.filter(result => result.status === status).length;
+        return {
+            total: results.length,
+            passed: count('passed'),
+            failed: count('failed'),
+            errored: count('error'),
+            concurrency: this.concurrency,
+            durationMs: Date.now() - startTime,
+            projects: results
+        };
+    }
+
+    /**
+     * One line per project plus a totals line
+     */
+    formatSummary(summary) {
+        const icons = { passed: '✅', failed: '⚠️ ', error: '❌' };
+        const lines = summary.projects.map(result => {
+            const detail = result.status === 'error'
+                ? result.error
+                : `${result.tasks.passed}/${result.tasks.total} tasks passing after ${result.iterations} iteration(s)`;
+            return `${icons[result.status]} ${result.project}: ${result.status} - ${detail} (${(result.durationMs / 1000).toFixed(1)}s)`;
+        });
+        lines.push(`Total: ${summary.passed} passed, ${summary.failed} failed, ${summary.errored} errored of ${summary.total} in ${(summary.durationMs / 1000).toFixed(1)}s`);
+        return lines;
+    }
+}
+
+export default ProjectOrchestrator;
@@ -0,0 +1,283 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import MultiFormatParser from './file-parsers/MultiFormatParser.js';
+
+/**
+ * QA_UX input validation
+ * Checks a QA file against config/qa-ux.schema.json plus the rules a schema
+ * can't express (duplicate task IDs, tasks Operator has no URL for) and reports
+ * every problem with its file/line location, so bad input fails before any
+ * browser or Claude work starts. JSON is checked as written; Markdown and text
+ * files are checked after parsing.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, '..', 'config', 'qa-ux.schema.json');
+
+class QaUxValidator {
+    constructor(options = {}) {
+        this.schemaPath = options.schemaPath || DEFAULT_SCHEMA_PATH;
+        this.parser = options.parser || new MultiFormatParser();
+        this.validateSchema = null;
+    }
+
+    async getSchemaValidator() {
+        if (!this.validateSchema) {
+            const schema = JSON.parse(await fs.readFile(this.schemaPath, 'utf8'));
+            const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+            this.validateSchema = ajv.compile(schema);
+        }
+        return this.validateSchema;
+    }
+
+    /**
+     * Validate a local QA file
+     */
+    async validateFile(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return await this.validateContent(content, filePath);
+    }
+
+    /**
+     * Validate QA file content; fileName picks the format
+     *
+     * @returns {Promise<{valid: boolean, errors: Array<Object>, warnings: Array<Object>}>}
+     *   Issues are { path, line, message } - line is null when it can't be located
+     */
+    async validateContent(content, fileName) {
+        const result = { valid: true, errors: [], warnings: [] };
+        const extension = path.extname(fileName).toLowerCase();
+        let data;
+        let lineOf;
+
+        if (extension === '.json') {
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                const position = Number(error.message.match(/position (\d+)/)?.[1]);
+                result.errors.push({
+                    path: '',
+                    line: Number.isNaN(position) ? null : content.slice(0, position).split('\n').length,
+                    message: `invalid JSON: ${error.message}`
+                });
+                result.valid = false;
+                return result;
+            }
+
+            const located = scanJsonLocations(content);
+            lineOf = (pointer) => findLine(located.lines, pointer);
+            located.duplicates.forEach(({ pointer, line }) => {
+                const isTask = /^\/tasks\/[^/]+$/.test(pointer);
+                result.errors.push({
+                    path: pointerToPath(pointer),
+                    line,
+                    message: isTask
+                        ? 'duplicate task ID - JSON keeps only the last definition'
+                        : 'duplicate key - JSON keeps only the last value'
+                });
+            });
+        } else {
+            data = await this.parser.parseContent(content, fileName);
+            const taskLines = data._sourceLines || {};
+            lineOf = (pointer) => taskLines[pointer.split('/')[2]] ?? null;
+        }
+
+        const validateSchema = await this.getSchemaValidator();
+        if (!validateSchema(data)) {
+            validateSchema.errors
+                .filter(error => error.propertyName === undefined) // Reported by their propertyNames error
+                .forEach(error => {
+                    const pointer = error.keyword === 'propertyNames'
+                        ? `${error.instancePath}/${escapePointer(error.params.propertyName)}`
+                        : error.instancePath;
+                    result.errors.push({
+                        path: pointerToPath(pointer),
+                        line: lineOf(pointer),
+                        message: describeSchemaError(error)
+                    });
+                });
+        }
+
+        this.checkTasks(data, lineOf, result);
+
+        result.valid = result.errors.length === 0;
+        return result;
+    }
+
+    // Rules the schema can't express
+    checkTasks(data, lineOf, result) {
+        const tasks = data && typeof data.tasks === 'object' && data.tasks ? data.tasks : {};
+        const baseUrl = data?.metadata?.demo_app_url;
+
+        for (const [taskId, task] of Object.entries(tasks)) {
+            if (!task || typeof task !== 'object') continue;
+            const pointer = `/tasks/${escapePointer(taskId)}`;
+
+            if (!task.production_url && !baseUrl) {
+                result.errors.push({
+                    path: pointerToPath(pointer),
+                    line: lineOf(pointer),
+                    message: 'no production_url and no metadata.demo_app_url - Operator has no page to open'
+                });
+            }
+
+            const stepNumbers = (Array.isArray(task.test_steps) ? task.test_steps : [])
+                .map(step => step?.step)
+                .filter(step => step !== undefined);
+            const repeated = stepNumbers.filter((step, index) => stepNumbers.indexOf(step) !== index);
+            if (repeated.length > 0) {
+                result.warnings.push({
+                    path: pointerToPath(`${pointer}/test_steps`),
+                    line: lineOf(`${pointer}/test_steps`),
+                    message: `step numbers repeat (${[...new Set(repeated)].join(', ')}) - Operator verdicts are matched by step number`
+                });
+            }
+        }
+
+        if (Object.keys(tasks).length > 0 && Object.values(tasks).every(task => task?.status === 'pass')) {
+            result.warnings.push({ path: 'tasks', line: lineOf('/tasks'), message: 'every task already passes - nothing for Operator to test' });
+        }
+    }
+
+    /**
+     * One "file:line: path: message" line per issue
+     */
+    formatReport(result, fileName) {
+        const format = (severity) => (issue) => {
+            const location = issue.line ? `${fileName}:${issue.line}` : fileName;
+            return `${location}: ${severity}: ${issue.path ? `${issue.path}: ` : ''}${issue.message}`;
+        };
+        return [
+            ...result.errors.map(format('error')),
+            ...result.warnings.map(format('warning'))
+        ];
+    }
+}
+
+function escapePointer(key) {
+    return key.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+// "/tasks/login/test_steps/1/action" -> "tasks.login.test_steps[1].action"
+function pointerToPath(pointer) {
+    return pointer
+        .split('/')
+        .slice(1)
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((dotted, part) => (/^\d+$/.test(part) ? `${dotted}[${part}]` : dotted ? `${dotted}.${part}` : part), '');
+}
+
+// Line of a pointer, or of its closest located parent
+function findLine(lines, pointer) {
+    let current = pointer;
+    while (current) {
+        if (lines.has(current)) return lines.get(current);
+        current = current.slice(0, current.lastIndexOf('/'));
+    }
+    return lines.get('') ?? null;
+}
+
+function describeSchemaError(error) {
+    const { keyword, params } = error;
+    switch (keyword) {
+        case 'required':
+            return `missing required field "${params.missingProperty}"`;
+        case 'enum':
+            return `must be one of ${params.allowedValues.join(', ')} (got ${JSON.stringify(error.data)})`;
+        case 'pattern':
+            return params.pattern === '^https?://'
+                ? `must be an http(s) URL (got ${JSON.stringify(error.data)})`
+                : `must match ${params.pattern}`;
+        case 'propertyNames':
+            return `task ID "${params.propertyName}" may only use letters, digits, "_", "." and "-"`;
+        case 'minItems':
+            return `needs at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+        case 'minProperties':
+            return `needs at least ${params.limit} entr${params.limit === 1 ? 'y' : 'ies'}`;
+        default:
+            return error.message;
+    }
+}
+
+/**
+ * Record the line of every JSON pointer (keys and array items) and any
+ * duplicate object keys; content must already be valid JSON
+ */
+function scanJsonLocations(content) {
+    const lines = new Map();
+    const duplicates = [];
+    let pos = 0;
+    let line = 1;
+
+    const skipWhitespace = () => {
+        while (pos < content.length && /\s/.test(content[pos])) {
+            if (content[pos] === '\n') line++;
+            pos++;
+        }
+    };
+
+    const readString = () => {
+        const start = pos++;
+        while (content[pos] !== '"') {
+            pos += content[pos] === '\\' ? 2 : 1;
+        }
+        pos++;
+        return JSON.parse(content.slice(start, pos));
+    };
+
+    const readValue = (pointer) => {
+        skipWhitespace();
+        if (!lines.has(pointer)) lines.set(pointer, line);
+        const char = content[pos];
+
+        if (char === '{') {
+            pos++;
+            const seen = new Set();
+            skipWhitespace();
+            while (content[pos] !== '}') {
+                skipWhitespace();
+                const keyLine = line;
+                const key = readString();
+                const child = `${pointer}/${escapePointer(key)}`;
+                if (seen.has(key)) {
+                    // JSON.parse keeps the last value, so locate that one
+                    duplicates.push({ pointer: child, line: keyLine });
+                    for (const located of [...lines.keys()]) {
+                        if (located.startsWith(`${child}/`)) lines.delete(located);
+                    }
+                }
+                lines.set(child, keyLine);
+                seen.add(key);
+                skipWhitespace();
+                pos++; // ':'
+                readValue(child);
+                skipWhitespace();
+                if (content[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            pos++;
+        } else if (char === '[') {
+            pos++;
+            let index = 0;
+            skipWhitespace();
+            while (content[pos] !== ']') {
+                readValue(`${pointer}/${index++}`);
+                skipWhitespace();
+                if (content[pos] === ',') pos++;
+                skipWhitespace();
+            }
+            pos++;
+        } else if (char === '"') {
+            readString();
+        } else {
+            while (pos < content.length && !/[\s,\]}]/.test(content[pos])) pos++;
+        }
+    };
+
+    readValue('');
+    return { lines, duplicates };
+}
+
+export default QaUxValidator;
@@ -65,7 +65,7 @@ class RetryUtility {
     }
 
     // Specific retry strategies for different operations
-    static forOperatorCommunication(logger) {
+    static forOperatorCommunication(logger, overrides = {}) {
         return new RetryUtility({
             maxRetries: 3,
             initialDelay: 2000,
@@ -80,11 +80,12 @@ class RetryUtility {
                         logger(`[RETRY] Context: Iteration ${context.iteration}`);
                     }
                 }
-            }
+            },
+            ...overrides
         });
     }
 
-    static forChromeConnection(logger) {
+    static forChromeConnection(logger, overrides = {}) {
         return new RetryUtility({
             maxRetries: 5,
             initialDelay: 1000,
@@ -102,11 +103,12 @@ class RetryUtility {
                 if (error.message?.includes('ECONNREFUSED')) return true;
                 if (error.message?.includes('Cannot find context')) return true;
                 return RetryUtility.prototype.defaultShouldRetry.call({ defaultShouldRetry: RetryUtility.prototype.defaultShouldRetry }, error);
-            }
+            },
+            ...overrides
         });
     }
 
-    static forSessionRecovery(logger) {
+    static forSessionRecovery(logger, overrides = {}) {
         return new RetryUtility({
             maxRetries: 2,
             initialDelay: 5000,
@@ -118,7 +120,8 @@ class RetryUtility {
                     logger(`[RETRY] Session recovery (attempt ${attempt}): ${error.message}`);
                     logger(`[RETRY] Attempting session restoration in ${delay}ms...`);
                 }
-            }
+            },
+            ...overrides
         });
     }
 }
@@ -0,0 +1,205 @@
+import { EventEmitter } from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Structured lifecycle events for one E2E run
+ * Appended as JSON lines next to the run's log file (e2e_events_<runId>.jsonl)
+ * and emitted in-process, so the dashboard can show exact per-project state
+ * instead of scraping tmux panes.
+ *
+ * Every event: { type, timestamp, runId, project, iteration, ...data }
+ *   run_start        qaFile, maxIterations, chromePort, tmuxSession, tasks: { taskId: status }
+ *   iteration_start  maxIterations, failingTasks
+ *   phase_start      phase ('operator' | 'claude')
+ *   phase_end        phase, success, durationMs, error?
+ *   task_status      taskId, from, to
+ *   alert            level, alertType, message
+ *   delivery         mode, commit, pullRequest ({ number, url } | null), previewUrl
+ *   run_end          status ('passed' | 'failed' | 'error'), exitCode, passedTasks, totalTasks, error?
+ */
+
+export const RUN_EVENT_TYPES = [
+    'run_start',
+    'iteration_start',
+    'phase_start',
+    'phase_end',
+    'task_status',
+    'alert',
+    'delivery',
+    'run_end'
+];
+
+const EVENT_FILE_PATTERN = /^e2e_events_(.+)\.jsonl$/;
+
+class RunEventLog extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.runId = options.runId;
+        this.project = options.project || null;
+        this.logDirectory = options.logDirectory || path.join(process.cwd(), 'logs');
+        this.logger = options.logger || console.log;
+        this.eventPath = RunEventLog.getEventPath(this.logDirectory, this.runId);
+        this.writes = Promise.resolve(); // Keeps lines in emit order
+    }
+
+    static getEventPath(logDirectory, runId) {
+        return path.join(logDirectory, `e2e_events_${runId}.jsonl`);
+    }
+
+    // Append an event and emit it as 'event'; returns the event
+    record(type, iteration, data = {}) {
+        const event = {
+            type,
+            timestamp: new Date().toISOString(),
+            runId: this.runId,
+            project: this.project,
+            iteration,
+            ...data
+        };
+
+        this.writes = this.writes.then(async () => {
+            try {
+                await fs.mkdir(path.dirname(this.eventPath), { recursive: true });
+                await fs.appendFile(this.eventPath, `${JSON.stringify(event)}\n`, 'utf8');
+            } catch (error) {
+                // Losing a dashboard event must not break the run itself
+                this.logger(`[EVENTS] Failed to write ${type} event: ${error.message}`);
+            }
+        });
+        this.emit('event', event);
+        return event;
+    }
+
+    // Resolves once every recorded event is on disk
+    async flush() {
+        await this.writes;
+    }
+
+    /**
+     * Read the events appended since `offset` (bytes); a torn trailing line is
+     * left for the next read
+     *
+     * @returns {Promise<{events: Array<Object>, offset: number}>}
+     */
+    static async readSince(eventPath, offset = 0) {
+        let handle;
+        try {
+            handle = await fs.open(eventPath, 'r');
+            const { size } = await handle.stat();
+            if (size <= offset) {
+                return { events: [], offset: size < offset ? 0 : offset };
+            }
+
+            const buffer = Buffer.alloc(size - offset);
+            await handle.read(buffer, 0, buffer.length, offset);
+            const content = buffer.toString('utf8');
+            const complete = content.lastIndexOf('\n') + 1;
+
+            const events = [];
+            for (const line of content.slice(0, complete).split('\n')) {
+                if (!line.trim()) continue;
+                try {
+                    events.push(JSON.parse(line));
+                } catch (error) {
+                    // Skip lines that aren't events rather than stalling the reader
+                }
+            }
+            return { events, offset: offset + Buffer.byteLength(content.slice(0, complete)) };
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return { events: [], offset: 0 };
+            }
+            throw error;
+        } finally {
+            await handle?.close();
+        }
+    }
+
+    /**
+     * Newest event log in each project log directory under logsRoot
+     *
+     * @returns {Promise<Array<string>>} Event log paths
+     */
+    static async findLatest(logsRoot) {
+        let directories;
+        try {
+            directories = await fs.readdir(logsRoot, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const latest = [];
+        for (const directory of directories.filter(entry => entry.isDirectory())) {
+            const projectDir = path.join(logsRoot, directory.name);
+            const runs = (await fs.readdir(projectDir)).filter(file => EVENT_FILE_PATTERN.test(file));
+            if (runs.length === 0) continue;
+
+            // Run IDs are timestamps, so the last one sorted is the newest run
+            latest.push(path.join(projectDir, runs.sort().pop()));
+        }
+        return latest;
+    }
+}
+
+/**
+ * Fold one event into a project's dashboard state
+ */
+export function applyRunEvent(state, event) {
+    state.runId = event.runId;
+    state.lastUpdate = Date.parse(event.timestamp) || Date.now();
+    if (event.iteration) state.currentIteration = event.iteration;
+
+    switch (event.type) {
+        case 'run_start':
+            Object.assign(state, {
+                status: 'active',
+                phase: 'starting',
+                phaseStatus: null,
+                startTime: state.lastUpdate,
+                endTime: null,
+                maxIterations: event.maxIterations,
+                chromePort: event.chromePort,
+                tmuxSession: event.tmuxSession,
+                tasks: { ...event.tasks },
+                errors: [],
+                alerts: []
+            });
+            break;
+        case 'iteration_start':
+            state.maxIterations = event.maxIterations;
+            state.phase = 'iteration-start';
+            state.phaseStatus = null;
+            break;
+        case 'phase_start':
+            state.phase = event.phase;
+            state.phaseStatus = 'running';
+            break;
+        case 'phase_end':
+            state.phase = event.phase;
+            state.phaseStatus = event.success ? 'done' : 'failed';
+            if (!event.success && event.error) state.errors.push(event.error);
+            break;
+        case 'task_status':
+            state.tasks[event.taskId] = event.to;
+            break;
+        case 'alert':
+            state.alerts.push({ level: event.level, type: event.alertType, message: event.message });
+            if (event.level === 'critical') state.errors.push(`${event.alertType}: ${event.message}`);
+            break;
+        case 'run_end':
+            state.status = event.status === 'error' ? 'error' : 'completed';
+            state.result = event.status;
+            state.phase = 'finished';
+            state.phaseStatus = null;
+            state.endTime = state.lastUpdate;
+            if (event.error) state.errors.push(event.error);
+            break;
+        default:
+            break;
+    }
+    return state;
+}
+
+export default RunEventLog;
@@ -0,0 +1,258 @@
+import fs from 'fs/promises';
+import path from 'path';
+import RunEventLog, { applyRunEvent } from './run-event-log.js';
+
+/**
+ * Read-only view of past and running E2E runs
+ * Built from the per-project log directories under logsRoot: run events
+ * (e2e_events_<runId>.jsonl), run logs, and the metrics and alerts files
+ * written by MonitoringAlertsSystem. Projects are identified by their log
+ * directory name, runs by their run ID.
+ */
+
+const RUN_FILE_PATTERNS = [
+    /^e2e_events_(.+)\.jsonl$/,
+    /^e2e_run_(.+)\.log$/,
+    /^e2e_metrics_(.+)\.json$/,
+    /^e2e_alerts_(.+)\.log$/
+];
+
+const SAFE_ID_PATTERN = /^[A-Za-z0-9_.-]+$/;
+
+class RunHistory {
+    constructor(options = {}) {
+        this.logsRoot = options.logsRoot || path.join(process.cwd(), 'logs');
+    }
+
+    /**
+     * Project log directories that contain at least one run
+     */
+    async listProjects() {
+        let entries;
+        try {
+            entries = await fs.readdir(this.logsRoot, { withFileTypes: true });
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const projects = [];
+        for (const entry of entries.filter(item => item.isDirectory() && SAFE_ID_PATTERN.test(item.name))) {
+            const runIds = await this.listRunIds(entry.name);
+            if (runIds.length === 0) continue;
+
+            const latestRun = await this.getRunSummary(entry.name, runIds[0]);
+            projects.push({
+                id: entry.name,
+                name: latestRun.project || entry.name,
+                runCount: runIds.length,
+                latestRun
+            });
+        }
+        return projects;
+    }
+
+    /**
+     * Run IDs of a project, newest first
+     */
+    async listRunIds(projectId) {
+        const files = await fs.readdir(this.projectDir(projectId));
+        const runIds = new Set();
+        files.forEach(file => {
+            for (const pattern of RUN_FILE_PATTERNS) {
+                const match = file.match(pattern);
+                if (match) runIds.add(match[1]);
+            }
+        });
+        // Run IDs are timestamps, so they sort chronologically
+        return [...runIds].sort().reverse();
+    }
+
+    async listRuns(projectId) {
+        const runIds = await this.listRunIds(projectId);
+        return await Promise.all(runIds.map(runId => this.getRunSummary(projectId, runId)));
+    }
+
+    /**
+     * Current state of one run, folded from its events
+     */
+    async getRunSummary(projectId, runId) {
+        const events = await this.readEvents(projectId, runId);
+        const state = events.reduce(
+            (current, event) => applyRunEvent(current, event),
+            { status: 'unknown', tasks: {}, errors: [], alerts: [] }
+        );
+        const taskStatuses = Object.values(state.tasks);
+
+        return {
+            runId,
+            project: events[0]?.project || null,
+            status: state.status,
+            result: state.result || null,
+            phase: state.phase || null,
+            phaseStatus: state.phaseStatus || null,
+            currentIteration: state.currentIteration || 0,
+            maxIterations: state.maxIterations || null,
+            startTime: state.startTime ? new Date(state.startTime).toISOString() : null,
+            endTime: state.endTime ? new Date(state.endTime).toISOString() : null,
+            tasks: {
+                total: taskStatuses.length,
+                passed: taskStatuses.filter(status => status === 'pass').length,
+                failed: taskStatuses.filter(status => status === 'fail').length
+            },
+            errors: state.errors,
+            hasEvents: events.length > 0
+        };
+    }
+
+    /**
+     * Everything known about one run
+     */
+    async getRun(projectId, runId) {
+        const [summary, events, metrics, alerts] = await Promise.all([
+            this.getRunSummary(projectId, runId),
+            this.readEvents(projectId, runId),
+            this.readMetrics(projectId, runId),
+            this.getAlerts(projectId, runId)
+        ]);
+        return {
+            ...summary,
+            iterations: this.buildIterations(events),
+            taskDetails: this.buildTasks(events),
+            alerts,
+            metrics,
+            logFile: path.join(this.projectDir(projectId), `e2e_run_${runId}.log`)
+        };
+    }
+
+    async getIterations(projectId, runId) {
+        return this.buildIterations(await this.readEvents(projectId, runId));
+    }
+
+    async getTasks(projectId, runId) {
+        return this.buildTasks(await this.readEvents(projectId, runId));
+    }
+
+    /**
+     * Alerts from the MonitoringAlertsSystem alerts file, or from run events
+     * when the run has no alerts file
+     */
+    async getAlerts(projectId, runId) {
+        const content = await this.readOptional(path.join(this.projectDir(projectId), `e2e_alerts_${runId}.log`));
+        if (content !== null) {
+            return content.split('\n').filter(line => line.trim()).flatMap(line => {
+                try {
+                    return [JSON.parse(line)];
+                } catch (error) {
+                    return [];
+                }
+            });
+        }
+
+        return (await this.readEvents(projectId, runId))
+            .filter(event => event.type === 'alert')
+            .map(event => ({ type: event.alertType, level: event.level, message: event.message, timestamp: event.timestamp, iteration: event.iteration }));
+    }
+
+    // One entry per iteration: its phases and the task status changes it made
+    buildIterations(events) {
+        const iterations = new Map();
+        const iterationFor = (number) => {
+            if (!iterations.has(number)) {
+                iterations.set(number, { iteration: number, startedAt: null, failingTasks: [], phases: [], taskChanges: [] });
+            }
+            return iterations.get(number);
+        };
+
+        events.filter(event => event.iteration > 0).forEach(event => {
+            const iteration = iterationFor(event.iteration);
+            switch (event.type) {
+                case 'iteration_start':
+                    iteration.startedAt = event.timestamp;
+                    iteration.failingTasks = event.failingTasks || [];
+                    break;
+                case 'phase_start':
+                    iteration.phases.push({ phase: event.phase, startedAt: event.timestamp, endedAt: null, durationMs: null, success: null });
+                    break;
+                case 'phase_end': {
+                    let phase = [...iteration.phases].reverse().find(item => item.phase === event.phase && !item.endedAt);
+                    if (!phase) {
+                        phase = { phase: event.phase, startedAt: null };
+                        iteration.phases.push(phase);
+                    }
+                    Object.assign(phase, {
+                        endedAt: event.timestamp,
+                        durationMs: event.durationMs,
+                        success: event.success,
+                        ...(event.error && { error: event.error })
+                    });
+                    break;
+                }
+                case 'task_status':
+                    iteration.taskChanges.push({ taskId: event.taskId, from: event.from, to: event.to });
+                    break;
+                default:
+                    break;
+            }
+        });
+
+        return [...iterations.values()].sort((a, b) => a.iteration - b.iteration);
+    }
+
+    // Final status of each task and when it changed
+    buildTasks(events) {
+        const tasks = {};
+        events.forEach(event => {
+            if (event.type === 'run_start') {
+                Object.entries(event.tasks || {}).forEach(([taskId, status]) => {
+                    tasks[taskId] = { taskId, status, history: [] };
+                });
+            } else if (event.type === 'task_status') {
+                tasks[event.taskId] = tasks[event.taskId] || { taskId: event.taskId, status: event.from, history: [] };
+                tasks[event.taskId].status = event.to;
+                tasks[event.taskId].history.push({ iteration: event.iteration, from: event.from, to: event.to, timestamp: event.timestamp });
+            }
+        });
+        return Object.values(tasks);
+    }
+
+    async readEvents(projectId, runId) {
+        const eventPath = RunEventLog.getEventPath(this.projectDir(projectId), this.checkId(runId, 'run'));
+        return (await RunEventLog.readSince(eventPath)).events;
+    }
+
+    async readMetrics(projectId, runId) {
+        const content = await this.readOptional(path.join(this.projectDir(projectId), `e2e_metrics_${this.checkId(runId, 'run')}.json`));
+        if (content === null) return null;
+        try {
+            return JSON.parse(content);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    async readOptional(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    projectDir(projectId) {
+        return path.join(this.logsRoot, this.checkId(projectId, 'project'));
+    }
+
+    // IDs come from URLs, so keep them to plain file-name characters
+    checkId(id, kind) {
+        if (typeof id !== 'string' || !SAFE_ID_PATTERN.test(id) || id === '.' || id === '..') {
+            const error = new Error(`Invalid ${kind} ID: ${id}`);
+            error.code = 'INVALID_ID';
+            throw error;
+        }
+        return id;
+    }
+}
+
+export default RunHistory;
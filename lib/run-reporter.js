@@ -0,0 +1,284 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * End-of-run reports for CI and stakeholders
+ * Builds one summary of a finished run (task results, iteration timeline from
+ * the run events, phase durations, code changes and alerts) and writes it as:
+ *   e2e_report_<runId>.json   machine-readable summary
+ *   e2e_junit_<runId>.xml     JUnit XML, one testcase per QA task
+ *   e2e_report_<runId>.html   self-contained HTML report
+ */
+
+const STATUS_COLORS = { pass: '#1a7f37', fail: '#cf222e', skipped: '#6e7781' };
+
+class RunReporter {
+    constructor(options = {}) {
+        this.runId = options.runId;
+        this.outputDirectory = options.outputDirectory || path.join(process.cwd(), 'logs');
+        this.logger = options.logger || console.log;
+    }
+
+    getPaths() {
+        return {
+            json: path.join(this.outputDirectory, `e2e_report_${this.runId}.json`),
+            junit: path.join(this.outputDirectory, `e2e_junit_${this.runId}.xml`),
+            html: path.join(this.outputDirectory, `e2e_report_${this.runId}.html`)
+        };
+    }
+
+    /**
+     * @param {Object} run - Collected by the executor at the end of execute()
+     * @param {Object} run.qaUxData - Final QA document
+     * @param {Array<Object>} run.events - The run's lifecycle events (lib/run-event-log.js)
+     * @param {Array<Object>} run.timeline - Iterations built from the events (RunHistory.buildIterations)
+     * @param {Object} run.phaseStats - PhaseDurationEnforcer.getPhaseStats()
+     * @param {Array<Object>} run.codeChanges - MonitoringAlertsSystem code change metrics
+     * @param {Function} [run.isSelected] - (taskId, task) => whether the run worked on the task
+     */
+    buildSummary(run) {
+        const runStart = run.events.find(event => event.type === 'run_start');
+        const runEnd = [...run.events].reverse().find(event => event.type === 'run_end');
+        const delivery = [...run.events].reverse().find(event => event.type === 'delivery');
+        const isSelected = run.isSelected || (() => true);
+
+        const taskResults = Object.entries(run.qaUxData?.tasks || {}).map(([taskId, task]) => {
+            const status = isSelected(taskId, task) ? task.status : 'skipped';
+            return {
+                taskId,
+                description: task.description || null,
+                priority: task.priority || null,
+                category: task.category || null,
+                status,
+                ...(status === 'fail' && { failure: this.describeFailure(task) })
+            };
+        });
+
+        const startedAt = runStart?.timestamp || null;
+        const finishedAt = runEnd?.timestamp || new Date().toISOString();
+        return {
+            runId: this.runId,
+            project: run.project || runStart?.project || null,
+            qaFile: run.qaFile || runStart?.qaFile || null,
+            simulated: Boolean(run.simulated),
+            status: runEnd?.status || 'error',
+            exitCode: runEnd?.exitCode ?? null,
+            error: runEnd?.error || null,
+            startedAt,
+            finishedAt,
+            durationMs: startedAt ? Date.parse(finishedAt) - Date.parse(startedAt) : null,
+            iterations: run.timeline.length,
+            maxIterations: run.maxIterations || runStart?.maxIterations || null,
+            tasks: {
+                total: taskResults.length,
+                passed: taskResults.filter(task => task.status === 'pass').length,
+                failed: taskResults.filter(task => task.status === 'fail').length,
+                skipped: taskResults.filter(task => task.status === 'skipped').length
+            },
+            taskResults,
+            timeline: run.timeline,
+            phaseDurations: {
+                averages: run.phaseStats?.averageDurations || {},
+                phases: (run.phaseStats?.completed || []).map(({ phase, iteration, duration, qualityScore, forced }) => ({ phase, iteration, durationMs: duration, qualityScore, forced }))
+            },
+            codeChanges: run.codeChanges || [],
+            delivery: delivery
+                ? { mode: delivery.mode, iteration: delivery.iteration, commit: delivery.commit, pullRequest: delivery.pullRequest || null, previewUrl: delivery.previewUrl || null }
+                : null,
+            alerts: run.events
+                .filter(event => event.type === 'alert')
+                .map(event => ({ level: event.level, type: event.alertType, message: event.message, iteration: event.iteration, timestamp: event.timestamp })),
+            generatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Why a task still fails: Operator's failing step results, or its analysis
+     */
+    describeFailure(task) {
+        const steps = Array.isArray(task.test_steps) ? task.test_steps : [];
+        const failingSteps = steps
+            .map((step, index) => ({ step, number: step?.step || index + 1 }))
+            .filter(({ step }) => step && typeof step === 'object' && step.status === 'fail')
+            .map(({ step, number }) => `Step ${number}${step.action ? ` (${step.action})` : ''}: ${step.result || 'failed'}`);
+
+        const analysis = task.operatorAnalysis;
+        const analysisText = analysis && analysis.source !== 'verdict_extractor'
+            ? (typeof analysis === 'string' ? analysis : JSON.stringify(analysis, null, 2))
+            : null;
+
+        const message = failingSteps.length > 0
+            ? `${failingSteps.length} of ${steps.length} steps failing: ${failingSteps[0]}`
+            : (analysis?.summary || analysis?.issue || analysis?.message || 'Task still failing');
+        return {
+            message: String(message),
+            details: [...failingSteps, ...(analysisText ? [`Operator analysis:\n${analysisText}`] : [])].join('\n')
+        };
+    }
+
+    toJUnitXml(summary) {
+        const seconds = (ms) => ((ms || 0) / 1000).toFixed(3);
+        const suiteName = summary.project || 'operator-e2e';
+        const testcases = summary.taskResults.map(task => {
+            const attributes = `classname="${escapeXml(`${suiteName}.${task.category || 'tasks'}`)}" name="${escapeXml(task.taskId)}"`;
+            if (task.status === 'pass') {
+                return `    <testcase ${attributes}/>`;
+            }
+            const body = task.status === 'skipped'
+                ? '      <skipped message="Not selected for this run"/>'
+                : `      <failure message="${escapeXml(task.failure.message)}" type="OperatorVerdict">${escapeXml(task.failure.details)}</failure>`;
+            return `    <testcase ${attributes}>\n${body}\n    </testcase>`;
+        });
+        const counts = `tests="${summary.tasks.total}" failures="${summary.tasks.failed}" errors="${summary.status === 'error' ? 1 : 0}" skipped="${summary.tasks.skipped}" time="${seconds(summary.durationMs)}"`;
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="operator-e2e" ${counts}>`,
+            `  <testsuite name="${escapeXml(suiteName)}" ${counts} timestamp="${escapeXml(summary.startedAt || summary.generatedAt)}">`,
+            '    <properties>',
+            ...[['runId', summary.runId], ['qaFile', summary.qaFile], ['status', summary.status], ['exitCode', summary.exitCode], ['iterations', summary.iterations],
+                ...(summary.delivery ? [['pullRequest', summary.delivery.pullRequest?.url], ['previewUrl', summary.delivery.previewUrl]] : [])]
+                .map(([name, value]) => `      <property name="${name}" value="${escapeXml(value ?? '')}"/>`),
+            '    </properties>',
+            ...testcases,
+            ...(summary.error ? [`    <system-err>${escapeXml(summary.error)}</system-err>`] : []),
+            '  </testsuite>',
+            '</testsuites>',
+            ''
+        ].join('\n');
+    }
+
+    toHtml(summary) {
+        const duration = (ms) => ms === null || ms === undefined ? '-' : `${(ms / 1000).toFixed(1)}s`;
+        const badge = (status) => `<span class="badge" style="background:${STATUS_COLORS[status] || '#6e7781'}">${escapeHtml(status)}</span>`;
+        const longestPhase = Math.max(1, ...summary.timeline.flatMap(iteration => iteration.phases.map(phase => phase.durationMs || 0)));
+
+        const taskRows = summary.taskResults.map(task => `
+      <tr>
+        <td><code>${escapeHtml(task.taskId)}</code><div class="muted">${escapeHtml(task.description || '')}</div></td>
+        <td>${escapeHtml(task.priority || '-')}</td>
+        <td>${escapeHtml(task.category || '-')}</td>
+        <td>${badge(task.status)}</td>
+        <td>${task.failure ? `<pre>${escapeHtml(task.failure.details || task.failure.message)}</pre>` : ''}</td>
+      </tr>`).join('');
+
+        const timeline = summary.timeline.map(iteration => `
+      <div class="iteration">
+        <h3>Iteration ${iteration.iteration}${iteration.startedAt ? ` <span class="muted">${escapeHtml(iteration.startedAt)}</span>` : ''}</h3>
+        <div class="muted">Failing at start: ${escapeHtml(iteration.failingTasks.join(', ') || 'none')}</div>
+        ${iteration.phases.map(phase => `
+        <div class="phase">
+          <span class="phase-name">${escapeHtml(phase.phase)}</span>
+          <span class="bar ${phase.success === false ? 'failed' : ''}" style="width:${Math.max(2, Math.round((phase.durationMs || 0) / longestPhase * 100))}%"></span>
+          <span>${duration(phase.durationMs)}${phase.error ? ` - ${escapeHtml(phase.error)}` : ''}</span>
+        </div>`).join('')}
+        ${iteration.taskChanges.length > 0 ? `<div>Status changes: ${iteration.taskChanges.map(change => `<code>${escapeHtml(change.taskId)}</code> ${escapeHtml(change.from || '?')} → ${escapeHtml(change.to)}`).join(', ')}</div>` : ''}
+      </div>`).join('') || '<p class="muted">No iterations ran.</p>';
+
+        const phaseRows = summary.phaseDurations.phases.map(phase => `
+      <tr><td>${phase.iteration}</td><td>${escapeHtml(phase.phase)}</td><td>${duration(phase.durationMs)}</td><td>${phase.qualityScore ?? '-'}/100</td><td>${phase.forced ? 'yes' : ''}</td></tr>`).join('');
+        const averages = Object.entries(summary.phaseDurations.averages)
+            .map(([phase, ms]) => `${escapeHtml(phase)}: ${duration(ms)}`).join(' · ') || 'none';
+
+        const changeRows = summary.codeChanges.map(change => `
+      <tr><td>${change.iteration}</td><td>${change.verified ? '✅' : '❌'} ${escapeHtml(change.reason || '')}</td><td>${change.filesChanged ?? 0}</td><td>${change.linesChanged ?? 0}</td><td>${(change.commits || []).map(commit => `<code>${escapeHtml(commit.sha.slice(0, 7))}</code> ${escapeHtml(commit.subject)}`).join('<br>')}</td></tr>`).join('');
+
+        const alertRows = summary.alerts.map(alert => `
+      <tr><td>${escapeHtml(alert.level || '')}</td><td>${escapeHtml(alert.type || '')}</td><td>${alert.iteration ?? '-'}</td><td>${escapeHtml(alert.message || '')}</td></tr>`).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>E2E run ${escapeHtml(summary.runId)}${summary.project ? ` - ${escapeHtml(summary.project)}` : ''}</title>
+  <style>
+    body { font-family: -apple-system, 'Segoe UI', Helvetica, Arial, sans-serif; margin: 2rem; color: #1f2328; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 1.5rem; }
+    th, td { border-bottom: 1px solid #d0d7de; padding: 0.4rem 0.6rem; text-align: left; vertical-align: top; }
+    pre { margin: 0; white-space: pre-wrap; font-size: 0.85rem; }
+    .badge { color: #fff; border-radius: 1rem; padding: 0.1rem 0.6rem; font-size: 0.85rem; }
+    .muted { color: #6e7781; font-size: 0.85rem; }
+    .cards { display: flex; gap: 1rem; margin-bottom: 1.5rem; }
+    .card { border: 1px solid #d0d7de; border-radius: 6px; padding: 0.6rem 1rem; }
+    .iteration { border-left: 3px solid #d0d7de; padding-left: 1rem; margin-bottom: 1rem; }
+    .phase { display: flex; align-items: center; gap: 0.6rem; margin: 0.3rem 0; }
+    .phase-name { width: 5rem; }
+    .bar { display: inline-block; height: 0.8rem; background: #0969da; border-radius: 3px; }
+    .bar.failed { background: #cf222e; }
+  </style>
+</head>
+<body>
+  <h1>E2E run ${escapeHtml(summary.runId)} ${badge(summary.status === 'passed' ? 'pass' : 'fail')}</h1>
+  <p class="muted">${escapeHtml(summary.project || '')} · ${escapeHtml(summary.qaFile || '')}${summary.simulated ? ' · simulated' : ''}</p>
+  ${summary.error ? `<p><strong>Error:</strong> ${escapeHtml(summary.error)}</p>` : ''}
+  ${summary.delivery ? `<p><strong>Delivered</strong> (${escapeHtml(summary.delivery.mode)}, iteration ${summary.delivery.iteration}):${summary.delivery.pullRequest ? ` pull request <a href="${escapeHtml(summary.delivery.pullRequest.url)}">${escapeHtml(summary.delivery.pullRequest.url)}</a>` : ''}${summary.delivery.previewUrl ? ` · preview <a href="${escapeHtml(summary.delivery.previewUrl)}">${escapeHtml(summary.delivery.previewUrl)}</a>` : ''}</p>` : ''}
+  <div class="cards">
+    <div class="card">Status<br><strong>${escapeHtml(summary.status)}</strong></div>
+    <div class="card">Tasks<br><strong>${summary.tasks.passed}/${summary.tasks.total - summary.tasks.skipped} passing</strong></div>
+    <div class="card">Iterations<br><strong>${summary.iterations}${summary.maxIterations ? `/${summary.maxIterations}` : ''}</strong></div>
+    <div class="card">Duration<br><strong>${duration(summary.durationMs)}</strong></div>
+  </div>
+
+  <h2>Tasks</h2>
+  <table>
+    <tr><th>Task</th><th>Priority</th><th>Category</th><th>Status</th><th>Failure</th></tr>${taskRows}
+  </table>
+
+  <h2>Iteration timeline</h2>${timeline}
+
+  <h2>Phase durations</h2>
+  <p class="muted">Averages: ${averages}</p>
+  <table>
+    <tr><th>Iteration</th><th>Phase</th><th>Duration</th><th>Quality</th><th>Forced</th></tr>${phaseRows}
+  </table>
+
+  <h2>Code changes</h2>
+  <table>
+    <tr><th>Iteration</th><th>Verification</th><th>Files</th><th>Lines</th><th>Commits</th></tr>${changeRows}
+  </table>
+
+  <h2>Alerts</h2>
+  ${alertRows ? `<table>
+    <tr><th>Level</th><th>Type</th><th>Iteration</th><th>Message</th></tr>${alertRows}
+  </table>` : '<p class="muted">No alerts.</p>'}
+
+  <p class="muted">Generated ${escapeHtml(summary.generatedAt)}</p>
+</body>
+</html>
+`;
+    }
+
+    /**
+     * Write the JSON, JUnit XML and HTML reports; returns their paths
+     */
+    async write(summary) {
+        const paths = this.getPaths();
+        await fs.mkdir(this.outputDirectory, { recursive: true });
+        await Promise.all([
+            fs.writeFile(paths.json, JSON.stringify(summary, null, 2), 'utf8'),
+            fs.writeFile(paths.junit, this.toJUnitXml(summary), 'utf8'),
+            fs.writeFile(paths.html, this.toHtml(summary), 'utf8')
+        ]);
+        return paths;
+    }
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+export default RunReporter;
@@ -1,6 +1,8 @@
 import { stateManager } from './state-manager.js';
 import { commandExecutor } from './command-executor.js';
 import { execSync } from 'child_process';
+import BrowserTarget from './browser-target.js';
+import CDP from 'chrome-remote-interface';
 
 class SessionRecovery {
     constructor(options = {}) {
@@ -8,6 +10,17 @@ class SessionRecovery {
         this.logger = options.logger || console.log;
         this.maxRecoveryAttempts = options.maxRecoveryAttempts || 3;
         this.sessionId = options.sessionId || 'default';
+        // Optional per-step overrides ({ chrome, operator, claude }), e.g. for --simulate
+        this.probes = options.probes || {};
+        // Which tab is the browser agent's (project config: browserTarget)
+        this.browserTarget = options.browserTarget instanceof BrowserTarget
+            ? options.browserTarget
+            : new BrowserTarget(options.browserTarget);
+        this.pageLoadTimeoutMs = options.pageLoadTimeoutMs || 30000;
+        this.composerTimeoutMs = options.composerTimeoutMs || 15000; // Operator renders the composer after load
+        this.pollIntervalMs = options.pollIntervalMs || 500;
+        // ChromeLauncher of the run, when it manages Chrome (restarts it instead of only reporting)
+        this.chromeLauncher = options.chromeLauncher || null;
     }
 
     // Save session state for recovery
@@ -20,12 +33,25 @@ class SessionRecovery {
         return stateManager.getSessionState(`${this.sessionId}:${key}`);
     }
 
-    // Recover Operator session after timeout
+    /**
+     * Recover the Operator tab after a timeout or a closed target: attach over CDP,
+     * reload on an error modal, navigate back to the conversation, and succeed only
+     * once the composer textarea is interactive. Logged-out and rate-limited pages
+     * are reported, not reloaded - they need a login or time.
+     *
+     * @returns {Promise<Object>} { success, targetId, recovered, url, state, actions, error }
+     */
     async recoverOperatorSession(options = {}) {
         const { targetId, conversationUrl, iteration } = options;
         
         this.logger(`[RECOVERY] Starting Operator session recovery for iteration ${iteration}`);
         
+        if (this.probes.operator) {
+            return await this.probes.operator(options);
+        }
+        
+        let client = null;
+        const actions = [];
         try {
             // First, check if the tab is still alive
             const response = await fetch(`http://localhost:${this.chromePort}/json/list`);
@@ -38,27 +64,118 @@ class SessionRecovery {
                 if (!operatorTab) {
                     throw new Error('Failed to recover Operator tab');
                 }
+                actions.push(`attached to tab ${operatorTab.id}`);
             }
 
-            // For now, we'll just verify the tab exists
-            // Full CDP integration would require the chrome-remote-interface package
-            
-            this.logger('[RECOVERY] ✅ Operator tab found and accessible');
-            
-            return {
-                success: true,
-                targetId: operatorTab.id,
-                recovered: true
-            };
+            client = await this.attachToTab(operatorTab);
+            await client.Page.enable();
+
+            for (let attempt = 1; attempt <= this.maxRecoveryAttempts; attempt++) {
+                const sessionError = await this.checkForSessionErrors(client.Runtime);
+                if (sessionError.type === 'logged_out' || sessionError.type === 'rate_limit') {
+                    this.logger(`[RECOVERY] ❌ Operator page is ${sessionError.type === 'logged_out' ? 'logged out' : 'rate limited'}: ${sessionError.message}`);
+                    return {
+                        success: false,
+                        recovered: false,
+                        targetId: operatorTab.id,
+                        state: sessionError.type,
+                        error: sessionError.message,
+                        action: sessionError.type === 'logged_out' ? 'Log in to Operator in Chrome' : 'Wait for the rate limit to reset',
+                        actions
+                    };
+                }
+
+                const currentUrl = await this.getCurrentUrl(client.Page);
+                if (conversationUrl && currentUrl.split('#')[0] !== conversationUrl.split('#')[0]) {
+                    this.logger(`[RECOVERY] Tab is on ${currentUrl || '(unknown)'}, navigating back to ${conversationUrl}`);
+                    await this.loadPage(client, this.browserTarget.newTabUrl(conversationUrl));
+                    actions.push('navigate');
+                    continue;
+                }
+                if (sessionError.hasError) {
+                    this.logger(`[RECOVERY] Error on the Operator page (${sessionError.message}), reloading...`);
+                    await this.loadPage(client);
+                    actions.push('reload');
+                    continue;
+                }
+
+                if (await this.waitForComposer(client.Runtime, this.composerTimeoutMs)) {
+                    this.logger('[RECOVERY] ✅ Operator tab recovered - composer is interactive');
+                    return {
+                        success: true,
+                        targetId: operatorTab.id,
+                        recovered: true,
+                        url: currentUrl,
+                        state: 'ready',
+                        actions
+                    };
+                }
+
+                this.logger(`[RECOVERY] Composer not interactive after ${this.composerTimeoutMs}ms, reloading (attempt ${attempt}/${this.maxRecoveryAttempts})...`);
+                await this.loadPage(client);
+                actions.push('reload');
+            }
+
+            throw new Error(`Operator tab still not usable after ${this.maxRecoveryAttempts} attempts (${actions.join(', ')})`);
 
         } catch (error) {
             this.logger(`[RECOVERY] ❌ Failed to recover Operator session: ${error.message}`);
             return {
                 success: false,
                 error: error.message,
-                recovered: false
+                recovered: false,
+                actions
             };
+        } finally {
+            await client?.close().catch(() => {});
+        }
+    }
+
+    /**
+     * Attach to a tab over CDP: its own websocket, or a session on the browser-level
+     * endpoint when Chrome leaves the tab's webSocketDebuggerUrl out of /json/list
+     * (it does while another DevTools client is attached)
+     *
+     * @returns {Promise<Object>} { Page, Runtime, waitForEvent(method, timeoutMs), close() }
+     */
+    async attachToTab(tab) {
+        let client;
+        let sessionId;
+        if (tab.webSocketDebuggerUrl) {
+            client = await CDP({ target: tab.webSocketDebuggerUrl, local: true });
+        } else {
+            const { webSocketDebuggerUrl } = await CDP.Version({ port: this.chromePort });
+            client = await CDP({ target: webSocketDebuggerUrl, local: true });
+            try {
+                ({ sessionId } = await client.send('Target.attachToTarget', { targetId: tab.id, flatten: true }));
+            } catch (error) {
+                await client.close();
+                throw error;
+            }
+            this.logger(`[RECOVERY] Tab ${tab.id} has no DevTools websocket of its own, attached through the browser endpoint`);
         }
+
+        // Commands and events of the tab's session (sessionId is undefined on the tab's own websocket)
+        const domain = (name) => new Proxy({}, {
+            get: (target, method) => (params = {}) => client.send(`${name}.${String(method)}`, params, sessionId)
+        });
+        return {
+            Page: domain('Page'),
+            Runtime: domain('Runtime'),
+            waitForEvent: (method, timeoutMs) => new Promise((resolve) => {
+                const event = sessionId ? `${method}.${sessionId}` : method;
+                const onEvent = (params) => {
+                    clearTimeout(timer);
+                    resolve(params || {});
+                };
+                const timer = setTimeout(() => {
+                    client.removeListener(event, onEvent);
+                    resolve(null);
+                }, timeoutMs);
+                client.once(event, onEvent);
+            }),
+            close: () => client.close()
+        };
     }
 
     // Find or create Operator tab
@@ -66,8 +183,8 @@ class SessionRecovery {
         const response = await fetch(`http://localhost:${this.chromePort}/json/list`);
         const targets = await response.json();
         
-        // Look for existing Operator tab
-        let operatorTab = targets.find(t => t.url?.includes('operator.chatgpt.com'));
+        // Look for existing Operator tab (skipping tabs owned by other projects)
+        let operatorTab = this.browserTarget.findTab(targets);
         
         if (operatorTab) {
             this.logger('[RECOVERY] Found existing Operator tab');
@@ -77,7 +194,9 @@ class SessionRecovery {
         // Create new tab
         this.logger('[RECOVERY] Creating new Operator tab...');
         try {
-            const newTabResponse = await fetch(`http://localhost:${this.chromePort}/json/new?${conversationUrl || 'https://operator.chatgpt.com'}`);
+            // Encoded so the ownership marker (#e2e-owner=...) reaches Chrome as part of the URL
+            const newTabUrl = this.browserTarget.newTabUrl(conversationUrl || undefined);
+            const newTabResponse = await fetch(`http://localhost:${this.chromePort}/json/new?${encodeURIComponent(newTabUrl)}`);
             const newTab = await newTabResponse.json();
             
             // Wait a moment for tab to initialize
@@ -101,25 +220,19 @@ class SessionRecovery {
     }
 
     // Wait for page to load
-    async waitForPageLoad(Page, timeout = 30000) {
-        return new Promise((resolve) => {
-            let timeoutId;
-            
-            const cleanup = () => {
-                if (timeoutId) clearTimeout(timeoutId);
-                Page.loadEventFired(null);
-            };
-
-            Page.loadEventFired(() => {
-                cleanup();
-                resolve(true);
-            });
+    async waitForPageLoad(client, timeout = 30000) {
+        return (await client.waitForEvent('Page.loadEventFired', timeout)) !== null;
+    }
 
-            timeoutId = setTimeout(() => {
-                cleanup();
-                resolve(false);
-            }, timeout);
-        });
+    // Navigate to url (or reload when none) and wait for the load event
+    async loadPage(client, url = null) {
+        const loaded = this.waitForPageLoad(client, this.pageLoadTimeoutMs);
+        if (url) {
+            await client.Page.navigate({ url });
+        } else {
+            await client.Page.reload({ ignoreCache: true });
+        }
+        return await loaded;
     }
 
     // Check for session errors on the page
@@ -135,25 +248,27 @@ class SessionRecovery {
                             return { hasError: true, type: 'rate_limit', message: 'Rate limit detected' };
                         }
                         
-                        // Check for session expiration
+                        // Check for an expired session or a login page
                         if (rateLimitText.includes('session expired') || 
-                            rateLimitText.includes('please log in')) {
-                            return { hasError: true, type: 'session_expired', message: 'Session expired' };
+                            rateLimitText.includes('please log in') ||
+                            /\\/(auth|login|log-in)(\\/|$)/.test(location.pathname)) {
+                            return { hasError: true, type: 'logged_out', message: 'Logged out of Operator' };
                         }
                         
                         // Check for error modals
-                        const errorModal = document.querySelector('[role="alert"], .error-message');
+                        const errorModal = document.querySelector('[role="alert"], [role="alertdialog"], .error-message');
                         if (errorModal) {
                             return { 
                                 hasError: true, 
                                 type: 'error_modal', 
-                                message: errorModal.textContent.trim() 
+                                message: errorModal.textContent.trim().slice(0, 200) 
                             };
                         }
                         
                         return { hasError: false };
                     })()
-                `
+                `,
+                returnByValue: true
             });
 
             return result.result.value || { hasError: false };
@@ -162,17 +277,18 @@ class SessionRecovery {
         }
     }
 
-    // Verify we can interact with the page
+    // Verify we can interact with the page (a visible, enabled composer textarea)
     async verifyPageInteraction(Runtime) {
         try {
             const result = await Runtime.evaluate({
                 expression: `
                     (() => {
-                        // Check if text input is available
-                        const input = document.querySelector('textarea, input[type="text"]');
-                        return input && !input.disabled;
+                        const composer = Array.from(document.querySelectorAll('textarea'))
+                            .find(textarea => textarea.getBoundingClientRect().width > 0);
+                        return Boolean(composer && !composer.disabled && !composer.readOnly);
                     })()
-                `
+                `,
+                returnByValue: true
             });
 
             return result.result.value === true;
@@ -181,10 +297,24 @@ class SessionRecovery {
         }
     }
 
+    // Poll verifyPageInteraction until the composer is usable or timeoutMs passes
+    async waitForComposer(Runtime, timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            if (await this.verifyPageInteraction(Runtime)) return true;
+            if (Date.now() + this.pollIntervalMs > deadline) return false;
+            await new Promise(resolve => setTimeout(resolve, this.pollIntervalMs));
+        }
+    }
+
     // Recover tmux/Claude session or window
     async recoverClaudeSession(sessionOrWindowName = 'claude-code') {
         this.logger(`[RECOVERY] Checking Claude session/window: ${sessionOrWindowName}`);
         
+        if (this.probes.claude) {
+            return await this.probes.claude(sessionOrWindowName);
+        }
+        
         try {
             // Check if this is a window name (contains dashes) or session name
             const isWindowName = sessionOrWindowName.includes('-') && sessionOrWindowName.startsWith('e2e-');
@@ -353,12 +483,30 @@ class SessionRecovery {
 
     // Recover Chrome connection
     async recoverChromeConnection() {
+        if (this.probes.chrome) {
+            return await this.probes.chrome();
+        }
+        
         try {
             // Test connection
             const response = await fetch(`http://localhost:${this.chromePort}/json/list`);
             if (!response.ok) throw new Error('Connection failed');
             return { success: true, message: 'Chrome connection is healthy' };
         } catch (error) {
+            if (this.chromeLauncher) {
+                this.logger('[RECOVERY] Chrome connection failed, restarting the project Chrome...');
+                try {
+                    const launch = await this.chromeLauncher.restart();
+                    return { success: true, message: `Chrome is answering on port ${this.chromePort}`, restarted: launch.started, pid: launch.pid };
+                } catch (launchError) {
+                    return {
+                        success: false,
+                        message: `Chrome could not be restarted: ${launchError.message}`,
+                        action: 'Check chrome.executable and the Chrome profile directory'
+                    };
+                }
+            }
+
             this.logger('[RECOVERY] Chrome connection failed, checking if Chrome is running...');
             
             const isRunning = this.isChromeRunning();
@@ -0,0 +1,196 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Scripted scenario for offline runs (--simulate <scenario.json>)
+ *
+ * Replaces Operator and Claude with the mock backends and the Chrome/tmux
+ * health and recovery checks with scripted probes. Retry, health-check,
+ * phase-duration and monitoring logic still runs for real, on shortened timings.
+ *
+ * Scenario file:
+ *   {
+ *     "name": "timeout-then-pass",
+ *     "qaFile": "../sample_qa_ux.json",          // relative to the scenario file
+ *     "maxIterations": 3,
+ *     "timing": { "minPhaseDuration": 10, "retryDelay": 10, "healthRetryDelay": 10 },
+ *     "defaults": { "operator": "✅ Pass", "claude": "Done\nTASK_FINISHED" },
+ *     "iterations": [
+ *       {
+ *         "operator": [{ "timeout": true }, "Step 1: ✅ Pass"],   // one entry per send
+ *         "claude": { "output": "TASK_FINISHED", "delayMs": 50 },
+ *         "health": { "chrome": [false, true] },                 // one value per check
+ *         "recovery": { "operator": true }
+ *       }
+ *     ]
+ *   }
+ * Operator entries use MockBrowserBackend's format, Claude entries MockCodingBackend's.
+ */
+
+const HEALTH_SERVICES = ['chrome', 'operator', 'claude', 'system'];
+const RECOVERY_STEPS = ['chrome', 'operator', 'claude'];
+
+const DEFAULT_TIMING = {
+    minPhaseDuration: 10,   // ms, instead of 1-2 minutes per phase
+    retryDelay: 10,         // ms, initial retry backoff
+    healthRetryDelay: 10    // ms, wait between unhealthy checks
+};
+
+class SimulationScenario {
+    constructor(scenario = {}, options = {}) {
+        this.scenario = scenario;
+        this.name = scenario.name || 'unnamed';
+        this.baseDir = options.baseDir || process.cwd();
+        this.iterations = scenario.iterations || [];
+        this.defaults = scenario.defaults || {};
+        this.timing = { ...DEFAULT_TIMING, ...(scenario.timing || {}) };
+        this.healthCalls = new Map();
+
+        const problems = SimulationScenario.validate(scenario);
+        if (problems.length > 0) {
+            throw new Error(`Invalid simulation scenario '${this.name}': ${problems.join('; ')}`);
+        }
+    }
+
+    static async load(scenarioPath) {
+        const resolved = path.resolve(scenarioPath);
+        let content;
+        try {
+            content = await fs.readFile(resolved, 'utf8');
+        } catch (error) {
+            throw new Error(`Failed to read simulation scenario: ${error.message}`);
+        }
+
+        let scenario;
+        try {
+            scenario = JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Simulation scenario ${resolved} is not valid JSON: ${error.message}`);
+        }
+
+        return new SimulationScenario(scenario, { baseDir: path.dirname(resolved) });
+    }
+
+    // Return a list of problems with the scenario (empty when valid)
+    static validate(scenario) {
+        const problems = [];
+
+        if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) {
+            return ['scenario must be a JSON object'];
+        }
+        if (scenario.iterations !== undefined && !Array.isArray(scenario.iterations)) {
+            problems.push('iterations must be an array');
+        }
+        if (scenario.maxIterations !== undefined && !(Number.isInteger(scenario.maxIterations) && scenario.maxIterations > 0)) {
+            problems.push('maxIterations must be a positive integer');
+        }
+
+        (Array.isArray(scenario.iterations) ? scenario.iterations : []).forEach((iteration, index) => {
+            const label = `iterations[${index}]`;
+            if (!iteration || typeof iteration !== 'object') {
+                problems.push(`${label} must be an object`);
+                return;
+            }
+            for (const service of Object.keys(iteration.health || {})) {
+                if (!HEALTH_SERVICES.includes(service)) {
+                    problems.push(`${label}.health.${service} is not one of ${HEALTH_SERVICES.join(', ')}`);
+                }
+            }
+            for (const step of Object.keys(iteration.recovery || {})) {
+                if (!RECOVERY_STEPS.includes(step)) {
+                    problems.push(`${label}.recovery.${step} is not one of ${RECOVERY_STEPS.join(', ')}`);
+                }
+            }
+        });
+
+        return problems;
+    }
+
+    get qaFilePath() {
+        return this.scenario.qaFile ? path.resolve(this.baseDir, this.scenario.qaFile) : null;
+    }
+
+    get maxIterations() {
+        return this.scenario.maxIterations || null;
+    }
+
+    // Scripted behaviour for a 1-based iteration number
+    getIteration(iteration) {
+        return this.iterations[iteration - 1] || {};
+    }
+
+    // browserAgent config for one iteration's (fresh) mock connection
+    browserAgentConfig(iteration) {
+        const entries = this.getIteration(iteration).operator;
+        return {
+            backend: 'mock',
+            options: {
+                responses: entries === undefined ? [] : [].concat(entries),
+                defaultResponse: this.defaults.operator,
+                baseUrl: `mock://${this.name}`
+            }
+        };
+    }
+
+    // codingAgent config; getIteration() returns the executor's current iteration
+    codingAgentConfig(getIteration) {
+        return {
+            backend: 'mock',
+            options: {
+                defaultOutput: this.defaults.claude,
+                nextRun: () => this.getIteration(getIteration()).claude
+            }
+        };
+    }
+
+    // HealthCheckSystem probes; array values are consumed one per check within an iteration
+    healthProbes() {
+        const probes = {};
+        for (const service of HEALTH_SERVICES) {
+            probes[service] = async (iteration) => {
+                const key = `${iteration}:${service}`;
+                const call = this.healthCalls.get(key) || 0;
+                this.healthCalls.set(key, call + 1);
+
+                const scripted = this.getIteration(iteration).health?.[service];
+                const values = scripted === undefined ? [true] : [].concat(scripted);
+                const healthy = values[Math.min(call, values.length - 1)] !== false;
+
+                return {
+                    healthy,
+                    message: healthy ? `Simulated ${service} is healthy` : `Simulated ${service} failure`,
+                    details: { simulated: true, check: call + 1 }
+                };
+            };
+        }
+        return probes;
+    }
+
+    // SessionRecovery probes; getIteration() returns the executor's current iteration
+    recoveryProbes(getIteration) {
+        // There is no real Operator tab to hand back, so by default a failed send
+        // falls through to the retry loop instead of "recovering"
+        const defaults = { chrome: true, operator: false, claude: true };
+        const probes = {};
+        for (const step of RECOVERY_STEPS) {
+            probes[step] = async () => {
+                const scripted = this.getIteration(getIteration()).recovery?.[step];
+                const success = scripted === undefined ? defaults[step] : scripted !== false;
+                return success
+                    ? { success: true, simulated: true }
+                    : { success: false, simulated: true, error: `Simulated ${step} recovery failure` };
+            };
+        }
+        return probes;
+    }
+
+    // Retry overrides so backoff takes milliseconds instead of seconds
+    retryOverrides() {
+        return {
+            initialDelay: this.timing.retryDelay,
+            maxDelay: this.timing.retryDelay * 10
+        };
+    }
+}
+
+export default SimulationScenario;
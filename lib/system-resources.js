@@ -0,0 +1,165 @@
+import { execSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+/**
+ * System resource snapshot for the health check
+ *
+ * Memory and load come from /proc/meminfo and /proc/loadavg, capped by the
+ * cgroup v2 memory.max and cpu.max of this process (and its parent cgroups), so a
+ * container sees its own limits rather than the host's. Other platforms fall back
+ * to Node's os module. Disk space is read for the log directory; Chrome renderer
+ * processes are counted from /proc (or ps elsewhere).
+ */
+class SystemResources {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.diskPath] - Directory whose filesystem is checked (default: cwd)
+     * @param {string} [options.procRoot] - procfs mount (default: /proc)
+     * @param {string} [options.cgroupRoot] - cgroup v2 mount (default: /sys/fs/cgroup)
+     */
+    constructor(options = {}) {
+        this.diskPath = options.diskPath || process.cwd();
+        this.procRoot = options.procRoot || '/proc';
+        this.cgroupRoot = options.cgroupRoot || '/sys/fs/cgroup';
+    }
+
+    async readFile(filePath) {
+        try {
+            return (await fs.readFile(filePath, 'utf8')).trim();
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * @returns {Promise<Object>} { memory, cpu, disk, chrome }
+     */
+    async read() {
+        const cgroup = await this.readCgroupLimits();
+        return {
+            memory: await this.readMemory(cgroup),
+            cpu: await this.readCpu(cgroup),
+            disk: await this.readDisk(),
+            chrome: await this.countChromeRenderers()
+        };
+    }
+
+    async readMemory(cgroup) {
+        const meminfo = await this.readFile(path.join(this.procRoot, 'meminfo'));
+        const fields = {};
+        for (const line of (meminfo || '').split('\n')) {
+            const match = line.match(/^(\w+):\s+(\d+)\s*kB/);
+            if (match) fields[match[1]] = Math.round(Number(match[2]) / 1024);
+        }
+
+        let totalMB = fields.MemTotal ?? Math.round(os.totalmem() / 1024 / 1024);
+        let availableMB = fields.MemAvailable ?? fields.MemFree ?? Math.round(os.freemem() / 1024 / 1024);
+        let source = meminfo ? 'meminfo' : 'os';
+
+        if (cgroup.memoryLimitMB !== null && cgroup.memoryLimitMB < totalMB) {
+            totalMB = cgroup.memoryLimitMB;
+            availableMB = Math.min(availableMB, Math.max(0, cgroup.memoryLimitMB - cgroup.memoryUsedMB));
+            source = 'cgroup';
+        }
+
+        return { totalMB, availableMB, source };
+    }
+
+    async readCpu(cgroup) {
+        const loadavg = await this.readFile(path.join(this.procRoot, 'loadavg'));
+        const loadAverage = loadavg ? loadavg.split(/\s+/).slice(0, 3).map(Number) : os.loadavg();
+        const hostCores = os.cpus().length || 1;
+        const cores = cgroup.cpuLimit !== null ? Math.min(hostCores, cgroup.cpuLimit) : hostCores;
+
+        return {
+            cores,
+            cpuLimit: cgroup.cpuLimit,
+            loadAverage,
+            loadPerCore: Math.round((loadAverage[0] / cores) * 100) / 100
+        };
+    }
+
+    /**
+     * Tightest memory.max / cpu.max from this process's cgroup up to the root.
+     * memoryUsedMB leaves out reclaimable page cache (inactive_file), like docker stats.
+     */
+    async readCgroupLimits() {
+        const limits = { memoryLimitMB: null, memoryUsedMB: 0, cpuLimit: null };
+        const membership = await this.readFile(path.join(this.procRoot, 'self', 'cgroup'));
+        const unified = (membership || '').split('\n').find(line => line.startsWith('0::'));
+        if (!unified) return limits;
+
+        let relative = unified.slice(3) || '/';
+        for (;;) {
+            const dir = path.join(this.cgroupRoot, relative);
+
+            const memoryMax = await this.readFile(path.join(dir, 'memory.max'));
+            if (memoryMax && memoryMax !== 'max') {
+                const limitMB = Math.round(Number(memoryMax) / 1024 / 1024);
+                if (limits.memoryLimitMB === null || limitMB < limits.memoryLimitMB) {
+                    const current = Number(await this.readFile(path.join(dir, 'memory.current'))) || 0;
+                    const stat = await this.readFile(path.join(dir, 'memory.stat'));
+                    const inactiveFile = Number(stat?.match(/^inactive_file (\d+)$/m)?.[1] || 0);
+                    limits.memoryLimitMB = limitMB;
+                    limits.memoryUsedMB = Math.round(Math.max(0, current - inactiveFile) / 1024 / 1024);
+                }
+            }
+
+            const cpuMax = await this.readFile(path.join(dir, 'cpu.max'));
+            const [quota, period] = (cpuMax || '').split(/\s+/);
+            if (quota && quota !== 'max' && Number(period) > 0) {
+                const cpuLimit = Math.round((Number(quota) / Number(period)) * 100) / 100;
+                if (limits.cpuLimit === null || cpuLimit < limits.cpuLimit) limits.cpuLimit = cpuLimit;
+            }
+
+            if (relative === '/') break;
+            relative = path.dirname(relative);
+        }
+
+        return limits;
+    }
+
+    async readDisk() {
+        try {
+            const stats = await fs.statfs(this.diskPath);
+            return {
+                path: this.diskPath,
+                freeMB: Math.round((stats.bavail * stats.bsize) / 1024 / 1024),
+                totalMB: Math.round((stats.blocks * stats.bsize) / 1024 / 1024)
+            };
+        } catch (error) {
+            return { path: this.diskPath, freeMB: null, totalMB: null, error: error.message };
+        }
+    }
+
+    async countChromeRenderers() {
+        const isRenderer = (command) => /chrom/i.test(command) && command.includes('--type=renderer');
+
+        let entries;
+        try {
+            entries = await fs.readdir(this.procRoot);
+        } catch (error) {
+            entries = null;
+        }
+
+        if (!entries) {
+            try {
+                const commands = execSync('ps -A -o command=', { stdio: ['ignore', 'pipe', 'ignore'] }).toString().split('\n');
+                return { renderers: commands.filter(isRenderer).length };
+            } catch (error) {
+                return { renderers: null };
+            }
+        }
+
+        let renderers = 0;
+        for (const entry of entries.filter(name => /^\d+$/.test(name))) {
+            const cmdline = await this.readFile(path.join(this.procRoot, entry, 'cmdline'));
+            if (cmdline && isRenderer(cmdline.replace(/\0/g, ' '))) renderers++;
+        }
+        return { renderers };
+    }
+}
+
+export default SystemResources;
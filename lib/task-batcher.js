@@ -0,0 +1,85 @@
+/**
+ * Operator task batching
+ * Splits the failing tasks of an iteration into batches that each go to their
+ * own Operator conversation, capped by task count and by estimated prompt
+ * tokens. Tasks of the same category (or feature_name) stay together and in
+ * order; a group only spreads over several batches when it alone exceeds a cap.
+ * With no caps configured everything goes in one batch.
+ */
+
+const CHARS_PER_TOKEN = 4; // Rough size of a token in English/JSON text
+
+class TaskBatcher {
+    constructor(options = {}) {
+        this.maxTasks = options.maxTasks || 0;   // 0 = no limit
+        this.maxTokens = options.maxTokens || 0; // 0 = no limit
+    }
+
+    isEnabled() {
+        return this.maxTasks > 0 || this.maxTokens > 0;
+    }
+
+    static estimateTokens(value) {
+        const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+        return Math.ceil(text.length / CHARS_PER_TOKEN);
+    }
+
+    static groupKey(task) {
+        return task.category || task.feature_name || task.taskId;
+    }
+
+    /**
+     * @param {Array<Object>} tasks - Tasks with their taskId, in prompt order
+     * @param {number} sharedTokens - Tokens every batch prompt carries besides its tasks (setup sections)
+     * @returns {Array<Array<Object>>} Batches of tasks
+     */
+    split(tasks, sharedTokens = 0) {
+        if (!this.isEnabled() || tasks.length === 0) {
+            return tasks.length > 0 ? [tasks] : [];
+        }
+
+        const groups = new Map();
+        tasks.forEach(task => {
+            const key = TaskBatcher.groupKey(task);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(task);
+        });
+
+        const batches = [];
+        let current = { tasks: [], tokens: sharedTokens };
+        const fits = (batch, count, tokens) =>
+            (!this.maxTasks || batch.tasks.length + count <= this.maxTasks) &&
+            (!this.maxTokens || batch.tokens + tokens <= this.maxTokens);
+        const close = () => {
+            if (current.tasks.length > 0) batches.push(current.tasks);
+            current = { tasks: [], tokens: sharedTokens };
+        };
+
+        for (const group of groups.values()) {
+            const groupTokens = group.reduce((sum, task) => sum + TaskBatcher.estimateTokens(task), 0);
+            if (!fits(current, group.length, groupTokens)) {
+                close();
+            }
+            if (fits(current, group.length, groupTokens)) {
+                current.tasks.push(...group);
+                current.tokens += groupTokens;
+                continue;
+            }
+
+            // Group too big for any batch - fill batches task by task (an oversized task goes alone)
+            for (const task of group) {
+                const taskTokens = TaskBatcher.estimateTokens(task);
+                if (!fits(current, 1, taskTokens) && current.tasks.length > 0) {
+                    close();
+                }
+                current.tasks.push(task);
+                current.tokens += taskTokens;
+            }
+        }
+        close();
+
+        return batches;
+    }
+}
+
+export default TaskBatcher;
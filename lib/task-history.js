@@ -0,0 +1,131 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+/**
+ * Per-task attempt history across runs
+ * One JSON line per task and iteration in the project log directory
+ * (task_history.jsonl): the task's status after Operator's verdict, the Claude
+ * commits made while it was being fixed and how long the iteration took. Read
+ * back, it tells how often a task's pass did not hold (flakiness) and how long
+ * it has been failing in a row.
+ *
+ * Record: { runId, iteration, taskId, status, previousStatus, commits: [{ sha, subject }], durationMs, recordedAt }
+ */
+
+export const TASK_HISTORY_FILE = 'task_history.jsonl';
+
+const DEFAULT_THRESHOLDS = {
+    flakyScore: 0.3,        // Share of passes that later flipped to fail
+    flakyMinFlips: 2,       // pass→fail flips before a task counts as flaky
+    chronicFailStreak: 5    // Failed attempts in a row before a task counts as chronically failing
+};
+
+class TaskHistory {
+    constructor(options = {}) {
+        this.historyPath = options.historyPath || path.join(options.logDirectory || path.join(process.cwd(), 'logs'), TASK_HISTORY_FILE);
+        this.logger = options.logger || console.log;
+        this.thresholds = { ...DEFAULT_THRESHOLDS, ...(options.thresholds || {}) };
+    }
+
+    // Append one record per task for an iteration
+    async recordIteration({ runId, iteration, tasks, commits = [], durationMs = null }) {
+        const recordedAt = new Date().toISOString();
+        const records = tasks.map(({ taskId, status, previousStatus }) => ({
+            runId,
+            iteration,
+            taskId,
+            status,
+            previousStatus: previousStatus || null,
+            commits,
+            durationMs,
+            recordedAt
+        }));
+        if (records.length === 0) return records;
+
+        try {
+            await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+            await fs.appendFile(this.historyPath, records.map(record => `${JSON.stringify(record)}\n`).join(''), 'utf8');
+        } catch (error) {
+            // Losing history must not break the run itself
+            this.logger(`[HISTORY] Failed to record iteration ${iteration}: ${error.message}`);
+        }
+
+        return records;
+    }
+
+    // All records in the order they were written; a record written again for the
+    // same run, iteration and task (resumed run) replaces the earlier one
+    async readRecords() {
+        let content;
+        try {
+            content = await fs.readFile(this.historyPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const records = new Map();
+        content.split('\n').filter(line => line.trim()).forEach(line => {
+            try {
+                const record = JSON.parse(line);
+                const key = `${record.runId}|${record.iteration}|${record.taskId}`;
+                records.delete(key);
+                records.set(key, record);
+            } catch (error) {
+                // Torn line from a crash mid-write
+            }
+        });
+        return [...records.values()];
+    }
+
+    // Statistics for one task from its records, oldest first
+    summarizeTask(taskId, records) {
+        const statuses = records.map(record => record.status);
+        const passToFail = statuses.filter((status, i) => i > 0 && status === 'fail' && statuses[i - 1] === 'pass').length;
+        const passesFollowed = statuses.filter((status, i) => status === 'pass' && i < statuses.length - 1).length;
+        const flakinessScore = passesFollowed > 0 ? Number((passToFail / passesFollowed).toFixed(2)) : 0;
+
+        let failStreak = 0;
+        while (failStreak < statuses.length && statuses[statuses.length - 1 - failStreak] === 'fail') {
+            failStreak++;
+        }
+        const streak = records.slice(records.length - failStreak);
+
+        return {
+            taskId,
+            attempts: records.length,
+            runs: new Set(records.map(record => record.runId)).size,
+            passes: statuses.filter(status => status === 'pass').length,
+            fails: statuses.filter(status => status === 'fail').length,
+            passToFail,
+            flakinessScore,
+            failStreak,
+            failingRuns: new Set(streak.map(record => record.runId)).size,
+            commits: new Set(records.flatMap(record => (record.commits || []).map(commit => commit.sha))).size,
+            totalDurationMs: records.reduce((sum, record) => sum + (record.durationMs || 0), 0),
+            lastStatus: statuses[statuses.length - 1] || null,
+            lastRunId: records[records.length - 1]?.runId || null,
+            flaky: passToFail >= this.thresholds.flakyMinFlips && flakinessScore >= this.thresholds.flakyScore,
+            chronic: failStreak >= this.thresholds.chronicFailStreak
+        };
+    }
+
+    // Statistics for every task with history, keyed by task ID
+    async summarize() {
+        const byTask = new Map();
+        (await this.readRecords()).forEach(record => {
+            if (!byTask.has(record.taskId)) byTask.set(record.taskId, []);
+            byTask.get(record.taskId).push(record);
+        });
+        return Object.fromEntries([...byTask].map(([taskId, records]) => [taskId, this.summarizeTask(taskId, records)]));
+    }
+
+    // Tasks that are flaky or chronically failing, worst first
+    async getFlaggedTasks() {
+        return Object.values(await this.summarize())
+            .filter(stats => stats.flaky || stats.chronic)
+            .sort((a, b) => (b.failStreak - a.failStreak) || (b.flakinessScore - a.flakinessScore));
+    }
+}
+
+export default TaskHistory;
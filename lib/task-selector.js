@@ -0,0 +1,75 @@
+/**
+ * Task selection for a run (--only, --exclude, --priority, --category)
+ * A task is selected when it passes every given filter, so a run can iterate
+ * on one broken feature; with no filters every task is selected. Lists are
+ * comma-separated; priorities and categories match case-insensitively.
+ */
+
+export const TASK_PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+class TaskSelector {
+    constructor(options = {}) {
+        this.only = TaskSelector.toList(options.only);
+        this.exclude = TaskSelector.toList(options.exclude);
+        this.priorities = TaskSelector.toList(options.priority).map(value => value.toLowerCase());
+        this.categories = TaskSelector.toList(options.category).map(value => value.toLowerCase());
+
+        const unknownPriorities = this.priorities.filter(priority => !TASK_PRIORITIES.includes(priority));
+        if (unknownPriorities.length > 0) {
+            throw new Error(`Unknown priority ${unknownPriorities.join(', ')} - use one of ${TASK_PRIORITIES.join(', ')}`);
+        }
+    }
+
+    // Accepts "a,b" or ["a", "b"]
+    static toList(value) {
+        if (!value) return [];
+        return (Array.isArray(value) ? value : String(value).split(','))
+            .map(item => String(item).trim())
+            .filter(Boolean);
+    }
+
+    isActive() {
+        return this.only.length + this.exclude.length + this.priorities.length + this.categories.length > 0;
+    }
+
+    matches(taskId, task = {}) {
+        if (this.only.length > 0 && !this.only.includes(taskId)) return false;
+        if (this.exclude.includes(taskId)) return false;
+        if (this.priorities.length > 0 && !this.priorities.includes(String(task.priority || '').toLowerCase())) return false;
+        if (this.categories.length > 0 && !this.categories.includes(String(task.category || '').toLowerCase())) return false;
+        return true;
+    }
+
+    /**
+     * Selected tasks, keyed by task ID like qaUxData.tasks
+     */
+    select(tasks = {}) {
+        return Object.fromEntries(Object.entries(tasks).filter(([taskId, task]) => this.matches(taskId, task)));
+    }
+
+    /**
+     * Problems with the selection against the loaded tasks: IDs that don't exist
+     * are warnings, a selection that leaves no tasks is an error
+     */
+    check(tasks = {}) {
+        const warnings = [...this.only, ...this.exclude]
+            .filter(taskId => !tasks[taskId])
+            .map(taskId => `Task ${taskId} is not in the QA file`);
+        const errors = Object.keys(this.select(tasks)).length === 0
+            ? [`No tasks match the selection (${this.describe()})`]
+            : [];
+        return { errors, warnings };
+    }
+
+    describe() {
+        const parts = [
+            this.only.length > 0 && `only ${this.only.join(', ')}`,
+            this.exclude.length > 0 && `excluding ${this.exclude.join(', ')}`,
+            this.priorities.length > 0 && `priority ${this.priorities.join(', ')}`,
+            this.categories.length > 0 && `category ${this.categories.join(', ')}`
+        ].filter(Boolean);
+        return parts.length > 0 ? parts.join('; ') : 'all tasks';
+    }
+}
+
+export default TaskSelector;
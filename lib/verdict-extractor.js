@@ -0,0 +1,262 @@
+/**
+ * Operator verdict extraction
+ * Maps Operator's free-text "✅ Pass" / "❌ Fail" result lines onto the
+ * task IDs and test step indexes of the loaded QA_UX data
+ */
+
+const PASS_PATTERN = /✅|\bpass(?:ed|es)?\b/i;
+const FAIL_PATTERN = /❌|\bfail(?:ed|s|ure)?\b/i;
+const STEP_PATTERN = /\bstep\s*#?\s*(\d+)\b/i;
+
+class VerdictExtractor {
+    constructor(options = {}) {
+        this.logger = options.logger || (() => {});
+        this.minStepSimilarity = options.minStepSimilarity || 0.5;
+    }
+
+    // Extract per-task verdicts from an Operator response
+    extract(operatorResponse, qaUxData, options = {}) {
+        const tasks = qaUxData?.tasks || {};
+        const scope = options.taskIds || Object.keys(tasks);
+        const candidates = scope
+            .filter(taskId => tasks[taskId])
+            .map(taskId => this.buildTaskMatcher(taskId, tasks[taskId]));
+
+        const verdicts = {};
+        const unmatchedLines = [];
+        let currentTask = null;
+
+        const lines = String(operatorResponse || '').split('\n');
+        lines.forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            const mentioned = this.findMentionedTask(line, candidates);
+            const verdict = this.classifyLine(line);
+
+            if (!verdict) {
+                // Non-verdict lines can still switch the task context (e.g. headings)
+                if (mentioned) currentTask = mentioned;
+                return;
+            }
+
+            let resolvedTask = mentioned;
+            let taskConfidence = 1;
+            if (!resolvedTask && currentTask) {
+                resolvedTask = currentTask;
+                taskConfidence = 0.8;
+            } else if (!resolvedTask && candidates.length === 1) {
+                resolvedTask = candidates[0];
+                taskConfidence = 0.6;
+            }
+
+            if (!resolvedTask) {
+                unmatchedLines.push({ line: index + 1, text: line, verdict, reason: 'no_task_match' });
+                return;
+            }
+            currentTask = resolvedTask;
+
+            const stepMatch = this.matchStep(line, resolvedTask);
+            const confidence = Number((taskConfidence * stepMatch.confidence).toFixed(2));
+
+            if (stepMatch.stepIndex === null && resolvedTask.stepCount > 0 && !this.isOverallLine(line)) {
+                unmatchedLines.push({ line: index + 1, text: line, verdict, reason: 'no_step_match', taskId: resolvedTask.taskId });
+                return;
+            }
+
+            if (!verdicts[resolvedTask.taskId]) {
+                verdicts[resolvedTask.taskId] = { taskId: resolvedTask.taskId, steps: [], overall: [] };
+            }
+
+            const entry = {
+                line: index + 1,
+                text: line,
+                verdict,
+                reason: this.extractReason(line),
+                confidence
+            };
+
+            if (stepMatch.stepIndex !== null) {
+                verdicts[resolvedTask.taskId].steps.push({ stepIndex: stepMatch.stepIndex, ...entry });
+            } else {
+                verdicts[resolvedTask.taskId].overall.push(entry);
+            }
+        });
+
+        const results = {};
+        for (const candidate of candidates) {
+            const taskVerdict = verdicts[candidate.taskId];
+            if (taskVerdict) {
+                results[candidate.taskId] = this.summarizeTask(taskVerdict, candidate);
+            }
+        }
+
+        const confidences = Object.values(results).map(r => r.confidence);
+        const confidence = confidences.length > 0
+            ? Number((confidences.reduce((sum, c) => sum + c, 0) / confidences.length).toFixed(2))
+            : 0;
+
+        this.logger(`[VERDICT] Extracted verdicts for ${Object.keys(results).length}/${candidates.length} tasks (confidence ${confidence}, ${unmatchedLines.length} unmatched lines)`);
+
+        return {
+            tasks: results,
+            unmatchedLines,
+            confidence,
+            extractedAt: new Date().toISOString()
+        };
+    }
+
+    // Build the lookup data used to recognise a task in free text
+    buildTaskMatcher(taskId, task) {
+        const names = [taskId, task.feature_name, task.description]
+            .filter(name => typeof name === 'string' && name.trim().length > 2)
+            .map(name => this.normalize(name));
+
+        const steps = (task.test_steps || []).map((step, index) => {
+            const text = typeof step === 'string' ? step : [step.action, step.expectation].filter(Boolean).join(' ');
+            return {
+                index,
+                number: typeof step === 'object' && step.step ? Number(step.step) : index + 1,
+                tokens: this.tokenize(text)
+            };
+        });
+
+        return { taskId, names, steps, stepCount: steps.length };
+    }
+
+    // Return the task a line explicitly refers to, preferring the longest match
+    findMentionedTask(line, candidates) {
+        const normalized = this.normalize(line);
+        let best = null;
+        let bestLength = 0;
+
+        for (const candidate of candidates) {
+            for (const name of candidate.names) {
+                if (name.length > bestLength && normalized.includes(name)) {
+                    best = candidate;
+                    bestLength = name.length;
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Classify a line as pass/fail, or null when it carries no verdict
+    classifyLine(line) {
+        // Emoji markers win over words, so "✅ Pass - no failures" stays a pass
+        if (line.includes('❌')) return 'fail';
+        if (line.includes('✅')) return 'pass';
+        if (FAIL_PATTERN.test(line)) return 'fail';
+        if (PASS_PATTERN.test(line)) return 'pass';
+        return null;
+    }
+
+    // Map a verdict line onto a test step of the task
+    matchStep(line, candidate) {
+        if (candidate.stepCount === 0) {
+            return { stepIndex: null, confidence: 1 };
+        }
+
+        const stepNumber = line.match(STEP_PATTERN);
+        if (stepNumber) {
+            const step = candidate.steps.find(s => s.number === Number(stepNumber[1]));
+            if (step) {
+                return { stepIndex: step.index, confidence: 1 };
+            }
+        }
+
+        const lineTokens = this.tokenize(line);
+        let bestStep = null;
+        let bestScore = 0;
+        for (const step of candidate.steps) {
+            const score = this.similarity(lineTokens, step.tokens);
+            if (score > bestScore) {
+                bestStep = step;
+                bestScore = score;
+            }
+        }
+
+        if (bestStep && bestScore >= this.minStepSimilarity) {
+            return { stepIndex: bestStep.index, confidence: Number(bestScore.toFixed(2)) };
+        }
+
+        return { stepIndex: null, confidence: 0.7 };
+    }
+
+    // Combine step and overall verdicts into a task-level verdict
+    summarizeTask(taskVerdict, candidate) {
+        // Keep the last verdict Operator gave for each step
+        const stepVerdicts = new Map();
+        for (const step of taskVerdict.steps) {
+            stepVerdicts.set(step.stepIndex, step);
+        }
+
+        const steps = Array.from(stepVerdicts.values()).sort((a, b) => a.stepIndex - b.stepIndex);
+        const all = [...steps, ...taskVerdict.overall];
+        const anyFail = all.some(v => v.verdict === 'fail');
+        const stepsCovered = candidate.stepCount === 0 || stepVerdicts.size === candidate.stepCount;
+
+        let status;
+        if (anyFail) {
+            status = 'fail';
+        } else if (stepsCovered || taskVerdict.overall.length > 0) {
+            status = 'pass';
+        } else {
+            status = 'incomplete';
+        }
+
+        let confidence = all.reduce((sum, v) => sum + v.confidence, 0) / all.length;
+        if (status === 'pass' && !stepsCovered) {
+            // A pass without a verdict for every step is weaker evidence
+            confidence *= stepVerdicts.size / candidate.stepCount || 0.5;
+        }
+
+        return {
+            taskId: taskVerdict.taskId,
+            status,
+            confidence: Number(confidence.toFixed(2)),
+            steps,
+            overall: taskVerdict.overall,
+            stepsCovered: stepVerdicts.size,
+            stepCount: candidate.stepCount
+        };
+    }
+
+    // Whether a line is a summary verdict rather than a step result
+    isOverallLine(line) {
+        return /\b(overall|summary|result|status|all (?:steps|tests))\b/i.test(line);
+    }
+
+    // Text after the verdict marker, e.g. "❌ Fail - Modal does not appear"
+    extractReason(line) {
+        const match = line.match(/(?:✅|❌)?\s*\b(?:pass(?:ed)?|fail(?:ed)?)\b\s*[-–—:]\s*(.+)$/i);
+        return match ? match[1].trim() : null;
+    }
+
+    normalize(text) {
+        return text.toLowerCase().replace(/[_-]+/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    tokenize(text) {
+        const stopWords = new Set(['the', 'and', 'a', 'an', 'to', 'in', 'of', 'on', 'is', 'with', 'for', 'step', 'pass', 'fail', 'passed', 'failed', 'expect', 'see']);
+        return new Set(
+            this.normalize(text)
+                .replace(/[^a-z0-9\s]/g, ' ')
+                .split(' ')
+                .filter(token => token.length > 2 && !stopWords.has(token))
+        );
+    }
+
+    // Share of the step's tokens that appear in the line
+    similarity(lineTokens, stepTokens) {
+        if (stepTokens.size === 0) return 0;
+        let shared = 0;
+        for (const token of stepTokens) {
+            if (lineTokens.has(token)) shared++;
+        }
+        return shared / stepTokens.size;
+    }
+}
+
+export default VerdictExtractor;
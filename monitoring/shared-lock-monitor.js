@@ -3,16 +3,22 @@
 /**
  * Shared Lock Monitoring Dashboard
  * Real-time monitoring of the shared lock system
+ * Reads the lock files in the shared lock directory, so it shows the locks
+ * held by executor and monitor processes running elsewhere.
+ *
+ * Usage: node monitoring/shared-lock-monitor.js [--target <session:window>]
  */
 
 import { sharedLock } from '../shared-state.js';
 import readline from 'readline';
 
 class SharedLockMonitor {
-    constructor() {
+    constructor(options = {}) {
         this.isRunning = true;
         this.refreshInterval = 1000; // 1 second
         this.lastMetrics = null;
+        this.lock = options.lock || sharedLock;
+        this.target = options.target || null; // Show every target with lock state when not set
     }
 
     clearScreen() {
@@ -30,8 +36,6 @@ class SharedLockMonitor {
     displayDashboard() {
         this.clearScreen();
         
-        const metrics = sharedLock.getMetrics();
-        const status = sharedLock.getLockStatus();
         const timestamp = new Date().toISOString();
         
         console.log('╔════════════════════════════════════════════════════════════════╗');
@@ -39,12 +43,30 @@ class SharedLockMonitor {
         console.log('╠════════════════════════════════════════════════════════════════╣');
         console.log(`║ Time: ${timestamp}                       ║`);
         console.log('╚════════════════════════════════════════════════════════════════╝');
+        console.log(`Lock directory: ${this.lock.lockDir}`);
+        
+        const targets = this.target ? [this.target] : this.lock.listTargets();
+        if (targets.length === 0) {
+            console.log('\nNo lock activity recorded yet');
+        }
+        targets.forEach(target => this.displayTarget(target));
+        
+        console.log('\n───────────────────────────────────────────────────────────────');
+        console.log('Press Ctrl+C to exit | Updates every second');
+    }
+
+    displayTarget(target) {
+        const metrics = this.lock.getMetrics(target);
+        const status = this.lock.getLockStatus(target);
+        
+        console.log(`\n🎯 TARGET: ${target}`);
+        console.log('═══════════════════════════════════════════════════════════════');
         
         // Current Lock Status
         console.log('\n📊 CURRENT LOCK STATUS');
         console.log('─────────────────────');
         if (status.isSendingToClaude) {
-            console.log(`🔒 LOCKED by: ${status.sendingLayerId}`);
+            console.log(`🔒 LOCKED by: ${status.sendingLayerId} (pid ${status.ownerPid}${status.ownerAlive ? '' : ', exited - will be force released'})`);
             console.log(`⏱️  Duration: ${this.formatDuration(status.lockAge)}`);
             console.log(`🕐 Started: ${new Date(status.lockStartTime).toLocaleTimeString()}`);
         } else {
@@ -93,7 +115,7 @@ class SharedLockMonitor {
                            activity.action === 'released' ? '🔓' :
                            activity.action.includes('blocked') ? '🚫' : '⚠️';
                 const duration = activity.duration ? ` (${activity.duration}ms)` : '';
-                console.log(`${time} ${icon} ${activity.layerId}: ${activity.action}${duration}`);
+                console.log(`${time} ${icon} ${activity.layerId} (pid ${activity.pid}): ${activity.action}${duration}`);
             });
         }
         
@@ -103,17 +125,20 @@ class SharedLockMonitor {
         const health = this.calculateHealth(metrics, status);
         console.log(`Overall Health: ${health.icon} ${health.status}`);
         health.issues.forEach(issue => console.log(`  - ${issue}`));
-        
-        console.log('\n───────────────────────────────────────────────────────────────');
-        console.log('Press Ctrl+C to exit | Updates every second');
     }
 
-    calculateHealth(metrics, status) {
+    calculateHealth(metrics, lockStatus) {
         const issues = [];
         let healthScore = 100;
         
+        // Check for locks whose owner process is gone
+        if (lockStatus.isSendingToClaude && !lockStatus.ownerAlive) {
+            issues.push(`⚠️  Lock owner pid ${lockStatus.ownerPid} has exited`);
+            healthScore -= 20;
+        }
+        
         // Check for stuck locks
-        if (status.isSendingToClaude && status.lockAge > 60000) {
+        if (lockStatus.isSendingToClaude && lockStatus.lockAge > 60000) {
             issues.push('⚠️  Lock held for over 1 minute');
             healthScore -= 20;
         }
@@ -178,7 +203,8 @@ class SharedLockMonitor {
 
 // Run the monitor
 if (import.meta.url === `file://${process.argv[1]}`) {
-    const monitor = new SharedLockMonitor();
+    const targetIndex = process.argv.indexOf('--target');
+    const monitor = new SharedLockMonitor({ target: targetIndex !== -1 ? process.argv[targetIndex + 1] : null });
     monitor.start().catch(console.error);
 }
 
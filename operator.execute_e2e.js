@@ -15,6 +15,7 @@
  * 
  * Usage:
  *   node operator.execute_e2e.js <qa_ux_file.json>
+ *   node operator.execute_e2e.js validate <qa_ux_file>
  *   node operator.execute_e2e.js --help
  */
 
@@ -23,22 +24,39 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 
-// Import existing utilities
-import tmuxUtils from '../workflows/tmux_utils.js';
-import { OperatorMessageSenderWithResponse } from '../operator/send_and_wait_for_response.js';
-import workflowUtils from '../workflows/shared/workflow_utils.js';
-import { ChainKeywordMonitor } from '../workflows/chain_keyword_monitor.js';
-import WindowKeywordMonitor from './lib/monitors/WindowKeywordMonitor.js';
+// Import existing utilities (tmux and Operator tooling is loaded lazily by the backends)
 import ProjectManager from './lib/project-manager.js';
 import MultiFormatParser from './lib/file-parsers/MultiFormatParser.js';
+import QaResultsWriter from './lib/file-parsers/QaResultsWriter.js';
+import QaUxValidator from './lib/qa-ux-validator.js';
 
 // Import new reliability modules
 import RetryUtility from './lib/retry-utility.js';
 import HealthCheckSystem from './lib/health-check.js';
 import CodeChangeVerifier from './lib/code-change-verifier.js';
 import SessionRecovery from './lib/session-recovery.js';
+import BrowserTarget from './lib/browser-target.js';
+import ChromeLauncher from './lib/chrome-launcher.js';
+import PortRegistry from './lib/port-registry.js';
 import PhaseDurationEnforcer from './lib/phase-duration-enforcer.js';
 import MonitoringAlertsSystem from './lib/monitoring-alerts.js';
+import VerdictExtractor from './lib/verdict-extractor.js';
+import CheckpointJournal from './lib/checkpoint-journal.js';
+import RunEventLog from './lib/run-event-log.js';
+import RunHistory from './lib/run-history.js';
+import RunReporter from './lib/run-reporter.js';
+import SimulationScenario from './lib/simulation-scenario.js';
+import ClaudePromptBuilder from './lib/claude-prompt-builder.js';
+import TaskSelector from './lib/task-selector.js';
+import TaskBatcher from './lib/task-batcher.js';
+import TaskHistory, { TASK_HISTORY_FILE } from './lib/task-history.js';
+import GitRunBranch from './lib/git-run-branch.js';
+import DeliveryManager, { DELIVERY_MODES } from './lib/delivery-manager.js';
+import { createForge } from './lib/forges/forge-factory.js';
+import { EXIT_CODES, configError, infrastructureError, interruptedError, exitCodeFor, describeExitCode } from './lib/exit-codes.js';
+import { installPlainConsole } from './lib/plain-output.js';
+import { createBrowserBackend } from './lib/backends/browser-backend-factory.js';
+import { createCodingBackend } from './lib/backends/coding-backend-factory.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -47,12 +65,21 @@ class OperatorE2EExecutor {
     constructor(options = {}) {
         this.qaUxFilePath = options.qaUxFilePath;
         this.maxIterations = options.maxIterations || 5;
-        this.workingDir = options.workingDir || process.cwd();
+        this.projectPath = options.projectPath || null; // Run for another project than the current directory
+        this.projectName = options.projectName || null;
+        this.projectConfigPath = options.projectConfigPath || null;
+        this.workingDir = options.workingDir || this.projectPath || process.cwd();
         this.targetSession = options.targetSession || null;
         this.targetWindow = options.targetWindow || null;
         this.chromePort = options.chromePort || null;
+        // An explicit port is used as-is; otherwise it is only preferred and leased like a derived one
+        this.pinChromePort = options.pinChromePort ?? Boolean(options.chromePort);
+        this.portRegistry = options.portRegistry || null;
+        this.chromePortLease = null;
+        this.logDirectory = options.logDirectory || null; // Overrides the project log directory
         this.claudeInstanceId = null;
-        this.operatorSender = null;
+        this.codingAgent = null;
+        this.browserAgent = null;
         this.iteration = 0;
         this.startTime = Date.now();
         
@@ -64,16 +91,16 @@ class OperatorE2EExecutor {
         this.operatorSessionUrl = null; // Store the conversation URL after first use
         this.isFirstIteration = true; // Flag for first iteration
         
-        // Enhanced logging setup
-        this.runId = this.generateRunId();
+        // Enhanced logging setup (a resumed run keeps its original run ID)
+        this.resumeRunId = options.resumeRunId || null;
+        this.runId = this.resumeRunId || this.generateRunId();
         // Note: logFilePath will be updated with project context in execute()
         this.logFilePath = path.join(this.workingDir, 'logs', `e2e_run_${this.runId}.log`);
         this.taskFinishedDetections = new Map(); // Track TASK_FINISHED detections by iteration
         this.logBuffer = []; // Buffer for immediate logging
         
         // TASK_FINISHED detection cooldown
-        this.lastTaskFinishedTime = Date.now(); // Initialize to current time to block stale detections
-        this.taskFinishedCooldown = 60000; // 60 seconds cooldown period
+        this.taskFinishedCooldown = 60000; // 60 seconds cooldown period, enforced by the coding agent backend
         
         // Workflow timing tracking
         this.workflowTimings = {
@@ -83,18 +110,87 @@ class OperatorE2EExecutor {
             claudeFinishedTime: null     // When Claude says TASK_FINISHED
         };
         
+        // Offline simulation (--simulate): scripted Operator/Claude stand-ins, see lib/simulation-scenario.js
+        this.simulation = options.simulation || null;
+        this.qaUxOutputPath = null; // Simulated runs save task updates to a copy, not the QA file
+        
+        // Cross-process send lock shared with the tmux monitors (shared-state.js); not for simulated runs
+        this.sendLock = options.sendLock || null;
+        this.sendLockWaitMs = options.sendLockWaitMs || 60000;
+        
+        // Format-preserving write-back of task results (sidecar directory set with project context in execute())
+        this.qaResultsWriter = new QaResultsWriter({ logger: (msg) => this.log(msg, 'WARNING') });
+        this.qaUxValidator = new QaUxValidator();
+        
+        // Tasks this run works on (--only/--exclude/--priority/--category); the rest are left untouched
+        this.taskSelector = new TaskSelector(options.taskSelection);
+        
+        // Failing tasks split over several Operator conversations (project operatorBatching section, overridden by options)
+        this.operatorBatchingOverrides = options.operatorBatching || {};
+        this.operatorBatching = { maxTasks: 0, maxTokens: 0, parallel: 1, ...this.operatorBatchingOverrides };
+        this.taskBatcher = new TaskBatcher(this.operatorBatching);
+        this.operatorBatchResponses = null; // [{ taskIds, response }] when the last Operator phase was batched
+        
+        // Claude fix prompt (configured from the project's claudePrompt section in execute())
+        this.claudePromptBuilder = new ClaudePromptBuilder();
+        this.attemptHistory = []; // One entry per Claude attempt, summarized in the next prompt
+        
         // Initialize reliability systems (will be reconfigured with project context in execute())
+        this.browserTarget = null;
         this.healthCheck = null;
         this.sessionRecovery = null;
         this.codeChangeVerifier = null;
         this.phaseDurationEnforcer = null;
         
         // Retry strategies
-        this.operatorRetry = RetryUtility.forOperatorCommunication((msg) => this.log(msg, 'RETRY'));
-        this.chromeRetry = RetryUtility.forChromeConnection((msg) => this.log(msg, 'RETRY'));
+        this.operatorRetry = RetryUtility.forOperatorCommunication((msg) => this.log(msg, 'RETRY'), this.simulation?.retryOverrides());
+        this.chromeRetry = RetryUtility.forChromeConnection((msg) => this.log(msg, 'RETRY'), this.simulation?.retryOverrides());
         
         // Initialize monitoring and alerting (will be reconfigured with project context in execute())
         this.monitoring = null;
+        
+        // Free-text verdict extraction for Operator replies that aren't JSON
+        this.verdictExtractor = new VerdictExtractor({ logger: (msg) => this.log(msg, 'VERDICT') });
+        this.verdictConfidenceThreshold = options.verdictConfidenceThreshold || 0.7;
+        this.lastVerdictExtraction = null;
+        
+        // Checkpoint journal for crash/SIGINT recovery (created with project context in execute())
+        this.checkpointJournal = null;
+        this.resumePoint = null;
+        
+        // Lifecycle events for the dashboard (created with project context in execute())
+        this.eventLog = null;
+        this.sentTaskIds = [];
+        this.currentOperatorResponse = null;
+        
+        // Per-task verdicts, commits and timings across runs (created with project context in execute())
+        this.taskHistory = null;
+        
+        // Error a SIGINT/SIGTERM stopped the run with (see interrupt()) and the end-of-run cleanup
+        this.interrupted = null;
+        this.cleanupDone = null;
+        
+        // Branch-per-run isolation (merged with the project's gitIsolation section in execute())
+        this.gitIsolationOverrides = options.gitIsolation || {};
+        this.gitIsolation = null;
+        this.runBranch = null;
+        
+        // Preview/pull-request delivery (merged with the project's delivery section in execute())
+        this.deliveryOverrides = options.delivery || {};
+        this.deliveryManager = null;
+        this.lastDelivery = null; // { mode, iteration, commit, pullRequest, previewUrl, deliveredAt }
+        
+        // Non-interactive CI run: reports default to ./e2e-reports and health problems fail fast
+        this.ci = Boolean(options.ci);
+        
+        // Chrome launched on the project port when none is listening (project config: chrome)
+        this.headless = Boolean(options.headless);
+        this.chromeLauncher = null;
+        
+        // JSON, JUnit XML and HTML reports written when the run ends (default: the project log directory)
+        this.reportDirectory = options.reportDirectory || (this.ci ? path.join(this.workingDir, 'e2e-reports') : null);
+        this.reportPaths = null;
+        this.exitCode = null;
     }
     
     /**
@@ -137,6 +233,148 @@ class OperatorE2EExecutor {
         };
     }
     
+    /**
+     * Snapshot of the executor state needed to resume after a crash
+     */
+    buildCheckpointState() {
+        return {
+            qaUxFilePath: this.qaUxFilePath,
+            operatorSessionUrl: this.operatorSessionUrl,
+            isFirstIteration: this.isFirstIteration,
+            workflowTimings: { ...this.workflowTimings },
+            sentTaskIds: this.sentTaskIds,
+            attemptHistory: this.attemptHistory,
+            operatorResponse: this.currentOperatorResponse,
+            operatorBatchResponses: this.operatorBatchResponses,
+            claudeInstanceId: this.claudeInstanceId,
+            runBranch: this.runBranch ? this.runBranch.getState() : null,
+            lastDelivery: this.lastDelivery,
+            exitCode: this.exitCode,
+            taskStatuses: Object.fromEntries(
+                Object.entries(this.qaUxData?.tasks || {}).map(([taskId, task]) => [taskId, task.status])
+            )
+        };
+    }
+    
+    /**
+     * Record a checkpoint at a phase boundary
+     */
+    async checkpoint(phase) {
+        // Phase boundary: an interrupted run stops here, keeping the last checkpoint as its resume point
+        if (this.interrupted) throw this.interrupted;
+        if (!this.checkpointJournal) return;
+        await this.checkpointJournal.record(phase, this.iteration, this.buildCheckpointState());
+    }
+    
+    /**
+     * Record a lifecycle event for the dashboard (see lib/run-event-log.js)
+     */
+    emitEvent(type, data = {}) {
+        if (!this.eventLog) return;
+        this.eventLog.record(type, this.iteration, data);
+    }
+    
+    /**
+     * Emit task_status events for tasks whose status changed since the snapshot
+     */
+    emitTaskStatusChanges(qaUxData, statusesBefore) {
+        Object.entries(qaUxData.tasks || {}).forEach(([taskId, task]) => {
+            if (task.status !== statusesBefore[taskId]) {
+                this.emitEvent('task_status', { taskId, from: statusesBefore[taskId] || null, to: task.status });
+            }
+        });
+    }
+    
+    /**
+     * Add this iteration's verdicts to the task history: every task sent to Operator,
+     * plus any other task whose status changed
+     */
+    async recordTaskHistory(qaUxData, statusesBefore, commits = []) {
+        if (!this.taskHistory) return;
+        
+        const tasks = Object.entries(qaUxData.tasks || {})
+            .filter(([taskId, task]) => this.sentTaskIds.includes(taskId) || task.status !== statusesBefore[taskId])
+            .map(([taskId, task]) => ({ taskId, status: task.status, previousStatus: statusesBefore[taskId] }));
+        
+        await this.taskHistory.recordIteration({
+            runId: this.runId,
+            iteration: this.iteration,
+            tasks,
+            commits,
+            durationMs: this.workflowTimings.operatorSendTime ? Date.now() - this.workflowTimings.operatorSendTime : null
+        });
+    }
+    
+    /**
+     * Summary lines for flaky and chronically failing tasks from the task history
+     */
+    async logTaskHistorySummary() {
+        if (!this.taskHistory) return;
+        
+        const flagged = await this.taskHistory.getFlaggedTasks();
+        this.log('\n📈 Task History:', 'INFO');
+        if (flagged.length === 0) {
+            this.log('No flaky or chronically failing tasks', 'INFO');
+            return;
+        }
+        
+        flagged.forEach(stats => {
+            if (stats.chronic) {
+                this.log(`  🔴 ${stats.taskId}: chronically failing - ${stats.failStreak} failed attempts in a row over ${stats.failingRuns} run(s), ${stats.commits} commit(s) made for it`, 'WARNING');
+            }
+            if (stats.flaky) {
+                this.log(`  🟡 ${stats.taskId}: flaky - passed then failed ${stats.passToFail} times in ${stats.attempts} attempts over ${stats.runs} run(s) (flakiness ${stats.flakinessScore})`, 'WARNING');
+            }
+        });
+    }
+    
+    /**
+     * Restore executor state from the resume point's checkpoint
+     */
+    restoreFromCheckpoint(checkpoint) {
+        const state = checkpoint.state || {};
+        this.operatorSessionUrl = state.operatorSessionUrl || null;
+        this.isFirstIteration = state.isFirstIteration !== undefined ? state.isFirstIteration : !state.operatorSessionUrl;
+        this.sentTaskIds = state.sentTaskIds || [];
+        this.attemptHistory = state.attemptHistory || [];
+        if (this.runBranch && state.runBranch) {
+            this.runBranch.restore(state.runBranch);
+        }
+        this.lastDelivery = state.lastDelivery || null;
+        
+        // Timings and the Operator response only matter when resuming mid-iteration
+        if (this.resumePoint.phase) {
+            this.workflowTimings = { ...this.workflowTimings, ...(state.workflowTimings || {}) };
+            this.currentOperatorResponse = state.operatorResponse || null;
+            this.operatorBatchResponses = state.operatorBatchResponses || null;
+        }
+        
+        if (!this.qaUxFilePath && state.qaUxFilePath) {
+            this.qaUxFilePath = state.qaUxFilePath;
+        }
+    }
+    
+    /**
+     * Put back the task statuses of the resume point's checkpoint - the QA file may
+     * not have been written since (crash before the end of the iteration)
+     */
+    restoreTaskStatuses(qaUxData) {
+        const saved = this.resumePoint?.checkpoint.state?.taskStatuses;
+        if (!saved) return;
+        
+        let restored = 0;
+        for (const [taskId, status] of Object.entries(saved)) {
+            const task = qaUxData.tasks?.[taskId];
+            if (task && status && task.status !== status) {
+                task.status = status;
+                restored++;
+            }
+        }
+        if (restored > 0) {
+            this.log(`♻️  Restored ${restored} task status(es) from the checkpoint`, 'INFO');
+        }
+    }
+    
     /**
      * Validate workflow timing and log warnings
      */
@@ -253,38 +491,10 @@ class OperatorE2EExecutor {
         try {
             console.log(`📄 Loading QA_UX file: ${this.qaUxFilePath}`);
             
-            let rawContent;
-            let filePath = this.qaUxFilePath;
-            
-            // Check if it's a GitHub URL
-            if (this.qaUxFilePath.startsWith('https://github.com/')) {
-                // Convert GitHub URL to raw content URL
-                // From: https://github.com/owner/repo/blob/branch/path/file.md
-                // To: https://raw.githubusercontent.com/owner/repo/branch/path/file.md
-                const githubUrl = this.qaUxFilePath;
-                const rawUrl = githubUrl
-                    .replace('github.com', 'raw.githubusercontent.com')
-                    .replace('/blob/', '/');
-                
-                console.log(`📥 Fetching from GitHub: ${rawUrl}`);
-                
-                try {
-                    const response = await fetch(rawUrl);
-                    if (!response.ok) {
-                        throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-                    }
-                    rawContent = await response.text();
-                    
-                    // Create a temporary file path for the parser (extract filename from URL)
-                    const urlParts = githubUrl.split('/');
-                    filePath = urlParts[urlParts.length - 1]; // Just the filename for format detection
-                } catch (error) {
-                    throw new Error(`Failed to fetch GitHub file: ${error.message}`);
-                }
-            } else {
-                // Read local file
-                rawContent = await fs.readFile(this.qaUxFilePath, 'utf8');
-            }
+            const { rawContent, fileName: filePath } = await this.readQaUxSource();
+            
+            // Pre-flight: report every problem before any browser or Claude work starts
+            await this.validateQaUxSource(rawContent, filePath);
             
             // Use MultiFormatParser to handle any file format
             const parser = new MultiFormatParser();
@@ -294,24 +504,94 @@ class OperatorE2EExecutor {
                 ? await parser.parseContent(rawContent, filePath)
                 : await parser.parseFile(this.qaUxFilePath);
             
-            // Store raw content for later use (especially for Markdown)
-            qaUxData._rawContent = rawContent;
+            // Store raw content for later use (especially for Markdown), without earlier write-back results
+            qaUxData._rawContent = this.qaResultsWriter.getFormat(filePath) === 'json'
+                ? rawContent
+                : QaResultsWriter.stripResults(rawContent);
             
             console.log(`✅ Loaded QA_UX file with ${Object.keys(qaUxData.tasks || {}).length} tasks`);
             return qaUxData;
         } catch (error) {
-            throw new Error(`Failed to load QA_UX file: ${error.message}`);
+            // Fetch failures keep their infrastructure exit code; anything else is the file's fault
+            const message = `Failed to load QA_UX file: ${error.message}`;
+            throw error.exitCode === EXIT_CODES.INFRASTRUCTURE ? infrastructureError(message) : configError(message);
+        }
+    }
+
+    /**
+     * Read the QA_UX source (local file or GitHub URL)
+     * Returns the raw content and a file name for format detection
+     */
+    async readQaUxSource() {
+        // Check if it's a GitHub URL
+        if (this.qaUxFilePath.startsWith('https://github.com/')) {
+            // Convert GitHub URL to raw content URL
+            // From: https://github.com/owner/repo/blob/branch/path/file.md
+            // To: https://raw.githubusercontent.com/owner/repo/branch/path/file.md
+            const githubUrl = this.qaUxFilePath;
+            const rawUrl = githubUrl
+                .replace('github.com', 'raw.githubusercontent.com')
+                .replace('/blob/', '/');
+            
+            console.log(`📥 Fetching from GitHub: ${rawUrl}`);
+            
+            // A missing or private file is a config problem; network failures and GitHub outages are not
+            let response;
+            let rawContent;
+            try {
+                response = await fetch(rawUrl);
+                rawContent = await response.text();
+            } catch (error) {
+                throw infrastructureError(`Failed to fetch GitHub file: ${error.message}`);
+            }
+            if (!response.ok) {
+                const message = `Failed to fetch GitHub file: HTTP ${response.status}: ${response.statusText}`;
+                throw [401, 403, 404].includes(response.status) ? configError(message) : infrastructureError(message);
+            }
+            
+            // Create a temporary file path for the parser (extract filename from URL)
+            const urlParts = githubUrl.split('/');
+            return { rawContent, fileName: urlParts[urlParts.length - 1] }; // Just the filename for format detection
+        }
+        
+        // Read local file
+        return { rawContent: await fs.readFile(this.qaUxFilePath, 'utf8'), fileName: this.qaUxFilePath };
+    }
+
+    /**
+     * Check the QA_UX source against config/qa-ux.schema.json, logging every problem
+     * Throws when there are errors; warnings are logged and the run continues
+     */
+    async validateQaUxSource(rawContent, fileName) {
+        const result = await this.qaUxValidator.validateContent(rawContent, fileName);
+        const report = this.qaUxValidator.formatReport(result, this.qaUxFilePath);
+        
+        if (!result.valid) {
+            this.log(`❌ QA_UX file has ${result.errors.length} validation error(s):`, 'ERROR');
+            report.forEach(line => this.log(`   ${line}`, 'ERROR'));
+            throw new Error(`QA_UX file failed validation with ${result.errors.length} error(s) - fix them and re-check with "node operator.execute_e2e.js validate ${this.qaUxFilePath}"`);
         }
+        
+        report.forEach(line => this.log(`⚠️  ${line}`, 'WARNING'));
+        this.log('✅ QA_UX file passed validation', 'INFO');
     }
 
     /**
-     * Save updated QA_UX data back to file
+     * Save updated QA_UX data back to its source in the source's own format
+     * (JSON rewritten, Markdown/text annotated, sidecar results for read-only sources)
      */
     async saveQaUxFile(qaUxData) {
         try {
-            const jsonContent = JSON.stringify(qaUxData, null, 2);
-            await fs.writeFile(this.qaUxFilePath, jsonContent, 'utf8');
-            console.log(`💾 Saved updated QA_UX file`);
+            if (this.qaUxOutputPath) {
+                await fs.writeFile(this.qaUxOutputPath, JSON.stringify(qaUxData, null, 2), 'utf8');
+                console.log(`💾 Saved updated QA_UX file`);
+                return;
+            }
+            
+            const saved = await this.qaResultsWriter.write(qaUxData, this.qaUxFilePath);
+            console.log(saved.mode === 'sidecar'
+                ? `💾 Saved task results to sidecar file: ${saved.path}`
+                : `💾 Saved updated QA_UX file (${saved.mode})`);
         } catch (error) {
             console.error(`❌ Failed to save QA_UX file: ${error.message}`);
             throw error;
@@ -319,12 +599,12 @@ class OperatorE2EExecutor {
     }
 
     /**
-     * Filter tasks with status = "fail"
+     * Filter selected tasks with status = "fail"
      */
     getFailedTasks(qaUxData) {
         if (!qaUxData.tasks) return [];
         
-        const failedTasks = Object.entries(qaUxData.tasks)
+        const failedTasks = Object.entries(this.taskSelector.select(qaUxData.tasks))
             .filter(([taskId, task]) => task.status === 'fail')
             .map(([taskId, task]) => ({ taskId, ...task }));
         
@@ -333,11 +613,38 @@ class OperatorE2EExecutor {
     }
 
     /**
-     * Setup or connect to Claude Code tmux window
+     * Log the task selection and stop before any work when it leaves nothing to run
+     */
+    applyTaskSelection(qaUxData) {
+        if (!this.taskSelector.isActive()) return;
+        
+        const { errors, warnings } = this.taskSelector.check(qaUxData.tasks || {});
+        warnings.forEach(warning => this.log(`⚠️  ${warning}`, 'WARNING'));
+        if (errors.length > 0) {
+            throw configError(`${errors.join('; ')} - available tasks: ${Object.keys(qaUxData.tasks || {}).join(', ')}`);
+        }
+        
+        const selectedIds = Object.keys(this.taskSelector.select(qaUxData.tasks));
+        this.log(`🎯 Task selection (${this.taskSelector.describe()}): ${selectedIds.length} of ${Object.keys(qaUxData.tasks).length} tasks - ${selectedIds.join(', ')}`, 'INFO');
+    }
+
+    /**
+     * Setup or connect to the coding agent (Claude Code tmux window by default)
      */
     async setupClaudeSession() {
         this.log('🚀 Setting up Claude Code window with project context...');
         
+        this.codingAgent = await this.createCodingAgent(this.getClaudeSessionTarget());
+        await this.codingAgent.start();
+        
+        this.claudeInstanceId = this.codingAgent.target;
+        this.log(`🎯 Coding agent ready (${this.codingAgent.name}): ${this.claudeInstanceId}`);
+    }
+
+    /**
+     * tmux target for Claude: --session/--window if given, otherwise a project-specific window
+     */
+    getClaudeSessionTarget() {
         // Use targetSession if provided, otherwise use project-specific name
         let sessionTarget;
         if (this.targetSession) {
@@ -360,170 +667,51 @@ class OperatorE2EExecutor {
                 'feature-op-debug';
             sessionTarget = windowName;
         }
-            
-        this.log(`📺 Using tmux window/session: ${sessionTarget}`);
-        
-        const { exec } = await import('child_process');
-        const { promisify } = await import('util');
-        const execAsync = promisify(exec);
         
-        try {
-            // Check if we're in a tmux session
-            const { stdout: tmuxCheck } = await execAsync('echo $TMUX || echo "not_in_tmux"');
-            
-            if (tmuxCheck.trim() === 'not_in_tmux') {
-                throw new Error('Not currently in a tmux session. Please run this script from within tmux.');
-            }
-            
-            console.log('✅ Detected running inside tmux session');
-            
-            // Parse session:window format if present
-            let targetSession = null;
-            let targetWindow = null;
-            let windowIndex = null;
-            
-            if (sessionTarget.includes(':')) {
-                // Format: session:window
-                [targetSession, targetWindow] = sessionTarget.split(':');
-                
-                // Check if the session exists
-                try {
-                    const { stdout: sessions } = await execAsync('tmux list-sessions -F "#{session_name}"');
-                    if (!sessions.split('\n').includes(targetSession)) {
-                        throw new Error(`Session '${targetSession}' not found`);
-                    }
-                    
-                    // Check if window exists in target session
-                    const { stdout: windows } = await execAsync(`tmux list-windows -t ${targetSession} -F "#{window_index}:#{window_name}"`);
-                    const windowMatch = windows.split('\n').find(line => {
-                        const [idx, name] = line.split(':');
-                        return name === targetWindow || idx === targetWindow;
-                    });
-                    
-                    if (windowMatch) {
-                        windowIndex = `${targetSession}:${windowMatch.split(':')[0]}`;
-                        console.log(`♻️  Using existing window '${targetWindow}' in session '${targetSession}'`);
-                    } else {
-                        throw new Error(`Window '${targetWindow}' not found in session '${targetSession}'`);
-                    }
-                } catch (error) {
-                    console.error(`❌ Failed to target ${sessionTarget}: ${error.message}`);
-                    throw error;
-                }
-            } else {
-                // Simple window name in current session
-                const { stdout: existingWindows } = await execAsync('tmux list-windows -F "#{window_name}"');
-                const windowExists = existingWindows.split('\n').includes(sessionTarget);
-                
-                if (windowExists) {
-                    console.log(`♻️  Tmux window '${sessionTarget}' already exists, reusing it`);
-                    // Kill any existing processes in the window
-                    await execAsync(`tmux send-keys -t ${sessionTarget} C-c C-c C-c C-c C-c`);
-                    await this.sleep(500);
-                    windowIndex = sessionTarget;
-                } else {
-                    // Create new window in current session
-                    console.log(`📍 Creating new tmux window: ${sessionTarget}`);
-                    await execAsync(`tmux new-window -n ${sessionTarget}`);
-                    console.log(`✅ Created tmux window: ${sessionTarget}`);
-                    
-                    // Get the window index for reliable targeting
-                    const { stdout: windowList } = await execAsync('tmux list-windows -F "#{window_index}:#{window_name}"');
-                    const windowMatch = windowList.split('\n').find(line => line.includes(sessionTarget));
-                    windowIndex = windowMatch ? windowMatch.split(':')[0] : sessionTarget;
-                }
-            }
-            
-            console.log(`🎯 Using window target: ${windowIndex}`);
-            this.claudeInstanceId = windowIndex;
-            
-            // Skip navigation - let the user control their window's directory
-            
-            // Check if Claude Code is available
-            try {
-                await execAsync('which claude');
-                console.log('✅ Claude Code CLI found');
-            } catch (error) {
-                console.log('⚠️ Claude Code CLI not found in PATH');
-                console.log('💡 You may need to install it or add it to your PATH');
-                console.log('📋 For now, using the window for manual Claude interaction');
-            }
-            
-            // Send Ctrl+C 5 times first to clear any existing process
-            console.log('🔄 Clearing window with Ctrl+C...');
-            for (let i = 0; i < 5; i++) {
-                await execAsync(`tmux send-keys -t ${windowIndex} C-c`);
-                await this.sleep(100);
-            }
-            await this.sleep(500);
-            
-            // Start Claude Code with proper permissions
-            await execAsync(`tmux send-keys -t ${windowIndex} 'claude --dangerously-skip-permissions' Enter`);
-            console.log(`📤 Sent Claude Code command to window: ${windowIndex}`);
-            
-            // Wait for Claude to initialize
-            console.log('⏳ Waiting for Claude to initialize...');
-            await this.sleep(3000);
-            
-            // Check if Claude started successfully
-            const { stdout: windowContent } = await execAsync(`tmux capture-pane -t ${windowIndex} -p`);
-            
-            if (windowContent.includes('Welcome to Claude') || windowContent.includes('claude>') || windowContent.includes('│ >')) {
-                console.log('✅ Claude Code appears to be running');
-            } else if (windowContent.includes('command not found') || windowContent.includes('no such file')) {
-                console.log('❌ Claude Code failed to start - command not found');
-                console.log('💡 Will proceed anyway for manual testing');
-            } else {
-                console.log('⚠️ Claude Code status unclear, proceeding...');
-            }
-            
-        } catch (error) {
-            throw new Error(`Failed to create tmux window: ${error.message}`);
-        }
+        return sessionTarget;
+    }
+
+    /**
+     * Create the coding agent backend from the project config (Claude in tmux by default)
+     */
+    async createCodingAgent(sessionTarget) {
+        const codingAgentConfig = this.simulation
+            ? this.simulation.codingAgentConfig(() => this.iteration)
+            : this.projectContext?.config?.codingAgent;
+        return await createCodingBackend(codingAgentConfig, {
+            sessionTarget,
+            cwd: codingAgentConfig?.options?.cwd || this.workingDir,
+            completionCooldown: this.taskFinishedCooldown,
+            logger: (msg) => this.log(msg, 'AGENT')
+        });
     }
 
     /**
-     * Setup Operator connection
+     * Setup browser agent connection (Operator by default, see browserAgent in project config)
      */
     async setupOperatorConnection() {
         const chromePort = this.projectContext ? this.projectContext.chromePort : 9222;
-        this.log(`🔌 Setting up Operator connection on Chrome port ${chromePort}...`);
+        const browserAgentConfig = this.simulation
+            ? this.simulation.browserAgentConfig(this.iteration)
+            : this.projectContext?.config?.browserAgent;
+        this.log(`🔌 Setting up ${browserAgentConfig?.backend || 'operator'} browser agent connection on Chrome port ${chromePort}...`);
         
-        let connectionOptions;
-        
-        if (this.isFirstIteration) {
-            // First iteration: STRICT mode - require fresh home page
-            connectionOptions = {
-                waitForResponse: true,
-                wait: 600, // 10 minutes timeout
-                preferHome: true,
-                requireHomePage: true // Strict requirement for home page only
-            };
-            console.log('🆕 FIRST ITERATION: Requiring fresh operator.chatgpt.com/ home page tab');
-        } else if (this.operatorSessionUrl) {
-            // Subsequent iterations: Use the saved conversation URL, but redirect to fresh page
-            connectionOptions = {
-                waitForResponse: true,
-                wait: 600, // 10 minutes timeout
-                targetUrl: this.operatorSessionUrl // Target specific conversation tab
-            };
-            console.log(`♻️  REUSING OPERATOR TAB: ${this.operatorSessionUrl}`);
-        } else {
+        if (!this.isFirstIteration && !this.operatorSessionUrl) {
             throw new Error('No Operator session URL saved from first iteration');
         }
         
-        // Add project-specific Chrome port to connection options
-        if (this.projectContext) {
-            connectionOptions.chromePort = this.projectContext.chromePort;
-            this.log(`🌐 Using project-specific Chrome port: ${this.projectContext.chromePort}`);
-        }
-        
-        this.operatorSender = new OperatorMessageSenderWithResponse(connectionOptions);
+        this.browserAgent = await createBrowserBackend(browserAgentConfig, {
+            chromePort,
+            ...(this.browserTarget && { browserTarget: this.browserTarget }),
+            logger: (msg) => this.log(msg, 'AGENT')
+        });
         
-        const connected = await this.operatorSender.connect();
+        const connected = await this.browserAgent.connect({
+            conversationUrl: this.isFirstIteration ? null : this.operatorSessionUrl
+        });
         if (!connected) {
             if (this.isFirstIteration) {
-                throw new Error('Failed to connect to Operator. Ensure Chrome is running with --remote-debugging-port=9222 and has a fresh Operator home page open');
+                throw new Error(`Failed to connect to Operator. Ensure Chrome is running with --remote-debugging-port=${chromePort} and has a fresh Operator home page open`);
             } else {
                 throw new Error(`Failed to reconnect to Operator session: ${this.operatorSessionUrl}`);
             }
@@ -531,166 +719,27 @@ class OperatorE2EExecutor {
         
         console.log('✅ Connected to Operator');
         
-        // Get current URL
-        const currentUrl = await this.operatorSender.client.Runtime.evaluate({
-            expression: 'window.location.href',
-            returnByValue: true
-        });
-        
-        const url = currentUrl.result.value;
-        console.log(`📍 Current URL: ${url}`);
-        
-        if (this.isFirstIteration) {
-            // First iteration: Verify we're on home page
-            if (url.includes('/c/')) {
-                throw new Error(`ERROR: Connected to existing conversation tab (${url}). Please open a fresh Operator home page tab.`);
-            }
-            
-            // If not on home page, navigate there
-            if (!url.endsWith('operator.chatgpt.com/') && !url.includes('?utm_source=chatgpt')) {
-                console.log('🏠 Navigating to FRESH Operator home page...');
-                await this.operatorSender.client.Page.navigate({
-                    url: 'https://operator.chatgpt.com/'
-                });
-                await this.sleep(3000); // Wait for page to fully load
-            }
-            
-            console.log('✅ Confirmed on Operator home page - ready for fresh conversation');
-        } else {
-            // Subsequent iterations: Redirect the reused tab to fresh home page
-            console.log('🔄 Redirecting reused tab to fresh Operator home page for new conversation...');
-            const redirectSuccess = await this.operatorSender.redirectToFreshOperatorPage();
-            
-            if (!redirectSuccess) {
-                throw new Error('Failed to redirect tab to fresh Operator home page');
-            }
-            
-            console.log('✅ Tab redirected - ready for fresh conversation in same tab');
-        }
+        // First iteration needs a fresh home page; later ones redirect the reused tab
+        await this.browserAgent.newConversation({ reuseTab: !this.isFirstIteration });
     }
 
     /**
-     * Fast input method for Operator - bypasses character-by-character typing
+     * Send a message to the browser agent (the main one unless given) and wait for its reply
      */
-    async sendMessageToOperatorFast(message) {
-        console.log('🚀 Sending message to Operator using fast input method...');
+    async sendMessageToOperatorFast(message, agent = this.browserAgent) {
+        console.log(`🚀 Sending message to ${agent.name} browser agent...`);
         
         try {
-            // Record initial message count
-            const initialMessageCount = await this.operatorSender.getMessageCount();
-            console.log(`📊 Initial message count: ${initialMessageCount.assistant} assistant messages`);
-            
-            // Use direct value setting instead of character-by-character typing
-            const sendResult = await this.operatorSender.client.Runtime.evaluate({
-                expression: `
-                (async () => {
-                    const textarea = Array.from(document.querySelectorAll('textarea'))
-                        .find(ta => ta.getBoundingClientRect().width > 0);
-                    
-                    if (!textarea) return { success: false, error: 'Textarea not found' };
-                    
-                    // Focus the textarea
-                    textarea.focus();
-                    textarea.click();
-                    
-                    const nativeInputValueSetter = Object.getOwnPropertyDescriptor(
-                        window.HTMLTextAreaElement.prototype, "value"
-                    ).set;
-                    
-                    // Clear existing content
-                    nativeInputValueSetter.call(textarea, '');
-                    textarea.dispatchEvent(new Event('input', { bubbles: true }));
-                    
-                    // Short delay
-                    await new Promise(r => setTimeout(r, 100));
-                    
-                    const message = ${JSON.stringify(message)};
-                    
-                    // Set entire message at once (much faster)
-                    nativeInputValueSetter.call(textarea, message);
-                    
-                    // Trigger React events
-                    const inputEvt = new Event('input', { bubbles: true });
-                    Object.defineProperty(inputEvt, 'target', { value: textarea });
-                    textarea.dispatchEvent(inputEvt);
-                    
-                    // Change event
-                    textarea.dispatchEvent(new Event('change', { bubbles: true }));
-                    
-                    // Focus/blur cycle to trigger validation
-                    textarea.blur();
-                    await new Promise(r => setTimeout(r, 50));
-                    textarea.focus();
-                    
-                    return { success: true };
-                })()
-                `,
-                awaitPromise: true,
-                returnByValue: true
-            });
-            
-            if (!sendResult.result.value.success) {
-                throw new Error(sendResult.result.value.error || 'Failed to set message');
+            const sendResult = await agent.send(message);
+            if (!sendResult?.success) {
+                throw new Error(sendResult?.error || 'Failed to send message');
             }
             
-            console.log('✅ Message set in textarea');
-            
-            // Wait for UI to update
-            await this.sleep(1000);
-            
-            // Send the message using existing logic
-            const submitResult = await this.operatorSender.client.Runtime.evaluate({
-                expression: `
-                (() => {
-                    // Find send button (same logic as original)
-                    let sendButton = null;
-                    const allButtons = document.querySelectorAll('button:not([disabled])');
-                    
-                    sendButton = Array.from(allButtons).find(btn => {
-                        const svg = btn.querySelector('svg');
-                        if (svg) {
-                            const path = svg.querySelector('path');
-                            if (path) {
-                                const d = path.getAttribute('d');
-                                if (d && d.includes('M11.2929 5.29289')) {
-                                    return true;
-                                }
-                            }
-                        }
-                        return false;
-                    });
-                    
-                    if (sendButton) {
-                        sendButton.click();
-                        return { success: true, method: 'button click' };
-                    }
-                    
-                    // Fallback to Enter key
-                    const textarea = document.querySelector('textarea');
-                    if (textarea) {
-                        textarea.focus();
-                        const enterEvent = new KeyboardEvent('keydown', {
-                            key: 'Enter',
-                            code: 'Enter',
-                            keyCode: 13,
-                            bubbles: true
-                        });
-                        textarea.dispatchEvent(enterEvent);
-                        return { success: true, method: 'enter key' };
-                    }
-                    
-                    return { success: false, error: 'No send method worked' };
-                })()
-                `,
-                returnByValue: true
-            });
-            
-            console.log(`✅ Send attempt: ${submitResult.result.value.method}`);
+            console.log(`✅ Send attempt: ${sendResult.method}`);
             
             // Wait for response with longer timeout
             console.log(`⏳ Waiting up to 10 minutes for Operator response...`);
-            this.operatorSender.waitTime = 600; // 10 minutes
-            const response = await this.operatorSender.waitForResponse(initialMessageCount);
+            const response = await agent.waitForResponse({ timeoutMs: 600000 });
             
             if (response) {
                 console.log('✅ Response received from Operator!');
@@ -699,18 +748,17 @@ class OperatorE2EExecutor {
                 this.workflowTimings.operatorReceiveTime = Date.now();
                 this.log(`🕐 OPERATOR RECEIVE: ${this.getTimestamp()}`, 'TIMING');
                 
-                // If this is the first iteration, capture the conversation URL
+                // Parallel batch conversations run in extra tabs that are never reused
+                if (agent !== this.browserAgent) {
+                    return { success: true, response };
+                }
+                
                 // Capture the NEW conversation URL after each iteration
                 // (since we redirect to fresh home page each time, we get a new conversation)
                 await this.sleep(1000); // Give URL time to update
-                const conversationUrl = await this.operatorSender.client.Runtime.evaluate({
-                    expression: 'window.location.href',
-                    returnByValue: true
-                });
+                const newUrl = await agent.getConversationUrl();
                 
-                if (conversationUrl.result.value && conversationUrl.result.value.includes('/c/')) {
-                    const newUrl = conversationUrl.result.value;
-                    
+                if (newUrl) {
                     if (this.isFirstIteration) {
                         this.operatorSessionUrl = newUrl;
                         console.log(`📌 Captured Operator conversation URL: ${this.operatorSessionUrl}`);
@@ -750,46 +798,83 @@ class OperatorE2EExecutor {
 
     /**
      * Send failed tasks to Operator (FIRST step) - Using fast input with retry
+     * With operatorBatching the tasks are split over several conversations and the replies merged
      */
     async sendTasksToOperator(failedTasks) {
-        console.log(`📤 Sending ${failedTasks.length} failed tasks to Operator using fast method...`);
+        const batches = this.taskBatcher.split(failedTasks, TaskBatcher.estimateTokens(this.buildSelectedQaDocument([])));
+        console.log(`📤 Sending ${failedTasks.length} failed tasks to Operator using fast method${batches.length > 1 ? ` in ${batches.length} conversations` : ''}...`);
         
         // Start Operator phase tracking
         const phaseTracker = this.phaseDurationEnforcer.startPhase('operator', this.iteration);
+        const phaseStart = Date.now();
+        this.emitEvent('phase_start', { phase: 'operator' });
         
         // Record Operator send timestamp
         this.workflowTimings.operatorSendTime = Date.now();
         this.log(`🕐 OPERATOR SEND: ${this.getTimestamp()}`, 'TIMING');
+        this.sentTaskIds = failedTasks.map(task => task.taskId);
+        this.currentOperatorResponse = null;
+        this.operatorBatchResponses = null;
+        await this.checkpoint('operator_send');
+        
+        const result = batches.length > 1
+            ? await this.sendBatchesToOperator(batches, phaseTracker)
+            : await this.requestOperatorResponse(this.buildOperatorPrompt(failedTasks), phaseTracker);
+        
+        if (!result.success) {
+            this.emitEvent('phase_end', { phase: 'operator', success: false, durationMs: Date.now() - phaseStart, batches: batches.length, error: result.error });
+            throw new Error(`Failed to get response from Operator after retries: ${result.error}`);
+        }
         
-        const operatorPrompt = this.buildOperatorPrompt(failedTasks);
+        this.emitEvent('phase_end', { phase: 'operator', success: true, durationMs: Date.now() - phaseStart, batches: batches.length });
+        this.currentOperatorResponse = result.response;
+        await this.checkpoint('operator_receive');
         
-        // Wrap the Operator communication with retry logic
-        const result = await this.operatorRetry.execute(
+        // Complete phase with quality checks
+        const phaseResult = await this.phaseDurationEnforcer.completePhase(phaseTracker.phaseKey);
+        if (!phaseResult.allowed) {
+            this.log(`⚠️  Operator phase quality concerns: ${phaseResult.reason}`, 'WARNING');
+        }
+        
+        console.log('✅ Received response from Operator');
+        return result.response;
+    }
+
+    /**
+     * Send one prompt to Operator with retry, health check and session recovery
+     * (recovery only applies to the main agent; extra batch agents just retry)
+     */
+    async requestOperatorResponse(operatorPrompt, phaseTracker, agent = null) {
+        return await this.operatorRetry.execute(
             async () => {
                 // Health check before sending
                 const health = await this.healthCheck.ensureHealthyBeforeIteration(this.iteration);
                 if (!health) {
-                    throw new Error('System health check failed before Operator communication');
+                    throw infrastructureError('System health check failed before Operator communication');
                 }
                 
                 // Use the fast input method instead of character-by-character typing
-                const sendResult = await this.sendMessageToOperatorFast(operatorPrompt);
+                const sendResult = await this.sendMessageToOperatorFast(operatorPrompt, agent || this.browserAgent);
                 
                 if (!sendResult.success) {
                     // Check if this is a recoverable error
-                    if (sendResult.error?.includes('timeout') || sendResult.error?.includes('Target closed')) {
-                        // Attempt session recovery
+                    if (!agent && (sendResult.error?.includes('timeout') || sendResult.error?.includes('Target closed'))) {
+                        // Attempt session recovery, with the browser agent detached from the tab meanwhile
+                        const targetId = this.browserAgent?.targetId;
+                        await this.browserAgent.disconnect().catch(() => {});
                         const recovery = await this.sessionRecovery.recoverOperatorSession({
-                            targetId: this.operatorSender?.targetId,
+                            targetId,
                             conversationUrl: this.operatorSessionUrl,
                             iteration: this.iteration
                         });
                         
                         if (recovery.success) {
-                            // Retry with recovered session
-                            this.operatorSender = recovery.client;
+                            // Reattach the browser agent to the recovered tab, then retry
+                            await this.browserAgent.connect({ conversationUrl: this.operatorSessionUrl });
                             throw new Error('Session recovered, retrying...');
                         }
+                        // Attached again for the next retry, to whatever tab is left
+                        await this.browserAgent.connect({ conversationUrl: this.operatorSessionUrl }).catch(() => {});
                     }
                     
                     throw new Error(`Failed to get response from Operator: ${sendResult.error}`);
@@ -803,232 +888,407 @@ class OperatorE2EExecutor {
             },
             { iteration: this.iteration }
         );
+    }
+
+    /**
+     * Send each batch to its own Operator conversation, one after another in the main tab
+     * or spread over extra tabs when operatorBatching.parallel > 1. A batch that fails is
+     * left out (its tasks stay failing); the phase only fails when every batch does.
+     */
+    async sendBatchesToOperator(batches, phaseTracker) {
+        const extraAgents = await this.openBatchAgents(Math.min(this.operatorBatching.parallel, batches.length) - 1);
+        const lanes = [null, ...extraAgents]; // null = the main agent, which session recovery may replace
+        const responses = [];
+        const errors = [];
+        let nextBatch = 0;
         
-        if (!result.success) {
-            throw new Error(`Failed to get response from Operator after retries: ${result.error}`);
+        const runLane = async (agent) => {
+            let conversations = 0;
+            while (nextBatch < batches.length) {
+                const batchIndex = nextBatch++;
+                const taskIds = batches[batchIndex].map(task => task.taskId);
+                const label = `batch ${batchIndex + 1}/${batches.length}`;
+                this.log(`📦 Operator ${label}: ${taskIds.join(', ')}`, 'INFO');
+                
+                try {
+                    // Every conversation after the lane's first starts on a fresh home page in the same tab
+                    if (conversations++ > 0) {
+                        await (agent || this.browserAgent).newConversation({ reuseTab: true });
+                    }
+                    const prompt = this.retargetOperatorPrompt(JSON.stringify(this.buildSelectedQaDocument(batches[batchIndex]), null, 2));
+                    const result = await this.requestOperatorResponse(prompt, phaseTracker, agent);
+                    if (!result.success) {
+                        throw new Error(result.error);
+                    }
+                    responses[batchIndex] = { taskIds, response: result.response };
+                } catch (error) {
+                    errors.push(`${label}: ${error.message}`);
+                    this.log(`❌ Operator ${label} failed, its tasks stay failing: ${error.message}`, 'ERROR');
+                }
+            }
+        };
+        
+        try {
+            await Promise.all(lanes.map(runLane));
+        } finally {
+            await Promise.all(extraAgents.map(agent => agent.disconnect().catch(() => {})));
         }
         
-        // Complete phase with quality checks
-        const phaseResult = await this.phaseDurationEnforcer.completePhase(phaseTracker.phaseKey);
-        if (!phaseResult.allowed) {
-            this.log(`⚠️  Operator phase quality concerns: ${phaseResult.reason}`, 'WARNING');
+        const batchResponses = responses.filter(Boolean);
+        if (batchResponses.length === 0) {
+            return { success: false, error: errors.join('; ') };
         }
         
-        console.log('✅ Received response from Operator');
-        return result.response;
+        this.sentTaskIds = batchResponses.flatMap(batch => batch.taskIds);
+        this.operatorBatchResponses = batchResponses;
+        return { success: true, response: this.mergeOperatorBatchResponses(batchResponses) };
+    }
+
+    /**
+     * Connect extra browser agents for parallel batches, each in its own fresh Operator
+     * home page tab. Agents that can't connect, or land on a tab already in use, are
+     * skipped and their batches run in the remaining tabs.
+     */
+    async openBatchAgents(count) {
+        const agents = [];
+        const usedTargets = new Set([this.browserAgent?.targetId].filter(Boolean));
+        const browserAgentConfig = this.simulation
+            ? this.simulation.browserAgentConfig(this.iteration)
+            : this.projectContext?.config?.browserAgent;
+        
+        for (let i = 0; i < count; i++) {
+            let agent = null;
+            try {
+                agent = await createBrowserBackend(browserAgentConfig, {
+                    chromePort: this.projectContext ? this.projectContext.chromePort : 9222,
+                    ...(this.browserTarget && { browserTarget: this.browserTarget }),
+                    logger: (msg) => this.log(msg, 'AGENT')
+                });
+                if (!await agent.connect({ conversationUrl: null })) {
+                    throw new Error('no fresh Operator home page tab found');
+                }
+                if (usedTargets.has(agent.targetId)) {
+                    throw new Error('connected to a tab already in use - open one fresh Operator home page tab per parallel batch');
+                }
+                await agent.newConversation({ reuseTab: false });
+                usedTargets.add(agent.targetId);
+                agents.push(agent);
+            } catch (error) {
+                this.log(`⚠️  Could not open parallel Operator conversation ${i + 2}: ${error.message}`, 'WARNING');
+                await agent?.disconnect().catch(() => {});
+            }
+        }
+        
+        return agents;
+    }
+
+    /**
+     * Combine batch replies into the single response the Claude prompt and checkpoints use:
+     * one { analysis } document when every reply is JSON, the replies one after another otherwise
+     */
+    mergeOperatorBatchResponses(batchResponses) {
+        const analyses = batchResponses.map(({ response }) => {
+            try {
+                return JSON.parse(response)?.analysis || null;
+            } catch {
+                return null;
+            }
+        });
+        if (analyses.every(Boolean)) {
+            return JSON.stringify({ analysis: Object.assign({}, ...analyses) }, null, 2);
+        }
+        
+        return batchResponses
+            .map(({ response }, index) => `### Operator conversation ${index + 1}/${batchResponses.length}\n\n${response.trim()}`)
+            .join('\n\n');
     }
 
     /**
-     * Build prompt for Operator
+     * Build prompt for Operator: only the (selected) failing tasks plus the shared
+     * metadata, operator_capabilities and setup_instructions sections - passing tasks
+     * aren't re-tested
      */
     buildOperatorPrompt(failedTasks) {
-        // ALWAYS return just the raw content if available
-        if (this.qaUxData?._rawContent) {
-            return this.qaUxData._rawContent;
+        return this.retargetOperatorPrompt(JSON.stringify(this.buildSelectedQaDocument(failedTasks), null, 2));
+    }
+
+    /**
+     * Once fixes were delivered to a preview deployment, send Operator there instead of production
+     */
+    retargetOperatorPrompt(prompt) {
+        if (!this.lastDelivery?.previewUrl) return prompt;
+        
+        const productionUrls = [
+            ...Object.values(this.qaUxData?.tasks || {}).map(task => task.production_url),
+            this.qaUxData?.metadata?.demo_app_url,
+            this.projectContext?.config?.productionUrl
+        ].filter(Boolean);
+        return DeliveryManager.retargetPrompt(prompt, productionUrls, this.lastDelivery);
+    }
+
+    /**
+     * QA document in the JSON layout of test/sample_qa_ux.json holding only the given tasks,
+     * without the results and analysis this executor adds while running
+     */
+    buildSelectedQaDocument(tasks) {
+        const { metadata, operator_capabilities: capabilities, setup_instructions: setup } = this.qaUxData || {};
+        const { source_file: sourceFile, parsed_at: parsedAt, ...documentMetadata } = metadata || {};
+        
+        return {
+            ...(metadata && { metadata: documentMetadata }),
+            ...(capabilities && { operator_capabilities: capabilities }),
+            ...(setup && { setup_instructions: setup }),
+            tasks: Object.fromEntries(tasks.map(({ taskId, operatorAnalysis, lastAnalyzed, lastUpdated, ...task }) => [taskId, task]))
+        };
+    }
+
+    /**
+     * Build the Claude fix prompt from the project's claudePrompt template
+     */
+    buildClaudePrompt(operatorResponse) {
+        const tasks = this.qaUxData?.tasks || {};
+        return this.claudePromptBuilder.build({
+            operatorResponse,
+            failedTasks: this.sentTaskIds
+                .filter(taskId => tasks[taskId])
+                .map(taskId => ({ taskId, ...tasks[taskId] })),
+            iteration: this.iteration,
+            maxIterations: this.maxIterations,
+            previousAttempt: this.attemptHistory[this.attemptHistory.length - 1],
+            runBranch: this.runBranch?.branchName,
+            delivery: this.deliveryManager?.mode
+        });
+    }
+
+    /**
+     * Record how Claude's attempt went so the next prompt can summarize it
+     */
+    recordAttempt(claudeProcessed, qaUxData, rollback = null) {
+        this.attemptHistory.push({
+            iteration: this.iteration,
+            success: claudeProcessed.success,
+            error: claudeProcessed.error || null,
+            stillFailing: this.getFailedTasks(qaUxData).map(task => task.taskId),
+            ...(rollback && { rollback })
+        });
+    }
+
+    /**
+     * Tag the iteration on the run branch and roll it back when a passing task failed again
+     * @returns {Object|null} { to, regressed } when the branch was reset
+     */
+    completeRunBranchIteration(qaUxData, statusesBefore, judged) {
+        if (!this.runBranch) return null;
+        
+        const regressed = judged
+            ? Object.entries(this.taskSelector.select(qaUxData.tasks || {}))
+                .filter(([taskId, task]) => statusesBefore[taskId] === 'pass' && task.status === 'fail')
+                .map(([taskId]) => taskId)
+            : [];
+        
+        let entry;
+        try {
+            entry = this.runBranch.completeIteration(this.iteration, {
+                judged,
+                regressed,
+                rollback: this.gitIsolation.rollbackOnRegression
+            });
+        } catch (error) {
+            this.log(`⚠️  Could not tag iteration ${this.iteration} on ${this.runBranch.branchName}: ${error.message}`, 'WARNING');
+            return null;
+        }
+        
+        if (regressed.length > 0) {
+            const message = entry.rolledBackTo
+                ? `${regressed.join(', ')} regressed - ${this.runBranch.branchName} reset to ${entry.rolledBackTo}`
+                : `${regressed.join(', ')} regressed - rollbackOnRegression is off, keeping ${entry.tag}`;
+            this.log(`↩️  ${message}`, 'WARNING');
+            this.emitEvent('alert', { level: 'warning', alertType: 'TASK_REGRESSION', message });
         }
         
-        // This should rarely happen, but if no raw content stored,
-        // return the original data as JSON
-        return JSON.stringify(this.qaUxData, null, 2);
+        return entry.rolledBackTo ? { to: entry.rolledBackTo, regressed } : null;
+    }
+
+    /**
+     * Push this iteration's fixes to the preview remote or the run's pull request
+     */
+    async deliverFixes(qaUxData) {
+        if (!this.deliveryManager) return;
+        
+        try {
+            this.lastDelivery = await this.deliveryManager.deliver({
+                branch: this.runBranch.branchName,
+                baseBranch: this.runBranch.baseBranch,
+                runId: this.runId,
+                iteration: this.iteration,
+                stillFailing: this.getFailedTasks(qaUxData).map(task => task.taskId)
+            });
+            this.emitEvent('delivery', {
+                mode: this.lastDelivery.mode,
+                commit: this.lastDelivery.commit,
+                pullRequest: this.lastDelivery.pullRequest,
+                previewUrl: this.lastDelivery.previewUrl
+            });
+            if (this.lastDelivery.previewUrl) {
+                this.log(`📬 Fixes delivered - Operator retests ${this.lastDelivery.previewUrl}`, 'INFO');
+            }
+        } catch (error) {
+            // Operator then retests the previous delivery
+            const message = `Could not deliver iteration ${this.iteration} (${this.deliveryManager.mode}): ${error.message}`;
+            this.log(`⚠️  ${message}`, 'WARNING');
+            this.emitEvent('alert', { level: 'warning', alertType: 'DELIVERY_FAILED', message });
+        }
     }
 
+    /**
+     * Per-iteration diffs of the run branch for the execution summary
+     */
+    logRunBranchSummary() {
+        if (!this.runBranch) return;
+        
+        this.log(`\n🌿 Run branch ${this.runBranch.branchName} (from ${this.runBranch.baseBranch}):`, 'INFO');
+        const iterations = this.runBranch.getDiffSummary();
+        if (iterations.length === 0) {
+            this.log('No iterations tagged', 'INFO');
+        }
+        iterations.forEach(entry => {
+            const range = entry.fromCommit === entry.commit
+                ? 'no changes'
+                : `${entry.fromCommit.slice(0, 7)}..${entry.commit.slice(0, 7)}`;
+            this.log(`  Iteration ${entry.iteration} (${entry.tag}): ${range}`, 'INFO');
+            entry.stat.forEach(line => this.log(`    ${line}`, 'INFO'));
+            if (entry.rolledBackTo) {
+                this.log(`    ↩️  rolled back to ${entry.rolledBackTo} (regressed: ${entry.regressed.join(', ')})`, 'WARNING');
+            }
+        });
+        this.log(`  Review with: git log ${this.runBranch.baseBranch}..${this.runBranch.branchName}`, 'INFO');
+    }
+
+    /**
+     * Take the cross-process send lock (shared-state.js) on the coding agent's target
+     * as 'e2e-executor', waiting up to sendLockWaitMs while another layer holds it
+     *
+     * @returns {Promise<string|null>} The locked target, null when not locking
+     */
+    async acquireSendLock() {
+        const target = this.claudeInstanceId;
+        if (this.simulation || !target) return null;
+        
+        if (!this.sendLock) {
+            const { SharedLock } = await import('./shared-state.js');
+            this.sendLock = new SharedLock({ logger: (msg) => this.log(msg, 'LOCK') });
+        }
+        
+        const deadline = Date.now() + this.sendLockWaitMs;
+        while (!this.sendLock.tryAcquireSendLock('e2e-executor', target)) {
+            if (Date.now() > deadline) {
+                throw new Error(`Send lock on ${target} still held by another layer after ${Math.round(this.sendLockWaitMs / 1000)}s`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 1000));
+        }
+        return target;
+    }
+    
+    releaseSendLock(target) {
+        if (target) {
+            this.sendLock.releaseSendLock('e2e-executor', target);
+        }
+    }
+    
     /**
      * Send Operator response to Claude via tmux and wait for processing
+     * With options.skipSend (resume after a crash) it only waits for TASK_FINISHED
      */
-    async sendOperatorResponseToClaudeAndWait(operatorResponse) {
-        console.log('📤 Sending Operator response to Claude Code...');
+    async sendOperatorResponseToClaudeAndWait(operatorResponse, options = {}) {
+        console.log(options.skipSend
+            ? '♻️  Resuming wait for Claude - prompt was already sent before restart'
+            : '📤 Sending Operator response to Claude Code...');
         
         // Start Claude phase tracking
         const phaseTracker = this.phaseDurationEnforcer.startPhase('claude', this.iteration);
+        const phaseStart = Date.now();
+        this.emitEvent('phase_start', { phase: 'claude' });
         
         // Start monitoring code changes
         const changeMonitor = await this.codeChangeVerifier.monitorPhase('claude_fixes');
         
-        // Record Claude input timestamp
-        this.workflowTimings.claudeInputTime = Date.now(); 
+        // Record Claude input timestamp (kept from the checkpoint when resuming)
+        if (!options.skipSend || !this.workflowTimings.claudeInputTime) {
+            this.workflowTimings.claudeInputTime = Date.now();
+        }
         this.log(`🕐 CLAUDE INPUT: ${this.getTimestamp()}`, 'TIMING');
         
-        const { exec } = await import('child_process');
-        const { promisify } = await import('util');
-        const execAsync = promisify(exec);
-        
         try {
-            // Build Claude prompt with Operator's analysis
-            const claudePrompt = `Here's an analysis from an AI operator about some failed QA/UX tasks:
-
-${operatorResponse}
-
-ANALYZE the broken parts deeply and once the problem has been discovered, FIX them using these principles:
-- ONLY execute the smallest possible change
-- ALWAYS use real data so we fail FAST  
-- ALWAYS have comprehensive logging so we can determine Root Cause
-- Only use code that's already written so we always follow DRY Principles
-
-Focus on:
-1. Root cause analysis of each broken component
-2. Minimal code fixes that address the core issue
-3. Logging additions to prevent future failures
-4. Reusing existing patterns and utilities
-
-IMPORTANT: You MUST actually fix the code by:
-1. Reading the relevant files
-2. Making the necessary edits to fix the issues
-3. Committing and deploying the changes to the live environment
-4. Verifying your changes are live on the production URL
-5. ONLY say "TASK_FINISHED" after you have completed ALL fixes AND deployment
-
-DEPLOYMENT STEPS (CRITICAL):
-After making code fixes, you MUST deploy to the live environment:
-1. Add and commit all changes: git add . && git commit -m "Fix: [describe the fixes]"
-2. Deploy using the appropriate method:
-   - Heroku: git push heroku main
-   - AWS/Vercel: use deployment commands or CI/CD pipeline
-   - Other platforms: follow the deployment process for your environment
-3. Wait for deployment to complete
-4. Verify fixes are live on the production URL
-
-Do NOT say TASK_FINISHED until you have:
-- Made actual code changes to fix the issues
-- Committed the changes to git
-- Deployed to the live environment successfully
-- Confirmed the fixes are live on the production app
-
-The Operator will test the live production app to verify your fixes worked.
-
-Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
-
-            // Send the prompt to Claude
-            const escapedPrompt = claudePrompt.replace(/'/g, "'\"'\"'");
-            await execAsync(`tmux send-keys -t ${this.claudeInstanceId} '${escapedPrompt}'`);
-            // Send Enter to submit the message
-            await this.sleep(100);
-            await execAsync(`tmux send-keys -t ${this.claudeInstanceId} Enter`);
-            // Wait and send Enter again to ensure execution
-            await this.sleep(2000);
-            await execAsync(`tmux send-keys -t ${this.claudeInstanceId} Enter`);
-            console.log('✅ Sent Operator response to Claude Code with double Enter');
-            
-            // Log the full response to a file for debugging
-            await fs.writeFile('./operator_response_debug.txt', operatorResponse, 'utf8');
-            console.log('💾 Full Operator response saved to operator_response_debug.txt');
-            
-            // Run /compact to clear stale TASK_FINISHED messages while preserving context
-            console.log('🧹 Running /compact to clear stale outputs while preserving context...');
-            await execAsync(`tmux send-keys -t ${this.claudeInstanceId} '/compact' Enter`);
-            // Wait and send Enter again to ensure /compact executes
-            await this.sleep(2000);
-            await execAsync(`tmux send-keys -t ${this.claudeInstanceId} Enter`);
-            await this.sleep(3000); // Wait for compact to complete
-            console.log('✅ /compact completed with double Enter - ready for fresh TASK_FINISHED detection');
-            
-            // Use WindowKeywordMonitor to wait for Claude to finish
+            // Build Claude prompt with Operator's analysis from the project's template
+            const claudePrompt = this.buildClaudePrompt(operatorResponse);
+            
+            if (!options.skipSend) {
+                // Hold the send lock on Claude's window so a monitor doesn't type into it at the same time
+                const lockTarget = await this.acquireSendLock();
+                try {
+                    // Send the prompt to Claude
+                    await this.codingAgent.submit(claudePrompt);
+                    
+                    // Log the full response to a file for debugging
+                    await fs.writeFile(path.join(this.workingDir, 'operator_response_debug.txt'), operatorResponse, 'utf8');
+                    console.log('💾 Full Operator response saved to operator_response_debug.txt');
+                    
+                    // Clear stale TASK_FINISHED output (/compact for Claude in tmux)
+                    await this.codingAgent.reset();
+                } finally {
+                    this.releaseSendLock(lockTarget);
+                }
+                
+                await this.checkpoint('claude_input');
+            }
+            
             console.log('⏳ Waiting for Claude to process Operator response and say TASK_FINISHED...');
             console.log(`📝 Operator response length: ${operatorResponse.length} characters`);
             console.log(`📝 Operator response preview: ${operatorResponse.substring(0, 500)}...`);
+            this.log(`⏳ Waiting for ${this.codingAgent.name} completion - Iteration: ${this.iteration}, Target: ${this.claudeInstanceId}`, 'INFO');
             
-            // Load monitor configuration
-            const monitorConfig = JSON.parse(
-                await fs.readFile(
-                    path.join(__dirname, 'config', 'task_finished_monitor.json'), 
-                    'utf8'
-                )
-            );
-            
-            // Update config with window index
-            monitorConfig.windowIndex = this.claudeInstanceId;
-            
-            // Create WindowKeywordMonitor instance
-            const monitor = new WindowKeywordMonitor(monitorConfig);
-            
-            this.log(`⏳ Starting WindowKeywordMonitor - Iteration: ${this.iteration}, Window: ${this.claudeInstanceId}`, 'INFO');
-            
-            // Set up event handlers
-            const detectionPromise = new Promise((resolve, reject) => {
-                let detectionStartTime = Date.now();
-                let hasDetected = false;
+            try {
+                const completion = await this.codingAgent.awaitCompletion();
+                if (!completion.success) {
+                    throw new Error(completion.error || 'Coding agent did not complete');
+                }
                 
-                monitor.on('keyword_detected', async ({keyword, output, chainIndex}) => {
-                    if (hasDetected) return; // Prevent multiple detections
-                    
-                    const currentTime = Date.now();
-                    const timeSinceLastDetection = currentTime - this.lastTaskFinishedTime;
-                    const elapsedTime = currentTime - detectionStartTime;
-                    
-                    // Check cooldown period
-                    if (timeSinceLastDetection < this.taskFinishedCooldown) {
-                        this.log(`⏸️  TASK_FINISHED detected but in cooldown period`, 'WARNING');
-                        this.log(`   Time since last detection: ${Math.floor(timeSinceLastDetection/1000)}s`, 'WARNING');
-                        this.log(`   Cooldown remaining: ${Math.floor((this.taskFinishedCooldown - timeSinceLastDetection)/1000)}s`, 'WARNING');
-                        this.log(`   Ignoring stale detection, continuing to monitor...`, 'WARNING');
-                        return; // Don't resolve, keep monitoring
-                    }
-                    
-                    hasDetected = true;
-                    
-                    // Valid detection
-                    const detectionContext = {
-                        monitorDuration: elapsedTime,
-                        windowTarget: this.claudeInstanceId,
-                        chainIndex
-                    };
-                    
-                    const detectionId = this.logTaskFinishedDetection(output, detectionContext);
-                    this.lastTaskFinishedTime = currentTime;
-                    
-                    this.log('✅ Claude completed processing (detected: TASK_FINISHED)', 'INFO');
-                    this.log(`   Detection time: ${Math.floor(elapsedTime/1000)}s`, 'INFO');
-                    this.log(`   Time since last detection: ${timeSinceLastDetection > 0 ? Math.floor(timeSinceLastDetection/1000) + 's' : 'First detection'}`, 'INFO');
-                    
-                    // Stop monitor and resolve
-                    monitor.stop();
-                    
-                    resolve({
-                        success: true,
-                        claudeResponse: output,
-                        detectionId,
-                        detectionContext
-                    });
-                });
+                const detectionId = this.logTaskFinishedDetection(completion.output || '', completion.detectionContext || {});
+                this.log('✅ Claude completed processing (detected: TASK_FINISHED)', 'INFO');
+                this.log(`   Detection time: ${Math.floor((completion.detectionContext?.monitorDuration || 0)/1000)}s`, 'INFO');
                 
-                monitor.on('timeout', () => {
-                    this.log('⚠️ WindowKeywordMonitor timeout waiting for TASK_FINISHED', 'WARNING');
-                    reject(new Error('Timeout waiting for Claude to finish processing'));
-                });
+                // Verify code changes were made
+                const changeVerification = changeMonitor.complete();
+                const result = {
+                    success: true,
+                    claudeResponse: completion.output,
+                    detectionId,
+                    detectionContext: completion.detectionContext,
+                    commits: changeVerification.commits || []
+                };
+                await this.checkpoint('task_finished');
                 
-                monitor.on('error', ({error, action}) => {
-                    this.log(`❌ WindowKeywordMonitor error during ${action}: ${error}`, 'ERROR');
-                    reject(new Error(`Monitor error: ${error}`));
+                phaseTracker.addQualityCheck({
+                    type: 'code_changes',
+                    verified: changeVerification.verified,
+                    reason: changeVerification.reason,
+                    changes: changeVerification.changes
                 });
                 
-                monitor.on('chain_complete', ({totalStages, executionTime}) => {
-                    // This shouldn't happen with single-chain TASK_FINISHED detection
-                    this.log(`Chain complete event (unexpected): ${totalStages} stages in ${executionTime}ms`, 'DEBUG');
+                await this.monitoring.recordCodeChanges({
+                    iteration: this.iteration,
+                    verified: changeVerification.verified,
+                    filesChanged: changeVerification.changes?.filesModified || 0,
+                    linesChanged: changeVerification.changes?.totalChanges || 0,
+                    reason: changeVerification.reason,
+                    commits: result.commits
                 });
-            });
-            
-            try {
-                // Start monitoring
-                await monitor.start();
                 
-                // Wait for detection or timeout
-                const result = await detectionPromise;
-                
-                // Verify code changes were made
-                if (result.success) {
-                    const changeVerification = changeMonitor.complete();
-                    phaseTracker.addQualityCheck({
-                        type: 'code_changes',
-                        verified: changeVerification.verified,
-                        reason: changeVerification.reason,
-                        changes: changeVerification.changes
-                    });
-                    
-                    if (!changeVerification.verified) {
-                        this.log(`⚠️  WARNING: ${changeVerification.reason}`, 'WARNING');
-                        this.log(`   Claude phase completed without expected code changes`, 'WARNING');
-                    } else {
-                        this.log(`✅ Code changes verified: ${changeVerification.changes.filesModified} files, ${changeVerification.changes.totalChanges} lines`, 'INFO');
-                    }
+                if (!changeVerification.verified) {
+                    this.log(`⚠️  WARNING: ${changeVerification.reason}`, 'WARNING');
+                    this.log(`   Claude phase completed without expected code changes`, 'WARNING');
+                } else {
+                    this.log(`✅ Code changes verified: ${changeVerification.changes.filesModified} files, ${changeVerification.changes.totalChanges} lines`, 'INFO');
                 }
                 
                 // Complete phase tracking with duration enforcement
@@ -1037,10 +1297,12 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
                     this.log(`⚠️  Claude phase quality concerns: ${phaseResult.reason}`, 'WARNING');
                 }
                 
+                this.emitEvent('phase_end', { phase: 'claude', success: true, durationMs: Date.now() - phaseStart });
                 return result;
                 
             } catch (error) {
                 console.log(`⚠️ Error during TASK_FINISHED monitoring: ${error.message}`);
+                this.emitEvent('phase_end', { phase: 'claude', success: false, durationMs: Date.now() - phaseStart, error: error.message });
                 return {
                     success: false,
                     error: error.message
@@ -1048,6 +1310,7 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             }
             
         } catch (error) {
+            this.emitEvent('phase_end', { phase: 'claude', success: false, durationMs: Date.now() - phaseStart, error: `Failed to send to Claude: ${error.message}` });
             return {
                 success: false,
                 error: `Failed to send to Claude: ${error.message}`
@@ -1083,44 +1346,176 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
                         }
                     }
                 });
+            } else {
+                this.applyExtractedVerdicts(qaUxData, operatorResponse);
             }
         } catch (error) {
-            console.log('⚠️ Could not parse Operator response as JSON');
-            console.log('❌ CRITICAL: Tasks should only be marked as pass after Claude confirms fixes are complete');
-            console.log('⚠️  Keeping all task statuses unchanged until fixes are verified');
-            
-            // DO NOT randomly mark tasks as pass!
-            // Tasks should only pass when:
-            // 1. Claude has actually made code changes
-            // 2. The changes have been verified to fix the issue
-            // 3. Or when operator/claude explicitly confirms the fix
-            
-            Object.entries(qaUxData.tasks || {}).forEach(([taskId, task]) => {
-                if (task.status === 'fail') {
-                    console.log(`📋 Task ${taskId} remains: fail (awaiting actual fixes)`);
+            console.log('⚠️ Could not parse Operator response as JSON, extracting per-step verdicts from text...');
+            this.applyExtractedVerdicts(qaUxData, operatorResponse);
+        }
+    }
+
+    /**
+     * Apply verdicts extracted from Operator's free-text reply to the QA_UX tasks
+     */
+    applyExtractedVerdicts(qaUxData, operatorResponse) {
+        const extraction = this.extractOperatorVerdicts(qaUxData, operatorResponse);
+        this.lastVerdictExtraction = extraction;
+        const now = new Date().toISOString();
+
+        Object.entries(extraction.tasks).forEach(([taskId, verdict]) => {
+            const task = qaUxData.tasks[taskId];
+
+            // Record step results so the next Operator prompt reflects the latest run
+            verdict.steps.forEach(stepVerdict => {
+                const step = task.test_steps?.[stepVerdict.stepIndex];
+                if (step && typeof step === 'object') {
+                    step.status = stepVerdict.verdict;
+                    step.result = stepVerdict.text;
+                }
+            });
+
+            task.operatorAnalysis = {
+                source: 'verdict_extractor',
+                status: verdict.status,
+                confidence: verdict.confidence,
+                stepsCovered: verdict.stepsCovered,
+                stepCount: verdict.stepCount,
+                steps: verdict.steps.map(({ stepIndex, verdict: stepStatus, reason, confidence }) => ({ stepIndex, status: stepStatus, reason, confidence }))
+            };
+            task.lastAnalyzed = now;
+
+            // Only flip to pass on a complete, confident verdict - never guess
+            if (verdict.status === 'pass' && verdict.confidence >= this.verdictConfidenceThreshold) {
+                if (task.status !== 'pass') {
+                    task.status = 'pass';
+                    task.lastUpdated = now;
+                    console.log(`✅ Task ${taskId} status updated to: pass (confidence ${verdict.confidence})`);
                 }
+            } else if (verdict.status === 'fail') {
+                if (task.status !== 'fail') {
+                    task.status = 'fail';
+                    task.lastUpdated = now;
+                }
+                console.log(`📋 Task ${taskId} remains: fail (${verdict.steps.filter(s => s.verdict === 'fail').length} failing steps)`);
+            } else {
+                console.log(`📋 Task ${taskId} verdict ${verdict.status} (confidence ${verdict.confidence}), status remains: ${task.status}`);
+            }
+        });
+
+        Object.entries(qaUxData.tasks || {}).forEach(([taskId, task]) => {
+            if (task.status === 'fail' && !extraction.tasks[taskId] && this.taskSelector.matches(taskId, task)) {
+                console.log(`📋 Task ${taskId} remains: fail (no verdict found in Operator response)`);
+            }
+        });
+
+        if (extraction.unmatchedLines.length > 0) {
+            this.log(`⚠️  ${extraction.unmatchedLines.length} Operator verdict lines could not be mapped to a task/step`, 'WARNING');
+            extraction.unmatchedLines.forEach(unmatched => {
+                this.log(`   line ${unmatched.line} (${unmatched.reason}): ${unmatched.text.substring(0, 120)}`, 'DEBUG');
             });
         }
+
+        return extraction;
+    }
+
+    /**
+     * Run the verdict extractor over the Operator response; a batched response is read
+     * batch by batch, each reply only matched against the tasks sent in its conversation
+     */
+    extractOperatorVerdicts(qaUxData, operatorResponse) {
+        if (!this.operatorBatchResponses) {
+            return this.verdictExtractor.extract(operatorResponse, qaUxData);
+        }
+        
+        const extractions = this.operatorBatchResponses.map(({ taskIds, response }) =>
+            this.verdictExtractor.extract(response, qaUxData, { taskIds }));
+        const tasks = Object.assign({}, ...extractions.map(extraction => extraction.tasks));
+        const confidences = Object.values(tasks).map(verdict => verdict.confidence);
+        
+        return {
+            tasks,
+            unmatchedLines: extractions.flatMap(extraction => extraction.unmatchedLines),
+            confidence: confidences.length > 0
+                ? Number((confidences.reduce((sum, c) => sum + c, 0) / confidences.length).toFixed(2))
+                : 0,
+            extractedAt: new Date().toISOString()
+        };
     }
 
     /**
-     * Check if all tasks have passed
+     * Check if all selected tasks have passed
      */
     allTasksPassed(qaUxData) {
         if (!qaUxData.tasks) return true;
         
-        const failedTasks = Object.values(qaUxData.tasks).filter(task => task.status === 'fail');
+        const failedTasks = Object.values(this.taskSelector.select(qaUxData.tasks)).filter(task => task.status === 'fail');
         return failedTasks.length === 0;
     }
 
+    /**
+     * Lease the project's Chrome port in the machine-wide registry (lib/port-registry.js),
+     * moving to the next free port when the derived one is leased to another project
+     * or used by something else
+     */
+    async leaseChromePort() {
+        this.portRegistry = this.portRegistry || new PortRegistry({
+            basePort: this.projectManager.BASE_CHROME_PORT,
+            portCount: this.projectManager.MAX_CHROME_PORTS,
+            logger: (msg) => this.log(msg, 'PORTS')
+        });
+        
+        try {
+            this.chromePortLease = await this.portRegistry.acquire({
+                projectHash: this.projectContext.projectHash,
+                projectName: this.projectContext.projectName,
+                preferredPort: this.projectContext.chromePort,
+                pinned: this.pinChromePort
+            });
+        } catch (error) {
+            throw infrastructureError(`Could not lease a Chrome port: ${error.message}`);
+        }
+        
+        const { port, preferredPort } = this.chromePortLease;
+        if (port !== preferredPort) {
+            this.log(`🔀 Chrome port ${preferredPort} is taken, using ${port} (profile /tmp/chrome-e2e-${port})`, 'WARNING');
+            this.projectContext.chromePort = port;
+        }
+    }
+    
+    /**
+     * Stop the run on SIGINT/SIGTERM: end it with exit code 130 and run the cleanup
+     * execute() would (run_end, reports, Chrome, port lease); the iteration loop
+     * stops at its next checkpoint
+     */
+    async interrupt(signal) {
+        if (this.interrupted) return;
+        this.interrupted = interruptedError(`Interrupted by ${signal} - resume with --resume ${this.runId}`);
+        this.exitCode = EXIT_CODES.INTERRUPTED;
+        this.log(`\n🛑 ${this.interrupted.message}`, 'WARNING');
+        this.emitEvent('run_end', { status: 'error', exitCode: this.exitCode, error: this.interrupted.message });
+        await this.cleanUp();
+    }
+    
     /**
      * Main execution loop
+     * @returns {Promise<{status: string, exitCode: number}>} 'passed' or 'failed' with the process
+     *   exit code for it (see lib/exit-codes.js); errors carry theirs in `error.exitCode`
      */
     async execute() {
         try {
             // Initialize project context FIRST
             this.log('🔍 Detecting project context for cross-project isolation...', 'INFO');
-            this.projectContext = await this.projectManager.getFullProjectContext();
+            try {
+                this.projectContext = await this.projectManager.getFullProjectContext({
+                    projectPath: this.projectPath,
+                    projectName: this.projectName,
+                    configPath: this.projectConfigPath,
+                    logDirectory: this.logDirectory
+                });
+            } catch (error) {
+                throw configError(error.message);
+            }
             
             // Override tmux session if targetSession is specified
             if (this.targetSession) {
@@ -1148,29 +1543,76 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
                 this.projectContext.chromePort = this.chromePort;
             }
             
+            // Lease the port so concurrent runs (other projects, other processes) don't share a Chrome
+            const browserBackend = this.projectContext.config?.browserAgent?.backend || 'operator';
+            if (!this.simulation && browserBackend === 'operator') {
+                await this.leaseChromePort();
+            }
+            
             this.log('✅ Project context detected:', 'INFO');
             this.log(`   Project: ${this.projectContext.projectName}`, 'INFO');
             this.log(`   Path: ${this.projectContext.projectPath}`, 'INFO');
             this.log(`   Chrome Port: ${this.projectContext.chromePort}`, 'INFO');
             this.log(`   Tmux Session: ${this.projectContext.tmuxSessionName}`, 'INFO');
             this.log(`   Log Directory: ${this.projectContext.logDirectory}`, 'INFO');
+            if (this.logDirectory) {
+                this.log(`🎯 Log directory overridden with: ${this.projectContext.logDirectory}`, 'INFO');
+            }
             
             // Update log file path with project context
             this.logFilePath = path.join(this.projectContext.logDirectory, `e2e_run_${this.runId}.log`);
             this.log(`   Updated Log File: ${this.logFilePath}`, 'INFO');
             
             // Initialize reliability systems with project context
+            const simulation = this.simulation;
+            // Agent tab matching for health checks, recovery and the Operator home page
+            this.browserTarget = new BrowserTarget(this.projectContext.config?.browserTarget);
+            
             this.healthCheck = new HealthCheckSystem({
                 chromePort: this.projectContext.chromePort,
+                browserTarget: this.browserTarget,
                 tmuxSession: this.projectContext.tmuxSessionName,
-                logger: (msg) => this.log(msg, 'HEALTH')
+                logDirectory: this.projectContext.logDirectory,
+                logger: (msg) => this.log(msg, 'HEALTH'),
+                ...(this.ci && { maxRecoveryAttempts: 1 }),
+                ...(simulation && {
+                    probes: simulation.healthProbes(),
+                    recoveryDelayMs: simulation.timing.healthRetryDelay
+                })
             });
             
+            // Launch and supervise the project's Chrome - not for --simulate or the mock agent
+            const chromeConfig = { autoLaunch: true, ...this.projectContext.config?.chrome };
+            if (!simulation && browserBackend === 'operator' && chromeConfig.autoLaunch) {
+                this.chromeLauncher = new ChromeLauncher({
+                    chromePort: this.projectContext.chromePort,
+                    args: this.projectManager.generateChromeArgs(this.projectContext.chromePort, {
+                        headless: this.headless || chromeConfig.headless
+                    }),
+                    startUrl: this.browserTarget.newTabUrl(),
+                    executable: chromeConfig.executable,
+                    maxRestarts: chromeConfig.maxRestarts,
+                    startupTimeoutMs: chromeConfig.startupTimeoutMs,
+                    logger: (msg) => this.log(msg, 'CHROME')
+                });
+            }
+            
             this.sessionRecovery = new SessionRecovery({
                 chromePort: this.projectContext.chromePort,
-                logger: (msg) => this.log(msg, 'RECOVERY')
+                browserTarget: this.browserTarget,
+                chromeLauncher: this.chromeLauncher,
+                logger: (msg) => this.log(msg, 'RECOVERY'),
+                ...(simulation && { probes: simulation.recoveryProbes(() => this.iteration) })
             });
             
+            if (this.chromeLauncher) {
+                try {
+                    await this.chromeLauncher.ensureRunning();
+                } catch (error) {
+                    throw infrastructureError(`Could not start Chrome on port ${this.projectContext.chromePort}: ${error.message}`);
+                }
+            }
+            
             this.codeChangeVerifier = new CodeChangeVerifier({
                 logger: (msg) => this.log(msg, 'VERIFIER'),
                 gitRepo: this.workingDir
@@ -1178,8 +1620,8 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             
             this.phaseDurationEnforcer = new PhaseDurationEnforcer({
                 logger: (msg) => this.log(msg, 'DURATION'),
-                minOperatorDuration: 60000,  // 1 minute
-                minClaudeDuration: 120000    // 2 minutes
+                minOperatorDuration: simulation ? simulation.timing.minPhaseDuration : 60000,  // 1 minute
+                minClaudeDuration: simulation ? simulation.timing.minPhaseDuration : 120000    // 2 minutes
             });
             
             // Initialize monitoring and alerting with project context
@@ -1191,6 +1633,7 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             
             // Listen for alerts
             this.monitoring.on('alert', (alert) => {
+                this.emitEvent('alert', { level: alert.level, alertType: alert.type, message: alert.message });
                 if (alert.level === 'critical') {
                     console.error(`🚨 CRITICAL ALERT: ${alert.type} - ${alert.message}`);
                 }
@@ -1198,6 +1641,130 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             
             this.log('✅ Reliability systems initialized with project context', 'INFO');
             
+            this.qaResultsWriter.sidecarDirectory = this.projectContext.logDirectory;
+            
+            // Claude fix prompt uses the project's template, deployment method and production URL
+            const projectConfig = this.projectContext.config || {};
+            const delivery = {
+                mode: 'production',
+                forge: { adapter: 'github', options: {} },
+                ...projectConfig.delivery,
+                ...this.deliveryOverrides
+            };
+            
+            // Claude only commits when the run delivers the fixes itself
+            let claudePrompt = projectConfig.claudePrompt;
+            if (delivery.mode !== 'production' && (claudePrompt?.template || 'fix-and-deploy') === 'fix-and-deploy') {
+                claudePrompt = { ...claudePrompt, template: 'fix-only' };
+            }
+            this.claudePromptBuilder = new ClaudePromptBuilder({
+                claudePrompt,
+                deployment: projectConfig.deployment,
+                deploymentMethod: projectConfig.deploymentMethod,
+                productionUrl: projectConfig.productionUrl
+            });
+            this.log(`   Claude prompt template: ${this.claudePromptBuilder.templateName} (deploy: ${this.claudePromptBuilder.getDeploymentSteps()})`, 'INFO');
+            
+            this.operatorBatching = { ...this.operatorBatching, ...projectConfig.operatorBatching, ...this.operatorBatchingOverrides };
+            this.taskBatcher = new TaskBatcher(this.operatorBatching);
+            if (this.taskBatcher.isEnabled()) {
+                const { maxTasks, maxTokens, parallel } = this.operatorBatching;
+                this.log(`   Operator batching: ${maxTasks || 'any'} tasks / ${maxTokens || 'any'} tokens per conversation, ${parallel} at a time`, 'INFO');
+            }
+            
+            this.gitIsolation = {
+                enabled: false,
+                branchPrefix: 'e2e',
+                rollbackOnRegression: true,
+                ...projectConfig.gitIsolation,
+                ...this.gitIsolationOverrides
+            };
+            if (delivery.mode !== 'production' && !this.gitIsolation.enabled) {
+                this.log(`   Git isolation enabled for ${delivery.mode} delivery (fixes need their own branch)`, 'INFO');
+                this.gitIsolation.enabled = true;
+            }
+            if (this.gitIsolation.enabled && this.gitIsolation.rollbackOnRegression && delivery.mode === 'production') {
+                // Claude's deploy of the regressed code would stay live while Operator "retests" the reset branch
+                this.log('   Git isolation: no rollback on regression without preview or pull-request delivery to redeploy the reset branch', 'INFO');
+                this.gitIsolation.rollbackOnRegression = false;
+            }
+            if (this.gitIsolation.enabled) {
+                this.runBranch = new GitRunBranch({
+                    gitRepo: this.workingDir,
+                    runId: this.runId,
+                    branchPrefix: this.gitIsolation.branchPrefix,
+                    logger: (msg) => this.log(msg, 'GIT')
+                });
+                this.log(`   Git isolation: branch ${this.runBranch.branchName}${this.gitIsolation.rollbackOnRegression ? ', rollback on regression' : ''}`, 'INFO');
+            }
+            
+            if (delivery.mode !== 'production') {
+                try {
+                    this.deliveryManager = new DeliveryManager({
+                        ...delivery,
+                        gitRepo: this.workingDir,
+                        logger: (msg) => this.log(msg, 'DELIVERY'),
+                        forge: delivery.mode === 'pull-request'
+                            ? await createForge(delivery.forge, { gitRepo: this.workingDir, logger: (msg) => this.log(msg, 'FORGE') })
+                            : null
+                    });
+                } catch (error) {
+                    throw configError(error.message);
+                }
+                this.log(`   Delivery: ${delivery.mode}${delivery.mode === 'pull-request' ? ` via ${delivery.forge.adapter}` : ` to ${delivery.remote}`}` +
+                    (delivery.previewUrl ? `, Operator retests ${delivery.previewUrl}` : ''), 'INFO');
+            }
+            
+            if (simulation) {
+                const qaName = path.parse(this.qaUxFilePath || 'qa_ux').name;
+                this.qaUxOutputPath = path.join(this.projectContext.logDirectory, `simulated_${qaName}_${this.runId}.json`);
+                this.log(`🧪 Simulation mode: scenario '${simulation.name}' - Operator and Claude are scripted`, 'INFO');
+                this.log(`   Task updates will be saved to: ${this.qaUxOutputPath}`, 'INFO');
+            }
+            
+            // Checkpoint journal lives next to the run log so --resume can find it
+            this.checkpointJournal = new CheckpointJournal({
+                runId: this.runId,
+                logDirectory: this.projectContext.logDirectory,
+                logger: (msg) => this.log(msg, 'CHECKPOINT')
+            });
+            
+            this.eventLog = new RunEventLog({
+                runId: this.runId,
+                project: this.projectContext.projectName,
+                logDirectory: this.projectContext.logDirectory,
+                logger: (msg) => this.log(msg, 'EVENTS')
+            });
+            
+            // Simulated verdicts are kept apart so they don't count against the real tasks
+            this.taskHistory = new TaskHistory({
+                historyPath: path.join(this.projectContext.logDirectory, simulation ? `simulated_${TASK_HISTORY_FILE}` : TASK_HISTORY_FILE),
+                logger: (msg) => this.log(msg, 'HISTORY')
+            });
+            
+            if (this.resumeRunId) {
+                try {
+                    this.resumePoint = await this.checkpointJournal.getResumePoint();
+                } catch (error) {
+                    throw configError(error.message);
+                }
+                
+                if (this.resumePoint.complete) {
+                    // Same outcome as the finished run; journals without an exitCode go by the task statuses
+                    const { exitCode, taskStatuses = {} } = this.resumePoint.checkpoint.state || {};
+                    this.exitCode = exitCode ?? (Object.values(taskStatuses).every(status => status === 'pass')
+                        ? EXIT_CODES.PASSED
+                        : EXIT_CODES.TASKS_FAILING);
+                    const status = this.exitCode === EXIT_CODES.PASSED ? 'passed' : 'failed';
+                    this.log(`✅ Run ${this.resumeRunId} already completed (${status}, exit code ${this.exitCode}) - nothing to resume`, 'INFO');
+                    return { status, exitCode: this.exitCode };
+                }
+                
+                this.restoreFromCheckpoint(this.resumePoint.checkpoint);
+                this.log(`♻️  Resuming run ${this.resumeRunId} at iteration ${this.resumePoint.iteration}` +
+                    (this.resumePoint.phase ? ` after phase '${this.resumePoint.phase}'` : ' (start of iteration)'), 'INFO');
+            }
+            
             // Initialize logging
             this.log('🎯 Starting Operator E2E Execution', 'INFO');
             this.log(`Run ID: ${this.runId}`, 'INFO');
@@ -1221,21 +1788,76 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             // Step 0: Load QA_UX file
             const qaUxData = await this.loadQaUxFile();
             this.qaUxData = qaUxData; // Store for access in other methods
+            this.restoreTaskStatuses(qaUxData);
+            this.applyTaskSelection(qaUxData);
+            this.emitEvent('run_start', {
+                qaFile: this.qaUxFilePath,
+                maxIterations: this.maxIterations,
+                chromePort: this.projectContext.chromePort,
+                tmuxSession: this.projectContext.tmuxSessionName,
+                resumed: !!this.resumePoint,
+                tasks: Object.fromEntries(Object.entries(qaUxData.tasks || {}).map(([taskId, task]) => [taskId, task.status]))
+            });
+            
+            if (this.runBranch) {
+                try {
+                    this.runBranch.start();
+                } catch (error) {
+                    throw configError(error.message);
+                }
+            }
             
-            // Step 1: Setup Claude session
-            await this.setupClaudeSession();
+            // Step 1: Setup Claude session - when resuming while Claude is still working,
+            // reattach to its window instead of restarting it
+            const resumePoint = this.resumePoint;
+            const savedClaudeTarget = resumePoint?.checkpoint.state?.claudeInstanceId;
+            if (resumePoint?.phase === 'claude_input' && savedClaudeTarget) {
+                this.codingAgent = await this.createCodingAgent(savedClaudeTarget);
+                if (typeof this.codingAgent.attach === 'function') {
+                    this.codingAgent.attach(savedClaudeTarget);
+                    this.claudeInstanceId = savedClaudeTarget;
+                    this.log(`♻️  Reattaching to Claude window: ${this.claudeInstanceId}`, 'INFO');
+                } else {
+                    // Subprocess agents died with the previous process - their prompt must go again
+                    this.log(`⚠️  ${this.codingAgent.name} agent cannot be reattached, re-sending the Claude prompt`, 'WARNING');
+                    resumePoint.phase = 'operator_receive';
+                    await this.setupClaudeSession();
+                }
+            } else {
+                await this.setupClaudeSession();
+            }
             
             // Main iteration loop with error recovery
-            for (this.iteration = 1; this.iteration <= this.maxIterations; this.iteration++) {
+            const firstIteration = resumePoint ? resumePoint.iteration : 1;
+            let iterationsCompleted = 0;
+            let lastIterationError = null;
+            for (this.iteration = firstIteration; this.iteration <= this.maxIterations; this.iteration++) {
                 console.log(`\n🔄 Iteration ${this.iteration}/${this.maxIterations}`);
+                this.emitEvent('iteration_start', {
+                    maxIterations: this.maxIterations,
+                    failingTasks: Object.entries(this.taskSelector.select(qaUxData.tasks))
+                        .filter(([taskId, task]) => task.status === 'fail')
+                        .map(([taskId]) => taskId)
+                });
+                
+                // Phase already finished before a restart, for the resumed iteration only
+                const resumedPhase = resumePoint && this.iteration === resumePoint.iteration ? resumePoint.phase : null;
+                const resumedResponse = ['operator_receive', 'claude_input', 'task_finished'].includes(resumedPhase) &&
+                    this.currentOperatorResponse;
                 
                 // Reset workflow timings for new iteration
-                this.resetWorkflowTimings();
+                if (!resumedResponse) {
+                    this.resetWorkflowTimings();
+                }
                 console.log('─'.repeat(30));
                 
                 // Perform health check before iteration
                 const healthOk = await this.healthCheck.ensureHealthyBeforeIteration(this.iteration);
                 if (!healthOk) {
+                    if (this.ci) {
+                        throw infrastructureError(`System health check failed before iteration ${this.iteration} (--ci: no recovery attempted)`);
+                    }
+                    
                     this.log('❌ System health check failed, attempting recovery...', 'ERROR');
                     const recovery = await this.sessionRecovery.performFullRecovery({
                         claudeSession: 'claude-code',
@@ -1244,83 +1866,110 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
                     });
                     
                     if (!recovery.success) {
-                        throw new Error('Failed to recover system health for iteration ' + this.iteration);
+                        throw infrastructureError('Failed to recover system health for iteration ' + this.iteration);
                     }
                 }
                 
                 try {
-                    // Step 2: Setup fresh Operator connection for each iteration
-                    console.log('🔌 Setting up fresh Operator connection for this iteration...');
-                    await this.setupOperatorConnection();
-                
-                // Check if all tasks have passed
-                if (this.allTasksPassed(qaUxData)) {
-                    console.log('🎉 All tasks have passed! Execution complete.');
-                    // Cleanup connection before breaking
-                    if (this.operatorSender) {
-                        await this.operatorSender.disconnect();
-                        this.operatorSender = null;
+                    let operatorResponse;
+                    if (resumedResponse) {
+                        // Operator already answered before the restart - don't send again
+                        this.log(`♻️  Reusing Operator response from checkpoint (${resumedResponse.length} chars)`, 'INFO');
+                        operatorResponse = resumedResponse;
+                    } else {
+                        if (resumedPhase === 'operator_send') {
+                            this.log('⚠️  Restart happened while waiting for Operator - its response was lost, re-sending', 'WARNING');
+                        }
+                        
+                        // Step 2: Setup fresh Operator connection for each iteration
+                        console.log('🔌 Setting up fresh Operator connection for this iteration...');
+                        await this.setupOperatorConnection();
+                        
+                        // Check if all tasks have passed
+                        if (this.allTasksPassed(qaUxData)) {
+                            console.log('🎉 All tasks have passed! Execution complete.');
+                            // Cleanup connection before breaking
+                            if (this.browserAgent) {
+                                await this.browserAgent.disconnect();
+                                this.browserAgent = null;
+                            }
+                            break;
+                        }
+                        
+                        // Step 3: Get failed tasks and send to Operator FIRST
+                        const failedTasks = this.getFailedTasks(qaUxData);
+                        if (failedTasks.length === 0) {
+                            console.log('✅ No failed tasks found, execution complete');
+                            // Cleanup connection before breaking
+                            if (this.browserAgent) {
+                                await this.browserAgent.disconnect();
+                                this.browserAgent = null;
+                            }
+                            break;
+                        }
+                        
+                        operatorResponse = await this.sendTasksToOperator(failedTasks);
                     }
-                    break;
-                }
-                
-                // Step 3: Get failed tasks and send to Operator FIRST
-                const failedTasks = this.getFailedTasks(qaUxData);
-                if (failedTasks.length === 0) {
-                    console.log('✅ No failed tasks found, execution complete');
-                    // Cleanup connection before breaking
-                    if (this.operatorSender) {
-                        await this.operatorSender.disconnect();
-                        this.operatorSender = null;
+                    
+                    // Step 4: Send Operator response to Claude via tmux (skipped if Claude had already finished)
+                    const claudeProcessed = resumedPhase === 'task_finished'
+                        ? { success: true, resumed: true }
+                        : await this.sendOperatorResponseToClaudeAndWait(operatorResponse, { skipSend: resumedPhase === 'claude_input' });
+                    
+                    // Step 5: Only update task statuses if Claude successfully processed
+                    const statusesBefore = Object.fromEntries(
+                        Object.entries(qaUxData.tasks || {}).map(([taskId, task]) => [taskId, task.status])
+                    );
+                    if (claudeProcessed.success) {
+                        console.log('✅ Claude successfully processed Operator response');
+                        this.updateTaskStatuses(qaUxData, operatorResponse);
+                        this.emitTaskStatusChanges(qaUxData, statusesBefore);
+                        await this.recordTaskHistory(qaUxData, statusesBefore, claudeProcessed.commits);
+                    } else {
+                        console.log('❌ Claude failed to process Operator response');
+                        console.log(`   Error: ${claudeProcessed.error}`);
+                        // Don't update task statuses on failure
                     }
-                    break;
-                }
-                
-                const operatorResponse = await this.sendTasksToOperator(failedTasks);
-                
-                // Step 4: Send Operator response to Claude via tmux
-                const claudeProcessed = await this.sendOperatorResponseToClaudeAndWait(operatorResponse);
-                
-                // Step 5: Only update task statuses if Claude successfully processed
-                if (claudeProcessed.success) {
-                    console.log('✅ Claude successfully processed Operator response');
-                    this.updateTaskStatuses(qaUxData, operatorResponse);
-                } else {
-                    console.log('❌ Claude failed to process Operator response');
-                    console.log(`   Error: ${claudeProcessed.error}`);
-                    // Don't update task statuses on failure
-                }
-                
+                    const rollback = this.completeRunBranchIteration(qaUxData, statusesBefore, claudeProcessed.success);
+                    this.recordAttempt(claudeProcessed, qaUxData, rollback);
+                    if (claudeProcessed.success) {
+                        await this.deliverFixes(qaUxData);
+                    }
+                    
                     // Step 6: Save updated file
                     await this.saveQaUxFile(qaUxData);
                     
                     // Step 7: Cleanup Operator connection for this iteration
-                    if (this.operatorSender) {
+                    if (this.browserAgent) {
                         console.log('🧹 Disconnecting Operator connection...');
-                        await this.operatorSender.disconnect();
-                        this.operatorSender = null;
+                        await this.browserAgent.disconnect();
+                        this.browserAgent = null;
                     }
                     
+                    await this.checkpoint('iteration_complete');
+                    iterationsCompleted++;
                     console.log(`✅ Iteration ${this.iteration} completed`);
                     
                     // Validate workflow timing for this iteration
                     this.validateWorkflowTiming();
                     
                 } catch (iterationError) {
+                    if (iterationError === this.interrupted) throw iterationError;
                     this.log(`❌ Error in iteration ${this.iteration}: ${iterationError.message}`, 'ERROR');
                     this.log(`Stack trace: ${iterationError.stack}`, 'ERROR');
+                    lastIterationError = iterationError;
                     
                     // Attempt recovery for next iteration
                     console.log('🔧 Attempting error recovery for next iteration...');
                     
                     // Clean up any partial state
-                    if (this.operatorSender) {
+                    if (this.browserAgent) {
                         try {
-                            await this.operatorSender.disconnect();
+                            await this.browserAgent.disconnect();
                         } catch (e) {
                             // Ignore cleanup errors
                         }
-                        this.operatorSender = null;
+                        this.browserAgent = null;
                     }
                     
                     // Force complete any pending phases
@@ -1349,6 +1998,10 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             this.log(`Total duration: ${duration}s`, 'INFO');
             const allTasksPassed = this.allTasksPassed(qaUxData);
             const maxIterationsReached = this.iteration >= this.maxIterations;
+            // Tasks still failing count as infrastructure trouble when no iteration got through
+            this.exitCode = allTasksPassed
+                ? EXIT_CODES.PASSED
+                : (iterationsCompleted === 0 && lastIterationError ? exitCodeFor(lastIterationError) : EXIT_CODES.TASKS_FAILING);
             
             if (allTasksPassed) {
                 this.log(`Final status: ✅ All tasks resolved - E2E test successful`, 'INFO');
@@ -1358,11 +2011,24 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
             } else {
                 this.log(`Final status: 🔄 Some tasks still failing - Test stopped early`, 'INFO');
             }
+            if (this.exitCode !== EXIT_CODES.PASSED && this.exitCode !== EXIT_CODES.TASKS_FAILING) {
+                this.log(`No iteration completed - last error: ${lastIterationError.message}`, 'ERROR');
+            }
             
             if (this.operatorSessionUrl) {
                 this.log(`Operator session: ${this.operatorSessionUrl}`, 'INFO');
             }
             
+            await this.logTaskHistorySummary();
+            this.logRunBranchSummary();
+            if (this.lastDelivery) {
+                this.log(`📬 Delivery (${this.lastDelivery.mode}): ` + [
+                    this.lastDelivery.pullRequest && `pull request ${this.lastDelivery.pullRequest.url}`,
+                    this.lastDelivery.previewUrl && `preview ${this.lastDelivery.previewUrl}`,
+                    `commit ${this.lastDelivery.commit.slice(0, 7)} from iteration ${this.lastDelivery.iteration}`
+                ].filter(Boolean).join(', '), 'INFO');
+            }
+            
             // Log TASK_FINISHED detection summary
             this.log('\n📊 TASK_FINISHED Detection Summary:', 'INFO');
             this.log(`Cooldown period: ${this.taskFinishedCooldown/1000} seconds`, 'INFO');
@@ -1400,25 +2066,100 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
                 this.log('No TASK_FINISHED detections recorded', 'INFO');
             }
             
+            await this.checkpoint('run_complete');
+            const tasks = Object.values(qaUxData.tasks || {});
+            this.emitEvent('run_end', {
+                status: allTasksPassed ? 'passed' : 'failed',
+                exitCode: this.exitCode,
+                passedTasks: tasks.filter(task => task.status === 'pass').length,
+                totalTasks: tasks.length
+            });
+            
             // Final log flush
             await this.flushLogBuffer();
             this.log(`\n💾 Complete log saved to: ${this.logFilePath}`, 'INFO');
             
+            return { status: allTasksPassed ? 'passed' : 'failed', exitCode: this.exitCode };
+            
         } catch (error) {
+            // interrupt() has already ended the run
+            if (this.interrupted) throw this.interrupted;
+            this.exitCode = exitCodeFor(error);
             this.log(`\n❌ Execution failed: ${error.message}`, 'ERROR');
             this.log(`Stack trace: ${error.stack}`, 'ERROR');
+            this.emitEvent('run_end', { status: 'error', exitCode: this.exitCode, error: error.message });
             await this.flushLogBuffer();
             throw error;
         } finally {
-            // Cleanup
-            if (this.operatorSender) {
-                await this.operatorSender.disconnect();
-                this.log('🧹 Operator connection cleaned up', 'INFO');
-            }
-            
-            // Final flush of any remaining logs
-            await this.flushLogBuffer();
-            console.log(`\n💾 All logs saved to: ${this.logFilePath}`);
+            await this.cleanUp();
+        }
+    }
+    
+    /**
+     * End-of-run cleanup, once: execute()'s finally and interrupt() both get here
+     */
+    cleanUp() {
+        this.cleanupDone = this.cleanupDone || this.releaseRunResources();
+        return this.cleanupDone;
+    }
+    
+    async releaseRunResources() {
+        if (this.browserAgent) {
+            await this.browserAgent.disconnect();
+            this.log('🧹 Operator connection cleaned up', 'INFO');
+        }
+        
+        // Only stops a Chrome this run launched
+        if (this.chromeLauncher) {
+            await this.chromeLauncher.stop();
+        }
+        
+        if (this.chromePortLease) {
+            await this.portRegistry.release(this.chromePortLease.port).catch((error) => {
+                this.log(`⚠️  Could not release Chrome port ${this.chromePortLease.port}: ${error.message}`, 'WARNING');
+            });
+        }
+        
+        if (this.eventLog) {
+            await this.eventLog.flush();
+            await this.writeRunReports();
+        }
+        
+        // Final flush of any remaining logs
+        await this.flushLogBuffer();
+        console.log(`\n💾 All logs saved to: ${this.logFilePath}`);
+    }
+
+    /**
+     * Write the end-of-run JSON summary, JUnit XML and HTML reports (see lib/run-reporter.js)
+     */
+    async writeRunReports() {
+        if (!this.qaUxData) return;
+        
+        try {
+            const reporter = new RunReporter({
+                runId: this.runId,
+                outputDirectory: this.reportDirectory || this.projectContext.logDirectory,
+                logger: (msg) => this.log(msg, 'REPORT')
+            });
+            const { events } = await RunEventLog.readSince(this.eventLog.eventPath);
+            const summary = reporter.buildSummary({
+                project: this.projectContext.projectName,
+                qaFile: this.qaUxFilePath,
+                simulated: Boolean(this.simulation),
+                maxIterations: this.maxIterations,
+                qaUxData: this.qaUxData,
+                events,
+                timeline: new RunHistory().buildIterations(events),
+                phaseStats: this.phaseDurationEnforcer?.getPhaseStats(),
+                codeChanges: this.monitoring?.metrics.codeChanges,
+                isSelected: (taskId, task) => this.taskSelector.matches(taskId, task)
+            });
+            this.reportPaths = await reporter.write(summary);
+            this.log(`📄 Reports: ${this.reportPaths.junit}, ${this.reportPaths.json}, ${this.reportPaths.html}`, 'INFO');
+        } catch (error) {
+            // A missing report must not fail the run
+            this.log(`⚠️  Could not write run reports: ${error.message}`, 'WARNING');
         }
     }
 
@@ -1434,6 +2175,12 @@ Say TASK_FINISHED only when ALL fixes are complete, deployed, and live.`;
 async function main() {
     const args = process.argv.slice(2);
     
+    // --ci: plain output without emoji or colours (reports and fail-fast are set on the executor)
+    const ci = args.includes('--ci');
+    if (ci) {
+        installPlainConsole();
+    }
+    
     if (args.length === 0 || args[0] === '--help') {
         console.log(`
 Operator E2E Execution Script
@@ -1442,6 +2189,12 @@ Usage:
   node operator.execute_e2e.js <qa_file>
   node operator.execute_e2e.js <qa_file> --session <session_name>
   node operator.execute_e2e.js <qa_file> --session <session_name> --window <window_index>
+  node operator.execute_e2e.js [qa_file] --resume <run_id>
+  node operator.execute_e2e.js [qa_file] --simulate <scenario.json>
+  node operator.execute_e2e.js <qa_file> --only <task_ids> | --priority <p> | --category <c> | --exclude <task_ids>
+  node operator.execute_e2e.js <qa_file> --batch-size <n> [--batch-tokens <n>] [--parallel-batches <n>]
+  node operator.execute_e2e.js <qa_file> --ci [--report-dir <dir>] [--headless]
+  node operator.execute_e2e.js validate <qa_file>
   node operator.execute_e2e.js --help
 
 Description:
@@ -1456,10 +2209,70 @@ Description:
 Options:
   --session <name>    Target existing tmux session (e.g., jobboard, claude_auto_123)
   --window <index>    Target specific window in session (e.g., 0, 1, 2)
-  --chrome-port <port> Override Chrome debug port (default: auto-detected per project)
+  --chrome-port <port> Use this Chrome debug port as-is (default: derived per project,
+                      leased and moved to the next free port when taken)
+  --resume <run_id>   Resume an interrupted run from its checkpoint journal
+                      (logs/<project>/e2e_checkpoint_<run_id>.jsonl); the QA file
+                      defaults to the one recorded in the journal
+  --simulate <file>   Run offline against a scripted scenario: Operator and Claude
+                      replies, delays, timeouts and health failures come from the
+                      scenario; the QA file defaults to the scenario's qaFile and
+                      is not modified (updates go to the log directory)
+  --report-dir <dir>  Write the end-of-run reports here instead of the project
+                      log directory: e2e_junit_<run_id>.xml (one testcase per
+                      task), e2e_report_<run_id>.json and e2e_report_<run_id>.html
+  --git-branch        Commit Claude's fixes on a new e2e/<run_id> branch, tag each
+                      iteration (e2e/<run_id>/iter-<n>) and reset the branch to
+                      the last good iteration when a passing task fails again
+                      (project config: gitIsolation)
+  --delivery <mode>   How fixes reach the app Operator tests (project config: delivery):
+                      production (Claude deploys, default), preview (the run
+                      pushes its branch to delivery.remote) or pull-request (the
+                      run pushes its branch and opens a pull request through
+                      delivery.forge); Operator then retests delivery.previewUrl
+                      and Claude only commits. Implies --git-branch
+  --ci                Non-interactive mode: no emoji or colours in the output,
+                      reports go to ./e2e-reports unless --report-dir is given,
+                      and the run stops at the first failed health check
+                      instead of attempting recovery
+  --headless          Launch Chrome headless when the run starts it (CI). The
+                      project profile (/tmp/chrome-e2e-<port>) must already be
+                      logged in to the browser agent (project config: chrome)
+
+Task selection (comma-separated lists; filters combine, a task must match all of them):
+  --only <task_ids>   Work only on these tasks
+  --exclude <task_ids> Leave these tasks out
+  --priority <list>   Only tasks with this priority (critical, high, medium, low)
+  --category <list>   Only tasks in this category (e.g. authentication)
+                      With a selection, Operator gets only the selected failing
+                      tasks plus the file's setup_instructions and
+                      operator_capabilities, and the run ends once they pass
+
+Operator batching (defaults from the project's operatorBatching section):
+  --batch-size <n>    At most n failing tasks per Operator conversation
+  --batch-tokens <n>  At most ~n prompt tokens per Operator conversation
+  --parallel-batches <n> Run n conversations at once, each in its own fresh
+                      Operator home page tab (default: one after another)
+                      Tasks of the same category/feature stay in one batch
+                      where possible; the replies are merged before Claude
+
+Commands:
+  validate <qa_file>  Check a QA file against config/qa-ux.schema.json and report
+                      every problem with its file/line location (exit code 2 on
+                      errors); runs use the same check before starting
 
-Requirements:
-  - Chrome running with --remote-debugging-port=9222
+Exit codes:
+  0    All selected tasks passed
+  1    Tasks still failing after the last iteration
+  2    Configuration or input error (arguments, project config, QA file,
+       task selection, resume journal)
+  3    Infrastructure failure (Chrome, Operator, tmux, coding agent, fetching
+       a GitHub QA file)
+  130  Interrupted (SIGINT/SIGTERM)
+
+Requirements (not needed with --simulate):
+  - Chrome installed (launched on the project's debug port unless one is listening
+    there; stopped at the end if the run started it)
   - tmux installed and available
   - Claude Code CLI installed
   - QA/UX file (JSON, Markdown, Text) or GitHub URL
@@ -1470,14 +2283,47 @@ Examples:
   node operator.execute_e2e.js https://github.com/owner/repo/blob/main/qa/tests.md
   node operator.execute_e2e.js ./test/sample_qa_ux.json --session jobboard
   node operator.execute_e2e.js ./test/sample_qa_ux.json --session jobboard --window 0
+  node operator.execute_e2e.js --resume 2025-01-24_10-00-00
+  node operator.execute_e2e.js --simulate ./test/scenarios/timeout-then-pass.json
+  node operator.execute_e2e.js ./test/sample_qa_ux.json --only login_form_validation
+  node operator.execute_e2e.js ./test/sample_qa_ux.json --priority high --category authentication
+  node operator.execute_e2e.js ./qa/issues.md --batch-size 5 --parallel-batches 2
+  node operator.execute_e2e.js ./qa/issues.md --ci --report-dir ./reports
+  node operator.execute_e2e.js ./qa/issues.md --git-branch
+  node operator.execute_e2e.js ./qa/issues.md --delivery pull-request
+  node operator.execute_e2e.js validate ./qa/issues.md
         `);
         process.exit(0);
     }
     
+    if (args[0] === 'validate') {
+        if (!args[1]) {
+            console.error('❌ validate requires a QA file');
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        
+        try {
+            const executor = new OperatorE2EExecutor({ qaUxFilePath: args[1] });
+            const { rawContent, fileName } = await executor.readQaUxSource();
+            const result = await executor.qaUxValidator.validateContent(rawContent, fileName);
+            executor.qaUxValidator.formatReport(result, args[1]).forEach(line => console.log(line));
+            console.log(result.valid
+                ? `✅ ${args[1]} is valid (${result.warnings.length} warning(s))`
+                : `❌ ${args[1]} has ${result.errors.length} error(s), ${result.warnings.length} warning(s)`);
+            process.exit(result.valid ? EXIT_CODES.PASSED : EXIT_CODES.CONFIG_ERROR);
+        } catch (error) {
+            console.error(`❌ Could not validate ${args[1]}: ${error.message}`);
+            process.exit(error.exitCode ?? EXIT_CODES.CONFIG_ERROR);
+        }
+    }
+    
     // Parse session, window, and chrome-port parameters
     let sessionName = null;
     let windowIndex = null;
     let chromePort = null;
+    let resumeRunId = null;
+    let simulatePath = null;
+    let reportDirectory = null;
     let qaFile = null;
     
     const sessionIndex = args.indexOf('--session');
@@ -1495,6 +2341,80 @@ Examples:
         chromePort = parseInt(args[chromePortIndex + 1]);
     }
     
+    const resumeIndex = args.indexOf('--resume');
+    if (resumeIndex !== -1) {
+        if (!args[resumeIndex + 1] || args[resumeIndex + 1].startsWith('--')) {
+            console.error('❌ --resume requires a run ID');
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        resumeRunId = args[resumeIndex + 1];
+    }
+    
+    const simulateIndex = args.indexOf('--simulate');
+    if (simulateIndex !== -1) {
+        if (!args[simulateIndex + 1] || args[simulateIndex + 1].startsWith('--')) {
+            console.error('❌ --simulate requires a scenario file');
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        simulatePath = args[simulateIndex + 1];
+    }
+    
+    const reportDirIndex = args.indexOf('--report-dir');
+    if (reportDirIndex !== -1) {
+        if (!args[reportDirIndex + 1] || args[reportDirIndex + 1].startsWith('--')) {
+            console.error('❌ --report-dir requires a directory');
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        reportDirectory = path.resolve(args[reportDirIndex + 1]);
+    }
+    
+    // --headless launches the project's Chrome without a window (when the run starts it)
+    const headless = args.includes('--headless');
+    
+    // --git-branch turns on the project's gitIsolation for this run
+    const gitIsolation = args.includes('--git-branch') ? { enabled: true } : {};
+    
+    // --delivery overrides the project's delivery.mode (the rest of the section still applies)
+    const delivery = {};
+    const deliveryIndex = args.indexOf('--delivery');
+    if (deliveryIndex !== -1) {
+        if (!DELIVERY_MODES.includes(args[deliveryIndex + 1])) {
+            console.error(`❌ --delivery requires one of: ${DELIVERY_MODES.join(', ')}`);
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        delivery.mode = args[deliveryIndex + 1];
+    }
+    
+    // Task selection flags, each taking one comma-separated value
+    const taskSelection = {};
+    const selectionValueIndexes = [];
+    for (const flag of ['only', 'exclude', 'priority', 'category']) {
+        const flagIndex = args.indexOf(`--${flag}`);
+        if (flagIndex === -1) continue;
+        if (!args[flagIndex + 1] || args[flagIndex + 1].startsWith('--')) {
+            console.error(`❌ --${flag} requires a value`);
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        taskSelection[flag] = args[flagIndex + 1];
+        selectionValueIndexes.push(flagIndex + 1);
+    }
+    
+    // Operator batching flags, each taking a positive whole number (override the project's operatorBatching)
+    const operatorBatching = {};
+    const batchingValueIndexes = [];
+    const batchingFlags = { 'batch-size': 'maxTasks', 'batch-tokens': 'maxTokens', 'parallel-batches': 'parallel' };
+    for (const [flag, key] of Object.entries(batchingFlags)) {
+        const flagIndex = args.indexOf(`--${flag}`);
+        if (flagIndex === -1) continue;
+        const value = Number(args[flagIndex + 1]);
+        if (!Number.isInteger(value) || value < 1) {
+            console.error(`❌ --${flag} requires a positive whole number`);
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        operatorBatching[key] = value;
+        batchingValueIndexes.push(flagIndex + 1);
+    }
+    
     // Find the QA file (first argument that isn't a flag or flag value)
     for (let i = 0; i < args.length; i++) {
         const arg = args[i];
@@ -1506,22 +2426,50 @@ Examples:
         if (windowIndexArg !== -1 && i === windowIndexArg + 1) continue;
         // Skip if it's the value for --chrome-port
         if (chromePortIndex !== -1 && i === chromePortIndex + 1) continue;
+        // Skip if it's the value for --resume
+        if (resumeIndex !== -1 && i === resumeIndex + 1) continue;
+        // Skip if it's the value for --simulate
+        if (simulateIndex !== -1 && i === simulateIndex + 1) continue;
+        // Skip if it's the value for --report-dir
+        if (reportDirIndex !== -1 && i === reportDirIndex + 1) continue;
+        // Skip if it's the value for --delivery
+        if (deliveryIndex !== -1 && i === deliveryIndex + 1) continue;
+        // Skip if it's the value for a task selection flag
+        if (selectionValueIndexes.includes(i)) continue;
+        // Skip if it's the value for a batching flag
+        if (batchingValueIndexes.includes(i)) continue;
         
         // This must be the QA file
         qaFile = arg;
         break;
     }
     
-    if (!qaFile) {
+    let simulation = null;
+    if (simulatePath) {
+        try {
+            simulation = await SimulationScenario.load(simulatePath);
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            process.exit(EXIT_CODES.CONFIG_ERROR);
+        }
+        console.log(`🧪 Simulating scenario '${simulation.name}' from ${path.resolve(simulatePath)}`);
+        if (!qaFile && simulation.qaFilePath) {
+            qaFile = simulation.qaFilePath;
+        }
+    }
+    
+    if (!qaFile && !resumeRunId) {
         console.error('❌ No QA file specified');
-        process.exit(1);
+        process.exit(EXIT_CODES.CONFIG_ERROR);
     }
     
     // Check if it's a GitHub URL
-    let qaUxFilePath;
-    const isGitHubUrl = qaFile.startsWith('https://github.com/');
+    let qaUxFilePath = null;
+    const isGitHubUrl = qaFile?.startsWith('https://github.com/');
     
-    if (isGitHubUrl) {
+    if (!qaFile) {
+        console.log(`♻️  Resuming run ${resumeRunId} with the QA file recorded in its checkpoint journal`);
+    } else if (isGitHubUrl) {
         // Use the GitHub URL directly - we'll fetch it later
         qaUxFilePath = qaFile;
         console.log(`🔗 Using GitHub URL: ${qaFile}`);
@@ -1534,7 +2482,7 @@ Examples:
             await fs.access(qaUxFilePath);
         } catch (error) {
             console.error(`❌ QA_UX file not found: ${qaUxFilePath}`);
-            process.exit(1);
+            process.exit(EXIT_CODES.CONFIG_ERROR);
         }
     }
     
@@ -1547,32 +2495,65 @@ Examples:
         console.log(`🎯 Targeting existing tmux session: ${targetDesc}`);
     }
     
-    const executor = new OperatorE2EExecutor({
-        qaUxFilePath,
-        workingDir: process.cwd(),
-        targetSession: sessionName,
-        targetWindow: windowIndex,
-        chromePort: chromePort
-    });
+    let executor;
+    try {
+        executor = new OperatorE2EExecutor({
+            qaUxFilePath,
+            workingDir: process.cwd(),
+            targetSession: sessionName,
+            targetWindow: windowIndex,
+            chromePort: chromePort,
+            resumeRunId,
+            simulation,
+            taskSelection,
+            operatorBatching,
+            reportDirectory,
+            gitIsolation,
+            delivery,
+            ci,
+            headless,
+            ...(simulation?.maxIterations && { maxIterations: simulation.maxIterations })
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(EXIT_CODES.CONFIG_ERROR);
+    }
+    
+    // Handle process termination gracefully: the run cleans up (reports, Chrome, port lease)
+    // before exiting 130; a second signal exits straight away
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+        process.on(signal, async () => {
+            if (executor.interrupted) {
+                process.exit(EXIT_CODES.INTERRUPTED);
+            }
+            console.log(`\n👋 Received ${signal}, shutting down gracefully...`);
+            await executor.interrupt(signal);
+            process.exit(EXIT_CODES.INTERRUPTED);
+        });
+    }
     
+    let result;
     try {
-        await executor.execute();
-        console.log('\n🎉 E2E execution completed successfully!');
+        result = await executor.execute();
     } catch (error) {
         console.error('\n💥 E2E execution failed:', error.message);
-        process.exit(1);
+        process.exit(exitCodeFor(error));
+    }
+    
+    if (result.status === 'passed') {
+        console.log('\n🎉 E2E execution completed successfully!');
+    } else {
+        console.log(`\n⚠️  E2E execution finished with ${describeExitCode(result.exitCode)}`);
     }
+    process.exit(result.exitCode);
 }
 
-// Handle process termination gracefully
-process.on('SIGINT', () => {
-    console.log('\n👋 Received SIGINT, shutting down gracefully...');
-    process.exit(0);
-});
-
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-    main().catch(console.error);
+    main().catch((error) => {
+        console.error(error);
+        process.exit(exitCodeFor(error));
+    });
 }
 
 export { OperatorE2EExecutor };
\ No newline at end of file
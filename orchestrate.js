@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-Project E2E Orchestrator
+ * Runs the E2E loop for several projects concurrently, see lib/project-orchestrator.js
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { dirname } from 'path';
+import ProjectOrchestrator from './lib/project-orchestrator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const PROJECT_CONFIG_DIR = path.join(__dirname, 'config/project-configs');
+
+async function listProjectConfigs() {
+    const files = await fs.readdir(PROJECT_CONFIG_DIR);
+    return files
+        .filter(file => file.endsWith('.json') && !file.includes('default') && !file.includes('schema'))
+        .map(file => path.join(PROJECT_CONFIG_DIR, file));
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args[0] === '--help') {
+        console.log(`
+Multi-Project E2E Orchestrator
+
+Usage:
+  node orchestrate.js [project_config.json ...] [--concurrency <n>] [--simulate <scenario.json>] [--log-dir <dir>]
+
+Description:
+  Runs one E2E executor per project config, at most <n> at a time. Each project
+  uses its own Chrome port, tmux session and log directory; a failing project
+  does not stop the others. Without config files, every project in
+  config/project-configs is run.
+
+Options:
+  --concurrency <n>   Projects running at once (default: 2)
+  --simulate <file>   Run every project offline against a scripted scenario
+  --log-dir <dir>     Write logs to <dir>/<project> instead of logs/<project>-<hash>
+  --summary <file>    Also write the combined summary as JSON
+
+Examples:
+  node orchestrate.js
+  node orchestrate.js config/project-configs/demo-app.json config/project-configs/blog-platform.json --concurrency 2
+  node orchestrate.js --simulate ./test/scenarios/timeout-then-pass.json --log-dir /tmp/e2e-logs
+        `);
+        process.exit(0);
+    }
+
+    const options = {};
+    const valueFlags = { '--concurrency': 'concurrency', '--simulate': 'simulationPath', '--log-dir': 'logDirectory', '--summary': 'summaryPath' };
+    const configPaths = [];
+    for (let i = 0; i < args.length; i++) {
+        if (valueFlags[args[i]]) {
+            if (!args[i + 1] || args[i + 1].startsWith('--')) {
+                console.error(`❌ ${args[i]} requires a value`);
+                process.exit(1);
+            }
+            options[valueFlags[args[i]]] = args[++i];
+        } else if (args[i].startsWith('--')) {
+            console.error(`❌ Unknown option: ${args[i]}`);
+            process.exit(1);
+        } else {
+            configPaths.push(args[i]);
+        }
+    }
+
+    const projects = configPaths.length > 0 ? configPaths : await listProjectConfigs();
+    if (projects.length === 0) {
+        console.error(`❌ No project configs given and none found in ${PROJECT_CONFIG_DIR}`);
+        process.exit(1);
+    }
+
+    const orchestrator = new ProjectOrchestrator(options);
+    const summary = await orchestrator.run(projects);
+
+    console.log('\n🏁 Multi-Project Summary');
+    console.log('─'.repeat(50));
+    orchestrator.formatSummary(summary).forEach(line => console.log(line));
+
+    if (options.summaryPath) {
+        await fs.writeFile(options.summaryPath, JSON.stringify(summary, null, 2));
+        console.log(`💾 Summary saved to: ${options.summaryPath}`);
+    }
+
+    process.exit(summary.passed === summary.total ? 0 : 1);
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    main().catch(error => {
+        console.error('💥 Orchestrator failed:', error.message);
+        process.exit(1);
+    });
+}
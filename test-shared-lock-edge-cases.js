@@ -3,8 +3,14 @@
  * Tests all failure scenarios and edge cases
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { sharedLock, SharedLock } from './shared-state.js';
 
+// Lock state is kept on disk, so each standalone lock gets its own directory
+const createIsolatedLock = () => new SharedLock({ lockDir: fs.mkdtempSync(path.join(os.tmpdir(), 'shared-lock-test-')) });
+
 class EdgeCaseTestSuite {
     constructor() {
         this.testResults = [];
@@ -248,7 +254,7 @@ class EdgeCaseTestSuite {
         
         // Test 12: Stale lock detection (simulated)
         this.test('Stale lock detection', () => {
-            const testLock = new SharedLock();
+            const testLock = createIsolatedLock();
             testLock.FORCE_RELEASE_THRESHOLD = 50; // 50ms for testing
             testLock.COOLDOWN_MS = 0; // Disable cooldown for testing
             
@@ -277,7 +283,7 @@ class EdgeCaseTestSuite {
         
         // Test 13: Cooldown enforcement
         this.test('Cooldown period enforcement', async () => {
-            const testLock = new SharedLock();
+            const testLock = createIsolatedLock();
             testLock.COOLDOWN_MS = 200; // 200ms for faster testing
             
             // First acquisition should succeed
@@ -342,7 +348,7 @@ class EdgeCaseTestSuite {
         
         // Test 15: Error during release
         this.test('Error recovery during release', () => {
-            const testLock = new SharedLock();
+            const testLock = createIsolatedLock();
             testLock.COOLDOWN_MS = 0; // Disable cooldown for testing
             
             const acquired = testLock.tryAcquireSendLock('test-layer');
@@ -371,7 +377,7 @@ class EdgeCaseTestSuite {
         
         // Test 16: Comprehensive metrics validation
         this.test('Comprehensive metrics validation', () => {
-            const testLock = new SharedLock();
+            const testLock = createIsolatedLock();
             testLock.COOLDOWN_MS = 0; // Disable cooldown for testing
             
             // Perform various operations
@@ -406,7 +412,7 @@ class EdgeCaseTestSuite {
         
         // Test 17: Lock history size limit
         this.test('Lock history size limit', () => {
-            const testLock = new SharedLock();
+            const testLock = createIsolatedLock();
             
             // Generate more than 100 history entries
             for (let i = 0; i < 150; i++) {
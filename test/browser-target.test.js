@@ -0,0 +1,100 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import http from 'http';
+import BrowserTarget from '../lib/browser-target.js';
+import HealthCheckSystem from '../lib/health-check.js';
+import SessionRecovery from '../lib/session-recovery.js';
+import ProjectManager from '../lib/project-manager.js';
+
+const tab = (id, url, title = '') => ({ id, type: 'page', url, title });
+
+describe('BrowserTarget', () => {
+    it('should match tabs by URL or title pattern', () => {
+        const target = new BrowserTarget({ urlPatterns: ['operator.*.example.com'], titlePatterns: ['Mock Agent'] });
+
+        expect(target.matches(tab('1', 'https://operator.staging.example.com/c/123'))).toBe(true);
+        expect(target.matches(tab('2', 'http://localhost:4000/', 'mock agent - QA'))).toBe(true);
+        expect(target.matches(tab('3', 'https://operator.chatgpt.com/'))).toBe(false);
+        expect(target.matches({ ...tab('4', 'https://operator.staging.example.com/sw.js'), type: 'service_worker' })).toBe(false);
+        expect(new BrowserTarget().matches(tab('5', 'https://operator.chatgpt.com/'))).toBe(true);
+    });
+
+    it('should keep to the tabs owned by its project', () => {
+        const targets = [
+            tab('other', 'https://operator.chatgpt.com/#e2e-owner=blog'),
+            tab('unclaimed', 'https://operator.chatgpt.com/'),
+            tab('own', 'https://operator.chatgpt.com/#e2e-owner=shop')
+        ];
+
+        expect(new BrowserTarget({ ownershipMarker: 'shop' }).findTab(targets).id).toBe('own');
+        expect(new BrowserTarget().findTab(targets).id).toBe('unclaimed');
+        expect(new BrowserTarget({ ownershipMarker: 'shop' }).newTabUrl()).toBe('https://operator.chatgpt.com/#e2e-owner=shop');
+    });
+
+    it('should validate the browserTarget section', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        expect(manager._validateConfig({}).browserTarget).toEqual({
+            urlPatterns: ['operator.chatgpt.com'],
+            titlePatterns: [],
+            homeUrl: 'https://operator.chatgpt.com/',
+            ownershipMarker: null
+        });
+        expect(manager._validateConfig({ browserTarget: { urlPatterns: 'localhost:4000', ownershipMarker: 'shop #1' } }).browserTarget)
+            .toMatchObject({ urlPatterns: ['localhost:4000'], ownershipMarker: null });
+        expect(console.warn).toHaveBeenCalledWith('  - Invalid browserTarget.ownershipMarker: shop #1, ignoring');
+        expect(manager._validateConfig({ browserTarget: { urlPatterns: [] } }).browserTarget.urlPatterns).toEqual(['operator.chatgpt.com']);
+        jest.restoreAllMocks();
+    });
+});
+
+describe('Browser target in health checks and recovery', () => {
+    let server;
+    let chromePort;
+    let targets;
+    let openedUrls;
+
+    // Stand-in for Chrome's DevTools HTTP endpoints
+    beforeEach(async () => {
+        targets = [];
+        openedUrls = [];
+        server = http.createServer((request, response) => {
+            if (request.url.startsWith('/json/new?')) {
+                const url = decodeURIComponent(request.url.slice('/json/new?'.length));
+                openedUrls.push(url);
+                const created = tab(`new-${openedUrls.length}`, url);
+                targets.push(created);
+                response.end(JSON.stringify(created));
+                return;
+            }
+            response.end(JSON.stringify(targets));
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        chromePort = server.address().port;
+    });
+
+    afterEach(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('should find a mock agent page with the configured patterns', async () => {
+        targets = [tab('mock', `http://localhost:${chromePort}/agent.html`, 'Mock Agent')];
+        const operatorDefault = new HealthCheckSystem({ chromePort, logger: () => {} });
+        const mockAgent = new HealthCheckSystem({ chromePort, logger: () => {}, browserTarget: { titlePatterns: ['Mock Agent'] } });
+
+        expect(await operatorDefault.checkOperatorHealth()).toMatchObject({ healthy: false, message: 'Operator tab not accessible' });
+        expect(await mockAgent.checkOperatorHealth()).toMatchObject({ healthy: true, details: { tabId: 'mock' } });
+    });
+
+    it('should open a claimed tab instead of taking another project\'s', async () => {
+        targets = [tab('blog', 'https://operator.chatgpt.com/#e2e-owner=blog')];
+        const recovery = new SessionRecovery({ chromePort, logger: () => {}, browserTarget: { ownershipMarker: 'shop' } });
+
+        const recovered = await recovery.findOrCreateOperatorTab();
+        expect(recovered.id).toBe('new-1');
+        expect(openedUrls).toEqual(['https://operator.chatgpt.com/#e2e-owner=shop']);
+
+        expect((await recovery.findOrCreateOperatorTab()).id).toBe('new-1');
+        expect(openedUrls).toHaveLength(1);
+    }, 10000);
+});
@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import ChromeLauncher from '../lib/chrome-launcher.js';
+import ProjectManager from '../lib/project-manager.js';
+import SessionRecovery from '../lib/session-recovery.js';
+
+/**
+ * Stand-in Chrome binary: serves /json/version on --remote-debugging-port and,
+ * with --crash-marker=<file>, crashes shortly after starting unless the file exists
+ */
+const FAKE_CHROME = `#!${process.execPath}
+const fs = require('fs');
+const http = require('http');
+const option = (name) => (process.argv.find(arg => arg.startsWith(name + '=')) || '').slice(name.length + 1);
+const marker = option('--crash-marker');
+http.createServer((request, response) => {
+    response.end(JSON.stringify({ Browser: 'FakeChrome/1.0', pid: process.pid }));
+}).listen(Number(option('--remote-debugging-port')), '127.0.0.1');
+if (marker && !fs.existsSync(marker)) {
+    fs.writeFileSync(marker, String(process.pid));
+    setTimeout(() => process.exit(1), 300);
+}
+`;
+
+const freePort = async () => {
+    const server = http.createServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const { port } = server.address();
+    await new Promise(resolve => server.close(resolve));
+    return port;
+};
+
+const waitFor = async (condition, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        if (await condition()) return true;
+        await new Promise(resolve => setTimeout(resolve, 50));
+    }
+    return false;
+};
+
+describe('ChromeLauncher', () => {
+    let tempDir;
+    let executable;
+    let chromePort;
+    let launcher;
+    let logs;
+
+    const createLauncher = (options = {}) => new ChromeLauncher({
+        chromePort,
+        executable,
+        args: [`--remote-debugging-port=${chromePort}`],
+        startupTimeoutMs: 5000,
+        restartDelayMs: 50,
+        logger: (message) => logs.push(message),
+        ...options
+    });
+
+    beforeEach(async () => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'chrome-launcher-'));
+        executable = path.join(tempDir, 'fake-chrome');
+        fs.writeFileSync(executable, FAKE_CHROME, { mode: 0o755 });
+        chromePort = await freePort();
+        logs = [];
+        launcher = null;
+    });
+
+    afterEach(async () => {
+        await launcher?.stop();
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    it('should launch Chrome when nothing listens on the port and stop it at the end', async () => {
+        launcher = createLauncher();
+
+        const launched = await launcher.ensureRunning();
+        expect(launched).toMatchObject({ started: true, version: { Browser: 'FakeChrome/1.0' } });
+        expect(launched.version.pid).toBe(launched.pid);
+
+        expect(await launcher.ensureRunning()).toMatchObject({ started: false, pid: launched.pid });
+        expect(await launcher.stop()).toBe(true);
+        expect(await launcher.getVersion()).toBeNull();
+    }, 15000);
+
+    it('should reuse a Chrome that is already running and leave it alone', async () => {
+        const existing = createLauncher();
+        await existing.ensureRunning();
+
+        launcher = createLauncher({ executable: path.join(tempDir, 'missing-chrome') });
+        expect(await launcher.ensureRunning()).toMatchObject({ started: false, pid: null });
+        expect(await launcher.stop()).toBe(false);
+        expect(await launcher.getVersion()).not.toBeNull();
+        expect(logs).toContain(`[CHROME] Using the Chrome already running on port ${chromePort} (FakeChrome/1.0)`);
+
+        await existing.stop();
+    }, 15000);
+
+    it('should restart a launched Chrome that crashes', async () => {
+        const marker = path.join(tempDir, 'crashed');
+        launcher = createLauncher({ args: [`--remote-debugging-port=${chromePort}`, `--crash-marker=${marker}`] });
+
+        const first = await launcher.ensureRunning();
+        expect(await waitFor(() => launcher.restarts === 1 && launcher.process && launcher.process.pid !== first.pid)).toBe(true);
+        expect(await waitFor(async () => (await launcher.getVersion())?.pid === launcher.process.pid)).toBe(true);
+        expect(logs.some(message => message.includes(`Chrome (pid ${first.pid}) exited unexpectedly (code 1)`))).toBe(true);
+    }, 15000);
+
+    it('should fail clearly when Chrome cannot be started', async () => {
+        launcher = createLauncher({ executable: path.join(tempDir, 'missing-chrome') });
+
+        await expect(launcher.ensureRunning()).rejects.toThrow(`before DevTools came up on port ${chromePort}`);
+        expect(await launcher.stop()).toBe(false);
+    });
+
+    it('should bring Chrome back during session recovery', async () => {
+        launcher = createLauncher();
+        const recovery = new SessionRecovery({ chromePort, chromeLauncher: launcher, logger: (message) => logs.push(message) });
+
+        const result = await recovery.recoverChromeConnection();
+        expect(result).toMatchObject({ success: true, restarted: true });
+        expect(await launcher.getVersion()).not.toBeNull();
+    }, 15000);
+});
+
+describe('Chrome configuration', () => {
+    it('should build launch arguments for the project profile', () => {
+        const manager = new ProjectManager();
+
+        const args = manager.generateChromeArgs(9333, { headless: true });
+        expect(args).toEqual(expect.arrayContaining(['--remote-debugging-port=9333', '--user-data-dir=/tmp/chrome-e2e-9333', '--headless=new']));
+        expect(manager.generateChromeArgs(9333)).not.toContain('--headless=new');
+        expect(manager.generateChromeCommand(9333)).toMatch(/^google-chrome --remote-debugging-port=9333 --user-data-dir=\/tmp\/chrome-e2e-9333 /);
+    });
+
+    it('should validate the chrome section', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        expect(manager._validateConfig({}).chrome).toEqual({
+            autoLaunch: true,
+            headless: false,
+            executable: null,
+            maxRestarts: 3,
+            startupTimeoutMs: 30000
+        });
+        expect(manager._validateConfig({ chrome: { autoLaunch: 'no', maxRestarts: 50, executable: '/usr/bin/chromium' } }).chrome)
+            .toMatchObject({ autoLaunch: true, maxRestarts: 3, executable: '/usr/bin/chromium' });
+        expect(console.warn).toHaveBeenCalledWith('  - Invalid chrome.maxRestarts: 50, using default: 3');
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,95 @@
+import { describe, it, expect, jest } from '@jest/globals';
+import ClaudePromptBuilder from '../lib/claude-prompt-builder.js';
+import ProjectManager from '../lib/project-manager.js';
+
+describe('ClaudePromptBuilder', () => {
+    const failedTasks = [
+        { taskId: 'login_form_validation', description: 'Login form validation and authentication flow' },
+        { taskId: 'search_functionality' }
+    ];
+
+    it('should fill the default template from the project deployment settings', () => {
+        const builder = new ClaudePromptBuilder({
+            deploymentMethod: 'vercel',
+            productionUrl: 'https://blog-platform.vercel.app'
+        });
+
+        const prompt = builder.build({ operatorResponse: 'Step 1: ❌ Fail', failedTasks, iteration: 2, maxIterations: 5 });
+
+        expect(prompt).toContain('Step 1: ❌ Fail');
+        expect(prompt).toContain('iteration 2 of 5');
+        expect(prompt).toContain('2. Deploy: vercel --prod');
+        expect(prompt).toContain('Verify fixes are live on https://blog-platform.vercel.app');
+        expect(prompt).toContain('- login_form_validation: Login form validation and authentication flow\n- search_functionality');
+        expect(prompt).not.toContain('git push heroku main');
+        expect(prompt).not.toMatch(/\{\{/);
+    });
+
+    it('should prefer deployment.platform and custom commands over deploymentMethod', () => {
+        const builder = new ClaudePromptBuilder({
+            deploymentMethod: 'aws',
+            deployment: { platform: 'custom', customCommands: { deploy: './deploy.sh prod', verify: 'curl -f https://shop.example.com/health' } }
+        });
+
+        const prompt = builder.build({ operatorResponse: '' });
+
+        expect(builder.deploymentMethod).toBe('custom');
+        expect(prompt).toContain('2. Deploy: ./deploy.sh prod');
+        expect(prompt).toContain('Verify fixes are live: curl -f https://shop.example.com/health');
+    });
+
+    it('should summarize the previous attempt', () => {
+        const builder = new ClaudePromptBuilder();
+
+        const prompt = builder.build({
+            operatorResponse: '',
+            previousAttempt: { iteration: 1, success: false, error: 'Timeout waiting for Claude', stillFailing: ['login_form_validation'] }
+        });
+
+        expect(prompt).toContain('Previous attempt (iteration 1): you did not finish (Timeout waiting for Claude), and these tasks were still failing afterwards: login_form_validation.');
+    });
+
+    it('should render project templates with custom variables', () => {
+        const builder = new ClaudePromptBuilder({
+            productionUrl: 'https://app.example.com',
+            claudePrompt: {
+                template: 'short',
+                templates: { short: 'Fix {{failedTasks}} on {{ productionUrl }} and {{stagingUrl}}' },
+                variables: { stagingUrl: 'https://staging.example.com' }
+            }
+        });
+
+        expect(builder.build({ failedTasks: [failedTasks[1]] }))
+            .toBe('Fix - search_functionality on https://app.example.com and https://staging.example.com');
+    });
+
+    it('should report unknown template variables', () => {
+        expect(ClaudePromptBuilder.findUnknownVariables('{{productionUrl}} {{herokuApp}} {{stagingUrl}}', ['stagingUrl']))
+            .toEqual(['herokuApp']);
+        expect(() => new ClaudePromptBuilder({ claudePrompt: { template: 'missing' } }))
+            .toThrow('Unknown Claude prompt template: missing');
+    });
+});
+
+describe('ProjectManager claudePrompt validation', () => {
+    it('should drop invalid templates and fall back to the default template', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        const config = manager._validateConfig({
+            deploymentMethod: 'netlify',
+            productionUrl: 'shop.example.com',
+            claudePrompt: {
+                template: 'broken',
+                templates: { broken: 'Deploy to {{herokuApp}}', ok: '{{operatorResponse}}' },
+                variables: { iteration: 3 }
+            }
+        });
+
+        expect(config.deploymentMethod).toBeUndefined();
+        expect(config.productionUrl).toBeUndefined();
+        expect(config.claudePrompt).toEqual({ template: 'fix-and-deploy', templates: { ok: '{{operatorResponse}}' }, variables: {} });
+        expect(console.warn).toHaveBeenCalledWith('  - claudePrompt.templates.broken uses unknown variables: herokuApp, ignoring');
+        jest.restoreAllMocks();
+    });
+});
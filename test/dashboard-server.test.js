@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import DashboardServer from '../lib/dashboard-server.js';
+import RunEventLog from '../lib/run-event-log.js';
+
+const RUN_ID = '2026-10-19_10-00-00';
+
+describe('DashboardServer', () => {
+    let tempDir;
+    let server;
+    let eventLog;
+
+    const getJson = async (urlPath) => {
+        const response = await fetch(`${server.url}${urlPath}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-dashboard-'));
+        eventLog = new RunEventLog({ runId: RUN_ID, project: 'demo-app', logDirectory: path.join(tempDir, 'demo-app-1234abcd') });
+        eventLog.record('run_start', 0, { maxIterations: 3, tasks: { login: 'fail', search: 'pass' } });
+        eventLog.record('iteration_start', 1, { maxIterations: 3, failingTasks: ['login'] });
+        eventLog.record('phase_start', 1, { phase: 'operator' });
+        eventLog.record('phase_end', 1, { phase: 'operator', success: true, durationMs: 1200 });
+        eventLog.record('task_status', 1, { taskId: 'login', from: 'fail', to: 'pass' });
+        await eventLog.flush();
+        await fs.writeFile(
+            path.join(tempDir, 'demo-app-1234abcd', `e2e_alerts_${RUN_ID}.log`),
+            `${JSON.stringify({ type: 'slow_phase', level: 'warning', message: 'Operator phase took 3x longer' })}\n`
+        );
+
+        server = await new DashboardServer({ logsRoot: tempDir, port: 0, pollInterval: 20, logger: () => {} }).start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should list projects with their latest run', async () => {
+        const { status, body } = await getJson('/api/projects');
+
+        expect(status).toBe(200);
+        expect(body).toEqual([expect.objectContaining({ id: 'demo-app-1234abcd', name: 'demo-app', runCount: 1 })]);
+        expect(body[0].latestRun).toMatchObject({
+            runId: RUN_ID,
+            status: 'active',
+            currentIteration: 1,
+            maxIterations: 3,
+            phase: 'operator',
+            tasks: { total: 2, passed: 2, failed: 0 }
+        });
+    });
+
+    it('should serve a run with its iterations, tasks and alerts', async () => {
+        const base = `/api/projects/demo-app-1234abcd/runs/${RUN_ID}`;
+
+        const { body: run } = await getJson(base);
+        expect(run.iterations).toEqual([expect.objectContaining({
+            iteration: 1,
+            failingTasks: ['login'],
+            phases: [expect.objectContaining({ phase: 'operator', success: true, durationMs: 1200 })],
+            taskChanges: [{ taskId: 'login', from: 'fail', to: 'pass' }]
+        })]);
+        expect(run.metrics).toBeNull();
+
+        const { body: tasks } = await getJson(`${base}/tasks`);
+        expect(tasks.map(task => [task.taskId, task.status, task.history.length])).toEqual([['login', 'pass', 1], ['search', 'pass', 0]]);
+
+        const { body: alerts } = await getJson(`${base}/alerts`);
+        expect(alerts).toEqual([{ type: 'slow_phase', level: 'warning', message: 'Operator phase took 3x longer' }]);
+
+        expect((await getJson('/api/projects/demo-app-1234abcd/runs')).body.map(item => item.runId)).toEqual([RUN_ID]);
+    });
+
+    it('should answer unknown projects, runs and unsafe IDs without reading outside the logs', async () => {
+        expect((await getJson('/api/projects/nope/runs')).status).toBe(404);
+        expect((await getJson('/api/projects/demo-app-1234abcd/runs/2020-01-01_00-00-00')).status).toBe(404);
+        expect((await getJson('/api/projects/..%2Fsecrets/runs')).status).toBe(400);
+        expect((await getJson('/api/nothing')).status).toBe(404);
+    });
+
+    it('should serve the dashboard page', async () => {
+        const response = await fetch(server.url);
+
+        expect(response.headers.get('content-type')).toContain('text/html');
+        expect(await response.text()).toContain("new EventSource('/api/events')");
+    });
+
+    it('should stream new run events over SSE', async () => {
+        const controller = new AbortController();
+        const response = await fetch(`${server.url}/api/events`, { signal: controller.signal });
+        expect(response.headers.get('content-type')).toBe('text/event-stream');
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let received = '';
+        const readUntil = async (text) => {
+            while (!received.includes(text)) {
+                const { value, done } = await reader.read();
+                if (done) break;
+                received += decoder.decode(value);
+            }
+        };
+
+        await readUntil('retry:');
+        eventLog.record('phase_start', 1, { phase: 'claude' });
+        await eventLog.flush();
+        await readUntil('"phase":"claude"');
+        controller.abort();
+
+        const message = received.split('\n\n').find(block => block.includes('event: run_event'));
+        const data = JSON.parse(message.split('\n').find(line => line.startsWith('data: ')).slice(6));
+        expect(data).toMatchObject({ projectId: 'demo-app-1234abcd', project: 'demo-app', type: 'phase_start', phase: 'claude' });
+        // Events written before the client connected are not replayed
+        expect(received).not.toContain('"type":"run_start"');
+    });
+});
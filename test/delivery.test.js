@@ -0,0 +1,170 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { execSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import MockCodingBackend from '../lib/backends/MockCodingBackend.js';
+import ProjectManager from '../lib/project-manager.js';
+import DeliveryManager from '../lib/delivery-manager.js';
+import LocalForge from '../lib/forges/LocalForge.js';
+
+const git = (repoDir, command) => execSync(`git -c user.name=qa -c user.email=qa@example.com ${command}`, { cwd: repoDir }).toString().trim();
+
+const commitFix = async (repoDir, subject) => {
+    await fs.appendFile(path.join(repoDir, 'fix.txt'), `${subject}\n`);
+    git(repoDir, `commit -q -am "${subject}"`);
+};
+
+describe('DeliveryManager', () => {
+    let repoDir;
+
+    beforeEach(async () => {
+        repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-delivery-'));
+        await fs.writeFile(path.join(repoDir, 'fix.txt'), 'start\n');
+        git(repoDir, 'init -q -b main && git add fix.txt && git -c user.name=qa -c user.email=qa@example.com commit -q -m start');
+        git(repoDir, 'checkout -q -b e2e/run-1');
+    });
+
+    afterEach(async () => {
+        await fs.rm(repoDir, { recursive: true, force: true });
+    });
+
+    it('should push to the local forge and open one pull request per branch', async () => {
+        const barePath = path.join(repoDir, '.forge.git');
+        const forge = new LocalForge({ path: barePath, gitRepo: repoDir, logger: () => {} });
+        const manager = new DeliveryManager({
+            mode: 'pull-request',
+            previewUrl: 'https://shop-pr-{{prNumber}}.example.dev/',
+            forge,
+            gitRepo: repoDir,
+            logger: () => {}
+        });
+
+        await commitFix(repoDir, 'fix 1');
+        const first = await manager.deliver({ branch: 'e2e/run-1', baseBranch: 'main', runId: 'run-1', iteration: 1, stillFailing: ['login'] });
+        await commitFix(repoDir, 'fix 2');
+        const second = await manager.deliver({ branch: 'e2e/run-1', baseBranch: 'main', runId: 'run-1', iteration: 2 });
+
+        expect(first.pullRequest).toEqual({ number: 1, url: `file://${barePath}#pull/1` });
+        expect(second.pullRequest).toEqual(first.pullRequest);
+        expect(second.previewUrl).toBe('https://shop-pr-1.example.dev/');
+        expect(git(barePath, 'rev-parse e2e/run-1')).toBe(second.commit);
+
+        const pullRequests = JSON.parse(await fs.readFile(path.join(barePath, 'pull-requests.json'), 'utf8'));
+        expect(pullRequests).toHaveLength(1);
+        expect(pullRequests[0]).toMatchObject({ branch: 'e2e/run-1', base: 'main', title: 'E2E fixes from run run-1' });
+        expect(pullRequests[0].body).toContain('Tasks still failing when the pull request was opened: login');
+    });
+
+    it('should point Operator prompts at the preview URL', () => {
+        const prompt = '{"production_url": "https://example.com/login", "other": "https://docs.example.org/"}';
+        const retargeted = DeliveryManager.retargetPrompt(prompt, ['https://example.com/login'], {
+            previewUrl: 'https://shop-pr-3.example.dev/',
+            pullRequest: { number: 3, url: 'https://github.com/acme/shop/pull/3' }
+        });
+
+        expect(retargeted).toContain('NOTE: Test the fixes from pull request https://github.com/acme/shop/pull/3 at https://shop-pr-3.example.dev - it stands in for https://example.com');
+        expect(retargeted).toContain('"production_url": "https://shop-pr-3.example.dev/login"');
+        expect(retargeted).toContain('https://docs.example.org/');
+        expect(DeliveryManager.retargetPrompt(prompt, ['https://example.com/login'], { previewUrl: null })).toBe(prompt);
+    });
+
+    it('should validate the delivery section', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        expect(manager._validateConfig({}).delivery.mode).toBe('production');
+        expect(manager._validateConfig({ delivery: { mode: 'preview', previewUrl: 'https://staging.example.com' } }).delivery.mode).toBe('production');
+        expect(console.warn).toHaveBeenCalledWith('  - delivery.mode \'preview\' needs delivery.remote, using default: \'production\'');
+        expect(manager._validateConfig({ delivery: { mode: 'pull-request', forge: { adapter: 'gitlab' } } }).delivery)
+            .toMatchObject({ mode: 'pull-request', previewUrl: null, forge: { adapter: 'github', options: {} } });
+        expect(console.warn).toHaveBeenCalledWith('  - Invalid delivery.forge.adapter: gitlab, using default: \'github\'');
+        jest.restoreAllMocks();
+    });
+});
+
+describe('Pull-request delivery in simulated runs', () => {
+    let repoDir;
+    let logDir;
+
+    beforeEach(async () => {
+        repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-delivery-sim-'));
+        logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-delivery-logs-'));
+        await fs.writeFile(path.join(repoDir, 'fix.txt'), 'start\n');
+        git(repoDir, 'init -q -b main && git add fix.txt && git -c user.name=qa -c user.email=qa@example.com commit -q -m start');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(repoDir, { recursive: true, force: true });
+        await fs.rm(logDir, { recursive: true, force: true });
+    });
+
+    it('should open a pull request and have Operator retest the preview URL', async () => {
+        await fs.copyFile(new URL('./sample_qa_ux.json', import.meta.url), path.join(logDir, 'qa_ux.json'));
+        await fs.writeFile(path.join(logDir, 'scenario.json'), JSON.stringify({
+            name: 'pull-request',
+            qaFile: './qa_ux.json',
+            maxIterations: 2,
+            defaults: { claude: 'Fixed.\nTASK_FINISHED' },
+            iterations: [
+                { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open' },
+                { operator: '## login_form_validation\nStep 2: ✅ Pass - modal opens' }
+            ]
+        }));
+        const simulation = await SimulationScenario.load(path.join(logDir, 'scenario.json'));
+
+        const awaitCompletion = MockCodingBackend.prototype.awaitCompletion;
+        jest.spyOn(MockCodingBackend.prototype, 'awaitCompletion').mockImplementation(async function (...args) {
+            await commitFix(repoDir, 'fix login modal');
+            return awaitCompletion.apply(this, args);
+        });
+
+        const barePath = path.join(logDir, 'forge.git');
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: repoDir,
+            logDirectory: logDir,
+            reportDirectory: path.join(logDir, 'reports'),
+            maxIterations: simulation.maxIterations,
+            simulation,
+            delivery: {
+                mode: 'pull-request',
+                previewUrl: 'https://pr-{{prNumber}}.preview.example.com',
+                forge: { adapter: 'local', options: { path: barePath } }
+            }
+        });
+        const operatorMessages = [];
+        const sendMessageToOperatorFast = executor.sendMessageToOperatorFast.bind(executor);
+        executor.sendMessageToOperatorFast = async (prompt) => {
+            operatorMessages.push(prompt);
+            return sendMessageToOperatorFast(prompt);
+        };
+        await executor.execute();
+
+        const branchName = `e2e/${executor.runId}`;
+        expect(executor.lastDelivery).toMatchObject({
+            mode: 'pull-request',
+            iteration: 2,
+            pullRequest: { number: 1, url: `file://${barePath}#pull/1` },
+            previewUrl: 'https://pr-1.preview.example.com'
+        });
+        expect(git(barePath, `rev-parse ${branchName}`)).toBe(executor.lastDelivery.commit);
+
+        const prompts = executor.codingAgent.submittedPrompts.map(entry => entry.prompt);
+        expect(prompts[0]).toContain('Do NOT deploy');
+        expect(prompts[0]).toContain('do not push or deploy - the run pushes the branch to its pull request');
+
+        expect(operatorMessages[0]).toContain('https://example.com');
+        expect(operatorMessages[1]).toContain('NOTE: Test the fixes from pull request');
+        expect(operatorMessages[1]).toContain('https://pr-1.preview.example.com');
+        expect(operatorMessages[1]).not.toContain('"production_url": "https://example.com');
+
+        const summary = JSON.parse(await fs.readFile(executor.reportPaths.json, 'utf8'));
+        expect(summary.delivery).toMatchObject({ mode: 'pull-request', previewUrl: 'https://pr-1.preview.example.com' });
+    }, 60000);
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import { EXIT_CODES, exitCodeFor, describeExitCode } from '../lib/exit-codes.js';
+import { stripDecorations } from '../lib/plain-output.js';
+
+describe('stripDecorations', () => {
+    it('should drop emoji, their spacing and ANSI colour codes', () => {
+        expect(stripDecorations('\x1b[31m⚠️  Max iterations (5) reached\x1b[0m')).toBe('Max iterations (5) reached');
+        expect(stripDecorations('Final status: ✅ All tasks resolved ── 👨‍💻 done')).toBe('Final status: All tasks resolved ── done');
+    });
+});
+
+describe('Run exit codes', () => {
+    let tempDir;
+
+    // Writes a scenario over a copy of the sample QA file and runs it
+    const runScenario = async (scenario, executorOptions = {}) => {
+        await fs.copyFile(new URL('./sample_qa_ux.json', import.meta.url), path.join(tempDir, 'qa_ux.json'));
+        await fs.writeFile(path.join(tempDir, 'scenario.json'), JSON.stringify({
+            qaFile: './qa_ux.json',
+            timing: { minPhaseDuration: 1, retryDelay: 1, healthRetryDelay: 1 },
+            iterations: [],
+            ...scenario
+        }));
+        const simulation = await SimulationScenario.load(path.join(tempDir, 'scenario.json'));
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation,
+            ...executorOptions
+        });
+        return { executor, result: executor.execute() };
+    };
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-exit-codes-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should exit 0 when every task passes', async () => {
+        const { result } = await runScenario({
+            name: 'fixed',
+            maxIterations: 3,
+            defaults: {
+                operator: '## login_form_validation\nStep 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\nStep 4: ✅ Pass',
+                claude: 'Fixed the modal.\nTASK_FINISHED'
+            }
+        });
+
+        await expect(result).resolves.toEqual({ status: 'passed', exitCode: EXIT_CODES.PASSED });
+    }, 30000);
+
+    it('should exit 1 when tasks still fail after the last iteration', async () => {
+        const { executor, result } = await runScenario({
+            name: 'never-fixed',
+            maxIterations: 2,
+            defaults: { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open', claude: 'Tried again.\nTASK_FINISHED' }
+        });
+
+        await expect(result).resolves.toEqual({ status: 'failed', exitCode: EXIT_CODES.TASKS_FAILING });
+        const summary = JSON.parse(await fs.readFile(executor.reportPaths.json, 'utf8'));
+        expect(summary).toMatchObject({ status: 'failed', exitCode: EXIT_CODES.TASKS_FAILING });
+    }, 30000);
+
+    it('should keep exit 1 when resuming a completed run with failing tasks', async () => {
+        const scenario = {
+            name: 'never-fixed',
+            maxIterations: 1,
+            defaults: { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open', claude: 'TASK_FINISHED' }
+        };
+        const { executor, result } = await runScenario(scenario);
+        await expect(result).resolves.toEqual({ status: 'failed', exitCode: EXIT_CODES.TASKS_FAILING });
+
+        const resumed = await runScenario(scenario, { resumeRunId: executor.runId });
+        await expect(resumed.result).resolves.toEqual({ status: 'failed', exitCode: EXIT_CODES.TASKS_FAILING });
+    }, 30000);
+
+    it('should exit 2 when the task selection matches nothing', async () => {
+        const { result } = await runScenario(
+            { name: 'selection', maxIterations: 1, defaults: { operator: 'n/a', claude: 'TASK_FINISHED' } },
+            { taskSelection: { only: 'no_such_task' } }
+        );
+
+        const error = await result.catch(error => error);
+        expect(error.message).toContain('no_such_task');
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.CONFIG_ERROR);
+    }, 30000);
+
+    it('should stop at the first failed health check in CI mode and exit 3', async () => {
+        const reportDirectory = path.join(tempDir, 'ci-reports');
+        const { executor, result } = await runScenario(
+            {
+                name: 'chrome-down',
+                maxIterations: 2,
+                defaults: { operator: '## login_form_validation\nStep 2: ✅ Pass', claude: 'TASK_FINISHED' },
+                iterations: [{ health: { chrome: [false, true] } }]
+            },
+            { ci: true, reportDirectory }
+        );
+
+        const error = await result.catch(error => error);
+        expect(error.message).toContain('--ci: no recovery attempted');
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.INFRASTRUCTURE);
+        expect(executor.healthCheck.maxRecoveryAttempts).toBe(1);
+
+        const summary = JSON.parse(await fs.readFile(path.join(reportDirectory, `e2e_report_${executor.runId}.json`), 'utf8'));
+        expect(summary).toMatchObject({ status: 'error', exitCode: EXIT_CODES.INFRASTRUCTURE });
+    }, 30000);
+
+    it('should exit 130 on SIGINT after writing the run_end event and reports', async () => {
+        const reportDirectory = path.join(tempDir, 'ci-reports');
+        let interrupted;
+        const { executor, result } = await runScenario(
+            {
+                name: 'interrupted',
+                maxIterations: 3,
+                defaults: { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open', claude: 'TASK_FINISHED' }
+            },
+            { reportDirectory }
+        );
+        const emitEvent = executor.emitEvent.bind(executor);
+        jest.spyOn(executor, 'emitEvent').mockImplementation((type, data) => {
+            emitEvent(type, data);
+            if (type === 'iteration_start') interrupted = executor.interrupt('SIGINT');
+        });
+
+        // The iteration loop stops at its next checkpoint
+        const error = await result.catch(error => error);
+        await interrupted;
+        expect(error.message).toBe(`Interrupted by SIGINT - resume with --resume ${executor.runId}`);
+        expect(exitCodeFor(error)).toBe(EXIT_CODES.INTERRUPTED);
+        const runEnds = executor.emitEvent.mock.calls.filter(([type]) => type === 'run_end');
+        expect(runEnds).toEqual([['run_end', expect.objectContaining({ status: 'error', exitCode: EXIT_CODES.INTERRUPTED })]]);
+
+        const summary = JSON.parse(await fs.readFile(path.join(reportDirectory, `e2e_report_${executor.runId}.json`), 'utf8'));
+        expect(summary).toMatchObject({ status: 'error', exitCode: EXIT_CODES.INTERRUPTED });
+    }, 30000);
+
+    it('should tell GitHub outages from missing QA files', async () => {
+        const githubFile = 'https://github.com/acme/shop/blob/main/qa/issues.md';
+        const load = (qaUxFilePath) => new OperatorE2EExecutor({ qaUxFilePath }).loadQaUxFile().catch(error => error);
+
+        jest.spyOn(globalThis, 'fetch').mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND raw.githubusercontent.com'));
+        expect(exitCodeFor(await load(githubFile))).toBe(EXIT_CODES.INFRASTRUCTURE);
+
+        globalThis.fetch.mockResolvedValueOnce(new Response('busy', { status: 503, statusText: 'Service Unavailable' }));
+        expect(exitCodeFor(await load(githubFile))).toBe(EXIT_CODES.INFRASTRUCTURE);
+
+        globalThis.fetch.mockResolvedValueOnce(new Response('missing', { status: 404, statusText: 'Not Found' }));
+        const notFound = await load(githubFile);
+        expect(notFound.message).toBe('Failed to load QA_UX file: Failed to fetch GitHub file: HTTP 404: Not Found');
+        expect(exitCodeFor(notFound)).toBe(EXIT_CODES.CONFIG_ERROR);
+
+        expect(exitCodeFor(await load(path.join(tempDir, 'missing.json')))).toBe(EXIT_CODES.CONFIG_ERROR);
+    });
+
+    it('should name exit codes for the end-of-run message', () => {
+        expect(describeExitCode(EXIT_CODES.TASKS_FAILING)).toBe('TASKS_FAILING (exit code 1)');
+        expect(describeExitCode(EXIT_CODES.INFRASTRUCTURE)).toBe('INFRASTRUCTURE (exit code 3)');
+        expect(describeExitCode(7)).toBe('exit code 7');
+    });
+
+    it('should write CI reports to ./e2e-reports by default', () => {
+        const executor = new OperatorE2EExecutor({ qaUxFilePath: 'qa.json', workingDir: tempDir, ci: true });
+        expect(executor.reportDirectory).toBe(path.join(tempDir, 'e2e-reports'));
+    });
+});
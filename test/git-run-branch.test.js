@@ -0,0 +1,205 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { execSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import MockCodingBackend from '../lib/backends/MockCodingBackend.js';
+import ClaudePromptBuilder from '../lib/claude-prompt-builder.js';
+import ProjectManager from '../lib/project-manager.js';
+import GitRunBranch from '../lib/git-run-branch.js';
+
+const git = (repoDir, command) => execSync(`git -c user.name=qa -c user.email=qa@example.com ${command}`, { cwd: repoDir }).toString().trim();
+
+// Commit a one-line change to fix.txt
+const commitFix = async (repoDir, subject) => {
+    await fs.appendFile(path.join(repoDir, 'fix.txt'), `${subject}\n`);
+    git(repoDir, `commit -q -am "${subject}"`);
+};
+
+const createRepo = async (prefix) => {
+    const repoDir = await fs.mkdtemp(path.join(os.tmpdir(), prefix));
+    await fs.writeFile(path.join(repoDir, 'fix.txt'), 'start\n');
+    git(repoDir, 'init -q -b main && git add fix.txt && git -c user.name=qa -c user.email=qa@example.com commit -q -m start');
+    return repoDir;
+};
+
+describe('GitRunBranch', () => {
+    let repoDir;
+
+    beforeEach(async () => {
+        repoDir = await createRepo('e2e-run-branch-');
+    });
+
+    afterEach(async () => {
+        await fs.rm(repoDir, { recursive: true, force: true });
+    });
+
+    it('should tag each iteration and reset to the last good iteration on a regression', async () => {
+        const runBranch = new GitRunBranch({ gitRepo: repoDir, runId: 'run-1', logger: () => {} });
+        expect(runBranch.start()).toBe('e2e/run-1');
+        expect(git(repoDir, 'rev-parse --abbrev-ref HEAD')).toBe('e2e/run-1');
+
+        await commitFix(repoDir, 'fix 1');
+        runBranch.completeIteration(1);
+        await commitFix(repoDir, 'fix 2');
+        runBranch.completeIteration(2);
+        await commitFix(repoDir, 'fix 3');
+        // Iteration 3's verdicts judge fix 2, so the branch goes back to iteration 1
+        const entry = runBranch.completeIteration(3, { regressed: ['login'] });
+
+        expect(entry.rolledBackTo).toBe('e2e/run-1/iter-1');
+        expect(git(repoDir, 'log --format=%s main..HEAD')).toBe('fix 1');
+        expect(git(repoDir, 'tag --list "e2e/run-1/*"').split('\n'))
+            .toEqual(['e2e/run-1/base', 'e2e/run-1/iter-1', 'e2e/run-1/iter-2', 'e2e/run-1/iter-3']);
+
+        const diffs = runBranch.getDiffSummary();
+        expect(diffs.map(diff => diff.stat[diff.stat.length - 1])).toEqual([
+            ' 1 file changed, 1 insertion(+)',
+            ' 1 file changed, 1 insertion(+)',
+            ' 1 file changed, 1 insertion(+)'
+        ]);
+    });
+
+    it('should stash uncommitted changes before a rollback', async () => {
+        const runBranch = new GitRunBranch({ gitRepo: repoDir, runId: 'run-3', logger: () => {} });
+        runBranch.start();
+        await commitFix(repoDir, 'fix 1');
+        runBranch.completeIteration(1);
+        await commitFix(repoDir, 'fix 2');
+        await fs.appendFile(path.join(repoDir, 'fix.txt'), 'work in progress\n');
+        await fs.writeFile(path.join(repoDir, 'notes.txt'), 'todo\n');
+
+        const entry = runBranch.completeIteration(2, { regressed: ['login'] });
+
+        expect(entry.rolledBackTo).toBe('e2e/run-3/base');
+        expect(git(repoDir, 'status --porcelain')).toBe('');
+        expect(git(repoDir, `show ${entry.stash}:fix.txt`)).toBe('start\nfix 1\nfix 2\nwork in progress');
+        expect(git(repoDir, `show ${entry.stash}^3:notes.txt`)).toBe('todo');
+        expect(runBranch.completeIteration(3, { regressed: ['login'] }).stash).toBeNull();
+    });
+
+    it('should keep the branch when rollback is off and continue it when resuming', async () => {
+        const runBranch = new GitRunBranch({ gitRepo: repoDir, runId: 'run-2', branchPrefix: 'qa/runs', logger: () => {} });
+        runBranch.start();
+        await commitFix(repoDir, 'fix 1');
+        expect(runBranch.completeIteration(1, { regressed: ['login'], rollback: false }).rolledBackTo).toBeNull();
+        git(repoDir, 'checkout -q main');
+
+        const resumed = new GitRunBranch({ gitRepo: repoDir, runId: 'run-2', branchPrefix: 'qa/runs', logger: () => {} });
+        resumed.restore(runBranch.getState());
+        resumed.start();
+        expect(git(repoDir, 'rev-parse --abbrev-ref HEAD')).toBe('qa/runs/run-2');
+        expect(resumed.baseBranch).toBe('main');
+        expect(resumed.iterations).toHaveLength(1);
+    });
+});
+
+describe('Git isolation config and prompt', () => {
+    it('should validate the gitIsolation section', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        expect(manager._validateConfig({}).gitIsolation).toEqual({ enabled: false, branchPrefix: 'e2e', rollbackOnRegression: true });
+        expect(manager._validateConfig({ gitIsolation: { enabled: true, branchPrefix: 'bad prefix', rollbackOnRegression: 'no' } }).gitIsolation)
+            .toEqual({ enabled: true, branchPrefix: 'e2e', rollbackOnRegression: true });
+        expect(console.warn).toHaveBeenCalledWith('  - Invalid gitIsolation.branchPrefix: bad prefix, using default: e2e');
+        jest.restoreAllMocks();
+    });
+
+    it('should tell Claude which branch to use and about a rollback', () => {
+        const prompt = new ClaudePromptBuilder().build({
+            operatorResponse: '',
+            runBranch: 'e2e/run-1',
+            previousAttempt: { iteration: 2, success: true, stillFailing: ['search'], rollback: { to: 'e2e/run-1/iter-1', regressed: ['search'] } }
+        });
+
+        expect(prompt).toContain('GIT BRANCH: e2e/run-1 is checked out for this run.');
+        expect(prompt).toContain('Because search stopped passing, the branch was reset to e2e/run-1/iter-1');
+        expect(new ClaudePromptBuilder().build({ operatorResponse: '' })).not.toContain('GIT BRANCH');
+    });
+});
+
+describe('Git isolation in simulated runs', () => {
+    let repoDir;
+    let logDir;
+
+    beforeEach(async () => {
+        repoDir = await createRepo('e2e-run-branch-sim-');
+        logDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-run-branch-logs-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(repoDir, { recursive: true, force: true });
+        await fs.rm(logDir, { recursive: true, force: true });
+    });
+
+    // Regresses search after fix 1 while Claude commits one fix per iteration
+    const runRegression = async (executorOptions = {}) => {
+        await fs.copyFile(new URL('./sample_qa_ux.json', import.meta.url), path.join(logDir, 'qa_ux.json'));
+        await fs.writeFile(path.join(logDir, 'scenario.json'), JSON.stringify({
+            name: 'regression',
+            qaFile: './qa_ux.json',
+            maxIterations: 3,
+            defaults: { claude: 'Fixed.\nTASK_FINISHED' },
+            iterations: [
+                { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open' },
+                { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open\n## search_functionality\nStep 1: ❌ Fail - search box is gone' },
+                { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open' }
+            ]
+        }));
+        const simulation = await SimulationScenario.load(path.join(logDir, 'scenario.json'));
+
+        let fixes = 0;
+        const awaitCompletion = MockCodingBackend.prototype.awaitCompletion;
+        jest.spyOn(MockCodingBackend.prototype, 'awaitCompletion').mockImplementation(async function (...args) {
+            await commitFix(repoDir, `fix ${++fixes}`);
+            return awaitCompletion.apply(this, args);
+        });
+
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: repoDir,
+            logDirectory: logDir,
+            maxIterations: simulation.maxIterations,
+            simulation,
+            gitIsolation: { enabled: true },
+            ...executorOptions
+        });
+        executor.log = jest.fn(executor.log.bind(executor));
+        await executor.execute();
+        return executor;
+    };
+
+    it('should roll back the fixes that made a passing task fail again and redeliver the branch', async () => {
+        const barePath = path.join(logDir, 'forge.git');
+        const executor = await runRegression({
+            delivery: { mode: 'pull-request', forge: { adapter: 'local', options: { path: barePath } } }
+        });
+
+        const branchName = `e2e/${executor.runId}`;
+        expect(git(repoDir, 'rev-parse --abbrev-ref HEAD')).toBe(branchName);
+        // Iteration 2 showed search regressing after fix 1, so fix 1 and fix 2 were dropped
+        expect(git(repoDir, 'log --format=%s main..HEAD')).toBe('fix 3');
+        expect(git(barePath, `rev-parse ${branchName}`)).toBe(git(repoDir, 'rev-parse HEAD'));
+        expect(executor.attemptHistory[1].rollback).toEqual({ to: `${branchName}/base`, regressed: ['search_functionality'] });
+
+        const prompts = executor.codingAgent.submittedPrompts.map(entry => entry.prompt);
+        expect(prompts[0]).toContain(`GIT BRANCH: ${branchName}`);
+        expect(prompts[2]).toContain(`the branch was reset to ${branchName}/base`);
+        expect(executor.log).toHaveBeenCalledWith(`    ↩️  rolled back to ${branchName}/base (regressed: search_functionality)`, 'WARNING');
+    }, 60000);
+
+    it('should only report regressions in production mode, where nothing redeploys a reset branch', async () => {
+        const executor = await runRegression();
+
+        expect(git(repoDir, 'log --reverse --format=%s main..HEAD')).toBe('fix 1\nfix 2\nfix 3');
+        expect(executor.attemptHistory[1].rollback).toBeUndefined();
+        expect(executor.log).toHaveBeenCalledWith(
+            '   Git isolation: no rollback on regression without preview or pull-request delivery to redeploy the reset branch', 'INFO');
+    }, 60000);
+});
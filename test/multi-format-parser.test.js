@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import MultiFormatParser from '../lib/file-parsers/MultiFormatParser.js';
+import QaResultsWriter from '../lib/file-parsers/QaResultsWriter.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const sampleMarkdownPath = path.join(testDir, 'sample_qa_ux.md');
+
+describe('MultiFormatParser structured Markdown', () => {
+    let parser;
+    let sample;
+
+    beforeEach(async () => {
+        parser = new MultiFormatParser();
+        sample = await fs.readFile(sampleMarkdownPath, 'utf8');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should read YAML front matter into metadata', async () => {
+        const qaUxData = await parser.parseContent(sample, 'sample_qa_ux.md');
+
+        expect(qaUxData.metadata).toMatchObject({
+            title: 'OpenAI Operator QA Mode Test Suite (Markdown)',
+            version: '1.0.0',
+            created: '2025-01-24',
+            demo_app_url: 'https://example.com'
+        });
+        expect(qaUxData.metadata.requirements).toHaveLength(2);
+    });
+
+    it('should build one task per ### section', async () => {
+        const qaUxData = await parser.parseContent(sample, 'sample_qa_ux.md');
+
+        expect(Object.keys(qaUxData.tasks)).toEqual(['login_form_validation', 'search_returns_results']);
+        expect(qaUxData.tasks.login_form_validation).toMatchObject({
+            description: 'Login form validation and authentication flow',
+            status: 'fail',
+            priority: 'high',
+            category: 'authentication',
+            production_url: 'https://example.com/login',
+            expected_behavior: 'Users can open the login modal and get validation feedback',
+            actual_behavior: 'Logo is missing and the Sign In modal does not open',
+            qa_report: { issue: 'Logo is missing and the Sign In modal does not open', severity: 'high' }
+        });
+        expect(qaUxData.tasks.login_form_validation.test_steps[1]).toEqual({
+            step: 2,
+            action: 'Click "Sign In" button in top-right',
+            expectation: 'Modal appears with "Email" and "Password" fields'
+        });
+
+        const search = qaUxData.tasks.search_returns_results;
+        expect(search.status).toBe('pass');
+        expect(search.production_url).toBe('https://example.com');
+        expect(search.test_steps.map(step => step.status)).toEqual(['pass', 'fail']);
+    });
+
+    it('should keep task IDs stable when sections are reordered or edited', async () => {
+        const sections = sample.split(/(?=^### )/m);
+        const reordered = [sections[0], sections[2].trimEnd() + '\n\n', sections[1]].join('')
+            .replace('- **Priority**: high', '- **Priority**: low')
+            .replace('### Login form validation and authentication flow', '### Login form validation');
+
+        const qaUxData = await parser.parseContent(reordered, 'sample_qa_ux.md');
+
+        expect(Object.keys(qaUxData.tasks).sort()).toEqual(['login_form_validation', 'search_returns_results']);
+    });
+
+    it('should number tasks with repeated titles', () => {
+        const tasks = {};
+        parser.extractStructuredTasks([
+            { title: 'Checkout works', lines: ['Status: fail'] },
+            { title: 'Checkout works', lines: ['Status: pass'] }
+        ], tasks);
+
+        expect(Object.keys(tasks)).toEqual(['checkout_works', 'checkout_works_2']);
+    });
+
+    it('should fall back to heuristics for unstructured Markdown', async () => {
+        const qaUxData = await parser.parseContent('Just some notes without tasks.', 'notes.md');
+
+        expect(Object.keys(qaUxData.tasks)).toEqual(['extracted-content']);
+    });
+
+    it('should pick up plain headings and checkboxes in unstructured Markdown', async () => {
+        const notes = '# Release notes\n\n## Fix broken login redirect\n\n- [ ] Search returns no results\n- [x] Footer links open in a new tab\n';
+        const qaUxData = await parser.parseContent(notes, 'notes.md');
+
+        expect(Object.keys(qaUxData.tasks)).toEqual([
+            'release-notes',
+            'fix-broken-login-redirect',
+            'search-returns-no-results',
+            'footer-links-open-in-a-new-tab'
+        ]);
+        expect(qaUxData.tasks['search-returns-no-results'].test_steps).toEqual(['Search returns no results']);
+    });
+
+    it('should round-trip results written back to the source', async () => {
+        const qaUxData = await parser.parseContent(sample, 'sample_qa_ux.md');
+        const task = qaUxData.tasks.login_form_validation;
+        task.status = 'pass';
+        task.lastUpdated = '2026-10-19T10:00:00.000Z';
+        task.test_steps.forEach(step => { step.status = 'pass'; });
+
+        const written = new QaResultsWriter().annotate(sample, qaUxData.tasks, 'markdown');
+        const reparsed = await parser.parseContent(written, 'sample_qa_ux.md');
+
+        expect(written).toContain('### Login form validation and authentication flow [e2e: ✅ pass 2026-10-19 10:00]\n- **ID**: login_form_validation\n- **URL**: https://example.com/login\n- **Status**: pass');
+        expect(reparsed.tasks.login_form_validation.status).toBe('pass');
+        expect(reparsed.tasks.login_form_validation.description).toBe('Login form validation and authentication flow');
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFile, spawnSync } from 'child_process';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import PortRegistry from '../lib/port-registry.js';
+
+const PORT_REGISTRY_URL = new URL('../lib/port-registry.js', import.meta.url).href;
+
+const listen = async (server) => {
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+};
+
+// closeAllConnections: fetch keeps the connection to the fake Chrome alive
+const close = (server) => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections?.();
+});
+
+describe('PortRegistry', () => {
+    let tempDir;
+    let registryPath;
+    let basePort;
+    let logs;
+
+    const createRegistry = () => new PortRegistry({ registryPath, basePort, portCount: 10, logger: (message) => logs.push(message) });
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-port-registry-'));
+        registryPath = path.join(tempDir, 'chrome-ports.json');
+        logs = [];
+        // A port the OS just handed out, so the range above it is very likely unused
+        const probe = net.createServer();
+        basePort = await listen(probe);
+        await close(probe);
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should move a second project off a leased port and let the first one share it', async () => {
+        const registry = createRegistry();
+
+        const shop = await registry.acquire({ projectHash: 'aaaa1111', projectName: 'shop', preferredPort: basePort });
+        const blog = await registry.acquire({ projectHash: 'bbbb2222', projectName: 'blog', preferredPort: basePort });
+        const shopAgain = await registry.acquire({ projectHash: 'aaaa1111', projectName: 'shop', preferredPort: basePort });
+
+        expect(shop).toMatchObject({ port: basePort, reason: 'free' });
+        expect(blog).toMatchObject({ port: basePort + 1, preferredPort: basePort, reason: 'free' });
+        expect(shopAgain).toMatchObject({ port: basePort, reason: 'shared' });
+
+        const leases = JSON.parse(await fs.readFile(registryPath, 'utf8')).leases;
+        expect(leases.map(lease => [lease.port, lease.projectName, lease.pid])).toEqual([
+            [basePort, 'shop', process.pid],
+            [basePort + 1, 'blog', process.pid],
+            [basePort, 'shop', process.pid]
+        ]);
+
+        expect(await registry.release(basePort + 1)).toBe(true);
+        expect(await registry.release(basePort + 1)).toBe(false);
+        expect((await registry.list()).map(lease => lease.projectName)).toEqual(['shop', 'shop']);
+    });
+
+    it('should skip a port something else listens on, but keep a Chrome already running there', async () => {
+        const registry = createRegistry();
+        const other = net.createServer(socket => socket.destroy());
+        const otherPort = await listen(other);
+        const chrome = http.createServer((request, response) => response.end(JSON.stringify({ Browser: 'Chrome/126.0' })));
+        const chromePort = await listen(chrome);
+
+        try {
+            const moved = await new PortRegistry({ registryPath, basePort: otherPort, portCount: 3, logger: () => {} })
+                .acquire({ projectHash: 'aaaa1111', preferredPort: otherPort });
+            expect(moved.port).not.toBe(otherPort);
+
+            expect(await registry.acquire({ projectHash: 'bbbb2222', preferredPort: chromePort }))
+                .toMatchObject({ port: chromePort, reason: 'running' });
+            expect(await registry.acquire({ projectHash: 'cccc3333', preferredPort: otherPort, pinned: true }))
+                .toMatchObject({ port: otherPort, reason: 'pinned' });
+        } finally {
+            await close(other);
+            await close(chrome);
+        }
+    });
+
+    it('should drop leases held by processes that have exited', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        await fs.writeFile(registryPath, JSON.stringify({
+            leases: [{ port: basePort, projectHash: 'dead0000', projectName: 'crashed', pid, acquiredAt: new Date().toISOString() }]
+        }));
+        const registry = createRegistry();
+
+        expect(await registry.acquire({ projectHash: 'aaaa1111', projectName: 'shop', preferredPort: basePort }))
+            .toMatchObject({ port: basePort, reason: 'free' });
+        expect((await registry.list()).map(lease => lease.projectName)).toEqual(['shop']);
+        expect(logs).toContain(`[PORTS] Dropping the lease on port ${basePort} of crashed (pid ${pid} has exited)`);
+    });
+
+    it('should take over a stale lock but never remove a lock another holder took since', async () => {
+        const { pid } = spawnSync(process.execPath, ['-e', '']);
+        const lockPath = `${registryPath}.lock`;
+        await fs.writeFile(lockPath, JSON.stringify({ pid, lockedAt: Date.now(), token: 'crashed' }));
+        const registry = createRegistry();
+
+        // The update outlives LOCK_STALE_MS and another process takes the lock over
+        const takeover = JSON.stringify({ pid: process.pid, lockedAt: Date.now(), token: 'newer' });
+        await registry.withLock(async () => fs.writeFile(lockPath, takeover));
+
+        expect(logs).toContain(`[PORTS] Removed the stale registry lock of pid ${pid}`);
+        expect(await fs.readFile(lockPath, 'utf8')).toBe(takeover);
+        expect(registry.removeLock('crashed')).toBe(false);
+        expect(await fs.readFile(lockPath, 'utf8')).toBe(takeover);
+        expect(await fs.readdir(tempDir)).toEqual(['chrome-ports.json.lock']);
+    });
+
+    it('should hand out different ports to runs in separate processes', async () => {
+        // Each child holds its lease (stays alive) until every child has acquired one
+        const acquireInChild = (projectHash) => promisify(execFile)(process.execPath, [
+            '--input-type=module',
+            '-e',
+            `import PortRegistry from '${PORT_REGISTRY_URL}';
+             const registry = new PortRegistry({ registryPath: ${JSON.stringify(registryPath)}, basePort: ${basePort}, portCount: 10, logger: () => {} });
+             const { port } = await registry.acquire({ projectHash: '${projectHash}', preferredPort: ${basePort} });
+             console.log(port);
+             await new Promise(resolve => setTimeout(resolve, 4000));`
+        ], { encoding: 'utf8', timeout: 30000 });
+
+        const outputs = await Promise.all(['aaaa1111', 'bbbb2222', 'cccc3333'].map(acquireInChild));
+        const ports = outputs.map(({ stdout }) => Number(stdout.trim()));
+        expect(new Set(ports).size).toBe(3);
+        ports.forEach(port => expect(port - basePort).toBeLessThan(10));
+    }, 30000);
+});
@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import ProjectOrchestrator from '../lib/project-orchestrator.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const scenarioPath = (name) => path.join(testDir, 'scenarios', `${name}.json`);
+
+describe('ProjectOrchestrator', () => {
+    let tempDir;
+    const logger = () => {};
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-orchestrator-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const project = (name, overrides = {}) => ({
+        projectName: name,
+        projectPath: path.join(tempDir, name),
+        qaFile: path.join(testDir, 'sample_qa_ux.json'),
+        ...overrides
+    });
+
+    // Stand-in executor: passes every task after a short delay unless its project is in `failing`
+    const fakeExecutors = (failing = []) => {
+        const stats = { running: 0, maxRunning: 0, started: [] };
+        const createExecutor = (options) => ({
+            runId: `run-${options.projectName}`,
+            iteration: 1,
+            maxIterations: 5,
+            async execute() {
+                stats.started.push(options);
+                stats.running++;
+                stats.maxRunning = Math.max(stats.maxRunning, stats.running);
+                await new Promise(resolve => setTimeout(resolve, 20));
+                stats.running--;
+                if (failing.includes(options.projectName)) {
+                    throw new Error(`${options.projectName} crashed`);
+                }
+                this.qaUxData = { tasks: { a: { status: 'pass' }, b: { status: 'pass' } } };
+            }
+        });
+        return { stats, createExecutor };
+    };
+
+    it('should never run more projects at once than the concurrency limit', async () => {
+        const { stats, createExecutor } = fakeExecutors();
+        const orchestrator = new ProjectOrchestrator({ concurrency: 2, createExecutor, logger });
+
+        // Explicit ports: derived ones come from a 100-port range and can collide
+        const summary = await orchestrator.run(['one', 'two', 'three', 'four', 'five']
+            .map((name, index) => project(name, { chromePort: 9400 + index })));
+
+        expect(stats.maxRunning).toBe(2);
+        expect(summary).toMatchObject({ total: 5, passed: 5, failed: 0, errored: 0 });
+    });
+
+    it('should give each project its own port, session and log directory', async () => {
+        const { stats, createExecutor } = fakeExecutors();
+        const orchestrator = new ProjectOrchestrator({ concurrency: 3, createExecutor, logger, logDirectory: tempDir });
+
+        await orchestrator.run([project('alpha', { chromePort: 9400, maxIterations: 2 }), project('beta')]);
+
+        const [alpha, beta] = [...stats.started].sort((a, b) => a.projectName.localeCompare(b.projectName));
+        expect(alpha).toMatchObject({
+            projectPath: path.join(tempDir, 'alpha'),
+            chromePort: 9400,
+            maxIterations: 2,
+            logDirectory: path.join(tempDir, 'alpha')
+        });
+        expect(beta.chromePort).toBeGreaterThanOrEqual(9222);
+        expect(beta.chromePort).toBeLessThan(9322);
+        // Only a configured port is pinned; a derived one is leased and may move at run time
+        expect(alpha.pinChromePort).toBe(true);
+        expect(beta.pinChromePort).toBe(false);
+        expect(beta.logDirectory).toBe(path.join(tempDir, 'beta'));
+    });
+
+    it('should record a failing project without stopping the others', async () => {
+        const { createExecutor } = fakeExecutors(['two']);
+        const orchestrator = new ProjectOrchestrator({ concurrency: 2, createExecutor, logger });
+
+        const summary = await orchestrator.run([
+            project('one', { chromePort: 9400 }),
+            project('two', { chromePort: 9401 }),
+            project('three', { chromePort: 9402 }),
+            { projectName: 'four' }
+        ]);
+
+        expect(summary).toMatchObject({ total: 4, passed: 2, failed: 0, errored: 2 });
+        expect(summary.projects.map(result => [result.project, result.status])).toEqual([
+            ['one', 'passed'], ['two', 'error'], ['three', 'passed'], ['four', 'error']
+        ]);
+        expect(summary.projects[1].error).toBe('two crashed');
+        expect(summary.projects[3].error).toBe('Project four has no projectPath');
+    });
+
+    it('should reject projects that would share a Chrome port before starting them', async () => {
+        const { stats, createExecutor } = fakeExecutors();
+        const orchestrator = new ProjectOrchestrator({ createExecutor, logger });
+
+        const summary = await orchestrator.run([project('one', { chromePort: 9300 }), project('two', { chromePort: 9300 })]);
+
+        expect(stats.started.map(options => options.projectName)).toEqual(['one']);
+        expect(summary.projects[1]).toMatchObject({
+            status: 'error',
+            error: 'Chrome port 9300 is already used by project one'
+        });
+    });
+
+    it('should run simulated projects through the real executor', async () => {
+        const orchestrator = new ProjectOrchestrator({ concurrency: 2, logger, logDirectory: tempDir });
+
+        const summary = await orchestrator.run([
+            project('alpha', { qaFile: undefined, simulate: scenarioPath('all-pass'), chromePort: 9400 }),
+            project('beta', { qaFile: 'missing.json', simulate: scenarioPath('all-pass'), chromePort: 9401 })
+        ]);
+
+        expect(summary.projects[0]).toMatchObject({
+            project: 'alpha',
+            status: 'passed',
+            tasks: { total: 7, passed: 7, failed: 0 },
+            iterations: 2
+        });
+        expect(summary.projects[0].logFile.startsWith(path.join(tempDir, 'alpha'))).toBe(true);
+        expect(summary.projects[1].status).toBe('error');
+        expect(summary.projects[1].error).toContain('Failed to load QA_UX file');
+        expect(orchestrator.formatSummary(summary).at(-1)).toMatch(/^Total: 1 passed, 0 failed, 1 errored of 2/);
+    }, 30000);
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import MultiFormatParser from '../lib/file-parsers/MultiFormatParser.js';
+import QaResultsWriter from '../lib/file-parsers/QaResultsWriter.js';
+
+const markdownSource = [
+    '# Checkout QA',
+    '',
+    '## Cart total is wrong after removing items',
+    '- [ ] Remove an item and check the total',
+    '- [ ] Apply a coupon and check the total',
+    '',
+    '## Footer links',
+    'Nothing to test here yet.',
+    ''
+].join('\n');
+
+describe('QaResultsWriter', () => {
+    let tempDir;
+    let writer;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'qa-results-'));
+        writer = new QaResultsWriter({ sidecarDirectory: path.join(tempDir, 'logs') });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const loadMarkdown = async (filePath) => {
+        const qaUxData = await new MultiFormatParser().parseFile(filePath);
+        qaUxData._rawContent = QaResultsWriter.stripResults(await fs.readFile(filePath, 'utf8'));
+        return qaUxData;
+    };
+
+    it('should annotate Markdown headers and tick checklist steps in place', async () => {
+        const filePath = path.join(tempDir, 'checkout.md');
+        await fs.writeFile(filePath, markdownSource);
+        const qaUxData = await loadMarkdown(filePath);
+        const [taskId, task] = Object.entries(qaUxData.tasks)
+            .find(([, candidate]) => candidate.description === 'Cart total is wrong after removing items');
+
+        task.status = 'fail';
+        task.lastAnalyzed = '2026-10-19T09:30:00.000Z';
+        task.operatorAnalysis = { steps: [{ stepIndex: 0, status: 'pass' }, { stepIndex: 1, status: 'fail' }] };
+
+        const saved = await writer.write(qaUxData, filePath);
+        const written = await fs.readFile(filePath, 'utf8');
+
+        expect(saved).toEqual({ mode: 'annotated', path: filePath });
+        expect(written).toContain('## Cart total is wrong after removing items [e2e: ❌ fail 2026-10-19 09:30]');
+        expect(written).toContain('- [x] Remove an item and check the total\n- [ ] Apply a coupon and check the total');
+        expect(written).toContain('## Footer links\nNothing to test here yet.');
+        expect(written).not.toContain('e2e-results:start');
+
+        // The written-back file still parses to the same tasks
+        const reloaded = await loadMarkdown(filePath);
+        expect(Object.keys(reloaded.tasks)).toContain(taskId);
+        expect(reloaded._rawContent).not.toContain('[e2e:');
+    });
+
+    it('should replace earlier annotations and list unplaceable results in a block', () => {
+        const tasks = {
+            'cart-total': { description: 'Cart total is wrong after removing items', status: 'pass', lastUpdated: '2026-10-19T10:00:00.000Z' },
+            'extracted-content': { description: 'Extracted content for QA/UX review', status: 'fail', lastAnalyzed: '2026-10-19T10:00:00.000Z' },
+            'not-analyzed': { description: 'Footer links', status: 'fail' }
+        };
+
+        const once = writer.annotate(markdownSource, tasks, 'markdown');
+        const twice = writer.annotate(once, tasks, 'markdown');
+
+        expect(twice).toBe(once);
+        expect(once).toContain('## Cart total is wrong after removing items [e2e: ✅ pass 2026-10-19 10:00]');
+        expect(once).toContain('## Footer links\n');
+        expect(once).toContain([
+            '<!-- e2e-results:start -->',
+            '## E2E Results',
+            '- extracted-content: Extracted content for QA/UX review [e2e: ❌ fail 2026-10-19 10:00]',
+            '<!-- e2e-results:end -->'
+        ].join('\n'));
+        expect(QaResultsWriter.stripResults(once).trimEnd()).toBe(markdownSource.trimEnd());
+    });
+
+    it('should write a sidecar results file for GitHub sources', async () => {
+        const qaUxData = { tasks: { login: { description: 'Login works', status: 'pass', lastUpdated: '2026-10-19T10:00:00.000Z' } } };
+
+        const saved = await writer.write(qaUxData, 'https://github.com/acme/shop/blob/main/qa/checkout.md');
+        const results = JSON.parse(await fs.readFile(saved.path, 'utf8'));
+
+        expect(saved).toEqual({ mode: 'sidecar', path: path.join(tempDir, 'logs', 'checkout.results.json') });
+        expect(results.source).toBe('https://github.com/acme/shop/blob/main/qa/checkout.md');
+        expect(results.tasks.login).toMatchObject({ status: 'pass', lastUpdated: '2026-10-19T10:00:00.000Z' });
+    });
+
+    it('should keep rewriting JSON sources as JSON', async () => {
+        const filePath = path.join(tempDir, 'qa.json');
+        const qaUxData = { tasks: { login: { status: 'pass' } } };
+
+        const saved = await writer.write(qaUxData, filePath);
+
+        expect(saved.mode).toBe('json');
+        expect(JSON.parse(await fs.readFile(filePath, 'utf8'))).toEqual(qaUxData);
+    });
+});
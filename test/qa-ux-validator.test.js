@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import QaUxValidator from '../lib/qa-ux-validator.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+const BAD_JSON = `{
+  "metadata": { "name": "Broken suite" },
+  "tasks": {
+    "login": {
+      "status": "fail",
+      "production_url": "https://example.com/login",
+      "test_steps": [{ "step": 1, "action": "Open the page" }]
+    },
+    "search": {
+      "production_url": "https://example.com",
+      "test_steps": ["Type a query"]
+    },
+    "login": {
+      "status": "fail",
+      "production_url": "https://example.com/login",
+      "test_steps": [
+        { "step": 1, "action": "Open the page" },
+        { "step": 1, "action": "Click Sign In" }
+      ]
+    }
+  }
+}
+`;
+
+describe('QaUxValidator', () => {
+    let validator;
+
+    beforeEach(() => {
+        validator = new QaUxValidator();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('should accept the sample QA files', async () => {
+        for (const sample of ['sample_qa_ux.json', 'sample_qa_ux.md']) {
+            const result = await validator.validateFile(path.join(testDir, sample));
+
+            expect(result.errors).toEqual([]);
+            expect(result.valid).toBe(true);
+        }
+    });
+
+    it('should report every problem in a JSON file with its line', async () => {
+        const result = await validator.validateContent(BAD_JSON, 'qa.json');
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toEqual(expect.arrayContaining([
+            { path: 'tasks.login', line: 13, message: 'duplicate task ID - JSON keeps only the last definition' },
+            { path: 'tasks.search', line: 9, message: 'missing required field "status"' }
+        ]));
+        expect(result.warnings).toEqual([
+            { path: 'tasks.login.test_steps', line: 16, message: expect.stringContaining('step numbers repeat (1)') }
+        ]);
+    });
+
+    it('should locate schema errors on the offending value', async () => {
+        const content = [
+            '{',
+            '  "tasks": {',
+            '    "login": {',
+            '      "status": "fail",',
+            '      "priority": "urgent",',
+            '      "production_url": "example.com/login",',
+            '      "test_steps": ["Open the page"]',
+            '    }',
+            '  }',
+            '}'
+        ].join('\n');
+        const result = await validator.validateContent(content, 'qa.json');
+        const report = validator.formatReport(result, 'qa.json');
+
+        expect(report).toContain('qa.json:5: error: tasks.login.priority: must be one of critical, high, medium, low (got "urgent")');
+        expect(report).toContain('qa.json:6: error: tasks.login.production_url: must be an http(s) URL (got "example.com/login")');
+    });
+
+    it('should report the line of a JSON syntax error', async () => {
+        const result = await validator.validateContent('{\n  "tasks": {\n    "a": { "status": "fail", }\n  }\n}', 'qa.json');
+
+        expect(result.valid).toBe(false);
+        expect(result.errors).toHaveLength(1);
+        expect(result.errors[0].line).toBe(3);
+        expect(result.errors[0].message).toMatch(/^invalid JSON/);
+    });
+
+    it('should locate Markdown task errors on the section heading', async () => {
+        const content = [
+            '---',
+            'title: Checkout QA',
+            '---',
+            '',
+            '### Cart total updates',
+            '- **Status**: fail',
+            '- **Priority**: someday',
+            '- **Steps**:',
+            '  1. Remove an item'
+        ].join('\n');
+
+        const result = await validator.validateContent(content, 'checkout.md');
+        const report = validator.formatReport(result, 'checkout.md');
+
+        expect(report).toContain('checkout.md:5: error: tasks.cart_total_updates.priority: must be one of critical, high, medium, low (got "someday")');
+        expect(report).toContain('checkout.md:5: error: tasks.cart_total_updates: no production_url and no metadata.demo_app_url - Operator has no page to open');
+    });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import RunEventLog, { applyRunEvent } from '../lib/run-event-log.js';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import { MultiProjectDashboard } from '../dashboard.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+describe('RunEventLog', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-events-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should append events in order and read them incrementally', async () => {
+        const eventLog = new RunEventLog({ runId: 'run-1', project: 'demo', logDirectory: tempDir });
+        const emitted = [];
+        eventLog.on('event', event => emitted.push(event.type));
+
+        eventLog.record('run_start', 0, { tasks: { a: 'fail' } });
+        eventLog.record('iteration_start', 1, { maxIterations: 3 });
+        await eventLog.flush();
+
+        const first = await RunEventLog.readSince(eventLog.eventPath);
+        expect(first.events.map(event => [event.type, event.iteration, event.project])).toEqual([
+            ['run_start', 0, 'demo'], ['iteration_start', 1, 'demo']
+        ]);
+        expect(emitted).toEqual(['run_start', 'iteration_start']);
+
+        // A half-written line is left for the next read
+        eventLog.record('phase_start', 1, { phase: 'operator' });
+        await eventLog.flush();
+        await fs.appendFile(eventLog.eventPath, '{"type":"phase_e');
+
+        const second = await RunEventLog.readSince(eventLog.eventPath, first.offset);
+        expect(second.events.map(event => event.type)).toEqual(['phase_start']);
+        expect((await RunEventLog.readSince(eventLog.eventPath, second.offset)).events).toEqual([]);
+    });
+
+    it('should find the newest run in each project log directory', async () => {
+        for (const [project, runId] of [['alpha', '2026-01-01_10-00-00'], ['alpha', '2026-01-02_09-00-00'], ['beta', '2026-01-01_12-00-00']]) {
+            const eventLog = new RunEventLog({ runId, project, logDirectory: path.join(tempDir, project) });
+            eventLog.record('run_start', 0);
+            await eventLog.flush();
+        }
+        await fs.mkdir(path.join(tempDir, 'empty'));
+
+        const latest = await RunEventLog.findLatest(tempDir);
+
+        expect(latest.map(eventPath => path.relative(tempDir, eventPath)).sort()).toEqual([
+            path.join('alpha', 'e2e_events_2026-01-02_09-00-00.jsonl'),
+            path.join('beta', 'e2e_events_2026-01-01_12-00-00.jsonl')
+        ]);
+        expect(await RunEventLog.findLatest(path.join(tempDir, 'missing'))).toEqual([]);
+    });
+
+    it('should fold events into project state', () => {
+        const at = '2026-10-19T10:00:00.000Z';
+        const state = [
+            { type: 'run_start', iteration: 0, maxIterations: 3, tasks: { a: 'fail', b: 'fail' } },
+            { type: 'iteration_start', iteration: 1, maxIterations: 3 },
+            { type: 'phase_start', iteration: 1, phase: 'claude' },
+            { type: 'phase_end', iteration: 1, phase: 'claude', success: false, error: 'Timeout waiting for Claude' },
+            { type: 'task_status', iteration: 1, taskId: 'a', from: 'fail', to: 'pass' },
+            { type: 'alert', iteration: 1, level: 'critical', alertType: 'consecutive_failures', message: '2 failures' }
+        ].reduce((project, event) => applyRunEvent(project, { runId: 'run-1', timestamp: at, ...event }), {});
+
+        expect(state).toMatchObject({
+            status: 'active',
+            currentIteration: 1,
+            maxIterations: 3,
+            phase: 'claude',
+            phaseStatus: 'failed',
+            tasks: { a: 'pass', b: 'fail' },
+            errors: ['Timeout waiting for Claude', 'consecutive_failures: 2 failures']
+        });
+
+        applyRunEvent(state, { type: 'run_end', runId: 'run-1', timestamp: at, iteration: 1, status: 'failed' });
+        expect(state).toMatchObject({ status: 'completed', result: 'failed', phase: 'finished' });
+    });
+
+    it('should record the lifecycle of a simulated run for the dashboard', async () => {
+        const simulation = await SimulationScenario.load(path.join(testDir, 'scenarios', 'all-pass.json'));
+        const logDirectory = path.join(tempDir, 'demo');
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory,
+            maxIterations: simulation.maxIterations,
+            simulation
+        });
+        await executor.execute();
+
+        const { events } = await RunEventLog.readSince(executor.eventLog.eventPath);
+        const types = events.map(event => event.type);
+        expect(types[0]).toBe('run_start');
+        expect(types.at(-1)).toBe('run_end');
+        expect(types.filter(type => type.startsWith('phase_')).slice(0, 4)).toEqual(['phase_start', 'phase_end', 'phase_start', 'phase_end']);
+        expect(events.find(event => event.type === 'task_status')).toMatchObject({
+            taskId: 'login_form_validation',
+            from: 'fail',
+            to: 'pass',
+            iteration: 1
+        });
+        expect(events.at(-1)).toMatchObject({ status: 'passed', passedTasks: 7, totalTasks: 7 });
+
+        const dashboard = new MultiProjectDashboard({ logsRoot: tempDir });
+        await dashboard.refreshFromEvents();
+        const project = dashboard.projects.get(executor.projectContext.projectName);
+        expect(project).toMatchObject({ status: 'completed', result: 'passed', currentIteration: 2, runId: executor.runId });
+        expect(Object.values(project.tasks).every(status => status === 'pass')).toBe(true);
+    }, 30000);
+});
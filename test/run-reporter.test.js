@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import PhaseDurationEnforcer from '../lib/phase-duration-enforcer.js';
+import RunReporter from '../lib/run-reporter.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+const QA_UX = {
+    tasks: {
+        login: {
+            description: 'Login <form>',
+            status: 'fail',
+            category: 'authentication',
+            test_steps: [
+                { step: 1, action: 'Open login', status: 'pass', result: '✅ Pass' },
+                { step: 2, action: 'Submit empty form', status: 'fail', result: '❌ Fail - no "required" error' }
+            ]
+        },
+        search: { description: 'Search', status: 'pass', category: 'search', test_steps: [] },
+        footer: { description: 'Footer', status: 'fail', test_steps: [] }
+    }
+};
+
+const EVENTS = [
+    { type: 'run_start', timestamp: '2025-01-24T10:00:00.000Z', iteration: 0, project: 'shop', maxIterations: 3, tasks: {} },
+    { type: 'iteration_start', timestamp: '2025-01-24T10:00:01.000Z', iteration: 1, failingTasks: ['login'] },
+    { type: 'phase_start', timestamp: '2025-01-24T10:00:01.000Z', iteration: 1, phase: 'operator' },
+    { type: 'phase_end', timestamp: '2025-01-24T10:01:01.000Z', iteration: 1, phase: 'operator', success: true, durationMs: 60000 },
+    { type: 'alert', timestamp: '2025-01-24T10:01:02.000Z', iteration: 1, level: 'warning', alertType: 'SLOW_PHASE', message: 'Operator took 60s' },
+    { type: 'run_end', timestamp: '2025-01-24T10:02:00.000Z', iteration: 1, status: 'failed' }
+];
+
+describe('RunReporter', () => {
+    const reporter = new RunReporter({ runId: '2025-01-24_10-00-00' });
+    const summary = reporter.buildSummary({
+        qaUxData: QA_UX,
+        events: EVENTS,
+        timeline: [{ iteration: 1, startedAt: EVENTS[1].timestamp, failingTasks: ['login'], phases: [{ phase: 'operator', durationMs: 60000, success: true }], taskChanges: [] }],
+        phaseStats: { completed: [{ phase: 'operator', iteration: 1, duration: 60000, qualityScore: 80, forced: false }], averageDurations: { operator: 60000 } },
+        codeChanges: [{ iteration: 1, verified: true, filesChanged: 2, linesChanged: 14, commits: [{ sha: 'abcdef123456', subject: 'Fix login' }] }],
+        isSelected: (taskId) => taskId !== 'footer'
+    });
+
+    it('should summarize the run with task failures from Operator step results', () => {
+        expect(summary).toMatchObject({
+            project: 'shop',
+            status: 'failed',
+            durationMs: 120000,
+            iterations: 1,
+            maxIterations: 3,
+            tasks: { total: 3, passed: 1, failed: 1, skipped: 1 },
+            phaseDurations: { averages: { operator: 60000 } },
+            alerts: [{ level: 'warning', type: 'SLOW_PHASE', message: 'Operator took 60s', iteration: 1 }]
+        });
+        expect(summary.taskResults[0].failure).toEqual({
+            message: '1 of 2 steps failing: Step 2 (Submit empty form): ❌ Fail - no "required" error',
+            details: 'Step 2 (Submit empty form): ❌ Fail - no "required" error'
+        });
+    });
+
+    it('should write one JUnit testcase per task with escaped failure messages', () => {
+        const xml = reporter.toJUnitXml(summary);
+
+        expect(xml).toContain('<testsuite name="shop" tests="3" failures="1" errors="0" skipped="1" time="120.000"');
+        expect(xml).toContain('<testcase classname="shop.search" name="search"/>');
+        expect(xml).toContain('<failure message="1 of 2 steps failing: Step 2 (Submit empty form): ❌ Fail - no &quot;required&quot; error" type="OperatorVerdict">');
+        expect(xml).toContain('<testcase classname="shop.tasks" name="footer">\n      <skipped message="Not selected for this run"/>');
+    });
+
+    it('should render a self-contained HTML report', () => {
+        const html = reporter.toHtml(summary);
+
+        expect(html).toContain('Login &lt;form&gt;');
+        expect(html).toContain('Iteration timeline');
+        expect(html).toContain('Averages: operator: 60.0s');
+        expect(html).toContain('<code>abcdef1</code> Fix login');
+        expect(html).toContain('SLOW_PHASE');
+        expect(html).not.toMatch(/<(script|link)\b/);
+    });
+});
+
+describe('PhaseDurationEnforcer.getPhaseStats', () => {
+    it('should keep completed phase durations and their averages', async () => {
+        const enforcer = new PhaseDurationEnforcer({ logger: () => {}, minOperatorDuration: 1 });
+        const first = enforcer.startPhase('operator', 1);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        await enforcer.completePhase(first.phaseKey);
+        enforcer.startPhase('operator', 2);
+        enforcer.forceCompleteAll();
+
+        const stats = enforcer.getPhaseStats();
+        expect(stats.active).toEqual([]);
+        expect(stats.completed.map(({ phase, iteration, forced }) => ({ phase, iteration, forced }))).toEqual([
+            { phase: 'operator', iteration: 1, forced: false },
+            { phase: 'operator', iteration: 2, forced: true }
+        ]);
+        expect(stats.averageDurations.operator).toEqual(expect.any(Number));
+    });
+});
+
+describe('Run reports from a simulated run', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-reports-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should write JUnit XML, JSON and HTML reports when the run ends', async () => {
+        const simulation = await SimulationScenario.load(path.join(testDir, 'scenarios', 'all-pass.json'));
+        const reportDirectory = path.join(tempDir, 'reports');
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation,
+            reportDirectory
+        });
+        await executor.execute();
+
+        expect(executor.reportPaths).toEqual({
+            json: path.join(reportDirectory, `e2e_report_${executor.runId}.json`),
+            junit: path.join(reportDirectory, `e2e_junit_${executor.runId}.xml`),
+            html: path.join(reportDirectory, `e2e_report_${executor.runId}.html`)
+        });
+
+        const summary = JSON.parse(await fs.readFile(executor.reportPaths.json, 'utf8'));
+        expect(summary).toMatchObject({ status: 'passed', simulated: true, iterations: 2, tasks: { total: 7, passed: 7, failed: 0 } });
+        // Iteration 2 starts, finds every task passing and ends the run
+        expect(summary.timeline.map(iteration => iteration.phases.map(phase => phase.phase))).toEqual([['operator', 'claude'], []]);
+        expect(summary.phaseDurations.phases.map(phase => phase.phase)).toEqual(['operator', 'claude']);
+        expect(summary.codeChanges).toHaveLength(1);
+
+        const xml = await fs.readFile(executor.reportPaths.junit, 'utf8');
+        expect(xml.match(/<testcase /g)).toHaveLength(7);
+        expect(await fs.readFile(executor.reportPaths.html, 'utf8')).toContain(`E2E run ${executor.runId}`);
+    }, 30000);
+});
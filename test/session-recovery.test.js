@@ -0,0 +1,192 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import http from 'http';
+import vm from 'vm';
+import WebSocket from 'ws';
+import SessionRecovery from '../lib/session-recovery.js';
+
+const CONVERSATION_URL = 'https://operator.chatgpt.com/c/abc123';
+
+// Just enough DOM for the recovery scripts: body text, an alert and the composer
+const fakeDocument = (page) => ({
+    body: { innerText: page.text || '' },
+    querySelector: (selector) => (page.alert && selector.includes('[role="alert"]') ? { textContent: ` ${page.alert} ` } : null),
+    querySelectorAll: (selector) => (selector === 'textarea' && page.composer
+        ? [{ disabled: page.composer === 'disabled', readOnly: false, getBoundingClientRect: () => ({ width: 640 }) }]
+        : [])
+});
+
+/**
+ * Stand-in for Chrome: /json/list, /json/new and /json/version plus a DevTools
+ * websocket per tab that runs Runtime.evaluate expressions against the fake DOM.
+ * Tabs marked attached have no webSocketDebuggerUrl (another client holds them)
+ * and are only reachable through Target.attachToTarget on the browser websocket.
+ */
+const startFakeChrome = async (pages) => {
+    const commands = [];
+    const server = http.createServer((request, response) => {
+        const describeTab = ([id, page]) => ({
+            id,
+            type: 'page',
+            url: page.url,
+            title: 'Operator',
+            ...(!page.attached && { webSocketDebuggerUrl: `ws://127.0.0.1:${server.address().port}/devtools/page/${id}` })
+        });
+        if (request.url.startsWith('/json/new?')) {
+            const id = `tab-${Object.keys(pages).length + 1}`;
+            pages[id] = { url: decodeURIComponent(request.url.slice('/json/new?'.length)), composer: 'ready' };
+            response.end(JSON.stringify(describeTab([id, pages[id]])));
+            return;
+        }
+        if (request.url === '/json/version') {
+            response.end(JSON.stringify({ Browser: 'Chrome/126.0', webSocketDebuggerUrl: `ws://127.0.0.1:${server.address().port}/devtools/browser/b` }));
+            return;
+        }
+        response.end(JSON.stringify(Object.entries(pages).map(describeTab)));
+    });
+
+    // Replies to one command for a page; events carry the session they belong to
+    const runCommand = (page, { id, method, params, sessionId }, send) => {
+        const reply = (message) => send({ ...message, ...(sessionId && { sessionId }) });
+        commands.push(method);
+        if (method === 'Page.navigate' || method === 'Page.reload') {
+            if (method === 'Page.navigate') page.url = params.url;
+            page.onLoad?.(page);
+            reply({ id, result: {} });
+            reply({ method: 'Page.loadEventFired', params: { timestamp: 1 } });
+        } else if (method === 'Page.getFrameTree') {
+            reply({ id, result: { frameTree: { frame: { id: 'main', url: page.url } } } });
+        } else if (method === 'Runtime.evaluate') {
+            const value = vm.runInNewContext(params.expression, { document: fakeDocument(page), location: new URL(page.url) });
+            reply({ id, result: { result: { type: typeof value, value } } });
+        } else if (method === 'Page.enable') {
+            reply({ id, result: {} });
+        } else {
+            reply({ id, error: { code: -32601, message: `'${method}' wasn't found` } });
+        }
+    };
+
+    const websockets = new WebSocket.Server({ server });
+    websockets.on('connection', (socket, request) => {
+        const send = (message) => socket.send(JSON.stringify(message));
+        const [, , kind, id] = request.url.split('/');
+        const sessions = {}; // sessionId -> tab id, browser websocket only
+        socket.on('message', (data) => {
+            const message = JSON.parse(data.toString());
+            if (kind === 'page') {
+                runCommand(pages[id], message, send);
+            } else if (message.method === 'Target.attachToTarget') {
+                commands.push(message.method);
+                const sessionId = `session-${message.params.targetId}`;
+                sessions[sessionId] = message.params.targetId;
+                send({ id: message.id, result: { sessionId } });
+            } else if (sessions[message.sessionId]) {
+                runCommand(pages[sessions[message.sessionId]], message, send);
+            } else {
+                send({ id: message.id, error: { code: -32001, message: 'Session with given id not found.' } });
+            }
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        port: server.address().port,
+        commands,
+        close: () => {
+            websockets.clients.forEach(socket => socket.terminate());
+            return new Promise(resolve => websockets.close(() => server.close(resolve)));
+        }
+    };
+};
+
+describe('SessionRecovery over CDP', () => {
+    let chrome;
+    let pages;
+    let logs;
+
+    const recover = (options = {}) => new SessionRecovery({
+        chromePort: chrome.port,
+        logger: (message) => logs.push(message),
+        composerTimeoutMs: 300,
+        pollIntervalMs: 50,
+        pageLoadTimeoutMs: 1000,
+        ...options
+    }).recoverOperatorSession({ targetId: 'operator', conversationUrl: CONVERSATION_URL, iteration: 2 });
+
+    beforeEach(() => {
+        logs = [];
+    });
+
+    afterEach(async () => {
+        await chrome.close();
+    });
+
+    it('should reload past an error modal and wait for the composer', async () => {
+        pages = {
+            operator: {
+                url: CONVERSATION_URL,
+                alert: 'Something went wrong',
+                onLoad: (page) => {
+                    page.alert = null;
+                    page.composer = 'ready';
+                }
+            }
+        };
+        chrome = await startFakeChrome(pages);
+
+        const result = await recover();
+        expect(result).toMatchObject({ success: true, recovered: true, targetId: 'operator', state: 'ready', url: CONVERSATION_URL, actions: ['reload'] });
+        expect(chrome.commands).toContain('Page.reload');
+        expect(logs).toContain('[RECOVERY] Error on the Operator page (Something went wrong), reloading...');
+    });
+
+    it('should attach through the browser endpoint when another client holds the tab', async () => {
+        pages = {
+            operator: {
+                url: CONVERSATION_URL,
+                attached: true,
+                alert: 'Something went wrong',
+                onLoad: (page) => {
+                    page.alert = null;
+                    page.composer = 'ready';
+                }
+            }
+        };
+        chrome = await startFakeChrome(pages);
+
+        const result = await recover();
+        expect(result).toMatchObject({ success: true, targetId: 'operator', state: 'ready', actions: ['reload'] });
+        expect(chrome.commands.slice(0, 2)).toEqual(['Target.attachToTarget', 'Page.enable']);
+        expect(logs).toContain('[RECOVERY] Tab operator has no DevTools websocket of its own, attached through the browser endpoint');
+    });
+
+    it('should open a replacement tab at the conversation when the old one is gone', async () => {
+        pages = { other: { url: 'https://example.com/', composer: 'ready' } };
+        chrome = await startFakeChrome(pages);
+
+        const result = await recover();
+        expect(result).toMatchObject({ success: true, targetId: 'tab-2', url: CONVERSATION_URL, actions: ['attached to tab tab-2'] });
+        expect(chrome.commands).not.toContain('Page.navigate');
+    }, 10000);
+
+    it('should report a logged-out or rate-limited page without reloading', async () => {
+        pages = { operator: { url: 'https://operator.chatgpt.com/auth/login', composer: 'ready' } };
+        chrome = await startFakeChrome(pages);
+        expect(await recover()).toMatchObject({ success: false, state: 'logged_out', action: 'Log in to Operator in Chrome' });
+        await chrome.close();
+
+        pages = { operator: { url: CONVERSATION_URL, text: 'Too many requests. Try again later.', composer: 'ready' } };
+        chrome = await startFakeChrome(pages);
+        expect(await recover()).toMatchObject({ success: false, state: 'rate_limit', error: 'Rate limit detected' });
+        expect(chrome.commands).not.toContain('Page.reload');
+    });
+
+    it('should give up when the composer never becomes interactive', async () => {
+        pages = { operator: { url: 'https://operator.chatgpt.com/', composer: 'disabled' } };
+        chrome = await startFakeChrome(pages);
+
+        const result = await recover({ maxRecoveryAttempts: 2 });
+        expect(result.success).toBe(false);
+        expect(result.actions).toEqual(['navigate', 'reload']);
+        expect(result.error).toBe('Operator tab still not usable after 2 attempts (navigate, reload)');
+    });
+});
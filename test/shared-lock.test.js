@@ -0,0 +1,157 @@
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
+import { execFileSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { SharedLock } from '../shared-state.js';
+import PortRegistry from '../lib/port-registry.js';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+
+const SHARED_STATE_URL = new URL('../shared-state.js', import.meta.url).href;
+
+// Runs lock calls in a separate node process against the same lock directory
+const runInChildProcess = (lockDir, body) => JSON.parse(execFileSync(process.execPath, [
+    '--input-type=module',
+    '-e',
+    `import { SharedLock } from '${SHARED_STATE_URL}';
+     const lock = new SharedLock({ lockDir: ${JSON.stringify(lockDir)}, logger: () => {} });
+     lock.COOLDOWN_MS = 0;
+     const result = (() => { ${body} })();
+     console.log(JSON.stringify({ pid: process.pid, result }));`
+], { encoding: 'utf8', timeout: 30000 }).trim().split('\n').pop());
+
+describe('SharedLock', () => {
+    let lockDir;
+    const createLock = () => {
+        const lock = new SharedLock({ lockDir, logger: () => {} });
+        lock.COOLDOWN_MS = 0;
+        return lock;
+    };
+
+    beforeEach(async () => {
+        lockDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-shared-lock-'));
+    });
+
+    afterEach(async () => {
+        await fs.rm(lockDir, { recursive: true, force: true });
+    });
+
+    it('should block a second holder and share metrics between instances', () => {
+        const executorLock = createLock();
+        const monitorLock = createLock();
+
+        expect(executorLock.tryAcquireSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+        expect(monitorLock.tryAcquireSendLock('chain-loop-monitor', 'e2e-demo:1')).toBe(false);
+        expect(monitorLock.getLockStatus('e2e-demo:1')).toMatchObject({
+            isSendingToClaude: true,
+            sendingLayerId: 'e2e-executor',
+            ownerPid: process.pid,
+            ownerAlive: true
+        });
+
+        expect(monitorLock.releaseSendLock('chain-loop-monitor', 'e2e-demo:1')).toBe(false);
+        expect(executorLock.releaseSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+        expect(monitorLock.getMetrics('e2e-demo:1')).toMatchObject({
+            totalAcquisitions: 1,
+            totalReleases: 1,
+            duplicatesBlocked: 1,
+            forceReleases: 0,
+            lockEfficiency: '100.00%'
+        });
+    });
+
+    it('should lock each tmux target separately', () => {
+        const lock = createLock();
+
+        expect(lock.tryAcquireSendLock('e2e-executor', 'e2e-one:1')).toBe(true);
+        expect(lock.tryAcquireSendLock('e2e-executor', 'e2e-two:1')).toBe(true);
+        expect(lock.listTargets()).toEqual(['e2e-one:1', 'e2e-two:1']);
+    });
+
+    it('should not list the Chrome port registry as a target', async () => {
+        const previousLockDir = process.env.E2E_LOCK_DIR;
+        process.env.E2E_LOCK_DIR = lockDir;
+        try {
+            const registry = new PortRegistry({ logger: () => {} });
+            await registry.withLock(async () => expect(createLock().listTargets()).toEqual([]));
+            expect(registry.registryPath).toBe(path.join(lockDir, 'chrome-ports', 'registry.json'));
+        } finally {
+            if (previousLockDir === undefined) delete process.env.E2E_LOCK_DIR;
+            else process.env.E2E_LOCK_DIR = previousLockDir;
+        }
+    });
+
+    it('should apply the cooldown across instances', () => {
+        const executorLock = createLock();
+        const monitorLock = createLock();
+        monitorLock.COOLDOWN_MS = 60000;
+
+        expect(executorLock.tryAcquireSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+        expect(executorLock.releaseSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+        expect(monitorLock.tryAcquireSendLock('window-monitor', 'e2e-demo:1')).toBe(false);
+        expect(monitorLock.getLockStatus('e2e-demo:1').cooldownRemaining).toBeGreaterThan(0);
+        expect(monitorLock.getMetrics('e2e-demo:1').recentActivity.at(-1)).toMatchObject({ layerId: 'window-monitor', action: 'cooldown_blocked' });
+    });
+
+    it('should see a lock held by another process', () => {
+        const lock = createLock();
+        expect(lock.tryAcquireSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+
+        const child = runInChildProcess(lockDir, `
+            return {
+                acquired: lock.tryAcquireSendLock('chain-loop-monitor', 'e2e-demo:1'),
+                holder: lock.getLockStatus('e2e-demo:1').ownerPid
+            };`);
+
+        expect(child.result).toEqual({ acquired: false, holder: process.pid });
+        expect(lock.getMetrics('e2e-demo:1').duplicatesBlocked).toBe(1);
+    });
+
+    it('should force release a lock whose owner process exited', () => {
+        const child = runInChildProcess(lockDir, "return lock.tryAcquireSendLock('e2e-executor', 'e2e-demo:1');");
+        expect(child.result).toBe(true);
+
+        const lock = createLock();
+        expect(lock.getLockStatus('e2e-demo:1')).toMatchObject({ isSendingToClaude: true, ownerPid: child.pid, ownerAlive: false });
+
+        expect(lock.tryAcquireSendLock('chain-loop-monitor', 'e2e-demo:1')).toBe(true);
+        expect(lock.getMetrics('e2e-demo:1')).toMatchObject({ totalAcquisitions: 2, forceReleases: 1 });
+        expect(lock.readHistory('e2e-demo:1').map(record => record.action)).toEqual([
+            'acquired',
+            'force_released_owner_exited',
+            'acquired'
+        ]);
+    });
+
+    it('should keep the history file to the most recent attempts', async () => {
+        const lock = createLock();
+        lock.HISTORY_LIMIT = 5;
+        lock.HISTORY_MAX_BYTES = 2000;
+
+        for (let i = 0; i < 30; i++) {
+            expect(lock.tryAcquireSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+            expect(lock.releaseSendLock('e2e-executor', 'e2e-demo:1')).toBe(true);
+        }
+
+        const { size } = await fs.stat(path.join(lockDir, 'e2e-demo%3A1.history.jsonl'));
+        expect(size).toBeLessThanOrEqual(2000);
+        const history = lock.readHistory('e2e-demo:1');
+        expect(history.length).toBeLessThan(20);
+        expect(history.at(-1)).toMatchObject({ action: 'released' });
+    });
+
+    it('should make the executor wait for the lock before sending to Claude', async () => {
+        const monitorLock = createLock();
+        const executor = new OperatorE2EExecutor({ qaUxFilePath: 'qa.json', sendLock: createLock(), sendLockWaitMs: 1500 });
+        executor.claudeInstanceId = 'e2e-demo:1';
+
+        expect(monitorLock.tryAcquireSendLock('chain-loop-monitor', 'e2e-demo:1')).toBe(true);
+        await expect(executor.acquireSendLock()).rejects.toThrow('Send lock on e2e-demo:1 still held by another layer after 2s');
+
+        expect(monitorLock.releaseSendLock('chain-loop-monitor', 'e2e-demo:1')).toBe(true);
+        expect(await executor.acquireSendLock()).toBe('e2e-demo:1');
+        expect(monitorLock.getLockStatus('e2e-demo:1').sendingLayerId).toBe('e2e-executor');
+        executor.releaseSendLock('e2e-demo:1');
+        expect(monitorLock.getLockStatus('e2e-demo:1').isSendingToClaude).toBe(false);
+    }, 10000);
+});
@@ -0,0 +1,152 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import SessionRecovery from '../lib/session-recovery.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+const scenarioPath = (name) => path.join(testDir, 'scenarios', `${name}.json`);
+
+describe('Simulated E2E runs (--simulate)', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-simulate-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    const runScenario = async (simulation) => {
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation
+        });
+        await executor.execute();
+        return executor;
+    };
+
+    it('should retry through a health failure and an Operator timeout', async () => {
+        const simulation = await SimulationScenario.load(scenarioPath('timeout-then-pass'));
+        const sourceBefore = await fs.readFile(simulation.qaFilePath, 'utf8');
+
+        const executor = await runScenario(simulation);
+
+        expect(executor.qaUxData.tasks.login_form_validation.status).toBe('pass');
+        expect(simulation.healthCalls.get('1:chrome')).toBeGreaterThanOrEqual(3);
+        expect(executor.codingAgent.submittedPrompts).toHaveLength(1);
+
+        const log = await fs.readFile(executor.logFilePath, 'utf8');
+        expect(log).toContain('System unhealthy (attempt 1/3)');
+        expect(log).toContain('Operator communication failed (attempt 1)');
+
+        // Task updates go to a copy, the QA file itself is untouched
+        const saved = JSON.parse(await fs.readFile(executor.qaUxOutputPath, 'utf8'));
+        expect(saved.tasks.login_form_validation.status).toBe('pass');
+        expect(await fs.readFile(simulation.qaFilePath, 'utf8')).toBe(sourceBefore);
+    }, 30000);
+
+    it('should leave task statuses alone when Claude never finishes', async () => {
+        const simulation = await SimulationScenario.load(scenarioPath('claude-timeout'));
+        const statuses = [];
+
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation
+        });
+        const saveQaUxFile = executor.saveQaUxFile.bind(executor);
+        executor.saveQaUxFile = async (qaUxData) => {
+            statuses.push(qaUxData.tasks.login_form_validation.status);
+            return saveQaUxFile(qaUxData);
+        };
+        await executor.execute();
+
+        expect(statuses).toEqual(['fail', 'pass']);
+        expect(executor.codingAgent.submittedPrompts).toHaveLength(2);
+        expect(executor.codingAgent.submittedPrompts[1].prompt)
+            .toContain('Previous attempt (iteration 1): you did not finish (Timeout waiting for Claude to finish processing)');
+        expect(Array.from(executor.taskFinishedDetections.values()).map(d => d.iteration)).toEqual([2]);
+    }, 30000);
+
+    it('should apply free-text Operator verdicts per step', async () => {
+        const simulation = await SimulationScenario.load(scenarioPath('all-pass'));
+
+        const executor = await runScenario(simulation);
+        const task = executor.qaUxData.tasks.login_form_validation;
+
+        expect(task.status).toBe('pass');
+        expect(task.operatorAnalysis.source).toBe('verdict_extractor');
+        expect(task.test_steps.map(step => step.status)).toEqual(['pass', 'pass', 'pass', 'pass']);
+        // The second iteration finds nothing left to send
+        expect(executor.iteration).toBe(2);
+    }, 30000);
+
+    it('should detach the browser agent while recovering the Operator tab', async () => {
+        const simulation = new SimulationScenario({
+            name: 'target-closed',
+            qaFile: 'sample_qa_ux.json',
+            maxIterations: 1,
+            iterations: [{
+                operator: [{ error: 'Target closed' }, '## login_form_validation\nStep 2: ✅ Pass'],
+                recovery: { operator: true }
+            }]
+        }, { baseDir: testDir });
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation
+        });
+        const recoverOperatorSession = SessionRecovery.prototype.recoverOperatorSession;
+        const attached = [];
+        jest.spyOn(SessionRecovery.prototype, 'recoverOperatorSession').mockImplementation(function (options) {
+            attached.push(executor.browserAgent.connected);
+            return recoverOperatorSession.call(this, options);
+        });
+
+        await executor.execute();
+        expect(SessionRecovery.prototype.recoverOperatorSession).toHaveBeenCalledWith(expect.objectContaining({ targetId: expect.stringMatching(/^mock-target-/) }));
+        expect(attached).toEqual([false]);
+        expect(await fs.readFile(executor.logFilePath, 'utf8')).toContain('Session recovered, retrying...');
+    }, 30000);
+
+    it('should fail the run when health and recovery keep failing', async () => {
+        const simulation = new SimulationScenario({
+            name: 'chrome-down',
+            qaFile: 'sample_qa_ux.json',
+            iterations: [{ health: { chrome: false }, recovery: { chrome: false } }]
+        }, { baseDir: testDir });
+
+        await expect(runScenario(simulation))
+            .rejects.toThrow('Failed to recover system health for iteration 1');
+        expect(simulation.healthCalls.get('1:chrome')).toBe(3);
+    }, 30000);
+
+    it('should put back task statuses from the checkpoint when resuming', () => {
+        const executor = new OperatorE2EExecutor({ qaUxFilePath: 'qa.json' });
+        executor.resumePoint = { checkpoint: { state: { taskStatuses: { login: 'pass', search: 'fail', removed: 'pass' } } } };
+        const qaUxData = { tasks: { login: { status: 'fail' }, search: { status: 'fail' } } };
+
+        executor.restoreTaskStatuses(qaUxData);
+        expect(qaUxData.tasks).toEqual({ login: { status: 'pass' }, search: { status: 'fail' } });
+    });
+
+    it('should reject malformed scenarios', () => {
+        expect(() => new SimulationScenario({ iterations: [{ health: { gpu: false } }] }))
+            .toThrow('iterations[0].health.gpu is not one of chrome, operator, claude, system');
+    });
+});
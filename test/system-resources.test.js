@@ -0,0 +1,91 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import SystemResources from '../lib/system-resources.js';
+import HealthCheckSystem from '../lib/health-check.js';
+
+const MB = 1024 * 1024;
+
+const writeFiles = async (root, files) => {
+    for (const [name, content] of Object.entries(files)) {
+        await fs.mkdir(path.dirname(path.join(root, name)), { recursive: true });
+        await fs.writeFile(path.join(root, name), content);
+    }
+};
+
+describe('SystemResources', () => {
+    let tempDir;
+    let procRoot;
+    let cgroupRoot;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-system-resources-'));
+        procRoot = path.join(tempDir, 'proc');
+        cgroupRoot = path.join(tempDir, 'cgroup');
+        // A 16GB host with a container limited to 2GB and 1.5 CPUs
+        await writeFiles(procRoot, {
+            'meminfo': 'MemTotal:       16384000 kB\nMemFree:         1024000 kB\nMemAvailable:    8192000 kB\n',
+            'loadavg': '3.00 2.50 2.00 2/345 6789\n',
+            'self/cgroup': '0::/runner/job\n',
+            '101/cmdline': '/opt/google/chrome/chrome\0--remote-debugging-port=9222\0',
+            '102/cmdline': '/opt/google/chrome/chrome\0--type=renderer\0--lang=en-US\0',
+            '103/cmdline': '/opt/google/chrome/chrome\0--type=renderer\0',
+            '104/cmdline': 'node\0operator.execute_e2e.js\0'
+        });
+        await writeFiles(cgroupRoot, {
+            'memory.max': 'max\n',
+            'runner/memory.max': `${4096 * MB}\n`,
+            'runner/memory.current': `${1024 * MB}\n`,
+            'runner/job/memory.max': `${2048 * MB}\n`,
+            'runner/job/memory.current': `${1900 * MB}\n`,
+            'runner/job/memory.stat': `anon ${1500 * MB}\ninactive_file ${300 * MB}\n`,
+            'runner/job/cpu.max': '150000 100000\n'
+        });
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should apply the tightest cgroup v2 limits to memory and CPU', async () => {
+        jest.spyOn(os, 'cpus').mockReturnValue(new Array(8).fill({}));
+        const snapshot = await new SystemResources({ procRoot, cgroupRoot, diskPath: tempDir }).read();
+
+        // 2048MB limit - (1900MB current - 300MB reclaimable page cache)
+        expect(snapshot.memory).toEqual({ totalMB: 2048, availableMB: 448, source: 'cgroup' });
+        expect(snapshot.cpu).toEqual({ cores: 1.5, cpuLimit: 1.5, loadAverage: [3, 2.5, 2], loadPerCore: 2 });
+        expect(snapshot.disk.path).toBe(tempDir);
+        expect(snapshot.disk.freeMB).toBeGreaterThan(0);
+        expect(snapshot.chrome).toEqual({ renderers: 2 });
+    });
+
+    it('should use /proc/meminfo when the cgroup has no limits', async () => {
+        await writeFiles(cgroupRoot, { 'runner/memory.max': 'max\n', 'runner/job/memory.max': 'max\n', 'runner/job/cpu.max': 'max 100000\n' });
+        jest.spyOn(os, 'cpus').mockReturnValue(new Array(4).fill({}));
+        const snapshot = await new SystemResources({ procRoot, cgroupRoot }).read();
+
+        expect(snapshot.memory).toEqual({ totalMB: 16000, availableMB: 8000, source: 'meminfo' });
+        expect(snapshot.cpu).toMatchObject({ cores: 4, cpuLimit: null, loadPerCore: 0.75 });
+    });
+
+    it('should fail the health check when the container is nearly out of memory or disk', async () => {
+        const logger = jest.fn();
+        await writeFiles(cgroupRoot, { 'runner/job/memory.current': `${2000 * MB}\n`, 'runner/job/memory.stat': 'inactive_file 0\n' });
+        const healthCheck = new HealthCheckSystem({ logger, logDirectory: tempDir, systemResources: { procRoot, cgroupRoot } });
+
+        const lowMemory = await healthCheck.checkSystemHealth();
+        expect(lowMemory).toMatchObject({ healthy: false, message: 'Critically low system memory', details: { freeMB: 48, memoryLimitMB: 2048, chromeRenderers: 2 } });
+        expect(lowMemory.recovery).toBe('Close Chrome tabs or raise the container memory limit');
+
+        await writeFiles(cgroupRoot, { 'runner/job/memory.current': `${1000 * MB}\n` });
+        healthCheck.systemThresholds.minFreeDiskMB = Number.MAX_SAFE_INTEGER;
+        expect(await healthCheck.checkSystemHealth()).toMatchObject({ healthy: false, message: `Low disk space in ${tempDir}` });
+
+        healthCheck.systemThresholds.minFreeDiskMB = 0;
+        healthCheck.systemThresholds.maxChromeRenderers = 1;
+        expect(await healthCheck.checkSystemHealth()).toMatchObject({ healthy: true, message: 'System resources adequate' });
+        expect(logger).toHaveBeenCalledWith('[HEALTH] ⚠️  2 Chrome renderer processes running');
+    });
+});
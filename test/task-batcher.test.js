@@ -0,0 +1,136 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import ProjectManager from '../lib/project-manager.js';
+import TaskBatcher from '../lib/task-batcher.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+const task = (taskId, category, size = 10) => ({ taskId, category, description: 'x'.repeat(size) });
+const ids = (batches) => batches.map(batch => batch.map(({ taskId }) => taskId));
+
+describe('TaskBatcher', () => {
+    it('should keep everything in one batch without limits', () => {
+        const tasks = [task('a', 'ui'), task('b', 'forms')];
+
+        expect(new TaskBatcher().isEnabled()).toBe(false);
+        expect(ids(new TaskBatcher().split(tasks))).toEqual([['a', 'b']]);
+        expect(new TaskBatcher({ maxTasks: 2 }).split([])).toEqual([]);
+    });
+
+    it('should keep a category together and split only groups over the limit', () => {
+        const tasks = [task('login', 'auth'), task('nav', 'ui'), task('buttons', 'ui'), task('search', 'search'), task('footer', 'ui')];
+
+        expect(ids(new TaskBatcher({ maxTasks: 3 }).split(tasks))).toEqual([['login'], ['nav', 'buttons', 'footer'], ['search']]);
+        expect(ids(new TaskBatcher({ maxTasks: 2 }).split(tasks))).toEqual([['login'], ['nav', 'buttons'], ['footer', 'search']]);
+    });
+
+    it('should cap batches by estimated tokens including the shared setup sections', () => {
+        const tasks = [task('a', 'one', 400), task('b', 'two', 400), task('c', 'three', 4000)];
+        const taskTokens = TaskBatcher.estimateTokens(tasks[0]);
+
+        expect(ids(new TaskBatcher({ maxTokens: taskTokens * 2 }).split(tasks))).toEqual([['a', 'b'], ['c']]);
+        expect(ids(new TaskBatcher({ maxTokens: taskTokens * 2 }).split(tasks, taskTokens))).toEqual([['a'], ['b'], ['c']]);
+    });
+});
+
+describe('ProjectManager operatorBatching validation', () => {
+    it('should keep valid limits and drop invalid ones with a warning', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const manager = new ProjectManager();
+
+        expect(manager._validateConfig({}).operatorBatching).toEqual({ maxTasks: 0, maxTokens: 0, parallel: 1 });
+        expect(manager._validateConfig({ operatorBatching: { maxTasks: 5, maxTokens: -1, parallel: 9 } }).operatorBatching)
+            .toEqual({ maxTasks: 5, maxTokens: 0, parallel: 1 });
+        expect(console.warn).toHaveBeenCalledWith('  - Invalid operatorBatching.parallel: 9, using default: 1');
+        jest.restoreAllMocks();
+    });
+});
+
+describe('Operator batching in a simulated run', () => {
+    let tempDir;
+
+    // login_form_validation (authentication) and the two ui tasks fail
+    const writeScenario = async (operator) => {
+        const qaUx = JSON.parse(await fs.readFile(path.join(testDir, 'sample_qa_ux.json'), 'utf8'));
+        qaUx.tasks.navigation_menu_responsive.status = 'fail';
+        qaUx.tasks.button_interaction_states.status = 'fail';
+        await fs.writeFile(path.join(tempDir, 'qa_ux.json'), JSON.stringify(qaUx, null, 2));
+        await fs.writeFile(path.join(tempDir, 'scenario.json'), JSON.stringify({
+            name: 'batched',
+            qaFile: './qa_ux.json',
+            maxIterations: 3,
+            iterations: [{ operator, claude: 'Fixed login and navigation.\nTASK_FINISHED' }]
+        }));
+        return SimulationScenario.load(path.join(tempDir, 'scenario.json'));
+    };
+
+    const createExecutor = (simulation, operatorBatching) => {
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation,
+            operatorBatching
+        });
+        executor.operatorSends = [];
+        const sendMessageToOperatorFast = executor.sendMessageToOperatorFast.bind(executor);
+        executor.sendMessageToOperatorFast = async (prompt, agent) => {
+            executor.operatorSends.push({ tasks: Object.keys(JSON.parse(prompt).tasks), targetId: agent.targetId });
+            return sendMessageToOperatorFast(prompt, agent);
+        };
+        return executor;
+    };
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-batching-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should send each batch in its own conversation and merge the verdicts', async () => {
+        // Neither reply names its tasks - verdicts only map because each reply is read against its own batch
+        const simulation = await writeScenario([
+            'Step 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\nStep 4: ✅ Pass',
+            'Menu step 1: ✅ Pass\nMenu step 2: ❌ Fail - hamburger menu does not open'
+        ]);
+        const executor = createExecutor(simulation, { maxTasks: 2 });
+        await executor.execute();
+
+        expect(executor.operatorSends.slice(0, 2).map(send => send.tasks)).toEqual([
+            ['login_form_validation'],
+            ['navigation_menu_responsive', 'button_interaction_states']
+        ]);
+        expect(executor.qaUxData.tasks.login_form_validation.status).toBe('pass');
+        expect(executor.qaUxData.tasks.navigation_menu_responsive.status).toBe('fail');
+
+        const claudePrompt = executor.codingAgent.submittedPrompts[0].prompt;
+        expect(claudePrompt).toContain('### Operator conversation 1/2');
+        expect(claudePrompt).toContain('hamburger menu does not open');
+    }, 30000);
+
+    it('should run batches in parallel tabs', async () => {
+        const simulation = await writeScenario(
+            '## login_form_validation\nStep 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\nStep 4: ✅ Pass\n' +
+            '## navigation_menu_responsive\nStep 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\n' +
+            '## button_interaction_states\nStep 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\nStep 4: ✅ Pass'
+        );
+        const executor = createExecutor(simulation, { maxTasks: 2, parallel: 2 });
+        await executor.execute();
+
+        expect(executor.operatorSends).toHaveLength(2);
+        expect(new Set(executor.operatorSends.map(send => send.targetId)).size).toBe(2);
+        expect(executor.allTasksPassed(executor.qaUxData)).toBe(true);
+        expect(executor.codingAgent.submittedPrompts).toHaveLength(1);
+    }, 30000);
+});
@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import { execSync } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import CodeChangeVerifier from '../lib/code-change-verifier.js';
+import TaskHistory from '../lib/task-history.js';
+
+describe('TaskHistory', () => {
+    let tempDir;
+    let history;
+
+    // Records each status as its own iteration of the given run
+    const recordStatuses = async (runId, taskId, statuses) => {
+        for (const [index, status] of statuses.entries()) {
+            await history.recordIteration({ runId, iteration: index + 1, tasks: [{ taskId, status }], durationMs: 1000 });
+        }
+    };
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-task-history-'));
+        history = new TaskHistory({ logDirectory: tempDir, logger: () => {} });
+    });
+
+    afterEach(async () => {
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should count pass to fail flips across runs and flag flaky tasks', async () => {
+        await recordStatuses('run-1', 'login', ['fail', 'pass']);
+        await recordStatuses('run-2', 'login', ['fail', 'pass']);
+        await recordStatuses('run-3', 'login', ['fail']);
+        await recordStatuses('run-1', 'search', ['fail', 'pass']);
+
+        const summary = await history.summarize();
+        expect(summary.login).toMatchObject({
+            attempts: 5,
+            runs: 3,
+            passToFail: 2,
+            flakinessScore: 1,
+            failStreak: 1,
+            totalDurationMs: 5000,
+            lastStatus: 'fail',
+            flaky: true,
+            chronic: false
+        });
+        expect(summary.search).toMatchObject({ passToFail: 0, flakinessScore: 0, flaky: false });
+        expect((await history.getFlaggedTasks()).map(stats => stats.taskId)).toEqual(['login']);
+    });
+
+    it('should flag tasks failing many attempts in a row and count their commits', async () => {
+        await recordStatuses('run-1', 'checkout', ['fail', 'fail', 'fail']);
+        await recordStatuses('run-2', 'checkout', ['fail']);
+        await history.recordIteration({
+            runId: 'run-2',
+            iteration: 2,
+            tasks: [{ taskId: 'checkout', status: 'fail', previousStatus: 'fail' }],
+            commits: [{ sha: 'abc123', subject: 'Fix checkout total' }]
+        });
+
+        expect((await history.summarize()).checkout).toMatchObject({ failStreak: 5, failingRuns: 2, commits: 1, chronic: true });
+    });
+
+    it('should keep the last record when a resumed run records an iteration again', async () => {
+        await history.recordIteration({ runId: 'run-1', iteration: 1, tasks: [{ taskId: 'login', status: 'fail' }] });
+        await history.recordIteration({ runId: 'run-1', iteration: 1, tasks: [{ taskId: 'login', status: 'pass' }] });
+        await fs.appendFile(history.historyPath, '{"runId":"run-1","iter');
+
+        const records = await history.readRecords();
+        expect(records).toHaveLength(1);
+        expect(records[0].status).toBe('pass');
+    });
+});
+
+describe('CodeChangeVerifier commits', () => {
+    let repoDir;
+
+    beforeEach(async () => {
+        repoDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-verifier-'));
+        execSync('git init -q && git -c user.name=qa -c user.email=qa@example.com commit -q --allow-empty -m start', { cwd: repoDir });
+    });
+
+    afterEach(async () => {
+        await fs.rm(repoDir, { recursive: true, force: true });
+    });
+
+    it('should list the commits made during a phase', async () => {
+        const verifier = new CodeChangeVerifier({ gitRepo: repoDir, logger: () => {} });
+        const monitor = await verifier.monitorPhase('claude_fixes');
+        execSync('git -c user.name=qa -c user.email=qa@example.com commit -q --allow-empty -m "Fix login modal"', { cwd: repoDir });
+        execSync('git -c user.name=qa -c user.email=qa@example.com commit -q --allow-empty -m "Deploy"', { cwd: repoDir });
+
+        expect(monitor.complete().commits.map(commit => commit.subject)).toEqual(['Fix login modal', 'Deploy']);
+    });
+});
+
+describe('Task history in simulated runs', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-task-history-run-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should record each iteration\'s verdicts and report chronically failing tasks', async () => {
+        await fs.copyFile(new URL('./sample_qa_ux.json', import.meta.url), path.join(tempDir, 'qa_ux.json'));
+        await fs.writeFile(path.join(tempDir, 'scenario.json'), JSON.stringify({
+            name: 'never-fixed',
+            qaFile: './qa_ux.json',
+            maxIterations: 3,
+            defaults: { operator: '## login_form_validation\nStep 2: ❌ Fail - modal does not open', claude: 'Tried again.\nTASK_FINISHED' },
+            iterations: []
+        }));
+        const simulation = await SimulationScenario.load(path.join(tempDir, 'scenario.json'));
+
+        const runExecutor = async () => {
+            const executor = new OperatorE2EExecutor({
+                qaUxFilePath: simulation.qaFilePath,
+                workingDir: tempDir,
+                logDirectory: tempDir,
+                maxIterations: simulation.maxIterations,
+                simulation
+            });
+            executor.log = jest.fn(executor.log.bind(executor));
+            await executor.execute();
+            return executor;
+        };
+        await runExecutor();
+        const secondRun = await runExecutor();
+
+        const records = await secondRun.taskHistory.readRecords();
+        expect(secondRun.taskHistory.historyPath).toBe(path.join(tempDir, 'simulated_task_history.jsonl'));
+        expect(records).toHaveLength(6);
+        expect(records.every(record => record.taskId === 'login_form_validation' && record.status === 'fail')).toBe(true);
+        expect(new Set(records.map(record => record.runId)).size).toBe(2);
+
+        expect(secondRun.log).toHaveBeenCalledWith(
+            expect.stringContaining('login_form_validation: chronically failing - 6 failed attempts in a row over 2 run(s)'),
+            'WARNING'
+        );
+    }, 60000);
+});
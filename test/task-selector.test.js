@@ -0,0 +1,131 @@
+import { describe, it, expect, beforeEach, afterEach, jest } from '@jest/globals';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { OperatorE2EExecutor } from '../operator.execute_e2e.js';
+import SimulationScenario from '../lib/simulation-scenario.js';
+import TaskSelector from '../lib/task-selector.js';
+
+const testDir = path.dirname(fileURLToPath(import.meta.url));
+
+const TASKS = {
+    login: { status: 'fail', priority: 'high', category: 'authentication' },
+    signup: { status: 'fail', priority: 'High', category: 'Authentication' },
+    search: { status: 'fail', priority: 'medium', category: 'search' },
+    footer: { status: 'pass' }
+};
+
+describe('TaskSelector', () => {
+    it('should select every task without filters', () => {
+        const selector = new TaskSelector();
+
+        expect(selector.isActive()).toBe(false);
+        expect(Object.keys(selector.select(TASKS))).toEqual(['login', 'signup', 'search', 'footer']);
+        expect(selector.describe()).toBe('all tasks');
+    });
+
+    it('should combine filters, matching priority and category case-insensitively', () => {
+        expect(Object.keys(new TaskSelector({ priority: 'high', category: 'authentication' }).select(TASKS))).toEqual(['login', 'signup']);
+        expect(Object.keys(new TaskSelector({ category: 'authentication', exclude: 'signup' }).select(TASKS))).toEqual(['login']);
+        expect(Object.keys(new TaskSelector({ only: 'login, search', priority: 'medium,low' }).select(TASKS))).toEqual(['search']);
+    });
+
+    it('should warn about unknown task IDs and reject selections that match nothing', () => {
+        expect(new TaskSelector({ only: ['login', 'logout'] }).check(TASKS)).toEqual({
+            errors: [],
+            warnings: ['Task logout is not in the QA file']
+        });
+        expect(new TaskSelector({ category: 'billing' }).check(TASKS).errors).toEqual(['No tasks match the selection (category billing)']);
+        expect(() => new TaskSelector({ priority: 'urgent' })).toThrow('Unknown priority urgent - use one of critical, high, medium, low');
+    });
+});
+
+describe('Task selection in a simulated run', () => {
+    let tempDir;
+
+    beforeEach(async () => {
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'e2e-selection-'));
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(async () => {
+        jest.restoreAllMocks();
+        await fs.rm(tempDir, { recursive: true, force: true });
+    });
+
+    it('should send Operator only the selected failing tasks and stop once they pass', async () => {
+        // Two failing tasks; the run only works on the login one
+        const qaUx = JSON.parse(await fs.readFile(path.join(testDir, 'sample_qa_ux.json'), 'utf8'));
+        qaUx.tasks.navigation_menu_responsive.status = 'fail';
+        await fs.writeFile(path.join(tempDir, 'qa_ux.json'), JSON.stringify(qaUx, null, 2));
+        await fs.writeFile(path.join(tempDir, 'scenario.json'), JSON.stringify({
+            name: 'selected-login',
+            qaFile: './qa_ux.json',
+            maxIterations: 3,
+            iterations: [{
+                operator: '## login_form_validation\nStep 1: ✅ Pass\nStep 2: ✅ Pass\nStep 3: ✅ Pass\nStep 4: ✅ Pass',
+                claude: 'Fixed the login modal.\nTASK_FINISHED'
+            }]
+        }));
+        const simulation = await SimulationScenario.load(path.join(tempDir, 'scenario.json'));
+
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            maxIterations: simulation.maxIterations,
+            simulation,
+            taskSelection: { only: 'login_form_validation' }
+        });
+        const operatorPrompts = [];
+        const sendMessageToOperatorFast = executor.sendMessageToOperatorFast.bind(executor);
+        executor.sendMessageToOperatorFast = async (prompt) => {
+            operatorPrompts.push(prompt);
+            return sendMessageToOperatorFast(prompt);
+        };
+        await executor.execute();
+
+        expect(operatorPrompts).toHaveLength(1);
+        const sent = JSON.parse(operatorPrompts[0]);
+        expect(Object.keys(sent.tasks)).toEqual(['login_form_validation']);
+        expect(sent.setup_instructions).toEqual(qaUx.setup_instructions);
+        expect(sent.operator_capabilities).toEqual(qaUx.operator_capabilities);
+
+        expect(executor.qaUxData.tasks.login_form_validation.status).toBe('pass');
+        expect(executor.qaUxData.tasks.navigation_menu_responsive.status).toBe('fail');
+        expect(executor.codingAgent.submittedPrompts).toHaveLength(1);
+    }, 30000);
+
+    it('should send Operator only the failing tasks without a selection too', () => {
+        const executor = new OperatorE2EExecutor({ qaUxFilePath: 'qa_ux.json' });
+        executor.qaUxData = {
+            metadata: { demo_app_url: 'https://example.com', source_file: 'qa_ux.json' },
+            setup_instructions: { login: 'Use the demo account' },
+            tasks: { login: { status: 'fail' }, search: { status: 'pass' } },
+            _rawContent: '{"tasks": {"login": {}, "search": {}}}'
+        };
+
+        const sent = JSON.parse(executor.buildOperatorPrompt([{ taskId: 'login', status: 'fail' }]));
+        expect(sent).toEqual({
+            metadata: { demo_app_url: 'https://example.com' },
+            setup_instructions: { login: 'Use the demo account' },
+            tasks: { login: { status: 'fail' } }
+        });
+    });
+
+    it('should fail before any work when the selection matches no task', async () => {
+        const simulation = await SimulationScenario.load(path.join(testDir, 'scenarios', 'all-pass.json'));
+        const executor = new OperatorE2EExecutor({
+            qaUxFilePath: simulation.qaFilePath,
+            workingDir: tempDir,
+            logDirectory: tempDir,
+            simulation,
+            taskSelection: { category: 'billing' }
+        });
+
+        await expect(executor.execute()).rejects.toThrow('No tasks match the selection (category billing)');
+        expect(executor.codingAgent).toBeNull();
+    });
+});
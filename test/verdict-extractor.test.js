@@ -0,0 +1,83 @@
+import { describe, it, expect, beforeEach } from '@jest/globals';
+import VerdictExtractor from '../lib/verdict-extractor.js';
+
+describe('VerdictExtractor', () => {
+    let extractor;
+    let qaUxData;
+
+    beforeEach(() => {
+        extractor = new VerdictExtractor();
+        qaUxData = {
+            tasks: {
+                login_form_validation: {
+                    feature_name: 'login-form',
+                    status: 'fail',
+                    test_steps: [
+                        { step: 1, action: 'Navigate to the homepage', expectation: 'Expect to see logo in top-left' },
+                        { step: 2, action: 'Click "Sign In" button in top-right', expectation: 'Modal appears with Email and Password fields' }
+                    ]
+                },
+                search_functionality: {
+                    feature_name: 'search',
+                    status: 'fail',
+                    test_steps: [
+                        { step: 1, action: 'Type a query into the search box', expectation: 'Results list appears' }
+                    ]
+                }
+            }
+        };
+    });
+
+    it('should map step verdicts under a task heading to step indexes', () => {
+        const response = [
+            '## login_form_validation',
+            'Step 1: ✅ Pass - Logo visible in top-left',
+            'Step 2: ❌ Fail - Modal does not appear on click'
+        ].join('\n');
+
+        const result = extractor.extract(response, qaUxData);
+        const verdict = result.tasks.login_form_validation;
+
+        expect(verdict.status).toBe('fail');
+        expect(verdict.steps.map(s => [s.stepIndex, s.verdict])).toEqual([[0, 'pass'], [1, 'fail']]);
+        expect(verdict.steps[1].reason).toBe('Modal does not appear on click');
+        expect(result.tasks.search_functionality).toBeUndefined();
+    });
+
+    it('should pass a task only when every step has a pass verdict', () => {
+        const response = [
+            'Login form results:',
+            'login-form step 1 ✅ Pass',
+            'login-form step 2 ✅ Pass',
+            'Search: type a query into the search box - ✅ Pass'
+        ].join('\n');
+
+        const result = extractor.extract(response, qaUxData);
+
+        expect(result.tasks.login_form_validation.status).toBe('pass');
+        expect(result.tasks.login_form_validation.confidence).toBe(1);
+        expect(result.tasks.search_functionality.status).toBe('pass');
+        expect(result.unmatchedLines).toHaveLength(0);
+    });
+
+    it('should record verdict lines that cannot be mapped', () => {
+        const response = [
+            'Everything looked fine ✅ Pass',
+            '## search_functionality',
+            'Unrelated footer check ❌ Fail'
+        ].join('\n');
+
+        const result = extractor.extract(response, qaUxData);
+
+        expect(result.unmatchedLines.map(u => u.reason)).toEqual(['no_task_match', 'no_step_match']);
+        expect(result.tasks.search_functionality).toBeUndefined();
+    });
+
+    it('should mark tasks with uncovered steps as incomplete', () => {
+        const response = '## login_form_validation\nStep 1 ✅ Pass';
+
+        const result = extractor.extract(response, qaUxData);
+
+        expect(result.tasks.login_form_validation.status).toBe('incomplete');
+    });
+});